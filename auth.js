@@ -0,0 +1,302 @@
+// =================================================================
+//                 ZEDGE PUBLISHER WORKER (auth.js)
+// =================================================================
+// Authentication and role checks for the Express API. Callers are
+// either Telegram web app users (validated from the signed `initData`
+// string) or scripts holding an API token. Every caller resolves to a
+// role - viewer, operator or admin - and each route names the minimum
+// role it needs. Denied requests and all changes are written to the
+// audit log.
+// =================================================================
+
+const crypto = require('crypto');
+const database = require('./database.js');
+const users = require('./users.js');
+const logger = require('./logger.js');
+
+const { ROLES } = users;
+// initData older than this is rejected, so a leaked string can't be replayed forever.
+const INIT_DATA_MAX_AGE_SECONDS = parseInt(process.env.INIT_DATA_MAX_AGE_SECONDS, 10) || 24 * 60 * 60;
+const ARTIFACT_LINK_TTL_SECONDS = 60 * 60;
+// Signs short-lived artifact links; a random secret just means links die on restart.
+const LINK_SECRET = process.env.AUTH_LINK_SECRET || crypto.randomBytes(32).toString('hex');
+
+function hasRole(role, minRole) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(minRole);
+}
+
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(a);
+    const bufferB = Buffer.from(b);
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+// --- Telegram initData ---
+
+/**
+ * Validates a Telegram WebApp initData string against the bot token.
+ * See https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+ * @param {string} initData - The raw query string from `Telegram.WebApp.initData`.
+ * @param {string} botToken - The bot's token.
+ * @returns {object|null} The Telegram user, or null if the data is invalid or expired.
+ */
+function validateInitData(initData, botToken) {
+    if (!initData || !botToken) return null;
+    const params = new URLSearchParams(initData);
+    const hash = params.get('hash');
+    if (!hash) return null;
+    params.delete('hash');
+
+    const dataCheckString = Array.from(params.entries())
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([key, value]) => `${key}=${value}`)
+        .join('\n');
+    const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+    const expectedHash = crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex');
+    if (!safeEqual(expectedHash, hash)) return null;
+
+    const authDate = parseInt(params.get('auth_date'), 10);
+    if (!authDate || Date.now() / 1000 - authDate > INIT_DATA_MAX_AGE_SECONDS) return null;
+
+    try {
+        const user = JSON.parse(params.get('user'));
+        return user && user.id ? user : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// --- API Tokens ---
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function tokenFromRow(row) {
+    return {
+        id: Number(row.id),
+        name: row.name,
+        role: row.role,
+        createdBy: row.created_by,
+        createdAtUTC: row.created_at.toISOString(),
+        lastUsedAtUTC: row.last_used_at ? row.last_used_at.toISOString() : null,
+        revokedAtUTC: row.revoked_at ? row.revoked_at.toISOString() : null
+    };
+}
+
+async function listApiTokens() {
+    const { rows } = await database.query('SELECT * FROM api_tokens ORDER BY created_at DESC');
+    return rows.map(tokenFromRow);
+}
+
+/**
+ * Creates an API token. The plain token is only returned here; only its hash is stored.
+ * @returns {Promise<object>} A result with `token` (plain text) and `apiToken` (metadata).
+ */
+async function createApiToken({ name, role }, createdBy) {
+    const cleanName = typeof name === 'string' ? name.trim() : '';
+    if (!cleanName) return { success: false, code: 400, message: 'Token name is required.' };
+    if (!ROLES.includes(role)) return { success: false, code: 400, message: `Role must be one of: ${ROLES.join(', ')}.` };
+
+    const token = `zw_${crypto.randomBytes(32).toString('base64url')}`;
+    const { rows } = await database.query(
+        'INSERT INTO api_tokens (name, token_hash, role, created_by) VALUES ($1, $2, $3, $4) RETURNING *',
+        [cleanName, hashToken(token), role, createdBy]
+    );
+    return { success: true, code: 201, message: `Created token "${cleanName}". Copy it now, it won't be shown again.`, token, apiToken: tokenFromRow(rows[0]) };
+}
+
+async function revokeApiToken(id) {
+    const { rows } = await database.query('UPDATE api_tokens SET revoked_at = now() WHERE id = $1 AND revoked_at IS NULL RETURNING *', [id]);
+    if (!rows[0]) return { success: false, code: 404, message: 'Active token not found.' };
+    return { success: true, code: 200, message: `Revoked token "${rows[0].name}".` };
+}
+
+// --- Request Authentication ---
+
+/**
+ * Works out who is calling from the Authorization header:
+ * `tma <initData>` for the Telegram web app or `Bearer <token>` for scripts.
+ * @returns {Promise<{type: string, id: string, name: string, role: string|null}|null>}
+ *   Null when no valid credentials were sent; `role` is null for a valid but unknown Telegram user.
+ */
+async function authenticate(req) {
+    const header = req.get('authorization') || '';
+    const [scheme, ...rest] = header.split(' ');
+    const credentials = rest.join(' ').trim();
+    if (!credentials) return null;
+
+    if (scheme.toLowerCase() === 'tma') {
+        const user = validateInitData(credentials, process.env.TELEGRAM_BOT_TOKEN);
+        if (!user) return null;
+        const name = user.username ? `@${user.username}` : [user.first_name, user.last_name].filter(Boolean).join(' ');
+        return { type: 'telegram', id: String(user.id), name, role: await users.getUserRole(user.id) };
+    }
+    if (scheme.toLowerCase() === 'bearer') {
+        const { rows } = await database.query(
+            'UPDATE api_tokens SET last_used_at = now() WHERE token_hash = $1 AND revoked_at IS NULL RETURNING *',
+            [hashToken(credentials)]
+        );
+        if (!rows[0]) return null;
+        return { type: 'token', id: String(rows[0].id), name: rows[0].name, role: rows[0].role };
+    }
+    return null;
+}
+
+// --- Audit Log ---
+
+// Actor for things the worker does on its own behalf (e.g. the outcome of a database switch).
+const SYSTEM_PRINCIPAL = { type: 'system', id: null, name: 'worker', role: null };
+const CHANNELS = ['webapp', 'api', 'telegram', 'discord', 'system'];
+
+// Bot callers pass their channel; everything else arrives over HTTP.
+function defaultChannel(principal) {
+    if (!principal) return 'webapp';
+    if (principal.type === 'token') return 'api';
+    if (principal.type === 'discord' || principal.type === 'system') return principal.type;
+    return 'webapp';
+}
+
+/**
+ * Appends an audit entry. Never throws: auditing must not break the request it describes.
+ * @param {object|null} principal - The caller from authenticate(), if any.
+ * @param {string} action - What was attempted (e.g. 'DELETE /webapp/v2/schedule/:id').
+ * @param {object} entry - { outcome: 'allowed'|'denied'|'failed', target, details, ip, channel, result }
+ *   `channel` is one of CHANNELS (worked out from the principal when omitted); `result` is the message shown to the caller.
+ */
+async function audit(principal, action, { outcome, target = null, details = null, ip = null, channel = null, result = null }) {
+    try {
+        await database.query(
+            `INSERT INTO audit_log (actor_type, actor_id, actor_name, actor_role, action, target, outcome, details, ip, channel, result)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+            [principal ? principal.type : 'anonymous', principal ? principal.id : null, principal ? principal.name : null,
+                principal ? principal.role : null, action, target, outcome, details, ip, channel || defaultChannel(principal),
+                result ? String(result).slice(0, 2000) : null]
+        );
+    } catch (error) {
+        logger.error('Could not write audit log entry.', { action, error: error.message });
+    }
+}
+
+async function listAuditLog({ limit = 100, outcome = null } = {}) {
+    const { rows } = await database.query(
+        'SELECT * FROM audit_log WHERE ($2::text IS NULL OR outcome = $2) ORDER BY occurred_at DESC, id DESC LIMIT $1',
+        [Math.min(Math.max(parseInt(limit, 10) || 100, 1), 1000), outcome]
+    );
+    return rows.map(row => ({
+        id: Number(row.id),
+        occurredAtUTC: row.occurred_at.toISOString(),
+        actorType: row.actor_type,
+        actorId: row.actor_id,
+        actorName: row.actor_name,
+        actorRole: row.actor_role,
+        action: row.action,
+        target: row.target,
+        outcome: row.outcome,
+        details: row.details,
+        ip: row.ip,
+        channel: row.channel,
+        result: row.result
+    }));
+}
+
+function describeRequest(req) {
+    return `${req.method} ${req.route ? req.baseUrl + req.route.path : req.path}`;
+}
+
+/**
+ * Express middleware: rejects the request unless the caller has at least `minRole`.
+ * Sets `req.principal` for the route handler.
+ * @param {string|function(import('express').Request): string} minRole - 'viewer', 'operator' or 'admin',
+ *   or a function picking one from the request (e.g. by the action in the body).
+ */
+function requireRole(minRole) {
+    return async (req, res, next) => {
+        try {
+            const requiredRole = typeof minRole === 'function' ? minRole(req) : minRole;
+            const principal = await authenticate(req);
+            if (!principal) {
+                await audit(null, describeRequest(req), { outcome: 'denied', target: req.originalUrl, details: { reason: 'not authenticated' }, ip: req.ip });
+                return res.status(401).json({ success: false, message: 'Authentication required.' });
+            }
+            if (!principal.role || !hasRole(principal.role, requiredRole)) {
+                const reason = principal.role ? `requires ${requiredRole}` : 'user is not on the allowlist';
+                await audit(principal, describeRequest(req), { outcome: 'denied', target: req.originalUrl, details: { reason, action: req.body?.action }, ip: req.ip });
+                return res.status(403).json({ success: false, message: principal.role ? `This requires the ${requiredRole} role.` : 'You do not have access to this app.' });
+            }
+            req.principal = principal;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+/**
+ * Express middleware for links opened outside fetch (images, downloads): accepts a valid
+ * signLink() signature, otherwise falls back to requireRole().
+ */
+function requireSignedLinkOrRole(minRole) {
+    const checkRole = requireRole(minRole);
+    return (req, res, next) => {
+        if (verifyLink(req.path, req.query.expires, req.query.sig)) return next();
+        return checkRole(req, res, next);
+    };
+}
+
+/**
+ * Express middleware: writes an audit entry for a change once the response is sent,
+ * including the message the handler answered with.
+ */
+function auditChange(req, res, next) {
+    let responseMessage = null;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        if (body && typeof body.message === 'string') responseMessage = body.message;
+        return json(body);
+    };
+    res.on('finish', () => {
+        const body = req.body || {};
+        audit(req.principal, describeRequest(req), {
+            outcome: res.statusCode < 400 ? 'allowed' : 'failed',
+            target: req.originalUrl,
+            details: { status: res.statusCode, action: body.action, itemIds: Array.isArray(body.itemIds) ? body.itemIds : undefined, time: body.time },
+            ip: req.ip,
+            result: responseMessage
+        });
+    });
+    next();
+}
+
+// --- Signed Links ---
+// Images and downloads can't send an Authorization header, so artifact URLs carry a short-lived signature.
+function signLink(path, ttlSeconds = ARTIFACT_LINK_TTL_SECONDS) {
+    const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+    const signature = crypto.createHmac('sha256', LINK_SECRET).update(`${path}:${expires}`).digest('base64url');
+    return `${path}?expires=${expires}&sig=${signature}`;
+}
+
+function verifyLink(path, expires, signature) {
+    if (!expires || !signature || Number(expires) < Date.now() / 1000) return false;
+    const expected = crypto.createHmac('sha256', LINK_SECRET).update(`${path}:${expires}`).digest('base64url');
+    return safeEqual(expected, String(signature));
+}
+
+module.exports = {
+    ROLES,
+    hasRole,
+    validateInitData,
+    hashToken,
+    authenticate,
+    requireRole,
+    requireSignedLinkOrRole,
+    auditChange,
+    audit,
+    SYSTEM_PRINCIPAL,
+    CHANNELS,
+    listAuditLog,
+    listApiTokens,
+    createApiToken,
+    revokeApiToken,
+    signLink,
+    verifyLink
+};
@@ -0,0 +1,182 @@
+// =================================================================
+//                 ZEDGE PUBLISHER WORKER (browser_pool.js)
+// =================================================================
+// Lets several items publish at once without overloading the browser
+// or the Zedge account:
+//   - a bounded pool of Playwright contexts, all opened with the same
+//     saved login session and reused between publishes;
+//   - per-key locks, so two publishes to one profile never overlap;
+//   - an account-wide rate limit on how often a publish may start.
+// =================================================================
+
+const POOL_CONFIG = {
+    // How many items may publish at the same time (and so how many contexts may be open).
+    size: Math.max(parseInt(process.env.PUBLISH_CONCURRENCY, 10) || 2, 1),
+    // Minimum time between two publishes starting, across all profiles.
+    minIntervalSeconds: Number.isInteger(parseInt(process.env.PUBLISH_MIN_INTERVAL_SECONDS, 10)) ? parseInt(process.env.PUBLISH_MIN_INTERVAL_SECONDS, 10) : 15,
+    // Most publishes started in any rolling hour.
+    maxPerHour: parseInt(process.env.PUBLISH_MAX_PER_HOUR, 10) || 60
+};
+const HOUR_MS = 60 * 60 * 1000;
+
+let browser = null;
+let getStorageState = null;
+// Bumped whenever the saved session changes, so contexts opened with the old one are retired.
+let sessionVersion = 0;
+const idle = [];
+const leased = new Map();
+// Callers waiting for a context: { resolve, reject }.
+const waiters = [];
+let opening = 0;
+const keyLocks = new Map();
+let recentStarts = [];
+let rateLimitChain = Promise.resolve();
+
+/**
+ * @param {import('playwright').Browser} browserInstance - The shared browser.
+ * @param {function(): Promise<object>} storageStateSource - Returns the saved login session.
+ */
+function init(browserInstance, storageStateSource) {
+    browser = browserInstance;
+    getStorageState = storageStateSource;
+}
+
+// --- Contexts ---
+
+async function openContext() {
+    const context = await browser.newContext({ storageState: await getStorageState() });
+    return { context, version: sessionVersion };
+}
+
+/**
+ * Borrows a context, waiting for one to be returned if the pool is full.
+ * Always give it back with release().
+ * @returns {Promise<import('playwright').BrowserContext>}
+ */
+async function acquire() {
+    if (!browser) throw new Error('The browser pool has not been initialized.');
+    let entry = idle.pop();
+    // Contexts still opening count too, so concurrent callers can't overshoot the size.
+    if (!entry && leased.size + opening < POOL_CONFIG.size) {
+        opening++;
+        try {
+            entry = await openContext();
+        } finally {
+            opening--;
+        }
+    }
+    if (!entry) entry = await new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+    leased.set(entry.context, entry);
+    return entry.context;
+}
+
+/**
+ * Returns a context to the pool. Its pages are closed; the context itself is kept for
+ * the next publish unless the session changed since it was opened.
+ */
+async function release(context) {
+    const entry = leased.get(context);
+    if (!entry) return;
+    leased.delete(context);
+    await Promise.all(context.pages().map(page => page.close().catch(() => {})));
+
+    let next = entry;
+    if (entry.version !== sessionVersion || !browser.isConnected()) {
+        await context.close().catch(() => {});
+        next = null;
+    }
+    const waiter = waiters.shift();
+    if (!waiter) {
+        if (next) idle.push(next);
+        return;
+    }
+    try {
+        waiter.resolve(next || await openContext());
+    } catch (error) {
+        waiter.reject(error);
+    }
+}
+
+/**
+ * Retires every context opened with the previous session (call after logging in again).
+ * Idle ones are closed now; leased ones when they are released.
+ */
+async function invalidate() {
+    sessionVersion++;
+    const stale = idle.splice(0);
+    await Promise.all(stale.map(entry => entry.context.close().catch(() => {})));
+}
+
+// --- Locks & Rate Limit ---
+
+/**
+ * Waits until nobody else holds `key`, then holds it.
+ * @param {string} key - e.g. a profile ID.
+ * @returns {Promise<function(): void>} Call it to let the next waiter in.
+ */
+async function lock(key) {
+    const previous = keyLocks.get(key) || Promise.resolve();
+    let unlock;
+    const current = new Promise(resolve => { unlock = resolve; });
+    const tail = previous.then(() => current);
+    keyLocks.set(key, tail);
+    await previous;
+    return () => {
+        unlock();
+        if (keyLocks.get(key) === tail) keyLocks.delete(key);
+    };
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Waits until another publish may start under the account-wide limits, and counts it.
+ * Callers are let through one at a time, in the order they asked.
+ * @returns {Promise<number>} How long the caller waited, in milliseconds.
+ */
+function waitForRateLimit() {
+    const startedWaiting = Date.now();
+    const turn = rateLimitChain.then(async () => {
+        for (;;) {
+            const now = Date.now();
+            recentStarts = recentStarts.filter(t => now - t < HOUR_MS);
+            const last = recentStarts[recentStarts.length - 1];
+            const intervalWait = last ? last + POOL_CONFIG.minIntervalSeconds * 1000 - now : 0;
+            const hourlyWait = recentStarts.length >= POOL_CONFIG.maxPerHour ? recentStarts[0] + HOUR_MS - now : 0;
+            const wait = Math.max(intervalWait, hourlyWait);
+            if (wait <= 0) break;
+            await sleep(wait);
+        }
+        recentStarts.push(Date.now());
+        return Date.now() - startedWaiting;
+    });
+    rateLimitChain = turn.catch(() => {});
+    return turn;
+}
+
+/**
+ * @returns {{size: number, leased: number, idle: number, waiting: number, startedLastHour: number}}
+ */
+function getStats() {
+    const now = Date.now();
+    return {
+        size: POOL_CONFIG.size,
+        leased: leased.size,
+        idle: idle.length,
+        waiting: waiters.length,
+        startedLastHour: recentStarts.filter(t => now - t < HOUR_MS).length
+    };
+}
+
+module.exports = {
+    POOL_CONFIG,
+    init,
+    acquire,
+    release,
+    invalidate,
+    lock,
+    waitForRateLimit,
+    getStats
+};
@@ -0,0 +1,375 @@
+// =================================================================
+//                 ZEDGE PUBLISHER WORKER (data_store.js)
+// =================================================================
+// Row-level queries for schedule items, publish history, sessions and
+// settings. Every function accepts an optional `client` so it can take
+// part in a transaction started with database.withTransaction().
+// =================================================================
+
+const database = require('./database.js');
+const encryption = require('./encryption.js');
+const itemMetadata = require('./item_metadata.js');
+const itemActions = require('./item_actions.js');
+
+// --- Row Mapping ---
+function itemFromRow(row) {
+    return {
+        id: row.id,
+        title: row.title,
+        theme: row.theme,
+        profileId: row.profile_id || null,
+        ruleId: row.rule_id === null || row.rule_id === undefined ? null : Number(row.rule_id),
+        scheduledAtUTC: row.scheduled_at ? row.scheduled_at.toISOString() : null,
+        status: row.status,
+        action: row.action || 'publish',
+        publishDays: row.publish_days === null || row.publish_days === undefined ? null : row.publish_days,
+        dryRun: row.dry_run === true,
+        failMessage: row.fail_message || undefined,
+        missedAtUTC: row.missed_at ? row.missed_at.toISOString() : undefined,
+        inventoryIssue: row.inventory_issue || null,
+        metadata: itemMetadata.normalizeMetadata(row.metadata),
+        createdAtUTC: row.created_at.toISOString(),
+        updatedAtUTC: row.updated_at.toISOString()
+    };
+}
+
+function historyFromRow(row) {
+    return {
+        id: row.item_id,
+        historyId: Number(row.id),
+        title: row.title,
+        theme: row.theme,
+        scheduledAtUTC: row.scheduled_at ? row.scheduled_at.toISOString() : null,
+        publishedAtUTC: row.published_at.toISOString(),
+        profileId: row.profile_id || null,
+        action: row.action || 'publish',
+        status: itemActions.ACTION_LABELS[row.action || 'publish']
+    };
+}
+
+// --- Schedule Items ---
+async function listScheduleItems(client = database) {
+    const { rows } = await client.query('SELECT * FROM schedule_items ORDER BY scheduled_at ASC NULLS LAST, created_at ASC');
+    return rows.map(itemFromRow);
+}
+
+async function getScheduleItemsByIds(ids, client = database) {
+    const { rows } = await client.query('SELECT * FROM schedule_items WHERE id = ANY($1) ORDER BY scheduled_at ASC', [ids]);
+    return rows.map(itemFromRow);
+}
+
+async function getScheduleItem(id, client = database) {
+    const { rows } = await client.query('SELECT * FROM schedule_items WHERE id = $1', [id]);
+    return rows[0] ? itemFromRow(rows[0]) : null;
+}
+
+/**
+ * Returns pending items whose scheduled time has passed.
+ * @param {Date} now - The reference time.
+ */
+async function listDuePendingItems(now, client = database) {
+    const { rows } = await client.query(
+        "SELECT * FROM schedule_items WHERE status = 'Pending' AND scheduled_at <= $1 ORDER BY scheduled_at ASC",
+        [now]
+    );
+    return rows.map(itemFromRow);
+}
+
+/**
+ * Returns items waiting in the backlog (no time yet), oldest first.
+ */
+async function listBacklogItems(client = database) {
+    const { rows } = await client.query("SELECT * FROM schedule_items WHERE status = 'Backlog' ORDER BY created_at ASC, id ASC");
+    return rows.map(itemFromRow);
+}
+
+async function searchScheduleItems(text, client = database) {
+    const { rows } = await client.query(
+        "SELECT * FROM schedule_items WHERE title ILIKE '%' || $1 || '%' ORDER BY scheduled_at ASC",
+        [text]
+    );
+    return rows.map(itemFromRow);
+}
+
+/**
+ * Finds a scheduled or already published item with the same title (case-insensitive).
+ * @returns {Promise<{item: object, where: string}|null>}
+ */
+async function findItemByTitle(title, ignoreId = null, client = database) {
+    const scheduled = await client.query(
+        'SELECT * FROM schedule_items WHERE lower(title) = lower($1) AND ($2::text IS NULL OR id <> $2) LIMIT 1',
+        [title, ignoreId]
+    );
+    if (scheduled.rows[0]) return { item: itemFromRow(scheduled.rows[0]), where: 'schedule' };
+    const published = await client.query('SELECT * FROM publish_history WHERE lower(title) = lower($1) LIMIT 1', [title]);
+    if (published.rows[0]) return { item: historyFromRow(published.rows[0]), where: 'publish history' };
+    return null;
+}
+
+/**
+ * Inserts an item. Items without `scheduledAtUTC` go to the backlog.
+ */
+async function insertScheduleItem(item, client = database) {
+    const { rows } = await client.query(
+        `INSERT INTO schedule_items (id, title, theme, profile_id, scheduled_at, status, dry_run, metadata, action, publish_days)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+        [item.id, item.title, item.theme || '', item.profileId || null, item.scheduledAtUTC || null, item.scheduledAtUTC ? 'Pending' : 'Backlog', item.dryRun === true,
+            item.metadata ? JSON.stringify(item.metadata) : null, item.action || 'publish', item.publishDays || null]
+    );
+    return itemFromRow(rows[0]);
+}
+
+/**
+ * Updates the given fields of an item.
+ * @param {string} id - The item ID.
+ * @param {object} fields - Any of title, theme, profileId, ruleId, scheduledAtUTC, status, dryRun, failMessage, missedAtUTC,
+ *   inventoryIssue, metadata, action, publishDays.
+ * @returns {Promise<object|null>} The updated item, or null if it doesn't exist.
+ */
+async function updateScheduleItem(id, fields, client = database) {
+    const columns = { title: 'title', theme: 'theme', profileId: 'profile_id', ruleId: 'rule_id', scheduledAtUTC: 'scheduled_at', status: 'status', dryRun: 'dry_run', failMessage: 'fail_message', missedAtUTC: 'missed_at', inventoryIssue: 'inventory_issue', metadata: 'metadata', action: 'action', publishDays: 'publish_days' };
+    const sets = [];
+    const params = [id];
+    for (const [key, column] of Object.entries(columns)) {
+        if (fields[key] === undefined) continue;
+        params.push(key === 'metadata' && fields[key] ? JSON.stringify(fields[key]) : fields[key]);
+        sets.push(`${column} = $${params.length}`);
+    }
+    if (sets.length === 0) return getScheduleItem(id, client);
+    const { rows } = await client.query(
+        `UPDATE schedule_items SET ${sets.join(', ')}, updated_at = now() WHERE id = $1 RETURNING *`,
+        params
+    );
+    return rows[0] ? itemFromRow(rows[0]) : null;
+}
+
+async function deleteScheduleItem(id, client = database) {
+    const { rows } = await client.query('DELETE FROM schedule_items WHERE id = $1 RETURNING *', [id]);
+    return rows[0] ? itemFromRow(rows[0]) : null;
+}
+
+/**
+ * Moves the given items to a new time and resets them to Pending.
+ * @returns {Promise<number>} The number of rows updated.
+ */
+async function rescheduleItems(ids, scheduledAt, client = database) {
+    const { rowCount } = await client.query(
+        `UPDATE schedule_items SET scheduled_at = $2, status = 'Pending', fail_message = NULL, missed_at = NULL, updated_at = now()
+         WHERE id = ANY($1)`,
+        [ids, scheduledAt]
+    );
+    return rowCount;
+}
+
+/**
+ * Flags items as missed (status Failed), but only those that are still Pending,
+ * so a concurrent publish or reschedule is never overwritten.
+ * @returns {Promise<object[]>} The items that were actually changed.
+ */
+async function markPendingItemsMissed(ids, message, client = database) {
+    const { rows } = await client.query(
+        `UPDATE schedule_items SET status = 'Failed', fail_message = $2, missed_at = now(), missed_notified_at = NULL, updated_at = now()
+         WHERE id = ANY($1) AND status = 'Pending' RETURNING *`,
+        [ids, message]
+    );
+    return rows.map(itemFromRow);
+}
+
+/**
+ * Marks items Skipped (their profile's missed policy gave up on them), but only those still Pending.
+ * @returns {Promise<object[]>} The items that were actually changed.
+ */
+async function skipPendingItems(ids, message, client = database) {
+    const { rows } = await client.query(
+        `UPDATE schedule_items SET status = 'Skipped', fail_message = $2, updated_at = now()
+         WHERE id = ANY($1) AND status = 'Pending' RETURNING *`,
+        [ids, message]
+    );
+    return rows.map(itemFromRow);
+}
+
+/**
+ * Moves an item that is still Pending to a new time.
+ * @returns {Promise<object|null>} The item, or null if it was no longer Pending.
+ */
+async function shiftPendingItem(id, scheduledAt, client = database) {
+    const { rows } = await client.query(
+        `UPDATE schedule_items SET scheduled_at = $2, updated_at = now()
+         WHERE id = $1 AND status = 'Pending' RETURNING *`,
+        [id, scheduledAt]
+    );
+    return rows[0] ? itemFromRow(rows[0]) : null;
+}
+
+async function listMissedItems(client = database) {
+    const { rows } = await client.query('SELECT * FROM schedule_items WHERE missed_at IS NOT NULL ORDER BY scheduled_at ASC');
+    return rows.map(itemFromRow);
+}
+
+/**
+ * Returns missed items that haven't been announced yet and marks them as announced,
+ * so each missed item is notified exactly once, even across restarts.
+ */
+async function takeUnnotifiedMissedItems(client = database) {
+    const { rows } = await client.query(
+        `UPDATE schedule_items SET missed_notified_at = now()
+         WHERE missed_at IS NOT NULL AND missed_notified_at IS NULL RETURNING *`
+    );
+    return rows.map(itemFromRow).sort((a, b) => new Date(a.scheduledAtUTC) - new Date(b.scheduledAtUTC));
+}
+
+/**
+ * Removes items from the missed list (they keep their current status).
+ * @param {string[]|null} ids - The items to clear, or null for all of them.
+ * @returns {Promise<number>} The number of items cleared.
+ */
+async function clearMissedItems(ids = null, client = database) {
+    const { rowCount } = await client.query(
+        'UPDATE schedule_items SET missed_at = NULL, updated_at = now() WHERE missed_at IS NOT NULL AND ($1::text[] IS NULL OR id = ANY($1))',
+        [ids]
+    );
+    return rowCount;
+}
+
+// --- Publish History ---
+async function listRecentlyPublished(limit, client = database) {
+    const { rows } = await client.query('SELECT * FROM publish_history ORDER BY published_at DESC LIMIT $1', [limit]);
+    return rows.map(historyFromRow);
+}
+
+async function listPublishedSince(since, client = database) {
+    const { rows } = await client.query('SELECT * FROM publish_history WHERE published_at >= $1 ORDER BY published_at ASC', [since]);
+    return rows.map(historyFromRow);
+}
+
+/**
+ * Returns which of the given lower-case titles were published before.
+ * @param {string[]} titles - Lower-case titles.
+ * @returns {Promise<Set<string>>}
+ */
+async function listPublishedTitles(titles, client = database) {
+    if (titles.length === 0) return new Set();
+    const { rows } = await client.query('SELECT DISTINCT lower(title) AS title FROM publish_history WHERE lower(title) = ANY($1)', [titles]);
+    return new Set(rows.map(r => r.title));
+}
+
+/**
+ * Removes a done item from the schedule and records it in the history under its action, atomically.
+ * @param {string} id
+ * @param {string|null} profileId - The profile it was published to (or taken down from).
+ * @returns {Promise<object|null>} The history entry, or null if the item no longer exists.
+ */
+async function movePublishedItemToHistory(id, profileId = null) {
+    return database.withTransaction(async (client) => {
+        const item = await deleteScheduleItem(id, client);
+        if (!item) return null;
+        const { rows } = await client.query(
+            `INSERT INTO publish_history (item_id, title, theme, scheduled_at, rule_id, profile_id, action)
+             VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+            [item.id, item.title, item.theme, item.scheduledAtUTC, item.ruleId, profileId, item.action]
+        );
+        return historyFromRow(rows[0]);
+    });
+}
+
+// --- Sessions & Credentials ---
+// Both are encrypted at rest when ENCRYPTION_KEYS is set (see encryption.js).
+const CREDENTIALS_SETTING = 'zedge_credentials';
+
+async function getSession(name, client = database) {
+    const { rows } = await client.query('SELECT storage_state FROM sessions WHERE name = $1', [name]);
+    return rows[0] ? encryption.decryptJSON(rows[0].storage_state, `session:${name}`) : null;
+}
+
+async function saveSession(name, storageState, client = database) {
+    await client.query(
+        `INSERT INTO sessions (name, storage_state, updated_at) VALUES ($1, $2, now())
+         ON CONFLICT (name) DO UPDATE SET storage_state = EXCLUDED.storage_state, updated_at = now()`,
+        [name, encryption.encryptJSON(storageState, `session:${name}`)]
+    );
+}
+
+/**
+ * @returns {Promise<{email: string, password: string}|null>} Zedge credentials saved from the web app.
+ */
+async function getCredentials(client = database) {
+    const stored = await getSetting(CREDENTIALS_SETTING, null, client);
+    return stored ? encryption.decryptJSON(stored, `setting:${CREDENTIALS_SETTING}`) : null;
+}
+
+async function saveCredentials(credentials, client = database) {
+    await setSetting(CREDENTIALS_SETTING, encryption.encryptJSON(credentials, `setting:${CREDENTIALS_SETTING}`), client);
+}
+
+async function deleteCredentials(client = database) {
+    const { rowCount } = await client.query('DELETE FROM settings WHERE key = $1', [CREDENTIALS_SETTING]);
+    return rowCount > 0;
+}
+
+/**
+ * Rewrites sessions and credentials that are in plain text or use an older key with the
+ * current key. Run it in a transaction (see database.forEachDatabase()).
+ * @returns {Promise<number>} How many values were rewritten.
+ */
+async function reencryptSecrets(client) {
+    let rewritten = 0;
+    const { rows } = await client.query('SELECT name, storage_state FROM sessions FOR UPDATE');
+    for (const row of rows) {
+        if (!encryption.needsReencryption(row.storage_state)) continue;
+        await saveSession(row.name, encryption.decryptJSON(row.storage_state, `session:${row.name}`), client);
+        rewritten++;
+    }
+    const credentials = await getSetting(CREDENTIALS_SETTING, null, client);
+    if (encryption.needsReencryption(credentials)) {
+        await saveCredentials(encryption.decryptJSON(credentials, `setting:${CREDENTIALS_SETTING}`), client);
+        rewritten++;
+    }
+    return rewritten;
+}
+
+// --- Settings ---
+async function getSetting(key, defaultValue = null, client = database) {
+    const { rows } = await client.query('SELECT value FROM settings WHERE key = $1', [key]);
+    return rows[0] ? rows[0].value : defaultValue;
+}
+
+async function setSetting(key, value, client = database) {
+    // JSON.stringify so arrays are stored as JSON arrays, not Postgres arrays.
+    await client.query(
+        `INSERT INTO settings (key, value, updated_at) VALUES ($1, $2::jsonb, now())
+         ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = now()`,
+        [key, JSON.stringify(value)]
+    );
+}
+
+module.exports = {
+    listScheduleItems,
+    getScheduleItemsByIds,
+    getScheduleItem,
+    listDuePendingItems,
+    listBacklogItems,
+    searchScheduleItems,
+    findItemByTitle,
+    insertScheduleItem,
+    updateScheduleItem,
+    deleteScheduleItem,
+    rescheduleItems,
+    markPendingItemsMissed,
+    skipPendingItems,
+    shiftPendingItem,
+    listMissedItems,
+    takeUnnotifiedMissedItems,
+    clearMissedItems,
+    listRecentlyPublished,
+    listPublishedSince,
+    listPublishedTitles,
+    movePublishedItemToHistory,
+    getSession,
+    saveSession,
+    getCredentials,
+    saveCredentials,
+    deleteCredentials,
+    reencryptSecrets,
+    getSetting,
+    setSetting
+};
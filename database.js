@@ -0,0 +1,217 @@
+// =================================================================
+//                 ZEDGE PUBLISHER WORKER (database.js)
+// =================================================================
+// This module owns the Postgres connection pools (primaries + backup),
+// runs schema migrations on each of them, and provides the query and
+// transaction helpers used by the rest of the worker. It also handles
+// copying data between databases when switching the active primary.
+// =================================================================
+
+const { Pool } = require('pg');
+const { runMigrations, REPLICATED_TABLES } = require('./db_migrations.js');
+const metrics = require('./metrics.js');
+const logger = require('./logger.js');
+
+let primaryPools = [];
+let backupPool;
+let activePool;
+let activeDbIndex = 0;
+
+async function initializeDatabases() {
+    logger.info('Initializing database connections.');
+    for (let i = 1; ; i++) {
+        const connString = process.env[`PRIMARY_DB_${i}`];
+        if (connString) {
+            primaryPools.push(new Pool({ connectionString: connString, ssl: { require: true } }));
+            logger.info('Created database pool.', { database: `PRIMARY_DB_${i}` });
+        } else {
+            break;
+        }
+    }
+    if (primaryPools.length === 0) throw new Error("CRITICAL: No PRIMARY_DB_X environment variables found.");
+    const backupConnString = process.env.BACKUP_DB;
+    if (backupConnString) {
+        backupPool = new Pool({ connectionString: backupConnString, ssl: { require: true } });
+        logger.info('Created database pool.', { database: 'BACKUP_DB' });
+    } else {
+        logger.warn('BACKUP_DB is not configured.');
+    }
+    activePool = primaryPools[0];
+    activeDbIndex = 0;
+
+    // Every database must be on the same schema version so a switch can copy rows 1:1.
+    for (const [index, pool] of primaryPools.entries()) {
+        await runMigrations(pool, `PRIMARY_DB_${index + 1}`);
+    }
+    if (backupPool) await runMigrations(backupPool, 'BACKUP_DB');
+}
+
+/**
+ * Reads the active index stored in the backup DB and switches to it if it
+ * differs from ours (e.g. after a restart following a /switchdb).
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function reconcileActiveDbIndex() {
+    if (!backupPool) return { success: true };
+    logger.info('Reconciling active DB index.');
+    try {
+        const res = await backupPool.query("SELECT value FROM settings WHERE key = 'db_config'");
+        const backupIndex = res.rows[0]?.value?.active_index;
+        if (backupIndex !== undefined && backupIndex !== activeDbIndex && backupIndex < primaryPools.length) {
+            logger.warn('Active DB index differs from the backup. Switching.', { from: activeDbIndex, to: backupIndex });
+            activeDbIndex = backupIndex;
+            activePool = primaryPools[backupIndex];
+        }
+        return { success: true };
+    } catch (error) {
+        logger.error('CRITICAL: Failed to reconcile DB index.', { error: error.message });
+        return { success: false, error: error.message };
+    }
+}
+
+// --- Query Helpers ---
+
+/**
+ * Runs a single query against the active database.
+ * @param {string} text - The SQL text.
+ * @param {any[]} [params] - Query parameters.
+ */
+function query(text, params) {
+    return metrics.timeDbCall('query', () => activePool.query(text, params));
+}
+
+/**
+ * Runs `fn` inside a transaction on the active database. The callback gets a
+ * client whose `query` must be used for every statement that belongs to the transaction.
+ * @param {(client: import('pg').PoolClient) => Promise<any>} fn
+ */
+function withTransaction(fn) {
+    return metrics.timeDbCall('transaction', () => runTransaction(activePool, fn));
+}
+
+async function runTransaction(pool, fn) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await fn(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+function getActiveDbIndex() { return activeDbIndex; }
+
+/**
+ * Runs `fn` in a transaction on every configured database (each primary and the backup),
+ * for data that must be rewritten in the inactive copies too. One failing database
+ * doesn't stop the others.
+ * @param {(client: import('pg').PoolClient) => Promise<any>} fn
+ * @returns {Promise<{name: string, success: boolean, result?: any, error?: string}[]>}
+ */
+async function forEachDatabase(fn) {
+    const targets = primaryPools.map((pool, index) => ({ name: `DB ${index + 1}`, pool }));
+    if (backupPool) targets.push({ name: 'BACKUP_DB', pool: backupPool });
+    const results = [];
+    for (const { name, pool } of targets) {
+        try {
+            results.push({ name, success: true, result: await runTransaction(pool, fn) });
+        } catch (error) {
+            results.push({ name, success: false, error: error.message });
+        }
+    }
+    return results;
+}
+
+// --- Database Switching ---
+
+/**
+ * Moves every serial sequence of `table` past the highest copied value, so new rows don't collide.
+ */
+async function resetSequences(client, table) {
+    const { rows } = await client.query(
+        `SELECT column_name, pg_get_serial_sequence($1, column_name) AS seq
+         FROM information_schema.columns
+         WHERE table_schema = current_schema() AND table_name = $1 AND column_default LIKE 'nextval%'`,
+        [table]
+    );
+    for (const { column_name: column, seq } of rows) {
+        if (!seq) continue;
+        await client.query(`SELECT setval($1, COALESCE((SELECT MAX(${column}) FROM ${table}), 0) + 1, false)`, [seq]);
+    }
+}
+
+/**
+ * Replaces the contents of every replicated table in `destPool` with the rows from `sourcePool`.
+ * Runs in a single transaction on the destination, so a failed copy leaves it untouched.
+ */
+async function copyDatabase(sourcePool, destPool) {
+    const destClient = await destPool.connect();
+    try {
+        await destClient.query('BEGIN');
+        await destClient.query(`TRUNCATE ${REPLICATED_TABLES.join(', ')}`);
+        for (const table of REPLICATED_TABLES) {
+            // row_to_json keeps every column type (incl. bytea) round-trippable through json_populate_recordset.
+            const { rows } = await sourcePool.query(`SELECT COALESCE(json_agg(t), '[]'::json) AS rows FROM ${table} t`);
+            await destClient.query(`INSERT INTO ${table} SELECT * FROM json_populate_recordset(NULL::${table}, $1)`, [JSON.stringify(rows[0].rows)]);
+            await resetSequences(destClient, table);
+        }
+        await destClient.query('COMMIT');
+        return { success: true };
+    } catch (err) {
+        await destClient.query('ROLLBACK').catch(() => {});
+        logger.error('Error during data migration.', { error: err });
+        return { success: false, error: err.message };
+    } finally {
+        destClient.release();
+    }
+}
+
+async function writeDbConfig(pool, index) {
+    await pool.query(
+        `INSERT INTO settings (key, value, updated_at) VALUES ('db_config', $1, now())
+         ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = now()`,
+        [{ active_index: index }]
+    );
+}
+
+/**
+ * Copies all data active -> backup -> next primary, then makes the next primary active.
+ * @returns {Promise<{success: boolean, message?: string, currentDbName: string, nextDbName?: string}>}
+ */
+async function switchDatabase() {
+    const currentDbName = `DB ${activeDbIndex + 1}`;
+    if (!backupPool || primaryPools.length < 2) {
+        return { success: false, currentDbName, message: "Not enough databases configured." };
+    }
+
+    const nextDbIndex = (activeDbIndex + 1) % primaryPools.length;
+    const nextDbName = `DB ${nextDbIndex + 1}`;
+    const nextPool = primaryPools[nextDbIndex];
+
+    const backupResult = await copyDatabase(activePool, backupPool);
+    if (!backupResult.success) return { success: false, currentDbName, nextDbName, message: `Could not back up ${currentDbName}. ${backupResult.error}` };
+    const restoreResult = await copyDatabase(backupPool, nextPool);
+    if (!restoreResult.success) return { success: false, currentDbName, nextDbName, message: `Could not migrate to ${nextDbName}. ${restoreResult.error}` };
+
+    await writeDbConfig(nextPool, nextDbIndex);
+    await writeDbConfig(backupPool, nextDbIndex);
+
+    activePool = nextPool;
+    activeDbIndex = nextDbIndex;
+    return { success: true, currentDbName, nextDbName };
+}
+
+module.exports = {
+    initializeDatabases,
+    reconcileActiveDbIndex,
+    switchDatabase,
+    getActiveDbIndex,
+    query,
+    withTransaction,
+    forEachDatabase
+};
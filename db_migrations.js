@@ -0,0 +1,533 @@
+// =================================================================
+//                 ZEDGE PUBLISHER WORKER (db_migrations.js)
+// =================================================================
+// Versioned schema migrations. Each migration runs once per database,
+// inside its own transaction, and is recorded in `schema_migrations`.
+// Never edit a migration that has shipped - add a new one instead.
+// =================================================================
+
+const logger = require('./logger.js');
+
+// Tables copied by database.js when switching databases, in insert order.
+const REPLICATED_TABLES = ['settings', 'sessions', 'zedge_profiles', 'schedule_items', 'publish_history', 'publish_jobs', 'publish_attempts', 'publish_artifacts', 'users', 'api_tokens', 'audit_log', 'schedule_rules', 'webhooks', 'webhook_deliveries', 'draft_uploads', 'zedge_inventory', 'item_stats'];
+
+// Arbitrary constant so two worker instances never migrate the same DB at once.
+const MIGRATION_LOCK_ID = 734201;
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'create_core_tables',
+        up: async (client) => {
+            await client.query(`
+                CREATE TABLE schedule_items (
+                    id TEXT PRIMARY KEY,
+                    title TEXT NOT NULL,
+                    theme TEXT NOT NULL DEFAULT '',
+                    scheduled_at TIMESTAMPTZ,
+                    status TEXT NOT NULL DEFAULT 'Pending',
+                    fail_message TEXT,
+                    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+                    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+                );
+                CREATE INDEX schedule_items_status_time_idx ON schedule_items (status, scheduled_at);
+                CREATE INDEX schedule_items_title_idx ON schedule_items (lower(title));
+
+                CREATE TABLE publish_history (
+                    id BIGSERIAL PRIMARY KEY,
+                    item_id TEXT NOT NULL,
+                    title TEXT NOT NULL,
+                    theme TEXT NOT NULL DEFAULT '',
+                    scheduled_at TIMESTAMPTZ,
+                    published_at TIMESTAMPTZ NOT NULL DEFAULT now()
+                );
+                CREATE INDEX publish_history_published_at_idx ON publish_history (published_at DESC);
+                CREATE INDEX publish_history_title_idx ON publish_history (lower(title));
+
+                CREATE TABLE sessions (
+                    name TEXT PRIMARY KEY,
+                    storage_state JSONB NOT NULL,
+                    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+                );
+
+                CREATE TABLE settings (
+                    key TEXT PRIMARY KEY,
+                    value JSONB NOT NULL,
+                    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+                );
+            `);
+        }
+    },
+    {
+        version: 2,
+        name: 'import_legacy_app_data',
+        up: async (client) => {
+            const { rows: tables } = await client.query("SELECT to_regclass('app_data') AS name");
+            if (!tables[0].name) return;
+            const { rows } = await client.query('SELECT data FROM app_data WHERE id = 1');
+            const data = rows[0]?.data;
+            if (!data) return;
+
+            for (const item of Array.isArray(data.schedule) ? data.schedule : []) {
+                if (!item || !item.id || !item.title) continue;
+                await client.query(
+                    `INSERT INTO schedule_items (id, title, theme, scheduled_at, status, fail_message)
+                     VALUES ($1, $2, $3, $4, $5, $6) ON CONFLICT (id) DO NOTHING`,
+                    [String(item.id), item.title, item.theme || '', item.scheduledAtUTC || null, item.status || 'Pending', item.failMessage || null]
+                );
+            }
+            // Oldest first so the BIGSERIAL ids follow publish order.
+            const published = (Array.isArray(data.recentlyPublished) ? data.recentlyPublished : []).slice().reverse();
+            for (const item of published) {
+                if (!item || !item.title) continue;
+                await client.query(
+                    `INSERT INTO publish_history (item_id, title, theme, scheduled_at, published_at)
+                     VALUES ($1, $2, $3, $4, COALESCE($5::timestamptz, now()))`,
+                    [String(item.id || ''), item.title, item.theme || '', item.scheduledAtUTC || null, item.publishedAtUTC || null]
+                );
+            }
+            if (data.sessionData) {
+                await client.query(
+                    "INSERT INTO sessions (name, storage_state) VALUES ('zedge', $1) ON CONFLICT (name) DO NOTHING",
+                    [data.sessionData]
+                );
+            }
+            if (data.db_config) {
+                await client.query("INSERT INTO settings (key, value) VALUES ('db_config', $1) ON CONFLICT (key) DO NOTHING", [data.db_config]);
+            }
+            // Fields the worker never used are kept so nothing from the old document is lost.
+            const legacy = { settings: data.settings, activeResults: data.activeResults, recycleBin: data.recycleBin };
+            await client.query("INSERT INTO settings (key, value) VALUES ('legacy_app_data', $1) ON CONFLICT (key) DO NOTHING", [legacy]);
+        }
+    },
+    {
+        version: 3,
+        name: 'create_publish_jobs',
+        up: async (client) => {
+            await client.query(`
+                CREATE TABLE publish_jobs (
+                    id BIGSERIAL PRIMARY KEY,
+                    item_id TEXT NOT NULL,
+                    reason TEXT NOT NULL DEFAULT 'schedule',
+                    status TEXT NOT NULL DEFAULT 'queued',
+                    attempts INTEGER NOT NULL DEFAULT 0,
+                    max_attempts INTEGER NOT NULL,
+                    run_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+                    lease_owner TEXT,
+                    lease_expires_at TIMESTAMPTZ,
+                    last_error TEXT,
+                    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+                    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+                    finished_at TIMESTAMPTZ
+                );
+                CREATE UNIQUE INDEX publish_jobs_active_item_idx ON publish_jobs (item_id) WHERE status IN ('queued', 'running');
+                CREATE INDEX publish_jobs_due_idx ON publish_jobs (status, run_at);
+
+                ALTER TABLE schedule_items ADD COLUMN missed_at TIMESTAMPTZ;
+                ALTER TABLE schedule_items ADD COLUMN missed_notified_at TIMESTAMPTZ;
+            `);
+        }
+    },
+    {
+        version: 4,
+        name: 'create_zedge_profiles',
+        up: async (client) => {
+            await client.query(`
+                CREATE TABLE zedge_profiles (
+                    id TEXT PRIMARY KEY,
+                    name TEXT NOT NULL,
+                    business_id TEXT NOT NULL,
+                    profile_id TEXT NOT NULL,
+                    content_type TEXT NOT NULL DEFAULT 'WALLPAPER',
+                    theme_patterns TEXT[] NOT NULL DEFAULT '{}',
+                    priority INTEGER NOT NULL DEFAULT 0,
+                    is_default BOOLEAN NOT NULL DEFAULT false,
+                    enabled BOOLEAN NOT NULL DEFAULT true,
+                    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+                    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+                );
+
+                -- The two profiles that used to be hard-coded in performPublish.
+                INSERT INTO zedge_profiles (id, name, business_id, profile_id, content_type, theme_patterns, priority, is_default) VALUES
+                    ('normal', 'Normal', '4e5d55ef-ea99-4913-90cf-09431dc1f28f', '0c02b238-4bd0-479e-91f7-85c6df9c8b0f', 'WALLPAPER', '{}', 0, true),
+                    ('black', 'Black', '4e5d55ef-ea99-4913-90cf-09431dc1f28f', 'a90052da-0ec5-4877-a73f-034c6da5d45a', 'WALLPAPER', '{black}', 10, false);
+
+                ALTER TABLE schedule_items ADD COLUMN profile_id TEXT;
+            `);
+        }
+    },
+    {
+        version: 5,
+        name: 'create_publish_attempts',
+        up: async (client) => {
+            await client.query(`
+                CREATE TABLE publish_attempts (
+                    id BIGSERIAL PRIMARY KEY,
+                    job_id BIGINT,
+                    item_id TEXT NOT NULL,
+                    attempt INTEGER NOT NULL,
+                    status TEXT NOT NULL,
+                    error TEXT,
+                    started_at TIMESTAMPTZ NOT NULL,
+                    finished_at TIMESTAMPTZ NOT NULL DEFAULT now()
+                );
+                CREATE INDEX publish_attempts_item_idx ON publish_attempts (item_id, started_at DESC);
+
+                CREATE TABLE publish_artifacts (
+                    id BIGSERIAL PRIMARY KEY,
+                    attempt_id BIGINT NOT NULL REFERENCES publish_attempts (id) ON DELETE CASCADE,
+                    kind TEXT NOT NULL,
+                    file_name TEXT NOT NULL,
+                    content_type TEXT NOT NULL,
+                    size_bytes INTEGER NOT NULL,
+                    data BYTEA NOT NULL,
+                    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+                );
+                CREATE INDEX publish_artifacts_attempt_idx ON publish_artifacts (attempt_id);
+            `);
+        }
+    },
+    {
+        version: 6,
+        name: 'create_users_tokens_audit_log',
+        up: async (client) => {
+            await client.query(`
+                CREATE TABLE users (
+                    telegram_user_id TEXT PRIMARY KEY,
+                    name TEXT NOT NULL,
+                    role TEXT NOT NULL,
+                    added_by TEXT,
+                    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+                    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+                );
+
+                CREATE TABLE api_tokens (
+                    id BIGSERIAL PRIMARY KEY,
+                    name TEXT NOT NULL,
+                    token_hash TEXT NOT NULL UNIQUE,
+                    role TEXT NOT NULL,
+                    created_by TEXT,
+                    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+                    last_used_at TIMESTAMPTZ,
+                    revoked_at TIMESTAMPTZ
+                );
+
+                CREATE TABLE audit_log (
+                    id BIGSERIAL PRIMARY KEY,
+                    occurred_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+                    actor_type TEXT NOT NULL,
+                    actor_id TEXT,
+                    actor_name TEXT,
+                    actor_role TEXT,
+                    action TEXT NOT NULL,
+                    target TEXT,
+                    outcome TEXT NOT NULL,
+                    details JSONB,
+                    ip TEXT
+                );
+                CREATE INDEX audit_log_occurred_at_idx ON audit_log (occurred_at DESC);
+            `);
+        }
+    },
+    {
+        version: 7,
+        name: 'add_user_subscriptions',
+        up: async (client) => {
+            await client.query(`ALTER TABLE users ADD COLUMN subscriptions TEXT[] NOT NULL DEFAULT '{failures}'`);
+        }
+    },
+    {
+        version: 8,
+        name: 'create_schedule_rules',
+        up: async (client) => {
+            await client.query(`
+                CREATE TABLE schedule_rules (
+                    id BIGSERIAL PRIMARY KEY,
+                    name TEXT NOT NULL,
+                    type TEXT NOT NULL,
+                    profile_id TEXT,
+                    timezone TEXT NOT NULL DEFAULT 'UTC',
+                    config JSONB NOT NULL,
+                    enabled BOOLEAN NOT NULL DEFAULT true,
+                    expanded_until TIMESTAMPTZ,
+                    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+                    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+                );
+
+                -- Items without a time wait in the backlog until a rule assigns one.
+                ALTER TABLE schedule_items ADD COLUMN rule_id BIGINT;
+                ALTER TABLE publish_history ADD COLUMN rule_id BIGINT;
+                CREATE INDEX schedule_items_backlog_idx ON schedule_items (created_at) WHERE status = 'Backlog';
+            `);
+        }
+    },
+    {
+        version: 9,
+        name: 'add_user_timezone',
+        up: async (client) => {
+            // NULL means "use DEFAULT_TIMEZONE".
+            await client.query('ALTER TABLE users ADD COLUMN timezone TEXT');
+        }
+    },
+    {
+        version: 10,
+        name: 'create_webhooks',
+        up: async (client) => {
+            await client.query(`
+                CREATE TABLE webhooks (
+                    id BIGSERIAL PRIMARY KEY,
+                    name TEXT NOT NULL,
+                    url TEXT NOT NULL,
+                    secret TEXT NOT NULL,
+                    events TEXT[] NOT NULL,
+                    enabled BOOLEAN NOT NULL DEFAULT true,
+                    created_by TEXT,
+                    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+                    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+                );
+
+                CREATE TABLE webhook_deliveries (
+                    id BIGSERIAL PRIMARY KEY,
+                    webhook_id BIGINT NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+                    event TEXT NOT NULL,
+                    payload JSONB NOT NULL,
+                    -- pending (waiting for its next attempt), delivering, succeeded or failed (gave up).
+                    status TEXT NOT NULL DEFAULT 'pending',
+                    attempts INTEGER NOT NULL DEFAULT 0,
+                    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+                    last_status_code INTEGER,
+                    last_error TEXT,
+                    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+                    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+                );
+
+                CREATE INDEX webhook_deliveries_due_idx ON webhook_deliveries (next_attempt_at) WHERE status = 'pending';
+                CREATE INDEX webhook_deliveries_webhook_idx ON webhook_deliveries (webhook_id, created_at DESC);
+            `);
+        }
+    },
+    {
+        version: 11,
+        name: 'create_log_entries',
+        up: async (client) => {
+            // Not in REPLICATED_TABLES: logs are a short-lived buffer and not worth copying on a switch.
+            await client.query(`
+                CREATE TABLE log_entries (
+                    id BIGSERIAL PRIMARY KEY,
+                    logged_at TIMESTAMPTZ NOT NULL,
+                    level TEXT NOT NULL,
+                    message TEXT NOT NULL,
+                    correlation_id TEXT,
+                    item_id TEXT,
+                    job_id BIGINT,
+                    attempt INTEGER,
+                    context JSONB NOT NULL DEFAULT '{}'
+                );
+                CREATE INDEX log_entries_logged_at_idx ON log_entries (logged_at DESC);
+                CREATE INDEX log_entries_item_idx ON log_entries (item_id, logged_at DESC) WHERE item_id IS NOT NULL;
+                CREATE INDEX log_entries_correlation_idx ON log_entries (correlation_id) WHERE correlation_id IS NOT NULL;
+
+                ALTER TABLE publish_attempts ADD COLUMN correlation_id TEXT;
+            `);
+        }
+    },
+    {
+        version: 12,
+        name: 'extend_history',
+        up: async (client) => {
+            await client.query(`
+                -- Where an action came from (webapp, api, telegram, discord, system) and what it returned.
+                ALTER TABLE audit_log ADD COLUMN channel TEXT;
+                ALTER TABLE audit_log ADD COLUMN result TEXT;
+                UPDATE audit_log SET channel = CASE
+                    WHEN actor_type = 'discord' THEN 'discord'
+                    WHEN actor_type = 'token' THEN 'api'
+                    WHEN action LIKE 'bot %' THEN 'telegram'
+                    ELSE 'webapp'
+                END;
+                CREATE INDEX audit_log_actor_idx ON audit_log (actor_id, occurred_at DESC);
+
+                -- Items leave schedule_items once published, so attempts keep their own copy of the title.
+                ALTER TABLE publish_attempts ADD COLUMN title TEXT;
+                UPDATE publish_attempts a SET title = COALESCE(
+                    (SELECT s.title FROM schedule_items s WHERE s.id = a.item_id),
+                    (SELECT h.title FROM publish_history h WHERE h.item_id = a.item_id ORDER BY h.published_at DESC LIMIT 1)
+                );
+                CREATE INDEX publish_attempts_finished_at_idx ON publish_attempts (finished_at DESC);
+            `);
+        }
+    },
+    {
+        version: 13,
+        name: 'add_dry_run',
+        up: async (client) => {
+            // Items flagged dry_run are rehearsed (draft found, Publish not clicked) instead of published.
+            await client.query('ALTER TABLE schedule_items ADD COLUMN dry_run BOOLEAN NOT NULL DEFAULT false');
+        }
+    },
+    {
+        version: 14,
+        name: 'add_missed_policies',
+        up: async (client) => {
+            // NULL means the default policy (see missed_policy.js).
+            await client.query('ALTER TABLE zedge_profiles ADD COLUMN missed_policy JSONB');
+        }
+    },
+    {
+        version: 15,
+        name: 'drop_legacy_session_copy',
+        up: async (client) => {
+            // import_legacy_app_data copied the session into `sessions` (now encrypted there); the plain-text original goes.
+            const { rows: tables } = await client.query("SELECT to_regclass('app_data') AS name");
+            if (!tables[0].name) return;
+            // The legacy column type varies (json, jsonb or text), hence the casts.
+            await client.query("UPDATE app_data SET data = data::jsonb - 'sessionData' WHERE data::jsonb ? 'sessionData'");
+        }
+    },
+    {
+        version: 16,
+        name: 'create_draft_uploads',
+        up: async (client) => {
+            // One file per item, kept until the item is deleted (see draft_uploads.js).
+            await client.query(`
+                CREATE TABLE draft_uploads (
+                    id BIGSERIAL PRIMARY KEY,
+                    item_id TEXT NOT NULL UNIQUE REFERENCES schedule_items(id) ON DELETE CASCADE,
+                    file_name TEXT NOT NULL,
+                    content_type TEXT NOT NULL,
+                    size_bytes INTEGER NOT NULL,
+                    data BYTEA NOT NULL,
+                    tags JSONB NOT NULL DEFAULT '[]',
+                    description TEXT,
+                    category TEXT,
+                    status TEXT NOT NULL DEFAULT 'pending',
+                    attempts INTEGER NOT NULL DEFAULT 0,
+                    last_error TEXT,
+                    uploaded_at TIMESTAMPTZ,
+                    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+                    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+                )
+            `);
+            await client.query('CREATE INDEX draft_uploads_status_idx ON draft_uploads (status, created_at)');
+        }
+    },
+    {
+        version: 17,
+        name: 'create_zedge_inventory',
+        up: async (client) => {
+            // What the last sync saw on each profile, one row per title and status (see inventory.js).
+            await client.query(`
+                CREATE TABLE zedge_inventory (
+                    profile_id TEXT NOT NULL REFERENCES zedge_profiles(id) ON DELETE CASCADE,
+                    title TEXT NOT NULL,
+                    status TEXT NOT NULL,
+                    copies INTEGER NOT NULL DEFAULT 1,
+                    first_seen_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+                    last_seen_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+                    PRIMARY KEY (profile_id, title, status)
+                )
+            `);
+            // 'missing', 'duplicate' or 'published'; NULL when the draft was found once.
+            await client.query('ALTER TABLE schedule_items ADD COLUMN inventory_issue TEXT');
+        }
+    },
+    {
+        version: 18,
+        name: 'create_item_stats',
+        up: async (client) => {
+            await client.query(`
+                -- Where the item was published (NULL for older entries: worked out from the theme), and
+                -- when stats were last read for it (see stats.js).
+                ALTER TABLE publish_history ADD COLUMN profile_id TEXT;
+                ALTER TABLE publish_history ADD COLUMN stats_checked_at TIMESTAMPTZ;
+                ALTER TABLE publish_history ADD COLUMN stats_error TEXT;
+
+                -- One row per reading; NULL where Zedge doesn't show the number.
+                CREATE TABLE item_stats (
+                    id BIGSERIAL PRIMARY KEY,
+                    history_id BIGINT NOT NULL REFERENCES publish_history(id) ON DELETE CASCADE,
+                    collected_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+                    downloads INTEGER,
+                    views INTEGER,
+                    favorites INTEGER
+                );
+                CREATE INDEX item_stats_history_idx ON item_stats (history_id, collected_at DESC);
+            `);
+        }
+    },
+    {
+        version: 19,
+        name: 'add_item_metadata',
+        up: async (client) => {
+            // Title, tags and description to set on the draft before publishing; NULL leaves it as it is (see item_metadata.js).
+            await client.query('ALTER TABLE schedule_items ADD COLUMN metadata JSONB');
+        }
+    },
+    {
+        version: 20,
+        name: 'add_item_actions',
+        up: async (client) => {
+            await client.query(`
+                -- publish, republish, unpublish or delete (see item_actions.js); everything so far was a publish.
+                ALTER TABLE schedule_items ADD COLUMN action TEXT NOT NULL DEFAULT 'publish';
+                ALTER TABLE publish_history ADD COLUMN action TEXT NOT NULL DEFAULT 'publish';
+                ALTER TABLE publish_attempts ADD COLUMN action TEXT NOT NULL DEFAULT 'publish';
+                -- Days a published item stays up before it is unpublished; NULL keeps it up.
+                ALTER TABLE schedule_items ADD COLUMN publish_days INTEGER;
+            `);
+        }
+    },
+    {
+        version: 21,
+        name: 'users_role_nullable',
+        up: async (client) => {
+            await client.query(`
+                -- A bootstrap admin's row only holds their preferences; ADMIN_TELEGRAM_IDS grants the role.
+                ALTER TABLE users ALTER COLUMN role DROP NOT NULL;
+                UPDATE users SET role = NULL WHERE added_by = 'ADMIN_TELEGRAM_IDS';
+            `);
+        }
+    }
+];
+
+/**
+ * Applies every pending migration to the given pool.
+ * @param {import('pg').Pool} pool - The database to migrate.
+ * @param {string} label - Name used in log output.
+ */
+async function runMigrations(pool, label) {
+    const client = await pool.connect();
+    try {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+            )
+        `);
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+        try {
+            const { rows } = await client.query('SELECT version FROM schema_migrations');
+            const applied = new Set(rows.map(r => r.version));
+            for (const migration of MIGRATIONS) {
+                if (applied.has(migration.version)) continue;
+                logger.info('Applying migration.', { database: label, version: migration.version, name: migration.name });
+                await client.query('BEGIN');
+                try {
+                    await migration.up(client);
+                    await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+                    await client.query('COMMIT');
+                } catch (error) {
+                    await client.query('ROLLBACK');
+                    throw new Error(`[${label}] Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+                }
+            }
+        } finally {
+            await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+        }
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = { runMigrations, REPLICATED_TABLES };
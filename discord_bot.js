@@ -0,0 +1,274 @@
+// =================================================================
+//                 ZEDGE PUBLISHER WORKER (discord_bot.js)
+// =================================================================
+// The Discord counterpart of telegram_bot.js: slash commands that
+// mirror the Telegram ones, and a notification channel for notifier.js
+// that routes each category to its own Discord channel.
+//
+// Configuration (all optional except the token):
+//   DISCORD_BOT_TOKEN       - starts the bot.
+//   DISCORD_GUILD_ID        - register commands on one server (instant)
+//                             instead of globally (can take an hour).
+//   DISCORD_CHANNEL_ID      - channel for every notification category.
+//   DISCORD_CHANNEL_ROUTES  - per-category overrides, e.g.
+//                             "failure=123,digest=456,publish=none".
+//   DISCORD_ROLES           - who may use commands: user or server role
+//                             IDs with a role, e.g. "111=admin,222=operator".
+// =================================================================
+
+const { Client, GatewayIntentBits, SlashCommandBuilder, AttachmentBuilder, MessageFlags } = require('discord.js');
+const auth = require('./auth.js');
+const timezones = require('./timezones.js');
+const users = require('./users.js');
+const notifier = require('./notifier.js');
+const logger = require('./logger.js');
+
+const MAX_MESSAGE_LENGTH = 2000;
+
+let client;
+let workerFunctions = {};
+
+// Minimum role per command, the same as the Telegram bot.
+const COMMAND_ROLES = {
+    schedule: 'viewer',
+    status: 'viewer',
+    timezone: 'viewer',
+    publish: 'operator',
+    rs: 'operator',
+    switchdb: 'admin'
+};
+
+const COMMANDS = [
+    new SlashCommandBuilder().setName('schedule').setDescription('List upcoming, unpublished items'),
+    new SlashCommandBuilder().setName('status').setDescription('Find an item by title')
+        .addStringOption(o => o.setName('title').setDescription('Part of the title').setRequired(true)),
+    new SlashCommandBuilder().setName('timezone').setDescription('Show or change the time zone your dates are shown and typed in')
+        .addStringOption(o => o.setName('zone').setDescription('e.g. Europe/Berlin, or "reset" for the server default')),
+    new SlashCommandBuilder().setName('publish').setDescription('Publish missed items now')
+        .addStringOption(o => o.setName('target').setDescription('"all-missed" or an item title').setRequired(true)),
+    new SlashCommandBuilder().setName('rs').setDescription('Reschedule missed item(s)')
+        .addStringOption(o => o.setName('target').setDescription('"all" or an item title').setRequired(true))
+        .addStringOption(o => o.setName('time').setDescription(`e.g. ${timezones.TIME_INPUT_EXAMPLES}`).setRequired(true)),
+    new SlashCommandBuilder().setName('switchdb').setDescription('Migrate data and switch to the next primary database')
+].map(command => command.toJSON());
+
+// --- Configuration ---
+
+/**
+ * Parses "key=value,key=value" into a Map.
+ */
+function parsePairs(text) {
+    const pairs = new Map();
+    for (const entry of (text || '').split(',')) {
+        const [key, value] = entry.split('=').map(part => (part || '').trim());
+        if (key && value) pairs.set(key, value);
+    }
+    return pairs;
+}
+
+/**
+ * Returns the Discord channel ID a category goes to, or null if it is muted or unrouted.
+ */
+function getChannelIdForCategory(category) {
+    const routes = parsePairs(process.env.DISCORD_CHANNEL_ROUTES);
+    const channelId = routes.has(category) ? routes.get(category) : process.env.DISCORD_CHANNEL_ID;
+    return channelId && channelId !== 'none' ? channelId : null;
+}
+
+/**
+ * Works out a Discord user's role from DISCORD_ROLES: the highest role granted
+ * to their user ID or to any of their server roles.
+ * @returns {string|null}
+ */
+function getMemberRole(interaction) {
+    const grants = parsePairs(process.env.DISCORD_ROLES);
+    const ids = [interaction.user.id];
+    const memberRoles = interaction.member && interaction.member.roles;
+    // Guild members carry a role cache; members from uncached guilds only have an ID list.
+    if (memberRoles) ids.push(...(Array.isArray(memberRoles) ? memberRoles : Array.from(memberRoles.cache.keys())));
+
+    let best = null;
+    for (const id of ids) {
+        const role = grants.get(id);
+        if (auth.ROLES.includes(role) && (!best || auth.hasRole(role, best))) best = role;
+    }
+    return best;
+}
+
+function truncate(text) {
+    return text.length > MAX_MESSAGE_LENGTH ? `${text.slice(0, MAX_MESSAGE_LENGTH - 1)}…` : text;
+}
+
+// --- Bot ---
+
+/**
+ * Starts the Discord bot and registers its slash commands.
+ * @param {string} token - The Discord bot token.
+ * @param {object} dependencies - The same worker functions the Telegram bot gets.
+ * @returns {boolean} Whether the bot was started.
+ */
+function startBot(token, dependencies) {
+    if (!token) {
+        logger.info('Discord Bot Token not provided, Discord bot will not start.');
+        return false;
+    }
+    workerFunctions = dependencies;
+    client = new Client({ intents: [GatewayIntentBits.Guilds] });
+
+    client.once('ready', async () => {
+        logger.info('Discord bot logged in.', { user: client.user.tag });
+        try {
+            const guildId = process.env.DISCORD_GUILD_ID;
+            if (guildId) await client.application.commands.set(COMMANDS, guildId);
+            else await client.application.commands.set(COMMANDS);
+            logger.info('Registered Discord slash commands.', { count: COMMANDS.length, guildId: guildId || null });
+        } catch (error) {
+            logger.error('Could not register Discord slash commands.', { error: error.message });
+        }
+    });
+
+    client.on('interactionCreate', async (interaction) => {
+        if (!interaction.isChatInputCommand() || !(interaction.commandName in COMMAND_ROLES)) return;
+        try {
+            await handleCommand(interaction);
+        } catch (error) {
+            logger.error('Discord command failed.', { command: interaction.commandName, error });
+            const reply = { content: `❌ Error: ${error.message}` };
+            if (interaction.deferred || interaction.replied) await interaction.editReply(reply).catch(() => {});
+            else await interaction.reply(reply).catch(() => {});
+        }
+    });
+
+    client.on('error', error => logger.error('Discord client error.', { error: error.message }));
+    client.login(token).catch(error => logger.error('Discord login failed.', { error: error.message }));
+    logger.info('Discord bot is starting.');
+    return true;
+}
+
+async function handleCommand(interaction) {
+    const command = interaction.commandName;
+    const requiredRole = COMMAND_ROLES[command];
+    const role = getMemberRole(interaction);
+    const principal = { type: 'discord', id: interaction.user.id, name: interaction.user.tag || interaction.user.username, role };
+    const action = `discord /${command}`;
+
+    if (!role || !auth.hasRole(role, requiredRole)) {
+        await auth.audit(principal, action, { outcome: 'denied', target: interaction.channelId, details: { reason: role ? `requires ${requiredRole}` : 'user is not in DISCORD_ROLES' } });
+        const message = role ? `⛔ \`/${command}\` requires the **${requiredRole}** role (you are ${role}).` : `⛔ You may not use this bot. Ask an admin to add your user ID (${interaction.user.id}) to DISCORD_ROLES.`;
+        return interaction.reply({ content: message, flags: MessageFlags.Ephemeral });
+    }
+
+    await interaction.deferReply();
+    let reply;
+    try {
+        reply = await runCommand(interaction);
+    } catch (error) {
+        logger.error('Discord command failed.', { command, error });
+        reply = { content: `❌ Error: ${error.message}`, result: { success: false, message: error.message } };
+    }
+    // Commands that change something are recorded once they have run, with their result.
+    if (requiredRole !== 'viewer') {
+        await auth.audit(principal, action, {
+            outcome: reply.result && reply.result.success === false ? 'failed' : 'allowed',
+            target: interaction.channelId,
+            details: { options: interaction.options.data.map(o => ({ [o.name]: o.value })) },
+            result: reply.result ? reply.result.message : null
+        });
+    }
+    await interaction.editReply({ content: truncate(reply.content) });
+}
+
+function resultReply(result) {
+    return { content: result.success ? `✅ **Success!** ${result.message}` : `❌ **Failed!** ${result.message}`, result };
+}
+
+/**
+ * Runs a command.
+ * @returns {Promise<{content: string, result?: object}>} The reply, plus the worker result for commands that change something.
+ */
+async function runCommand(interaction) {
+    const timeZone = await users.getDiscordTimezone(interaction.user.id);
+    switch (interaction.commandName) {
+        case 'schedule': {
+            const schedule = await workerFunctions.listScheduleFunc();
+            const upcoming = schedule.filter(item => item.status !== 'Published').slice(0, 15).map(item => (item.status === 'Backlog'
+                ? `- \`${item.title}\` (backlog, waiting for a schedule rule)`
+                : `- \`${item.title}\`${item.action && item.action !== 'publish' ? ` · ${item.action}` : ''} on ${timezones.formatDateTime(item.scheduledAtUTC, timeZone)}`));
+            return { content: upcoming.length > 0 ? `**Upcoming Scheduled Items:**\n${upcoming.join('\n')}` : 'No upcoming items found in the schedule.' };
+        }
+        case 'status': {
+            const query = interaction.options.getString('title', true);
+            const items = await workerFunctions.searchScheduleFunc(query);
+            if (items.length === 0) return { content: `No scheduled items found matching "${query}".` };
+            const matches = items.map(item => {
+                const when = item.publishedAtUTC || item.scheduledAtUTC;
+                return `- \`${item.title}\` -> **${item.status || 'Pending'}**${when ? ` · ${timezones.formatDateTime(when, timeZone)}` : ''}`;
+            });
+            return { content: `**Found ${matches.length} match(es) for "${query}":**\n${matches.join('\n')}` };
+        }
+        case 'timezone': {
+            const input = (interaction.options.getString('zone') || '').trim();
+            if (!input) return { content: `Your time zone: ${timeZone}.\nChange it with \`/timezone zone:Europe/Berlin\`, or \`/timezone zone:reset\`.` };
+            const result = await users.setDiscordTimezone(interaction.user.id, input.toLowerCase() === 'reset' ? null : input);
+            if (!result.success) return { content: `❌ ${result.message}` };
+            return { content: `✅ ${result.message} It is now ${timezones.formatDateTime(new Date(), result.timezone)}.` };
+        }
+        case 'publish': {
+            const target = interaction.options.getString('target', true).trim();
+            return resultReply(await workerFunctions.publishMissedItemsFunc(target));
+        }
+        case 'rs': {
+            const target = interaction.options.getString('target', true).trim().replace(/"/g, '');
+            return resultReply(await workerFunctions.rescheduleMissedItemFunc(target, interaction.options.getString('time', true), timeZone));
+        }
+        case 'switchdb':
+            if (typeof workerFunctions.switchDatabaseFunc !== 'function') {
+                return { content: 'Database switching is not configured on the server.', result: { success: false, message: 'Database switching is not configured.' } };
+            }
+            // The switch reports its own progress through the notification channels and records its outcome.
+            workerFunctions.switchDatabaseFunc();
+            return { content: 'Command received. Initiating database switch. This may take a moment...', result: { success: true, message: 'Database switch started.' } };
+    }
+    return { content: 'Unknown command.' };
+}
+
+// --- Notifications ---
+
+async function getChannel(category) {
+    const channelId = getChannelIdForCategory(category);
+    if (!client || !client.isReady() || !channelId) return null;
+    const channel = await client.channels.fetch(channelId);
+    if (!channel || !channel.isTextBased()) throw new Error(`Discord channel ${channelId} is not a text channel.`);
+    return channel;
+}
+
+/**
+ * Sends a notification to the channel routed for its category.
+ * @param {string} message - Text using **bold** and `code` (Discord renders both natively).
+ * @param {string} category - Notification category, see notifier.js.
+ */
+async function sendNotification(message, category = 'system') {
+    const channel = await getChannel(category);
+    if (channel) await channel.send({ content: truncate(message) });
+}
+
+/**
+ * Sends a screenshot to the channel routed for its category.
+ * @param {string|Buffer} image - A file path, or the PNG data itself.
+ */
+async function sendScreenshot(image, caption, category = 'failure') {
+    const channel = await getChannel(category);
+    if (!channel) return;
+    const attachment = new AttachmentBuilder(image, { name: 'screenshot.png' });
+    await channel.send({ content: truncate(caption), files: [attachment] });
+    logger.info('Screenshot sent to Discord.', { channelId: channel.id });
+}
+
+// The Discord side of notifier.js. Channels are shared, so dates are shown in the server's zone.
+const notificationChannel = {
+    name: 'discord',
+    send: (message, category) => sendNotification(notifier.renderMessage(message), category),
+    sendImage: (image, caption, category) => sendScreenshot(image, caption, category)
+};
+
+module.exports = { startBot, sendNotification, sendScreenshot, notificationChannel };
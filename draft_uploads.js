@@ -0,0 +1,289 @@
+// =================================================================
+//                 ZEDGE PUBLISHER WORKER (draft_uploads.js)
+// =================================================================
+// Image files the worker turns into Zedge drafts itself. A file is
+// attached to a schedule item through the API / web app, or dropped
+// into UPLOAD_WATCH_DIR (optionally with a `<file>.json` sidecar). It
+// is kept in the database until the worker has uploaded it to the
+// item's profile and seen the DRAFT in the content list; from then on
+// the item publishes like any other. Deleting the item deletes the
+// file with it.
+//
+// Upload status: pending -> uploading -> uploaded | failed
+// (failed uploads are retried a few times, then wait for an operator).
+// =================================================================
+
+const fs = require('fs').promises;
+const path = require('path');
+const database = require('./database.js');
+const logger = require('./logger.js');
+
+const UPLOAD_CONFIG = {
+    maxBytes: (parseInt(process.env.UPLOAD_MAX_MB, 10) || 15) * 1024 * 1024,
+    maxAttempts: 3,
+    retryMinutes: 10,
+    // An 'uploading' row this old belongs to a worker that died mid-upload.
+    staleMinutes: 15,
+    watchDir: process.env.UPLOAD_WATCH_DIR || null,
+    // Files changed more recently than this may still be being copied in.
+    watchSettleSeconds: 10,
+    maxTags: 30,
+    maxDescriptionLength: 1000
+};
+// Detected from the file's first bytes, not trusted from its name.
+const IMAGE_SIGNATURES = [
+    { contentType: 'image/jpeg', test: b => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+    { contentType: 'image/png', test: b => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { contentType: 'image/webp', test: b => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP' }
+];
+const WATCHED_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+function uploadFromRow(row) {
+    return {
+        id: Number(row.id),
+        itemId: row.item_id,
+        fileName: row.file_name,
+        contentType: row.content_type,
+        sizeBytes: row.size_bytes,
+        tags: row.tags,
+        description: row.description,
+        category: row.category,
+        status: row.status,
+        attempts: row.attempts,
+        lastError: row.last_error,
+        uploadedAtUTC: row.uploaded_at ? row.uploaded_at.toISOString() : null,
+        createdAtUTC: row.created_at.toISOString(),
+        updatedAtUTC: row.updated_at.toISOString()
+    };
+}
+
+function detectContentType(data) {
+    const match = IMAGE_SIGNATURES.find(signature => data.length >= 12 && signature.test(data));
+    return match ? match.contentType : null;
+}
+
+/**
+ * Validates an upload from the API: { fileName, data (base64 or Buffer), tags, description, category }.
+ * @returns {{errors: string[], value: object}}
+ */
+function validateUploadInput(input) {
+    const errors = [];
+    const value = {};
+    if (!input || typeof input !== 'object') return { errors: ['Upload must be an object.'], value };
+
+    const fileName = typeof input.fileName === 'string' ? path.basename(input.fileName.trim()) : '';
+    if (!fileName) errors.push('fileName is required.');
+    value.fileName = fileName;
+
+    let data = null;
+    if (Buffer.isBuffer(input.data)) data = input.data;
+    else if (typeof input.data === 'string' && input.data) data = Buffer.from(input.data.replace(/^data:[^,]*,/, ''), 'base64');
+    if (!data || data.length === 0) {
+        errors.push('data must be the file contents, base64 encoded.');
+    } else if (data.length > UPLOAD_CONFIG.maxBytes) {
+        errors.push(`The file is larger than ${Math.round(UPLOAD_CONFIG.maxBytes / 1024 / 1024)} MB.`);
+    } else {
+        value.contentType = detectContentType(data);
+        if (!value.contentType) errors.push('The file must be a JPEG, PNG or WebP image.');
+        value.data = data;
+    }
+
+    const tags = input.tags === undefined || input.tags === null ? [] : input.tags;
+    const tagList = typeof tags === 'string' ? tags.split(',') : tags;
+    if (!Array.isArray(tagList) || tagList.some(t => typeof t !== 'string')) {
+        errors.push('tags must be a list of strings.');
+    } else {
+        value.tags = Array.from(new Set(tagList.map(t => t.trim()).filter(Boolean)));
+        if (value.tags.length > UPLOAD_CONFIG.maxTags) errors.push(`At most ${UPLOAD_CONFIG.maxTags} tags are allowed.`);
+    }
+
+    for (const key of ['description', 'category']) {
+        if (input[key] !== undefined && input[key] !== null && typeof input[key] !== 'string') errors.push(`${key} must be a string.`);
+        value[key] = typeof input[key] === 'string' && input[key].trim() ? input[key].trim() : null;
+    }
+    if (value.description && value.description.length > UPLOAD_CONFIG.maxDescriptionLength) {
+        errors.push(`description must be at most ${UPLOAD_CONFIG.maxDescriptionLength} characters.`);
+    }
+    return { errors, value };
+}
+
+// --- Queries ---
+
+async function listUploads(client = database) {
+    const { rows } = await client.query('SELECT * FROM draft_uploads ORDER BY created_at ASC');
+    return rows.map(uploadFromRow);
+}
+
+async function getUpload(itemId, client = database) {
+    const { rows } = await client.query('SELECT * FROM draft_uploads WHERE item_id = $1', [itemId]);
+    return rows[0] ? uploadFromRow(rows[0]) : null;
+}
+
+/**
+ * Attaches a file to a schedule item, replacing one that hasn't reached Zedge yet.
+ * @param {string} itemId
+ * @param {object} input - See validateUploadInput().
+ */
+async function attachUpload(itemId, input) {
+    const { errors, value } = validateUploadInput(input);
+    if (errors.length > 0) return { success: false, code: 400, message: errors.join(' '), errors };
+
+    return database.withTransaction(async (client) => {
+        const { rows: items } = await client.query('SELECT id, title, action FROM schedule_items WHERE id = $1', [itemId]);
+        if (!items[0]) return { success: false, code: 404, message: 'Item not found.' };
+        if (items[0].action !== 'publish') return { success: false, code: 409, message: `Only a first publish uploads its draft; this item is a ${items[0].action}.` };
+        const existing = await getUpload(itemId, client);
+        if (existing && (existing.status === 'uploaded' || existing.status === 'uploading')) {
+            return { success: false, code: 409, message: existing.status === 'uploaded' ? 'The draft is already on Zedge.' : 'The file is being uploaded right now.' };
+        }
+        const { rows } = await client.query(
+            `INSERT INTO draft_uploads (item_id, file_name, content_type, size_bytes, data, tags, description, category)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+             ON CONFLICT (item_id) DO UPDATE SET file_name = EXCLUDED.file_name, content_type = EXCLUDED.content_type,
+                 size_bytes = EXCLUDED.size_bytes, data = EXCLUDED.data, tags = EXCLUDED.tags, description = EXCLUDED.description,
+                 category = EXCLUDED.category, status = 'pending', attempts = 0, last_error = NULL, updated_at = now()
+             RETURNING *`,
+            [itemId, value.fileName, value.contentType, value.data.length, value.data, JSON.stringify(value.tags), value.description, value.category]
+        );
+        const upload = uploadFromRow(rows[0]);
+        logger.info('Draft upload attached.', { itemId, title: items[0].title, fileName: upload.fileName, sizeBytes: upload.sizeBytes });
+        return { success: true, code: 201, message: `Attached ${upload.fileName}. The draft will be created on Zedge shortly.`, upload };
+    });
+}
+
+/**
+ * Removes a file that hasn't been uploaded yet.
+ */
+async function removeUpload(itemId) {
+    const { rows } = await database.query("DELETE FROM draft_uploads WHERE item_id = $1 AND status IN ('pending', 'failed') RETURNING *", [itemId]);
+    if (rows[0]) return { success: true, code: 200, message: `Removed ${rows[0].file_name}.` };
+    const existing = await getUpload(itemId);
+    if (!existing) return { success: false, code: 404, message: 'This item has no file attached.' };
+    return { success: false, code: 409, message: existing.status === 'uploaded' ? 'The draft is already on Zedge.' : 'The file is being uploaded right now.' };
+}
+
+/**
+ * Takes the next upload that is due (new, a failed one whose retry delay has passed, or one
+ * abandoned mid-upload) and marks it 'uploading', so no one else picks it up.
+ * @returns {Promise<object|null>} The upload with its `data`, or null if none is due.
+ */
+async function claimNextUpload() {
+    const { rows } = await database.query(
+        `UPDATE draft_uploads SET status = 'uploading', updated_at = now()
+         WHERE id = (
+             SELECT id FROM draft_uploads
+             WHERE status = 'pending'
+                OR (status = 'failed' AND attempts < $1 AND updated_at < now() - make_interval(mins => $2))
+                OR (status = 'uploading' AND updated_at < now() - make_interval(mins => $3))
+             ORDER BY created_at ASC
+             LIMIT 1
+             FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [UPLOAD_CONFIG.maxAttempts, UPLOAD_CONFIG.retryMinutes, UPLOAD_CONFIG.staleMinutes]
+    );
+    return rows[0] ? { ...uploadFromRow(rows[0]), data: Buffer.from(rows[0].data) } : null;
+}
+
+/**
+ * Records how an upload attempt ended.
+ * @param {number} id
+ * @param {string|null} error - Null when the draft was created and confirmed.
+ * @returns {Promise<object>} The updated upload.
+ */
+async function finishUpload(id, error = null) {
+    const { rows } = await database.query(
+        `UPDATE draft_uploads SET status = $2, attempts = attempts + 1, last_error = $3,
+             uploaded_at = CASE WHEN $2 = 'uploaded' THEN now() ELSE uploaded_at END, updated_at = now()
+         WHERE id = $1 RETURNING *`,
+        [id, error ? 'failed' : 'uploaded', error]
+    );
+    return rows[0] ? uploadFromRow(rows[0]) : null;
+}
+
+/**
+ * Queues failed uploads again, with a fresh set of attempts.
+ * @returns {Promise<number>} How many were queued.
+ */
+async function retryUploads(itemIds) {
+    const { rowCount } = await database.query(
+        "UPDATE draft_uploads SET status = 'pending', attempts = 0, updated_at = now() WHERE item_id = ANY($1) AND status = 'failed'",
+        [itemIds]
+    );
+    return rowCount;
+}
+
+// --- Watched Directory ---
+
+async function moveAside(dir, folder, fileName) {
+    await fs.mkdir(path.join(dir, folder), { recursive: true });
+    const target = path.join(dir, folder, `${Date.now()}-${fileName}`);
+    await fs.rename(path.join(dir, fileName), target);
+    return target;
+}
+
+/**
+ * Turns image files in UPLOAD_WATCH_DIR into schedule items with an attached draft upload.
+ * `<name>.json` next to an image may set title, theme, scheduledAtUTC, profileId, tags,
+ * description and category; the title defaults to the file name. Handled files are moved
+ * to `processed/`, rejected ones to `failed/` with a `.error.txt` saying why.
+ * @param {function(object): Promise<object>} createItemFunc - Creates a schedule item ({ success, message, item }).
+ * @returns {Promise<{imported: string[], failed: string[]}>}
+ */
+async function importWatchedFiles(createItemFunc) {
+    const dir = UPLOAD_CONFIG.watchDir;
+    const result = { imported: [], failed: [] };
+    if (!dir) return result;
+
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+        const extension = path.extname(entry.name).toLowerCase();
+        if (!entry.isFile() || !WATCHED_EXTENSIONS.includes(extension)) continue;
+        const filePath = path.join(dir, entry.name);
+        const stats = await fs.stat(filePath);
+        if (Date.now() - stats.mtimeMs < UPLOAD_CONFIG.watchSettleSeconds * 1000) continue;
+
+        const sidecarName = `${entry.name}.json`;
+        const hasSidecar = entries.some(e => e.name === sidecarName);
+        try {
+            const meta = hasSidecar ? JSON.parse(await fs.readFile(path.join(dir, sidecarName), 'utf8')) : {};
+            const data = await fs.readFile(filePath);
+            // Check the file before creating an item for it.
+            const { errors } = validateUploadInput({ ...meta, fileName: entry.name, data });
+            if (errors.length > 0) throw new Error(errors.join(' '));
+
+            const created = await createItemFunc({
+                title: meta.title || path.basename(entry.name, path.extname(entry.name)),
+                theme: meta.theme,
+                scheduledAtUTC: meta.scheduledAtUTC === undefined ? null : meta.scheduledAtUTC,
+                profileId: meta.profileId
+            });
+            if (!created.success) throw new Error(created.message);
+            const attached = await attachUpload(created.item.id, { ...meta, fileName: entry.name, data });
+            if (!attached.success) throw new Error(attached.message);
+
+            await moveAside(dir, 'processed', entry.name);
+            if (hasSidecar) await moveAside(dir, 'processed', sidecarName);
+            result.imported.push(created.item.title);
+        } catch (error) {
+            logger.error('Could not import a file from the upload folder.', { fileName: entry.name, error: error.message });
+            const moved = await moveAside(dir, 'failed', entry.name).catch(() => null);
+            if (moved) await fs.writeFile(`${moved}.error.txt`, `${error.message}\n`).catch(() => {});
+            if (hasSidecar) await moveAside(dir, 'failed', sidecarName).catch(() => {});
+            result.failed.push(`${entry.name}: ${error.message}`);
+        }
+    }
+    return result;
+}
+
+module.exports = {
+    UPLOAD_CONFIG,
+    listUploads,
+    getUpload,
+    attachUpload,
+    removeUpload,
+    claimNextUpload,
+    finishUpload,
+    retryUploads,
+    importWatchedFiles
+};
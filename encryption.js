@@ -0,0 +1,110 @@
+// =================================================================
+//                 ZEDGE PUBLISHER WORKER (encryption.js)
+// =================================================================
+// Encrypts secrets (the Zedge session, stored credentials) before
+// they are written to the database, and with it to every copy made
+// when switching databases. AES-256-GCM, keys from the environment:
+//
+//   ENCRYPTION_KEYS=k2:<base64 key>,k1:<base64 key>
+//
+// The first key encrypts; the others are only used to read values
+// written with them. To rotate, put a new key first and restart: on
+// startup everything is re-encrypted with it, after which the old key
+// can be removed. Generate a key with:
+//   node -e "console.log(require('crypto').randomBytes(32).toString('base64'))"
+//
+// Without ENCRYPTION_KEYS, values are stored as they are.
+// =================================================================
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+
+/**
+ * Parses ENCRYPTION_KEYS. Throws on a malformed entry, so a typo stops the worker
+ * at startup instead of quietly writing secrets in plain text.
+ * @returns {{id: string, key: Buffer}[]} Current key first.
+ */
+function parseKeyRing(value) {
+    if (!value || !value.trim()) return [];
+    const ring = value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const separator = entry.indexOf(':');
+        const id = entry.slice(0, separator).trim();
+        const key = Buffer.from(entry.slice(separator + 1).trim(), 'base64');
+        if (separator <= 0 || !/^[A-Za-z0-9_-]+$/.test(id)) throw new Error('ENCRYPTION_KEYS entries must look like "<key id>:<base64 key>".');
+        if (key.length !== KEY_BYTES) throw new Error(`Encryption key "${id}" must be ${KEY_BYTES} bytes (base64 encoded).`);
+        return { id, key };
+    });
+    if (new Set(ring.map(k => k.id)).size !== ring.length) throw new Error('ENCRYPTION_KEYS has the same key id twice.');
+    return ring;
+}
+
+const keyRing = parseKeyRing(process.env.ENCRYPTION_KEYS);
+
+function isEnabled() {
+    return keyRing.length > 0;
+}
+
+function getCurrentKeyId() {
+    return isEnabled() ? keyRing[0].id : null;
+}
+
+function isEncrypted(stored) {
+    return Boolean(stored) && typeof stored === 'object' && stored.enc === ALGORITHM;
+}
+
+/**
+ * Encrypts a JSON-serializable value with the current key.
+ * @param {any} value
+ * @param {string} purpose - Bound to the ciphertext (e.g. 'session:zedge'), so a value can't be
+ *   copied into another row and decrypted there.
+ * @returns {object} An envelope { enc, kid, iv, tag, data }, or `value` itself when encryption is off.
+ */
+function encryptJSON(value, purpose) {
+    if (!isEnabled()) return value;
+    const { id, key } = keyRing[0];
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    cipher.setAAD(Buffer.from(purpose));
+    const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+    return { enc: ALGORITHM, kid: id, iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+}
+
+/**
+ * Reverses encryptJSON(). Values stored before encryption was turned on are returned as they are.
+ * @param {any} stored - What was read from the database.
+ * @param {string} purpose - The same purpose it was encrypted with.
+ */
+function decryptJSON(stored, purpose) {
+    if (!isEncrypted(stored)) return stored;
+    const entry = keyRing.find(k => k.id === stored.kid);
+    if (!entry) throw new Error(`This secret was encrypted with key "${stored.kid}", which is not in ENCRYPTION_KEYS.`);
+    try {
+        const decipher = crypto.createDecipheriv(ALGORITHM, entry.key, Buffer.from(stored.iv, 'base64'));
+        decipher.setAAD(Buffer.from(purpose));
+        decipher.setAuthTag(Buffer.from(stored.tag, 'base64'));
+        const text = Buffer.concat([decipher.update(Buffer.from(stored.data, 'base64')), decipher.final()]).toString('utf8');
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Could not decrypt a secret with key "${stored.kid}": it is damaged or the key is wrong.`);
+    }
+}
+
+/**
+ * Whether a stored value should be rewritten: it is in plain text or uses an older key.
+ */
+function needsReencryption(stored) {
+    if (!isEnabled() || stored === null || stored === undefined) return false;
+    return !isEncrypted(stored) || stored.kid !== getCurrentKeyId();
+}
+
+module.exports = {
+    isEnabled,
+    getCurrentKeyId,
+    isEncrypted,
+    encryptJSON,
+    decryptJSON,
+    needsReencryption
+};
@@ -0,0 +1,378 @@
+// =================================================================
+//           ZEDGE PUBLISHER WORKER (fixtures/zedge_fixture_server.js)
+// =================================================================
+// A small stand-in for account.zedge.net and upload.zedge.net, so the
+// login -> find draft -> publish -> verify flow can run offline with
+// Playwright. The markup mirrors what zedge_config.js expects: a
+// client-rendered content list with StyledTitle / badge spans and a
+// "Load more" button, a detail page whose Publish button enables
+// after a short delay (with an editable title, tags and description
+// while a draft, and counters and Unpublish once published), a Delete
+// button with a confirmation dialog, and a new-item form that saves a
+// draft.
+//
+// Usage:
+//   npm run fixture:zedge
+//   ZEDGE_ACCOUNT_URL=http://localhost:4010/account \
+//   ZEDGE_UPLOAD_URL=http://localhost:4010/upload  npm start
+//
+// Control endpoints (for scripted runs):
+//   GET  /__fixture/items   -> current items and their statuses
+//   POST /__fixture/reset   -> { items?, requireOtp?, otpCode?, publishDelayMs?, pageSize? }
+//   POST /__fixture/items/:itemId/stats -> { downloads?, views?, favorites? }
+// =================================================================
+
+const express = require('express');
+
+const SESSION_COOKIE = 'zedge_fixture_session';
+
+function defaultItems() {
+    return Array.from({ length: 30 }, (_, i) => ({ id: `item-${i + 1}`, title: `Fixture Draft ${i + 1}`, status: 'DRAFT', profileId: null }));
+}
+
+function createState(options = {}) {
+    return {
+        items: (options.items || defaultItems()).map((item, i) => ({
+            id: item.id || `item-${i + 1}`,
+            title: item.title,
+            status: item.status === 'PUBLISHED' ? 'PUBLISHED' : 'DRAFT',
+            profileId: item.profileId || null,
+            stats: item.stats || { downloads: 0, views: 0, favorites: 0 },
+            tags: item.tags || [],
+            description: item.description || null
+        })),
+        requireOtp: options.requireOtp === true,
+        otpCode: typeof options.otpCode === 'string' ? options.otpCode : '123456',
+        publishDelayMs: Number.isInteger(options.publishDelayMs) ? options.publishDelayMs : 1000,
+        pageSize: Number.isInteger(options.pageSize) ? options.pageSize : 12
+    };
+}
+
+function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function renderPage(title, body) {
+    return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${escapeHTML(title)}</title></head><body>${body}</body></html>`;
+}
+
+function hasSession(req) {
+    return (req.headers.cookie || '').split(';').some(c => c.trim() === `${SESSION_COOKIE}=1`);
+}
+
+/**
+ * Builds the fixture app.
+ * @param {object} options - Initial state; see POST /__fixture/reset.
+ * @returns {import('express').Express}
+ */
+function createFixtureApp(options = {}) {
+    let state = createState(options);
+    const app = express();
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: false }));
+
+    // --- Fixture Control ---
+    app.get('/__fixture/items', (req, res) => res.json({ items: state.items }));
+    app.post('/__fixture/reset', (req, res) => {
+        state = createState(req.body || {});
+        res.json({ success: true, items: state.items });
+    });
+    app.post('/__fixture/items/:itemId/stats', (req, res) => {
+        const item = state.items.find(i => i.id === req.params.itemId);
+        if (!item) return res.status(404).json({ error: 'Not found' });
+        Object.assign(item.stats, req.body || {});
+        res.json({ success: true, item });
+    });
+
+    // --- Account Site ---
+    app.get('/account/v2/login-with-email', (req, res) => {
+        res.send(renderPage('Log in', `
+            <main id="step">
+                <h1>Log in with email</h1>
+                <input name="email" type="email">
+                <button id="to-password">Continue with password</button>
+            </main>
+            <script>
+                const requireOtp = ${state.requireOtp};
+                document.getElementById('to-password').addEventListener('click', () => {
+                    const email = document.querySelector('input[name="email"]').value;
+                    setTimeout(() => {
+                        const step = document.getElementById('step');
+                        if (requireOtp) {
+                            step.innerHTML = '<h1>Verify email address</h1><p>We sent a code to your inbox.</p><input name="code" autocomplete="one-time-code"><button id="verify">Verify</button><p id="otp-error"></p>';
+                            document.getElementById('verify').addEventListener('click', async () => {
+                                const code = document.querySelector('input[name="code"]').value;
+                                const response = await fetch('/account/v2/verify-otp', {
+                                    method: 'POST',
+                                    headers: { 'Content-Type': 'application/json' },
+                                    body: JSON.stringify({ email, code })
+                                });
+                                if (response.ok) location.href = '/account/v2/user';
+                                else document.getElementById('otp-error').textContent = 'Invalid code, try again.';
+                            });
+                            return;
+                        }
+                        step.innerHTML = '<h1>Enter your password</h1><input name="password" type="password"><button id="submit">Continue</button>';
+                        document.getElementById('submit').addEventListener('click', async () => {
+                            const password = document.querySelector('input[name="password"]').value;
+                            const response = await fetch('/account/v2/login', {
+                                method: 'POST',
+                                headers: { 'Content-Type': 'application/json' },
+                                body: JSON.stringify({ email, password })
+                            });
+                            if (response.ok) location.href = '/account/v2/user';
+                        });
+                    }, 300);
+                });
+            </script>`));
+    });
+
+    app.post('/account/v2/login', (req, res) => {
+        const { email, password } = req.body || {};
+        if (!email || !password) return res.status(401).json({ error: 'Invalid credentials' });
+        res.setHeader('Set-Cookie', `${SESSION_COOKIE}=1; Path=/; HttpOnly`);
+        res.json({ success: true });
+    });
+
+    app.post('/account/v2/verify-otp', (req, res) => {
+        const { email, code } = req.body || {};
+        if (!email || code !== state.otpCode) return res.status(401).json({ error: 'Invalid code' });
+        res.setHeader('Set-Cookie', `${SESSION_COOKIE}=1; Path=/; HttpOnly`);
+        res.json({ success: true });
+    });
+
+    app.get('/account/v2/user', (req, res) => {
+        if (!hasSession(req)) return res.redirect('/account/v2/login-with-email');
+        res.send(renderPage('Account', '<h1>Your account</h1>'));
+    });
+
+    // --- Upload Site ---
+    app.use('/upload', (req, res, next) => {
+        if (!hasSession(req)) {
+            if (req.path.startsWith('/api/')) return res.status(401).json({ error: 'Not logged in' });
+            return res.redirect('/account/v2/login-with-email');
+        }
+        next();
+    });
+
+    app.get('/upload/', (req, res) => res.send(renderPage('Upload', '<h1>Zedge Upload</h1>')));
+
+    app.get('/upload/api/profiles/:profileId/items', (req, res) => {
+        const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+        const visible = state.items.filter(item => !item.profileId || item.profileId === req.params.profileId);
+        res.json({ items: visible.slice(offset, offset + state.pageSize), total: visible.length });
+    });
+
+    app.post('/upload/api/items/:itemId/publish', (req, res) => {
+        const item = state.items.find(i => i.id === req.params.itemId);
+        if (!item) return res.status(404).json({ error: 'Not found' });
+        if (item.status !== 'DRAFT') return res.status(409).json({ error: 'Not a draft' });
+        // The real site takes a while before the list shows the new status.
+        setTimeout(() => { item.status = 'PUBLISHED'; }, state.publishDelayMs);
+        res.json({ success: true });
+    });
+
+    app.post('/upload/api/items/:itemId/unpublish', (req, res) => {
+        const item = state.items.find(i => i.id === req.params.itemId);
+        if (!item) return res.status(404).json({ error: 'Not found' });
+        if (item.status !== 'PUBLISHED') return res.status(409).json({ error: 'Not published' });
+        setTimeout(() => { item.status = 'DRAFT'; }, state.publishDelayMs);
+        res.json({ success: true });
+    });
+
+    app.delete('/upload/api/items/:itemId', (req, res) => {
+        const item = state.items.find(i => i.id === req.params.itemId);
+        if (!item) return res.status(404).json({ error: 'Not found' });
+        setTimeout(() => { state.items = state.items.filter(i => i !== item); }, state.publishDelayMs);
+        res.json({ success: true });
+    });
+
+    app.post('/upload/api/items/:itemId', (req, res) => {
+        const item = state.items.find(i => i.id === req.params.itemId);
+        if (!item) return res.status(404).json({ error: 'Not found' });
+        if (item.status !== 'DRAFT') return res.status(409).json({ error: 'Not a draft' });
+        const { title, tags, description } = req.body || {};
+        if (!title) return res.status(400).json({ error: 'A title is required' });
+        Object.assign(item, { title, tags: tags || [], description: description || null });
+        res.json({ success: true, item });
+    });
+
+    app.get('/upload/business/:businessId/profiles/:profileId/content/:contentType', (req, res) => {
+        res.send(renderPage('Content', `
+            <h1>Content</h1>
+            <div id="list"></div>
+            <div id="pager"></div>
+            <script>
+                const profileId = ${JSON.stringify(req.params.profileId)};
+                const badgeType = { DRAFT: 'DEFAULT', PUBLISHED: 'SUCCESS' };
+                const badgeText = { DRAFT: 'Draft', PUBLISHED: 'Published' };
+                let offset = 0;
+
+                function escapeHTML(text) {
+                    const div = document.createElement('div');
+                    div.textContent = text;
+                    return div.innerHTML;
+                }
+
+                async function loadPage() {
+                    const response = await fetch('/upload/api/profiles/' + profileId + '/items?offset=' + offset);
+                    const { items, total } = await response.json();
+                    const list = document.getElementById('list');
+                    for (const item of items) {
+                        const row = document.createElement('div');
+                        row.innerHTML = '<div role="button" data-id="' + item.id + '">' +
+                            '<div class="sc-abc StyledTitle-sc-xyz" title="' + escapeHTML(item.title) + '">' + escapeHTML(item.title) + '</div>' +
+                            '<span type="' + badgeType[item.status] + '">' + badgeText[item.status] + '</span></div>';
+                        row.firstChild.addEventListener('click', () => { location.href = location.pathname + '/' + item.id; });
+                        list.appendChild(row);
+                    }
+                    offset += items.length;
+                    const pager = document.getElementById('pager');
+                    pager.innerHTML = offset < total ? '<button>Load more</button>' : '';
+                    if (pager.firstChild) pager.firstChild.addEventListener('click', () => setTimeout(loadPage, 300));
+                }
+
+                // Rendered after a delay, like the real single-page app.
+                setTimeout(loadPage, 500);
+            </script>`));
+    });
+
+    app.post('/upload/api/profiles/:profileId/items', (req, res) => {
+        const { title, fileName, tags, description, category } = req.body || {};
+        if (!title || !fileName) return res.status(400).json({ error: 'A title and a file are required' });
+        const item = { id: `item-${state.items.length + 1}`, title, status: 'DRAFT', profileId: req.params.profileId, stats: { downloads: 0, views: 0, favorites: 0 }, fileName, tags: tags || [], description: description || null, category: category || null };
+        state.items.push(item);
+        res.json({ success: true, item });
+    });
+
+    // Registered before the detail route, which would otherwise take "new" for an item id.
+    app.get('/upload/business/:businessId/profiles/:profileId/content/:contentType/new', (req, res) => {
+        res.send(renderPage('New item', `
+            <h1>New item</h1>
+            <input type="file" name="file" accept="image/*">
+            <input name="title">
+            <input name="tags">
+            <textarea name="description"></textarea>
+            <select name="category"><option value="">Choose...</option><option>Abstract</option><option>Nature</option><option>Animals</option></select>
+            <button id="save" disabled>Save draft</button>
+            <p id="result"></p>
+            <script>
+                const fileInput = document.querySelector('input[type="file"]');
+                const button = document.getElementById('save');
+                // Like the real form, Save only enables once the file has been "uploaded".
+                fileInput.addEventListener('change', () => setTimeout(() => { button.disabled = fileInput.files.length === 0; }, 500));
+                button.addEventListener('click', async () => {
+                    button.disabled = true;
+                    const value = name => document.querySelector('[name="' + name + '"]').value.trim();
+                    const response = await fetch('/upload/api/profiles/' + ${JSON.stringify(req.params.profileId)} + '/items', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({
+                            title: value('title'),
+                            fileName: fileInput.files[0].name,
+                            tags: value('tags') ? value('tags').split(',').map(t => t.trim()) : [],
+                            description: value('description') || null,
+                            category: value('category') || null
+                        })
+                    });
+                    document.getElementById('result').textContent = response.ok ? 'Saved' : 'Save failed';
+                });
+            </script>`));
+    });
+
+    app.get('/upload/business/:businessId/profiles/:profileId/content/:contentType/:itemId', (req, res) => {
+        const item = state.items.find(i => i.id === req.params.itemId);
+        if (!item) return res.status(404).send(renderPage('Not found', '<h1>Not found</h1>'));
+        // Formatted the way Zedge shows them ("1.2K").
+        const formatCount = n => (n >= 1000 ? `${Math.round(n / 100) / 10}K` : String(n));
+        const action = item.status === 'DRAFT'
+            ? `<input name="title" value="${escapeHTML(item.title)}">
+               <input name="tags" value="${escapeHTML(item.tags.join(', '))}">
+               <textarea name="description">${escapeHTML(item.description || '')}</textarea>
+               <button id="save">Save</button>
+               <button id="publish" disabled>Publish</button>
+               <button id="delete">Delete</button>`
+            : `<p>Published</p><ul>${['downloads', 'views', 'favorites'].map(key => `<li>${key}: <span data-stat="${key}">${formatCount(item.stats[key])}</span></li>`).join('')}</ul>
+               <button id="unpublish">Unpublish</button>
+               <button id="delete">Delete</button>`;
+        res.send(renderPage(item.title, `
+            <h1>${escapeHTML(item.title)}</h1>
+            <div id="actions">${action}</div>
+            <script>
+                const saveButton = document.getElementById('save');
+                if (saveButton) {
+                    saveButton.addEventListener('click', async () => {
+                        const value = name => document.querySelector('[name="' + name + '"]').value.trim();
+                        await fetch('/upload/api/items/${encodeURIComponent(item.id)}', {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify({
+                                title: value('title'),
+                                tags: value('tags') ? value('tags').split(',').map(t => t.trim()) : [],
+                                description: value('description') || null
+                            })
+                        });
+                    });
+                }
+                const itemUrl = '/upload/api/items/${encodeURIComponent(item.id)}';
+                const unpublishButton = document.getElementById('unpublish');
+                if (unpublishButton) {
+                    unpublishButton.addEventListener('click', async () => {
+                        const response = await fetch(itemUrl + '/unpublish', { method: 'POST' });
+                        document.getElementById('actions').innerHTML = response.ok ? '<p>Unpublishing...</p>' : '<p>Unpublish failed</p>';
+                    });
+                }
+                document.getElementById('delete').addEventListener('click', () => {
+                    const dialog = document.createElement('div');
+                    dialog.setAttribute('role', 'dialog');
+                    dialog.innerHTML = '<p>Delete this item?</p><button>Cancel</button><button>Delete</button>';
+                    const [cancelButton, confirmButton] = dialog.querySelectorAll('button');
+                    cancelButton.addEventListener('click', () => dialog.remove());
+                    confirmButton.addEventListener('click', async () => {
+                        dialog.remove();
+                        const response = await fetch(itemUrl, { method: 'DELETE' });
+                        document.getElementById('actions').innerHTML = response.ok ? '<p>Deleting...</p>' : '<p>Delete failed</p>';
+                    });
+                    document.body.appendChild(dialog);
+                });
+                const button = document.getElementById('publish');
+                if (button) {
+                    // The button stays disabled until the form has loaded.
+                    setTimeout(() => { button.disabled = false; }, 800);
+                    button.addEventListener('click', async () => {
+                        button.disabled = true;
+                        const response = await fetch('/upload/api/items/${encodeURIComponent(item.id)}/publish', { method: 'POST' });
+                        document.getElementById('actions').innerHTML = response.ok ? '<p>Publishing...</p>' : '<p>Publish failed</p>';
+                    });
+                }
+            </script>`));
+    });
+
+    return app;
+}
+
+/**
+ * Starts the fixture server.
+ * @param {number} port - Port to listen on (0 picks a free one).
+ * @param {object} options - Initial state; see POST /__fixture/reset.
+ * @returns {Promise<{server: import('http').Server, accountUrl: string, uploadUrl: string}>}
+ */
+function startFixtureServer(port = 4010, options = {}) {
+    return new Promise((resolve, reject) => {
+        const server = createFixtureApp(options).listen(port, () => {
+            const baseUrl = `http://localhost:${server.address().port}`;
+            resolve({ server, accountUrl: `${baseUrl}/account`, uploadUrl: `${baseUrl}/upload` });
+        });
+        server.on('error', reject);
+    });
+}
+
+if (require.main === module) {
+    startFixtureServer(parseInt(process.env.FIXTURE_PORT, 10) || 4010).then(({ accountUrl, uploadUrl }) => {
+        console.log('Zedge fixture server running. Point the worker at it with:');
+        console.log(`  ZEDGE_ACCOUNT_URL=${accountUrl}`);
+        console.log(`  ZEDGE_UPLOAD_URL=${uploadUrl}`);
+    });
+}
+
+module.exports = { createFixtureApp, startFixtureServer };
@@ -0,0 +1,95 @@
+// =================================================================
+//                 ZEDGE PUBLISHER WORKER (history.js)
+// =================================================================
+// One timeline of everything that happened: every publish attempt
+// (publish_attempts) and every operator action (audit_log), with who
+// did it, from which channel, when, and the result. Nothing here is
+// pruned, so the history is permanent and read a page at a time.
+// =================================================================
+
+const database = require('./database.js');
+const auth = require('./auth.js');
+
+const KINDS = ['publish', 'action'];
+// Audit outcomes are shown as succeeded/failed/denied, the same words publish attempts use.
+const OUTCOMES = ['succeeded', 'failed', 'dry-run', 'denied'];
+// Publish attempts come from the worker itself; actions from wherever they were audited.
+const CHANNELS = ['worker', ...auth.CHANNELS];
+const MAX_PAGE_SIZE = 100;
+
+function entryFromRow(row) {
+    return {
+        kind: row.kind,
+        id: Number(row.id),
+        occurredAtUTC: row.occurred_at.toISOString(),
+        actor: row.actor,
+        channel: row.channel,
+        action: row.action,
+        subject: row.subject,
+        itemId: row.item_id,
+        outcome: row.outcome,
+        result: row.result,
+        details: row.details || {}
+    };
+}
+
+function escapeLike(text) {
+    return text.replace(/[\\%_]/g, c => `\\${c}`);
+}
+
+/**
+ * Lists history entries, newest first.
+ * Denied actions (mostly unauthenticated requests) are left out unless asked for with outcome 'denied'.
+ * @param {object} filters - { kind, search, outcome, channel, itemId, from, to, page, pageSize }
+ * @returns {Promise<{entries: object[], page: number, pageSize: number, hasMore: boolean}>}
+ */
+async function listHistory({ kind = null, search = null, outcome = null, channel = null, itemId = null, from = null, to = null, page = 1, pageSize = 50 } = {}) {
+    const size = Math.min(Math.max(parseInt(pageSize, 10) || 50, 1), MAX_PAGE_SIZE);
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pattern = search ? `%${escapeLike(search.trim())}%` : null;
+
+    const { rows } = await database.query(
+        `WITH history AS (
+             SELECT 'publish' AS kind, a.id, a.finished_at AS occurred_at,
+                    COALESCE(j.reason, 'schedule') AS actor, 'worker' AS channel,
+                    a.action || ' attempt' AS action, COALESCE(a.title, a.item_id) AS subject, a.item_id,
+                    a.status AS outcome,
+                    COALESCE(a.error, CASE
+                        WHEN a.status = 'dry-run' AND a.action IN ('unpublish', 'delete') THEN 'Dry run: item found, left as it is.'
+                        WHEN a.status = 'dry-run' THEN 'Dry run: draft found, not published.'
+                        WHEN a.action = 'republish' THEN 'Republished and verified.'
+                        WHEN a.action = 'unpublish' THEN 'Unpublished and verified.'
+                        WHEN a.action = 'delete' THEN 'Deleted and verified.'
+                        ELSE 'Published and verified.' END) AS result,
+                    jsonb_build_object('jobId', a.job_id, 'attempt', a.attempt, 'correlationId', a.correlation_id, 'startedAtUTC', a.started_at,
+                        'itemAction', a.action) AS details
+             FROM publish_attempts a
+             LEFT JOIN publish_jobs j ON j.id = a.job_id
+             UNION ALL
+             SELECT 'action', l.id, l.occurred_at,
+                    COALESCE(l.actor_name, l.actor_type), COALESCE(l.channel, 'webapp'),
+                    l.action, l.target, NULL,
+                    CASE l.outcome WHEN 'allowed' THEN 'succeeded' ELSE l.outcome END, l.result, l.details
+             FROM audit_log l
+         )
+         SELECT * FROM history
+         WHERE ($1::text IS NULL OR kind = $1)
+           AND ($2::text IS NULL OR subject ILIKE $2 OR action ILIKE $2 OR actor ILIKE $2 OR result ILIKE $2 OR item_id ILIKE $2)
+           AND (outcome = $3 OR ($3::text IS NULL AND outcome <> 'denied'))
+           AND ($4::text IS NULL OR channel = $4)
+           AND ($5::text IS NULL OR item_id = $5)
+           AND ($6::timestamptz IS NULL OR occurred_at >= $6)
+           AND ($7::timestamptz IS NULL OR occurred_at <= $7)
+         ORDER BY occurred_at DESC, kind ASC, id DESC
+         LIMIT $8 OFFSET $9`,
+        [kind, pattern, outcome, channel, itemId, from, to, size + 1, (pageNumber - 1) * size]
+    );
+    return {
+        entries: rows.slice(0, size).map(entryFromRow),
+        page: pageNumber,
+        pageSize: size,
+        hasMore: rows.length > size
+    };
+}
+
+module.exports = { KINDS, OUTCOMES, CHANNELS, listHistory };
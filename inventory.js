@@ -0,0 +1,193 @@
+// =================================================================
+//                 ZEDGE PUBLISHER WORKER (inventory.js)
+// =================================================================
+// A local copy of what is on Zedge. The worker periodically reads the
+// content list of every enabled profile (see syncInventory() in
+// worker.js) and stores it here, then checks the schedule against it:
+//
+//   missing    - no DRAFT with the item's title on its profile. A
+//                Pending item becomes 'Not Found' and goes back to
+//                Pending once a later sync sees the draft.
+//   duplicate  - more than one DRAFT with that title; the worker
+//                would publish whichever it finds first.
+//   published  - no DRAFT, but a PUBLISHED item with that title: it
+//                went live ahead of its time.
+//
+// Only items that publish are checked; an unpublish or delete works on
+// an item that is already live. DRAFTs that no schedule item points at
+// are listed as unscheduled.
+// =================================================================
+
+const database = require('./database.js');
+const store = require('./data_store.js');
+const profiles = require('./profiles.js');
+const itemActions = require('./item_actions.js');
+
+const INVENTORY_CONFIG = {
+    syncMinutes: parseInt(process.env.INVENTORY_SYNC_MINUTES, 10) || 60,
+    // Items in these states are expected to have a draft waiting on Zedge.
+    checkedStatuses: ['Pending', 'Backlog', 'Not Found']
+};
+const SYNC_SETTING = 'inventory_sync';
+const ISSUE_MESSAGES = {
+    missing: 'No draft with this title was found on Zedge.',
+    duplicate: 'More than one draft with this title is on Zedge.',
+    published: 'An item with this title is already published on Zedge.'
+};
+
+function entryFromRow(row) {
+    return {
+        profileId: row.profile_id,
+        profileName: row.profile_name,
+        title: row.title,
+        status: row.status,
+        copies: row.copies,
+        firstSeenAtUTC: row.first_seen_at.toISOString(),
+        lastSeenAtUTC: row.last_seen_at.toISOString()
+    };
+}
+
+/**
+ * @returns {Promise<object>} { startedAtUTC, finishedAtUTC, profiles: { [profileId]: { syncedAtUTC, itemCount, error } } }
+ */
+async function getSyncState() {
+    return store.getSetting(SYNC_SETTING, { startedAtUTC: null, finishedAtUTC: null, profiles: {} });
+}
+
+function setSyncState(state) {
+    return store.setSetting(SYNC_SETTING, state);
+}
+
+/**
+ * Whether the periodic sync should run again.
+ */
+async function isSyncDue(now = new Date()) {
+    const { finishedAtUTC } = await getSyncState();
+    return !finishedAtUTC || now - new Date(finishedAtUTC) >= INVENTORY_CONFIG.syncMinutes * 60 * 1000;
+}
+
+async function listInventory(client = database) {
+    const { rows } = await client.query(
+        `SELECT i.*, p.name AS profile_name FROM zedge_inventory i
+         JOIN zedge_profiles p ON p.id = i.profile_id
+         ORDER BY p.name ASC, i.title ASC, i.status ASC`
+    );
+    return rows.map(entryFromRow);
+}
+
+/**
+ * DRAFTs no schedule item has the title of, so nothing will ever publish them.
+ */
+async function listUnscheduledDrafts(client = database) {
+    const { rows } = await client.query(
+        `SELECT i.*, p.name AS profile_name FROM zedge_inventory i
+         JOIN zedge_profiles p ON p.id = i.profile_id
+         WHERE i.status = 'DRAFT' AND NOT EXISTS (SELECT 1 FROM schedule_items s WHERE s.title = i.title)
+         ORDER BY i.first_seen_at DESC, i.title ASC`
+    );
+    return rows.map(entryFromRow);
+}
+
+/**
+ * Replaces what is stored for one profile with a fresh read of its content list.
+ * @param {string} profileId
+ * @param {{title: string, status: string}[]} items - As returned by zedgePages.listContentItems().
+ */
+async function saveProfileInventory(profileId, items) {
+    const counts = new Map();
+    for (const { title, status } of items) {
+        const key = JSON.stringify([title, status]);
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    await database.withTransaction(async (client) => {
+        // first_seen_at survives the rewrite, so "new on Zedge" stays meaningful.
+        const { rows } = await client.query('SELECT title, status, first_seen_at FROM zedge_inventory WHERE profile_id = $1', [profileId]);
+        const firstSeen = new Map(rows.map(r => [JSON.stringify([r.title, r.status]), r.first_seen_at]));
+        await client.query('DELETE FROM zedge_inventory WHERE profile_id = $1', [profileId]);
+        for (const [key, copies] of counts) {
+            const [title, status] = JSON.parse(key);
+            await client.query(
+                `INSERT INTO zedge_inventory (profile_id, title, status, copies, first_seen_at, last_seen_at)
+                 VALUES ($1, $2, $3, $4, COALESCE($5, now()), now())`,
+                [profileId, title, status, copies, firstSeen.get(key) || null]
+            );
+        }
+    });
+}
+
+/**
+ * Works out the issue of one item from the inventory of its profile.
+ * @param {Map<string, number>} counts - `${status}:${title}` -> copies, for the item's profile.
+ * @returns {string|null} 'missing', 'duplicate', 'published' or null.
+ */
+function findIssue(title, counts) {
+    const drafts = counts.get(`DRAFT:${title}`) || 0;
+    if (drafts > 1) return 'duplicate';
+    if (drafts === 1) return null;
+    return counts.get(`PUBLISHED:${title}`) ? 'published' : 'missing';
+}
+
+/**
+ * Checks every waiting schedule item against the inventory and stores what is wrong with it.
+ * Takedowns, items whose profile failed to sync, and items whose draft the worker will upload itself are left alone.
+ * @param {string[]} syncedProfileIds - Profiles whose inventory was just read successfully.
+ * @returns {Promise<{flagged: {item: object, issue: string}[], cleared: object[]}>} Items with a new issue,
+ *   and items whose issue went away.
+ */
+async function reconcileSchedule(syncedProfileIds) {
+    const synced = new Set(syncedProfileIds);
+    const [items, profileList, inventory] = await Promise.all([store.listScheduleItems(), profiles.listProfiles(), listInventory()]);
+    const { rows: uploads } = await database.query("SELECT item_id FROM draft_uploads WHERE status <> 'uploaded'");
+    const awaitingUpload = new Set(uploads.map(r => r.item_id));
+
+    const countsByProfile = new Map();
+    for (const entry of inventory) {
+        if (!countsByProfile.has(entry.profileId)) countsByProfile.set(entry.profileId, new Map());
+        countsByProfile.get(entry.profileId).set(`${entry.status}:${entry.title}`, entry.copies);
+    }
+
+    const result = { flagged: [], cleared: [] };
+    for (const item of items) {
+        if (!INVENTORY_CONFIG.checkedStatuses.includes(item.status) || itemActions.isTakedown(item.action) || awaitingUpload.has(item.id)) continue;
+        const profile = profiles.pickProfile(item, profileList);
+        if (!profile || !synced.has(profile.id)) continue;
+
+        const issue = findIssue(item.title, countsByProfile.get(profile.id) || new Map());
+        const fields = {};
+        if (issue !== item.inventoryIssue) fields.inventoryIssue = issue;
+        if (issue === 'missing' && item.status === 'Pending') {
+            fields.status = 'Not Found';
+            fields.failMessage = ISSUE_MESSAGES.missing;
+        } else if ((issue === null || issue === 'duplicate') && item.status === 'Not Found') {
+            // The draft is back; a rescheduled or backlog item picks up where it was.
+            fields.status = item.scheduledAtUTC ? 'Pending' : 'Backlog';
+            fields.failMessage = null;
+        }
+        if (Object.keys(fields).length === 0) continue;
+
+        // Only rows still in the state read above, so a publish or edit that ran meanwhile wins.
+        const updated = await database.withTransaction(async (client) => {
+            const { rows } = await client.query(
+                'SELECT id FROM schedule_items WHERE id = $1 AND status = $2 AND title = $3 FOR UPDATE',
+                [item.id, item.status, item.title]
+            );
+            return rows.length > 0 ? store.updateScheduleItem(item.id, fields, client) : null;
+        });
+        if (!updated) continue;
+        if (issue && issue !== item.inventoryIssue) result.flagged.push({ item: updated, issue });
+        else if (!issue && item.inventoryIssue) result.cleared.push(updated);
+    }
+    return result;
+}
+
+module.exports = {
+    INVENTORY_CONFIG,
+    ISSUE_MESSAGES,
+    getSyncState,
+    setSyncState,
+    isSyncDue,
+    listInventory,
+    listUnscheduledDrafts,
+    saveProfileInventory,
+    reconcileSchedule
+};
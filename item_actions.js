@@ -0,0 +1,90 @@
+// =================================================================
+//                 ZEDGE PUBLISHER WORKER (item_actions.js)
+// =================================================================
+// What a schedule item does on Zedge when it comes due:
+//   publish    - publish a DRAFT (the default);
+//   republish  - publish again an item that was unpublished earlier;
+//   unpublish  - take a PUBLISHED item down, back to DRAFT;
+//   delete     - remove the item from Zedge, whatever its status.
+//
+// A publish or republish can keep the item up for a number of days
+// (`publishDays`): once it is live, an unpublish item is scheduled
+// for the end of the window. Each action is recorded in the history
+// under its own name.
+// =================================================================
+
+const ITEM_ACTIONS = ['publish', 'republish', 'unpublish', 'delete'];
+// Take an item off Zedge, so there is no draft to edit and no window to keep it up.
+const TAKEDOWN_ACTIONS = ['unpublish', 'delete'];
+const ACTION_LABELS = { publish: 'Published', republish: 'Republished', unpublish: 'Unpublished', delete: 'Deleted' };
+const MAX_PUBLISH_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isTakedown(action) {
+    return TAKEDOWN_ACTIONS.includes(action);
+}
+
+/**
+ * Validates the action fields from the API.
+ * @param {object} input - { action, publishDays }
+ * @param {object} value - The cleaned fields are added here.
+ * @param {string[]} errors - Validation errors are added here.
+ */
+function validateActionInput(input, value, errors) {
+    if (input.action !== undefined) {
+        if (!ITEM_ACTIONS.includes(input.action)) errors.push(`action must be one of: ${ITEM_ACTIONS.join(', ')}.`);
+        else value.action = input.action;
+    }
+    if (input.publishDays === null || input.publishDays === '') {
+        value.publishDays = null;
+    } else if (input.publishDays !== undefined) {
+        const days = Number(input.publishDays);
+        if (!Number.isInteger(days) || days < 1 || days > MAX_PUBLISH_DAYS) errors.push(`publishDays must be a whole number from 1 to ${MAX_PUBLISH_DAYS}, or null.`);
+        else value.publishDays = days;
+    }
+}
+
+/**
+ * Checks that an item's fields make sense together for its action.
+ * @param {object} item - The item as it would be saved.
+ * @returns {string[]} The problems, if any.
+ */
+function checkItemAction(item) {
+    const errors = [];
+    const action = item.action || 'publish';
+    if (!isTakedown(action)) return errors;
+    const label = ACTION_LABELS[action].toLowerCase();
+    if (!item.scheduledAtUTC) errors.push(`Items to be ${label} need a scheduled time; they can't wait in the backlog.`);
+    if (item.publishDays) errors.push('publishDays only applies to items that are published.');
+    if (item.metadata) errors.push('metadata only applies to items that are published.');
+    return errors;
+}
+
+/**
+ * The unpublish item that ends the publish window of an item that just went live.
+ * @param {object} item - The published item.
+ * @param {Date} publishedAt
+ * @param {string|null} profileId - The profile it went live on, so the takedown goes there too.
+ * @returns {object|null} Fields for insertScheduleItem(), or null if it has no window.
+ */
+function windowEndItem(item, publishedAt, profileId) {
+    if (isTakedown(item.action) || !item.publishDays) return null;
+    return {
+        title: item.title,
+        theme: item.theme,
+        profileId: profileId || item.profileId || null,
+        scheduledAtUTC: new Date(publishedAt.getTime() + item.publishDays * DAY_MS).toISOString(),
+        action: 'unpublish'
+    };
+}
+
+module.exports = {
+    ITEM_ACTIONS,
+    TAKEDOWN_ACTIONS,
+    ACTION_LABELS,
+    MAX_PUBLISH_DAYS,
+    isTakedown,
+    validateActionInput,
+    checkItemAction,
+    windowEndItem
+};
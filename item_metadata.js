@@ -0,0 +1,77 @@
+// =================================================================
+//                 ZEDGE PUBLISHER WORKER (item_metadata.js)
+// =================================================================
+// Changes to make to an item's draft on Zedge right before it is
+// published: a new title, its tags and its description. Each field is
+// optional; one that is left out keeps whatever the draft already has.
+//
+// The worker finds the draft by the item's title, so once a new title
+// has been saved on Zedge it becomes the item's title and is dropped
+// from the metadata (see performPublish() in worker.js).
+// =================================================================
+
+// Zedge's limits, the same as for uploaded drafts.
+const MAX_TAGS = 30;
+const MAX_DESCRIPTION_LENGTH = 1000;
+
+/**
+ * The stored metadata with every field present, or null if there is nothing to change.
+ * @param {object|null} metadata
+ * @returns {{newTitle: string|null, tags: string[]|null, description: string|null}|null}
+ */
+function normalizeMetadata(metadata) {
+    if (!metadata) return null;
+    const value = {
+        newTitle: metadata.newTitle || null,
+        tags: Array.isArray(metadata.tags) && metadata.tags.length > 0 ? metadata.tags : null,
+        description: metadata.description || null
+    };
+    return value.newTitle || value.tags || value.description ? value : null;
+}
+
+/**
+ * Validates metadata input from the API.
+ * @param {object|null} input - { newTitle, tags (list or comma-separated), description }. Empty fields are left out.
+ * @param {string[]} errors - Validation errors are added here.
+ * @param {number} maxTitleLength
+ * @returns {object|null} The cleaned metadata, or null if it changes nothing.
+ */
+function validateMetadata(input, errors, maxTitleLength) {
+    if (input === null) return null;
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        errors.push('metadata must be an object, or null to leave the draft as it is.');
+        return null;
+    }
+    for (const key of ['newTitle', 'description']) {
+        if (input[key] !== undefined && input[key] !== null && typeof input[key] !== 'string') errors.push(`metadata.${key} must be a string.`);
+    }
+    const newTitle = typeof input.newTitle === 'string' ? input.newTitle.trim() : '';
+    if (newTitle.length > maxTitleLength) errors.push(`metadata.newTitle must be at most ${maxTitleLength} characters.`);
+    const description = typeof input.description === 'string' ? input.description.trim() : '';
+    if (description.length > MAX_DESCRIPTION_LENGTH) errors.push(`metadata.description must be at most ${MAX_DESCRIPTION_LENGTH} characters.`);
+
+    let tags = [];
+    const tagList = typeof input.tags === 'string' ? input.tags.split(',') : (input.tags || []);
+    if (!Array.isArray(tagList) || tagList.some(t => typeof t !== 'string')) {
+        errors.push('metadata.tags must be a list of strings.');
+    } else {
+        tags = Array.from(new Set(tagList.map(t => t.trim()).filter(Boolean)));
+        if (tags.length > MAX_TAGS) errors.push(`At most ${MAX_TAGS} tags are allowed.`);
+    }
+    return normalizeMetadata({ newTitle, tags, description });
+}
+
+/**
+ * What is left to do once the new title has been saved on Zedge.
+ */
+function withoutNewTitle(metadata) {
+    return normalizeMetadata({ ...metadata, newTitle: null });
+}
+
+module.exports = {
+    MAX_TAGS,
+    MAX_DESCRIPTION_LENGTH,
+    normalizeMetadata,
+    validateMetadata,
+    withoutNewTitle
+};
@@ -0,0 +1,223 @@
+// =================================================================
+//                 ZEDGE PUBLISHER WORKER (logger.js)
+// =================================================================
+// Structured logging. Every entry is printed as one JSON line and,
+// from LOG_STORE_LEVEL up, buffered and written to `log_entries` so
+// the web app can show what happened to an item.
+//
+// Context such as { correlationId, itemId, jobId, attempt } is set
+// once with runWithContext() and added to every entry logged inside
+// it, however deep the call stack (via AsyncLocalStorage).
+// =================================================================
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+// Loaded on first use: database.js and the migrations log through this module.
+function getDatabase() {
+    return require('./database.js');
+}
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+const LOG_CONFIG = {
+    level: LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info',
+    storeLevel: LEVELS.includes(process.env.LOG_STORE_LEVEL) ? process.env.LOG_STORE_LEVEL : 'info',
+    retentionDays: parseInt(process.env.LOG_RETENTION_DAYS, 10) || 7,
+    flushIntervalMs: 5 * 1000,
+    // Entries kept in memory while the database is unreachable; the oldest are dropped first.
+    maxBuffered: 2000
+};
+// Context fields with their own column in log_entries; everything else goes into `context`.
+const COLUMN_FIELDS = ['correlationId', 'itemId', 'jobId', 'attempt'];
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+const contextStorage = new AsyncLocalStorage();
+let buffer = [];
+let flushTimer = null;
+let flushing = null;
+let lastPrunedAt = 0;
+let storeFailing = false;
+
+function levelRank(level) {
+    return LEVELS.indexOf(level);
+}
+
+// Never logged, however deep inside a logged value they are: session cookies and credentials.
+const REDACTED_FIELDS = ['storageState', 'storage_state', 'sessionData', 'cookies', 'origins', 'password', 'credentials'];
+const MAX_SERIALIZE_DEPTH = 6;
+
+// Errors don't survive JSON.stringify, so keep what's useful from them.
+function serializeValue(value, depth = 0) {
+    if (value instanceof Error) return { message: value.message, name: value.name, stack: value.stack };
+    if (value === null || typeof value !== 'object' || value instanceof Date || Buffer.isBuffer(value)) return value;
+    if (depth >= MAX_SERIALIZE_DEPTH) return '[too deep]';
+    if (Array.isArray(value)) return value.map(v => serializeValue(v, depth + 1));
+    const result = {};
+    for (const [key, v] of Object.entries(value)) result[key] = REDACTED_FIELDS.includes(key) ? '[redacted]' : serializeValue(v, depth + 1);
+    return result;
+}
+
+// --- Context ---
+
+function getContext() {
+    return contextStorage.getStore() || {};
+}
+
+/**
+ * Runs `fn` with extra fields added to every entry it logs, including from the code it calls.
+ * Nested calls add to the outer context.
+ */
+function runWithContext(fields, fn) {
+    return contextStorage.run({ ...getContext(), ...fields }, fn);
+}
+
+function newCorrelationId() {
+    return crypto.randomUUID();
+}
+
+// --- Logging ---
+
+/**
+ * @param {'debug'|'info'|'warn'|'error'} level
+ * @param {string} message - A fixed description; put variable details in `fields`.
+ * @param {object} [fields] - Extra structured data, e.g. { title, error }.
+ */
+function log(level, message, fields = {}) {
+    const rank = levelRank(level);
+    const printed = rank >= levelRank(LOG_CONFIG.level);
+    const stored = rank >= levelRank(LOG_CONFIG.storeLevel);
+    if (!printed && !stored) return;
+
+    const entry = { time: new Date().toISOString(), level, msg: message, ...getContext() };
+    for (const [key, value] of Object.entries(fields)) entry[key] = REDACTED_FIELDS.includes(key) ? '[redacted]' : serializeValue(value);
+
+    if (printed) {
+        const line = JSON.stringify(entry);
+        if (rank >= levelRank('warn')) process.stderr.write(`${line}\n`);
+        else process.stdout.write(`${line}\n`);
+    }
+    if (stored) {
+        buffer.push(entry);
+        if (buffer.length > LOG_CONFIG.maxBuffered) buffer.splice(0, buffer.length - LOG_CONFIG.maxBuffered);
+        scheduleFlush();
+    }
+}
+
+const debug = (message, fields) => log('debug', message, fields);
+const info = (message, fields) => log('info', message, fields);
+const warn = (message, fields) => log('warn', message, fields);
+const error = (message, fields) => log('error', message, fields);
+
+// --- Storage ---
+
+function scheduleFlush() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(() => {
+        flushTimer = null;
+        flush();
+    }, LOG_CONFIG.flushIntervalMs);
+    flushTimer.unref();
+}
+
+function toRecord(entry) {
+    const { time, level, msg, ...rest } = entry;
+    const context = { ...rest };
+    for (const field of COLUMN_FIELDS) delete context[field];
+    return {
+        logged_at: time,
+        level,
+        message: msg,
+        correlation_id: rest.correlationId || null,
+        item_id: rest.itemId || null,
+        job_id: Number.isInteger(rest.jobId) ? rest.jobId : null,
+        attempt: Number.isInteger(rest.attempt) ? rest.attempt : null,
+        context
+    };
+}
+
+/**
+ * Writes buffered entries to the database. Entries stay buffered if that fails
+ * (e.g. before the database is initialized) and are retried on the next flush.
+ */
+function flush() {
+    if (flushing || buffer.length === 0) return flushing || Promise.resolve();
+    const batch = buffer;
+    buffer = [];
+    flushing = (async () => {
+        try {
+            await getDatabase().query(
+                `INSERT INTO log_entries (logged_at, level, message, correlation_id, item_id, job_id, attempt, context)
+                 SELECT logged_at, level, message, correlation_id, item_id, job_id, attempt, context
+                 FROM jsonb_to_recordset($1::jsonb) AS e(logged_at TIMESTAMPTZ, level TEXT, message TEXT, correlation_id TEXT, item_id TEXT, job_id BIGINT, attempt INTEGER, context JSONB)`,
+                [JSON.stringify(batch.map(toRecord))]
+            );
+            if (storeFailing) console.error('Log storage recovered.');
+            storeFailing = false;
+            if (Date.now() - lastPrunedAt > PRUNE_INTERVAL_MS) {
+                lastPrunedAt = Date.now();
+                await getDatabase().query('DELETE FROM log_entries WHERE logged_at < now() - make_interval(days => $1)', [LOG_CONFIG.retentionDays]);
+            }
+        } catch (err) {
+            // Printed with console.error (not log()) so a broken store can't feed itself.
+            if (!storeFailing) console.error('Could not store log entries, keeping them buffered:', err.message);
+            storeFailing = true;
+            buffer = batch.concat(buffer).slice(-LOG_CONFIG.maxBuffered);
+        } finally {
+            flushing = null;
+            if (buffer.length > 0) scheduleFlush();
+        }
+    })();
+    return flushing;
+}
+
+// --- Queries ---
+
+function entryFromRow(row) {
+    return {
+        id: Number(row.id),
+        loggedAtUTC: row.logged_at.toISOString(),
+        level: row.level,
+        message: row.message,
+        correlationId: row.correlation_id,
+        itemId: row.item_id,
+        jobId: row.job_id === null ? null : Number(row.job_id),
+        attempt: row.attempt,
+        context: row.context
+    };
+}
+
+/**
+ * Lists stored entries, newest first.
+ * @param {object} filters - { itemId, jobId, attempt, correlationId, level (minimum), from, to, limit }
+ */
+async function listEntries({ itemId = null, jobId = null, attempt = null, correlationId = null, level = null, from = null, to = null, limit = 200 } = {}) {
+    const minLevels = LEVELS.includes(level) ? LEVELS.slice(levelRank(level)) : LEVELS;
+    const { rows } = await getDatabase().query(
+        `SELECT * FROM log_entries
+         WHERE ($1::text IS NULL OR item_id = $1)
+           AND ($2::bigint IS NULL OR job_id = $2)
+           AND ($3::integer IS NULL OR attempt = $3)
+           AND ($4::text IS NULL OR correlation_id = $4)
+           AND level = ANY($5)
+           AND ($6::timestamptz IS NULL OR logged_at >= $6)
+           AND ($7::timestamptz IS NULL OR logged_at <= $7)
+         ORDER BY logged_at DESC, id DESC
+         LIMIT $8`,
+        [itemId, jobId, attempt, correlationId, minLevels, from, to, Math.min(Math.max(parseInt(limit, 10) || 200, 1), 1000)]
+    );
+    return rows.map(entryFromRow);
+}
+
+module.exports = {
+    LEVELS,
+    runWithContext,
+    getContext,
+    newCorrelationId,
+    log,
+    debug,
+    info,
+    warn,
+    error,
+    flush,
+    listEntries
+};
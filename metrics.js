@@ -0,0 +1,137 @@
+// =================================================================
+//                 ZEDGE PUBLISHER WORKER (metrics.js)
+// =================================================================
+// Prometheus metrics, served by the worker on /metrics. Counters and
+// histograms are updated where things happen; gauges that need a
+// lookup (queue depth, missed items, browser contexts) are read from
+// the sources the worker registers, once per scrape.
+// =================================================================
+
+const client = require('prom-client');
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: 'zedge_' });
+
+// Filled in by the worker with setSources(); each returns a number (or a promise of one).
+const sources = {
+    queueDepth: null,
+    missedItems: null,
+    browserContexts: null
+};
+
+const publishAttempts = new client.Counter({
+    name: 'zedge_publish_attempts_total',
+    help: 'Publish attempts by item action (publish, republish, unpublish, delete) and outcome (success, failure or dry_run).',
+    labelNames: ['action', 'outcome'],
+    registers: [registry]
+});
+
+const publishDuration = new client.Histogram({
+    name: 'zedge_publish_duration_seconds',
+    help: 'Time taken by one publish attempt, including login and verification, by item action and outcome (success, failure or dry_run).',
+    labelNames: ['action', 'outcome'],
+    buckets: [5, 10, 20, 30, 45, 60, 90, 120, 180, 300],
+    registers: [registry]
+});
+
+const loginChecks = new client.Counter({
+    name: 'zedge_login_checks_total',
+    help: 'Zedge session checks by result (valid, expired, missing, error).',
+    labelNames: ['result'],
+    registers: [registry]
+});
+
+const dbQueryDuration = new client.Histogram({
+    name: 'zedge_db_query_duration_seconds',
+    help: 'Latency of database queries and transactions on the active database.',
+    labelNames: ['kind', 'outcome'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+    registers: [registry]
+});
+
+const scheduleTicks = new client.Counter({
+    name: 'zedge_schedule_ticks_total',
+    help: 'Completed schedule checks.',
+    registers: [registry]
+});
+
+const lastScheduleTick = new client.Gauge({
+    name: 'zedge_last_schedule_tick_timestamp_seconds',
+    help: 'Unix time of the last completed schedule check. Alert on time() minus this.',
+    registers: [registry]
+});
+
+// Gauges read at scrape time. A failing source is reported as NaN rather than failing the scrape.
+function sourceGauge(name, help, sourceKey) {
+    return new client.Gauge({
+        name,
+        help,
+        registers: [registry],
+        async collect() {
+            if (typeof sources[sourceKey] !== 'function') return;
+            try {
+                this.set(Number(await sources[sourceKey]()));
+            } catch (error) {
+                this.set(NaN);
+            }
+        }
+    });
+}
+
+sourceGauge('zedge_queue_depth', 'Publish jobs queued or running.', 'queueDepth');
+sourceGauge('zedge_missed_items', 'Items currently flagged as missed.', 'missedItems');
+sourceGauge('zedge_browser_contexts', 'Open Playwright browser contexts.', 'browserContexts');
+
+/**
+ * Registers the functions scrape-time gauges read from.
+ * @param {object} newSources - Any of { queueDepth, missedItems, browserContexts }.
+ */
+function setSources(newSources) {
+    Object.assign(sources, newSources);
+}
+
+/**
+ * @param {'success'|'failure'|'dry_run'} outcome - dry_run is an attempt that stopped before publishing.
+ * @param {number} seconds - How long the attempt took.
+ * @param {string} [action] - The item's action (see item_actions.js), so takedowns don't count as publishes.
+ */
+function recordPublish(outcome, seconds, action = 'publish') {
+    publishAttempts.inc({ action, outcome });
+    publishDuration.observe({ action, outcome }, seconds);
+}
+
+function recordLoginCheck(result) {
+    loginChecks.inc({ result });
+}
+
+function recordScheduleTick(at = new Date()) {
+    scheduleTicks.inc();
+    lastScheduleTick.set(at.getTime() / 1000);
+}
+
+/**
+ * Times a database call.
+ * @param {'query'|'transaction'} kind
+ * @param {function(): Promise} fn
+ */
+async function timeDbCall(kind, fn) {
+    const end = dbQueryDuration.startTimer({ kind });
+    try {
+        const result = await fn();
+        end({ outcome: 'success' });
+        return result;
+    } catch (error) {
+        end({ outcome: 'error' });
+        throw error;
+    }
+}
+
+module.exports = {
+    registry,
+    contentType: registry.contentType,
+    setSources,
+    recordPublish,
+    recordLoginCheck,
+    recordScheduleTick,
+    timeDbCall
+};
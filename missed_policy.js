@@ -0,0 +1,97 @@
+// =================================================================
+//                 ZEDGE PUBLISHER WORKER (missed_policy.js)
+// =================================================================
+// What happens to an item that comes due while it can't be published
+// on time (the worker was down, paused or busy). Each profile carries
+// its own policy:
+//   - graceMinutes: how late an item may be and still publish as usual;
+//   - action once the grace window has passed:
+//       hold    - mark it missed and wait for an operator (the default),
+//       publish - publish it anyway, up to maxLateHours late,
+//       shift   - move it to the next free slot on its profile,
+//       skip    - give up on it without bothering anyone.
+// =================================================================
+
+const MISSED_ACTIONS = ['hold', 'publish', 'shift', 'skip'];
+const DEFAULT_MISSED_POLICY = {
+    action: 'hold',
+    graceMinutes: parseInt(process.env.MISSED_GRACE_MINUTES, 10) || 5,
+    maxLateHours: 6,
+    shiftSpacingMinutes: 30
+};
+// A shifted item is never placed closer to "now" than this, so it isn't missed again straight away.
+const SHIFT_LEAD_MS = 2 * 60 * 1000;
+
+/**
+ * A profile's policy with the defaults filled in.
+ * @param {object|null} policy - The stored policy (possibly partial or missing).
+ */
+function normalizePolicy(policy) {
+    return { ...DEFAULT_MISSED_POLICY, ...(policy || {}) };
+}
+
+/**
+ * Validates policy input from the API.
+ * @param {object} input - { action, graceMinutes, maxLateHours, shiftSpacingMinutes }
+ * @param {string[]} errors - Validation errors are added here.
+ * @returns {object} The cleaned policy.
+ */
+function validateMissedPolicy(input, errors) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        errors.push('missedPolicy must be an object.');
+        return null;
+    }
+    const policy = normalizePolicy(input);
+    if (!MISSED_ACTIONS.includes(policy.action)) errors.push(`missedPolicy.action must be one of: ${MISSED_ACTIONS.join(', ')}.`);
+    const whole = (key, min, max) => {
+        const value = Number(policy[key]);
+        if (!Number.isInteger(value) || value < min || value > max) errors.push(`missedPolicy.${key} must be a whole number from ${min} to ${max}.`);
+        return value;
+    };
+    return {
+        action: policy.action,
+        graceMinutes: whole('graceMinutes', 1, 24 * 60),
+        maxLateHours: whole('maxLateHours', 1, 7 * 24),
+        shiftSpacingMinutes: whole('shiftSpacingMinutes', 1, 24 * 60)
+    };
+}
+
+/**
+ * Decides what to do with a due item.
+ * @param {object} item - A Pending schedule item whose time has come.
+ * @param {object} policy - The item's profile policy (see normalizePolicy()).
+ * @param {Date} now - The reference time.
+ * @returns {'on-time'|'hold'|'publish'|'shift'|'skip'}
+ */
+function decideMissedAction(item, policy, now) {
+    const lateMs = now - new Date(item.scheduledAtUTC);
+    if (lateMs <= policy.graceMinutes * 60 * 1000) return 'on-time';
+    // Too late even for auto-publishing: someone should look at it.
+    if (policy.action === 'publish' && lateMs > policy.maxLateHours * 60 * 60 * 1000) return 'hold';
+    return policy.action;
+}
+
+/**
+ * Finds the first time from now on that is at least `spacingMinutes` away from every `taken` time.
+ * @param {Date[]} taken - Times already used on the profile.
+ * @returns {Date}
+ */
+function findNextFreeSlot(taken, now, spacingMinutes) {
+    const spacingMs = spacingMinutes * 60 * 1000;
+    let slot = new Date(Math.ceil((now.getTime() + SHIFT_LEAD_MS) / 60000) * 60000);
+    for (let i = 0; i <= taken.length; i++) {
+        const conflict = taken.find(t => Math.abs(t - slot) < spacingMs);
+        if (!conflict) break;
+        slot = new Date(conflict.getTime() + spacingMs);
+    }
+    return slot;
+}
+
+module.exports = {
+    MISSED_ACTIONS,
+    DEFAULT_MISSED_POLICY,
+    normalizePolicy,
+    validateMissedPolicy,
+    decideMissedAction,
+    findNextFreeSlot
+};
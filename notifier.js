@@ -0,0 +1,88 @@
+// =================================================================
+//                 ZEDGE PUBLISHER WORKER (notifier.js)
+// =================================================================
+// One place to send notifications from. Each chat platform (Telegram,
+// Discord, ...) registers a channel, and every notification goes to
+// all of them; each channel decides for itself who receives which
+// category.
+//
+// Messages use a small Markdown subset every channel understands:
+// **bold** and `code`. Channels convert it to their own format.
+// A message that shows dates can be a function of a time zone
+// instead; channels then render it once per recipient, in the zone
+// that recipient chose.
+// =================================================================
+
+const logger = require('./logger.js');
+const timezones = require('./timezones.js');
+
+// 'publish': items published or retried. 'failure': missed or failed for good.
+// 'system': worker and database alerts. 'digest': the daily summary.
+const CATEGORIES = ['publish', 'failure', 'system', 'digest'];
+
+/**
+ * @typedef {object} NotificationChannel
+ * @property {string} name - Shown in logs.
+ * @property {function((string|function(string): string), string): Promise<void>} send - (message, category); render the message with renderMessage.
+ * @property {function(Buffer|string, string, string): Promise<void>} [sendImage] - (PNG data or file path, caption, category)
+ */
+
+/** @type {NotificationChannel[]} */
+const channels = [];
+
+/**
+ * Adds a channel. Registering the same channel object twice has no effect.
+ * @param {NotificationChannel} channel
+ */
+function registerChannel(channel) {
+    if (!channel || typeof channel.send !== 'function') throw new Error('A notification channel needs a send(message, category) function.');
+    if (!channels.includes(channel)) channels.push(channel);
+    logger.info('Notification channel registered.', { channel: channel.name });
+}
+
+/**
+ * Turns a message into text for one recipient.
+ * @param {string|function(string): string} message - Text, or a function of the recipient's time zone returning it.
+ * @param {string} [timeZone] - The recipient's IANA time zone.
+ * @returns {string}
+ */
+function renderMessage(message, timeZone = timezones.DEFAULT_TIMEZONE) {
+    return typeof message === 'function' ? message(timeZone) : message;
+}
+
+function listChannels() {
+    return channels.map(c => c.name);
+}
+
+// One broken channel must never stop the others, nor the code that sent the notification.
+async function deliver(description, call) {
+    if (channels.length === 0) {
+        logger.info('Notification (no channels registered).', { notification: description });
+        return;
+    }
+    await Promise.all(channels.map(channel =>
+        Promise.resolve()
+            .then(() => call(channel))
+            .catch(error => logger.error('Failed to send notification.', { channel: channel.name, error: error.message }))
+    ));
+}
+
+/**
+ * Sends a notification to every channel.
+ * @param {string|function(string): string} message - Text using **bold** and `code`, or a function of the recipient's time zone returning it.
+ * @param {string} category - One of CATEGORIES; decides who receives it.
+ */
+async function notify(message, category = 'system') {
+    await deliver(renderMessage(message), channel => channel.send(message, category));
+}
+
+/**
+ * Sends an image (e.g. a failure screenshot) to every channel that supports images.
+ * @param {Buffer|string} image - PNG data or a file path.
+ * @param {string} caption - Text using **bold** and `code`.
+ */
+async function notifyImage(image, caption, category = 'failure') {
+    await deliver(`[image] ${caption}`, channel => (typeof channel.sendImage === 'function' ? channel.sendImage(image, caption, category) : channel.send(caption, category)));
+}
+
+module.exports = { CATEGORIES, registerChannel, listChannels, renderMessage, notify, notifyImage };
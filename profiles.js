@@ -0,0 +1,227 @@
+// =================================================================
+//                 ZEDGE PUBLISHER WORKER (profiles.js)
+// =================================================================
+// The registry of Zedge upload profiles the worker can publish to.
+// Each entry points at one business/profile/content-type listing on
+// upload.zedge.net and carries the theme-matching rules used to route
+// schedule items that don't name a profile explicitly.
+// =================================================================
+
+const database = require('./database.js');
+const zedgeConfig = require('./zedge_config.js');
+const missedPolicy = require('./missed_policy.js');
+const logger = require('./logger.js');
+
+const CONTENT_TYPES = ['WALLPAPER', 'LIVE_WALLPAPER', 'RINGTONE', 'NOTIFICATION_SOUND'];
+const PROFILE_SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const ZEDGE_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function profileFromRow(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        businessId: row.business_id,
+        profileId: row.profile_id,
+        contentType: row.content_type,
+        themePatterns: row.theme_patterns,
+        priority: row.priority,
+        isDefault: row.is_default,
+        enabled: row.enabled,
+        missedPolicy: missedPolicy.normalizePolicy(row.missed_policy)
+    };
+}
+
+/**
+ * Tests a theme against one rule. Rules are case-insensitive substrings,
+ * or regular expressions when written as `/pattern/`.
+ */
+function themeMatchesPattern(theme, pattern) {
+    const regexMatch = pattern.match(/^\/(.+)\/$/);
+    if (regexMatch) {
+        try {
+            return new RegExp(regexMatch[1], 'i').test(theme);
+        } catch (e) {
+            return false;
+        }
+    }
+    return theme.toLowerCase().includes(pattern.toLowerCase());
+}
+
+function buildProfileUrl(profile) {
+    return `${zedgeConfig.getConfig().urls.upload}/business/${profile.businessId}/profiles/${profile.profileId}/content/${profile.contentType}`;
+}
+
+// --- Queries ---
+async function listProfiles(client = database) {
+    const { rows } = await client.query('SELECT * FROM zedge_profiles ORDER BY priority DESC, name ASC');
+    return rows.map(profileFromRow);
+}
+
+async function getProfile(id, client = database) {
+    const { rows } = await client.query('SELECT * FROM zedge_profiles WHERE id = $1', [id]);
+    return rows[0] ? profileFromRow(rows[0]) : null;
+}
+
+/**
+ * Picks the profile for an item from an already loaded list, without touching the database.
+ * Same rules as resolveProfileForItem().
+ * @returns {object|null} The profile, or null if none applies.
+ */
+function pickProfile(item, profileList) {
+    if (item.profileId) {
+        const profile = profileList.find(p => p.id === item.profileId);
+        return profile && profile.enabled ? profile : null;
+    }
+    const theme = item.theme || '';
+    const candidates = profileList.filter(p => p.enabled);
+    return candidates.find(p => p.themePatterns.some(pattern => themeMatchesPattern(theme, pattern)))
+        || candidates.find(p => p.isDefault)
+        || null;
+}
+
+/**
+ * Picks the profile an item should be published to: the item's explicit override,
+ * otherwise the highest-priority enabled profile whose theme rules match, otherwise the default.
+ * @param {object} item - A schedule item ({ theme, profileId }).
+ * @returns {Promise<object>} The profile.
+ * @throws {Error} If no usable profile exists.
+ */
+async function resolveProfileForItem(item) {
+    if (item.profileId) {
+        const profile = await getProfile(item.profileId);
+        if (!profile) throw new Error(`Profile "${item.profileId}" set on this item does not exist.`);
+        if (!profile.enabled) throw new Error(`Profile "${profile.name}" set on this item is disabled.`);
+        return profile;
+    }
+    const profile = pickProfile(item, await listProfiles());
+    if (!profile) throw new Error(`Could not determine a valid profile for theme: "${item.theme || ''}"`);
+    return profile;
+}
+
+// --- Create / Update / Delete ---
+
+/**
+ * Validates registry input.
+ * @param {object} input - Raw fields from the API.
+ * @param {boolean} partial - When true, only the provided fields are validated (used for updates).
+ * @returns {{errors: string[], value: object}}
+ */
+function validateProfileInput(input, partial = false) {
+    const errors = [];
+    const value = {};
+    if (!input || typeof input !== 'object') return { errors: ['Profile must be an object.'], value };
+    const has = (key) => input[key] !== undefined || !partial;
+
+    if (!partial) {
+        if (typeof input.id !== 'string' || !PROFILE_SLUG_PATTERN.test(input.id)) errors.push('ID must be a short lowercase slug (letters, digits, dashes).');
+        else value.id = input.id;
+    }
+    if (has('name')) {
+        const name = typeof input.name === 'string' ? input.name.trim() : '';
+        if (!name) errors.push('Name is required.');
+        else value.name = name;
+    }
+    if (has('businessId')) {
+        if (!ZEDGE_ID_PATTERN.test(String(input.businessId || '').trim())) errors.push('Business ID must be a Zedge UUID.');
+        else value.businessId = input.businessId.trim().toLowerCase();
+    }
+    if (has('profileId')) {
+        if (!ZEDGE_ID_PATTERN.test(String(input.profileId || '').trim())) errors.push('Profile ID must be a Zedge UUID.');
+        else value.profileId = input.profileId.trim().toLowerCase();
+    }
+    if (has('contentType')) {
+        const contentType = input.contentType === undefined ? 'WALLPAPER' : input.contentType;
+        if (!CONTENT_TYPES.includes(contentType)) errors.push(`Content type must be one of: ${CONTENT_TYPES.join(', ')}.`);
+        else value.contentType = contentType;
+    }
+    if (has('themePatterns')) {
+        const patterns = input.themePatterns === undefined ? [] : input.themePatterns;
+        if (!Array.isArray(patterns) || patterns.some(p => typeof p !== 'string')) {
+            errors.push('Theme patterns must be a list of strings.');
+        } else {
+            value.themePatterns = patterns.map(p => p.trim()).filter(Boolean);
+            for (const pattern of value.themePatterns) {
+                const regexMatch = pattern.match(/^\/(.+)\/$/);
+                if (!regexMatch) continue;
+                try { new RegExp(regexMatch[1]); } catch (e) { errors.push(`Invalid pattern ${pattern}: ${e.message}`); }
+            }
+        }
+    }
+    if (has('priority')) {
+        const priority = input.priority === undefined ? 0 : Number(input.priority);
+        if (!Number.isInteger(priority)) errors.push('Priority must be an integer.');
+        else value.priority = priority;
+    }
+    if (input.isDefault !== undefined) value.isDefault = input.isDefault === true;
+    if (input.enabled !== undefined) value.enabled = input.enabled !== false;
+    if (input.missedPolicy !== undefined && input.missedPolicy !== null) value.missedPolicy = missedPolicy.validateMissedPolicy(input.missedPolicy, errors);
+
+    return { errors, value };
+}
+
+const PROFILE_COLUMNS = {
+    name: 'name', businessId: 'business_id', profileId: 'profile_id', contentType: 'content_type',
+    themePatterns: 'theme_patterns', priority: 'priority', isDefault: 'is_default', enabled: 'enabled', missedPolicy: 'missed_policy'
+};
+
+async function createProfile(input) {
+    const { errors, value } = validateProfileInput(input);
+    if (errors.length > 0) return { success: false, code: 400, message: errors.join(' '), errors };
+    if (await getProfile(value.id)) return { success: false, code: 409, message: `A profile with ID "${value.id}" already exists.` };
+
+    const profile = await database.withTransaction(async (client) => {
+        if (value.isDefault) await client.query('UPDATE zedge_profiles SET is_default = false WHERE is_default');
+        const { rows } = await client.query(
+            `INSERT INTO zedge_profiles (id, name, business_id, profile_id, content_type, theme_patterns, priority, is_default, enabled, missed_policy)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+            [value.id, value.name, value.businessId, value.profileId, value.contentType, value.themePatterns,
+                value.priority, value.isDefault === true, value.enabled !== false, value.missedPolicy ? JSON.stringify(value.missedPolicy) : null]
+        );
+        return profileFromRow(rows[0]);
+    });
+    logger.info('Profile created.', { profileId: profile.id, name: profile.name });
+    return { success: true, code: 201, message: `Created profile "${profile.name}".`, profile };
+}
+
+async function updateProfile(id, input) {
+    const { errors, value } = validateProfileInput(input, true);
+    if (errors.length > 0) return { success: false, code: 400, message: errors.join(' '), errors };
+    if (Object.keys(value).length === 0) return { success: false, code: 400, message: 'No fields to update.' };
+
+    const profile = await database.withTransaction(async (client) => {
+        if (value.isDefault) await client.query('UPDATE zedge_profiles SET is_default = false WHERE is_default AND id <> $1', [id]);
+        const sets = [];
+        const params = [id];
+        for (const [key, column] of Object.entries(PROFILE_COLUMNS)) {
+            if (value[key] === undefined) continue;
+            params.push(key === 'missedPolicy' ? JSON.stringify(value[key]) : value[key]);
+            sets.push(`${column} = $${params.length}`);
+        }
+        const { rows } = await client.query(`UPDATE zedge_profiles SET ${sets.join(', ')}, updated_at = now() WHERE id = $1 RETURNING *`, params);
+        return rows[0] ? profileFromRow(rows[0]) : null;
+    });
+    if (!profile) return { success: false, code: 404, message: 'Profile not found.' };
+    return { success: true, code: 200, message: `Updated profile "${profile.name}".`, profile };
+}
+
+async function deleteProfile(id) {
+    const { rows: usage } = await database.query('SELECT COUNT(*)::int AS count FROM schedule_items WHERE profile_id = $1', [id]);
+    if (usage[0].count > 0) {
+        return { success: false, code: 409, message: `${usage[0].count} scheduled item(s) still use this profile. Reassign them first.` };
+    }
+    const { rows } = await database.query('DELETE FROM zedge_profiles WHERE id = $1 RETURNING *', [id]);
+    if (!rows[0]) return { success: false, code: 404, message: 'Profile not found.' };
+    return { success: true, code: 200, message: `Deleted profile "${rows[0].name}".` };
+}
+
+module.exports = {
+    CONTENT_TYPES,
+    buildProfileUrl,
+    listProfiles,
+    getProfile,
+    pickProfile,
+    resolveProfileForItem,
+    createProfile,
+    updateProfile,
+    deleteProfile
+};
@@ -0,0 +1,189 @@
+// =================================================================
+//                 ZEDGE PUBLISHER WORKER (publish_diagnostics.js)
+// =================================================================
+// Records every publish attempt and, for failed ones, the evidence
+// needed to debug it: a screenshot, the page HTML, the browser console
+// and a Playwright trace. Artifacts are stored in the database next to
+// the attempt so they survive restarts and DB switches.
+// =================================================================
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const database = require('./database.js');
+const logger = require('./logger.js');
+
+// Artifacts are large; older ones are pruned but the attempt rows are kept.
+const ARTIFACT_RETENTION_DAYS = parseInt(process.env.ARTIFACT_RETENTION_DAYS, 10) || 14;
+const MAX_CONSOLE_LINES = 500;
+
+function attemptFromRow(row) {
+    return {
+        id: Number(row.id),
+        jobId: row.job_id === null ? null : Number(row.job_id),
+        itemId: row.item_id,
+        title: row.title,
+        action: row.action || 'publish',
+        attempt: row.attempt,
+        status: row.status,
+        error: row.error,
+        correlationId: row.correlation_id,
+        startedAtUTC: row.started_at.toISOString(),
+        finishedAtUTC: row.finished_at.toISOString(),
+        artifacts: []
+    };
+}
+
+function artifactFromRow(row) {
+    return {
+        id: Number(row.id),
+        attemptId: Number(row.attempt_id),
+        kind: row.kind,
+        fileName: row.file_name,
+        contentType: row.content_type,
+        sizeBytes: row.size_bytes
+    };
+}
+
+// --- Capture ---
+
+/**
+ * Starts recording a Playwright trace and the console output of a page.
+ * @param {import('playwright').BrowserContext} context
+ * @param {import('playwright').Page} page
+ * @returns {Promise<object>} A capture handle for collectFailureArtifacts() / discardCapture().
+ */
+async function startCapture(context, page) {
+    const capture = { context, page, consoleLines: [], tracing: false };
+    const log = (line) => {
+        if (capture.consoleLines.length < MAX_CONSOLE_LINES) capture.consoleLines.push(`[${new Date().toISOString()}] ${line}`);
+    };
+    page.on('console', msg => log(`${msg.type()}: ${msg.text()}`));
+    page.on('pageerror', error => log(`pageerror: ${error.message}`));
+    page.on('requestfailed', request => log(`requestfailed: ${request.method()} ${request.url()} ${request.failure()?.errorText || ''}`));
+    page.on('framenavigated', frame => { if (frame === page.mainFrame()) log(`navigated: ${frame.url()}`); });
+    try {
+        await context.tracing.start({ screenshots: true, snapshots: true });
+        capture.tracing = true;
+    } catch (error) {
+        logger.warn('Could not start Playwright tracing.', { error: error.message });
+    }
+    return capture;
+}
+
+/** Stops tracing without saving anything (used after a successful publish). */
+async function discardCapture(capture) {
+    if (!capture || !capture.tracing) return;
+    capture.tracing = false;
+    await capture.context.tracing.stop().catch(() => {});
+}
+
+/**
+ * Collects the screenshot, HTML, console log and trace for a failed attempt.
+ * Each artifact is best-effort: one failing to capture never hides the others.
+ * @returns {Promise<{kind: string, fileName: string, contentType: string, data: Buffer}[]>}
+ */
+async function collectFailureArtifacts(capture) {
+    if (!capture) return [];
+    const artifacts = [];
+    const { page } = capture;
+
+    try {
+        artifacts.push({ kind: 'screenshot', fileName: 'screenshot.png', contentType: 'image/png', data: await page.screenshot({ fullPage: true }) });
+    } catch (error) {
+        logger.warn('Could not capture failure screenshot.', { error: error.message });
+    }
+    try {
+        artifacts.push({ kind: 'html', fileName: 'page.html', contentType: 'text/html; charset=utf-8', data: Buffer.from(await page.content(), 'utf8') });
+    } catch (error) {
+        logger.warn('Could not capture page HTML.', { error: error.message });
+    }
+    const consoleText = [`URL: ${page.isClosed() ? '(page closed)' : page.url()}`, ...capture.consoleLines].join('\n');
+    artifacts.push({ kind: 'console', fileName: 'console.log', contentType: 'text/plain; charset=utf-8', data: Buffer.from(consoleText, 'utf8') });
+
+    if (capture.tracing) {
+        capture.tracing = false;
+        const tracePath = path.join(os.tmpdir(), `zedge-trace-${crypto.randomUUID()}.zip`);
+        try {
+            await capture.context.tracing.stop({ path: tracePath });
+            artifacts.push({ kind: 'trace', fileName: 'trace.zip', contentType: 'application/zip', data: await fs.readFile(tracePath) });
+        } catch (error) {
+            logger.warn('Could not save Playwright trace.', { error: error.message });
+        } finally {
+            await fs.unlink(tracePath).catch(() => {});
+        }
+    }
+    return artifacts;
+}
+
+// --- Attempt Records ---
+
+/**
+ * Stores one publish attempt and its artifacts.
+ * @param {object} attempt - { jobId, itemId, title, action, attempt, status: 'succeeded'|'failed', error, startedAt, correlationId }
+ * @param {object[]} artifacts - From collectFailureArtifacts().
+ * @returns {Promise<object>} The stored attempt, with artifact metadata.
+ */
+async function recordAttempt(attempt, artifacts = []) {
+    const stored = await database.withTransaction(async (client) => {
+        const { rows } = await client.query(
+            `INSERT INTO publish_attempts (job_id, item_id, title, action, attempt, status, error, started_at, correlation_id)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+            [attempt.jobId || null, attempt.itemId, attempt.title || null, attempt.action || 'publish', attempt.attempt, attempt.status, attempt.error || null, attempt.startedAt, attempt.correlationId || null]
+        );
+        const record = attemptFromRow(rows[0]);
+        for (const artifact of artifacts) {
+            const { rows: artifactRows } = await client.query(
+                `INSERT INTO publish_artifacts (attempt_id, kind, file_name, content_type, size_bytes, data)
+                 VALUES ($1, $2, $3, $4, $5, $6)
+                 RETURNING id, attempt_id, kind, file_name, content_type, size_bytes`,
+                [record.id, artifact.kind, artifact.fileName, artifact.contentType, artifact.data.length, artifact.data]
+            );
+            record.artifacts.push(artifactFromRow(artifactRows[0]));
+        }
+        return record;
+    });
+    await pruneOldArtifacts().catch(error => logger.error('Could not prune old artifacts.', { error: error.message }));
+    return stored;
+}
+
+async function pruneOldArtifacts() {
+    await database.query("DELETE FROM publish_artifacts WHERE created_at < now() - make_interval(days => $1)", [ARTIFACT_RETENTION_DAYS]);
+}
+
+/**
+ * Lists an item's attempts, newest first, with artifact metadata (no data).
+ */
+async function listAttemptsForItem(itemId) {
+    const { rows } = await database.query('SELECT * FROM publish_attempts WHERE item_id = $1 ORDER BY started_at DESC, id DESC', [itemId]);
+    const attempts = rows.map(attemptFromRow);
+    if (attempts.length === 0) return attempts;
+
+    const { rows: artifactRows } = await database.query(
+        'SELECT id, attempt_id, kind, file_name, content_type, size_bytes FROM publish_artifacts WHERE attempt_id = ANY($1) ORDER BY id',
+        [attempts.map(a => a.id)]
+    );
+    const byId = new Map(attempts.map(a => [a.id, a]));
+    for (const row of artifactRows) byId.get(Number(row.attempt_id)).artifacts.push(artifactFromRow(row));
+    return attempts;
+}
+
+/**
+ * Returns one artifact including its data.
+ * @returns {Promise<object|null>}
+ */
+async function getArtifact(id) {
+    const { rows } = await database.query('SELECT * FROM publish_artifacts WHERE id = $1', [id]);
+    if (!rows[0]) return null;
+    return { ...artifactFromRow(rows[0]), data: rows[0].data };
+}
+
+module.exports = {
+    startCapture,
+    discardCapture,
+    collectFailureArtifacts,
+    recordAttempt,
+    listAttemptsForItem,
+    getArtifact
+};
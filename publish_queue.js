@@ -0,0 +1,221 @@
+// =================================================================
+//                 ZEDGE PUBLISHER WORKER (publish_queue.js)
+// =================================================================
+// A durable publishing queue stored in the `publish_jobs` table.
+// Jobs are claimed with a lease that the running worker keeps alive
+// with heartbeats. If the worker dies mid-publish, the lease expires
+// and the job is picked up again after a restart. Failed attempts are
+// retried with exponential backoff until `max_attempts` is reached,
+// after which the job is parked in the `dead` state.
+// =================================================================
+
+const os = require('os');
+const crypto = require('crypto');
+const database = require('./database.js');
+const logger = require('./logger.js');
+
+const QUEUE_CONFIG = {
+    maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS, 10) || 3,
+    backoffBaseSeconds: parseInt(process.env.QUEUE_BACKOFF_BASE_SECONDS, 10) || 30,
+    backoffMaxSeconds: parseInt(process.env.QUEUE_BACKOFF_MAX_SECONDS, 10) || 600,
+    leaseSeconds: parseInt(process.env.QUEUE_LEASE_SECONDS, 10) || 120
+};
+
+// Identifies this process as the lease owner of the jobs it runs.
+const WORKER_ID = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+function jobFromRow(row) {
+    return {
+        id: Number(row.id),
+        itemId: row.item_id,
+        status: row.status,
+        attempts: row.attempts,
+        maxAttempts: row.max_attempts,
+        runAt: row.run_at.toISOString(),
+        leaseOwner: row.lease_owner,
+        lastError: row.last_error,
+        reason: row.reason
+    };
+}
+
+/**
+ * Seconds to wait before the next attempt: base * 2^(attempts - 1), capped at the configured max.
+ * @param {number} attempts - Attempts made so far (>= 1).
+ */
+function getBackoffSeconds(attempts) {
+    const delay = QUEUE_CONFIG.backoffBaseSeconds * Math.pow(2, Math.max(0, attempts - 1));
+    return Math.min(delay, QUEUE_CONFIG.backoffMaxSeconds);
+}
+
+/**
+ * Decides what happens to a job after a failed attempt: another try after a backoff,
+ * or `dead` once it has used all of its attempts.
+ * @param {{attempts: number, maxAttempts: number}} job - `attempts` includes the one that just failed.
+ * @returns {{dead: boolean, retryInSeconds?: number}}
+ */
+function decideRetry(job) {
+    if (job.attempts >= job.maxAttempts) return { dead: true };
+    return { dead: false, retryInSeconds: getBackoffSeconds(job.attempts) };
+}
+
+/**
+ * Adds a publish job for an item. An item can only have one active job at a time.
+ * @param {string} itemId - The schedule item to publish.
+ * @param {string} reason - Why the job was queued (e.g. 'schedule', 'manual', 'missed').
+ * @returns {Promise<object|null>} The new job, or null if the item was already queued.
+ */
+async function enqueueJob(itemId, reason, client = database) {
+    const { rows } = await client.query(
+        `INSERT INTO publish_jobs (item_id, reason, max_attempts) VALUES ($1, $2, $3)
+         ON CONFLICT (item_id) WHERE status IN ('queued', 'running') DO NOTHING
+         RETURNING *`,
+        [itemId, reason, QUEUE_CONFIG.maxAttempts]
+    );
+    return rows[0] ? jobFromRow(rows[0]) : null;
+}
+
+/**
+ * Atomically claims the next due job for this worker and starts its lease.
+ * @returns {Promise<object|null>} The claimed job, or null if nothing is due.
+ */
+async function claimNextJob() {
+    const { rows } = await database.query(
+        `UPDATE publish_jobs
+         SET status = 'running', attempts = attempts + 1, lease_owner = $1,
+             lease_expires_at = now() + make_interval(secs => $2), updated_at = now()
+         WHERE id = (
+             SELECT id FROM publish_jobs
+             WHERE status = 'queued' AND run_at <= now()
+             ORDER BY run_at ASC, id ASC
+             LIMIT 1
+             FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [WORKER_ID, QUEUE_CONFIG.leaseSeconds]
+    );
+    return rows[0] ? jobFromRow(rows[0]) : null;
+}
+
+/**
+ * Keeps the lease of a running job alive until the returned function is called.
+ * @param {number} jobId - The running job.
+ * @returns {Function} Call to stop the heartbeat.
+ */
+function startHeartbeat(jobId) {
+    const intervalMs = Math.max(5, Math.floor(QUEUE_CONFIG.leaseSeconds / 3)) * 1000;
+    const timer = setInterval(() => {
+        database.query(
+            `UPDATE publish_jobs SET lease_expires_at = now() + make_interval(secs => $3), updated_at = now()
+             WHERE id = $1 AND lease_owner = $2 AND status = 'running'`,
+            [jobId, WORKER_ID, QUEUE_CONFIG.leaseSeconds]
+        ).catch(error => logger.error('Job heartbeat failed.', { jobId, error: error.message }));
+    }, intervalMs);
+    return () => clearInterval(timer);
+}
+
+/**
+ * Marks a job as finished.
+ * @param {number} jobId - The job.
+ * @param {string} status - 'succeeded' or 'cancelled'.
+ * @param {string} [message] - Optional note stored in last_error (e.g. why it was cancelled).
+ */
+async function finishJob(jobId, status, message = null) {
+    await database.query(
+        `UPDATE publish_jobs SET status = $2, last_error = COALESCE($3, last_error), lease_owner = NULL,
+             lease_expires_at = NULL, finished_at = now(), updated_at = now()
+         WHERE id = $1`,
+        [jobId, status, message]
+    );
+}
+
+/**
+ * Records a failed attempt. The job is re-queued with backoff, or moved to `dead`
+ * once it has used all of its attempts.
+ * @returns {Promise<{dead: boolean, retryInSeconds?: number}>}
+ */
+async function failJob(job, errorMessage) {
+    const decision = decideRetry(job);
+    if (decision.dead) {
+        await database.query(
+            `UPDATE publish_jobs SET status = 'dead', last_error = $2, lease_owner = NULL,
+                 lease_expires_at = NULL, finished_at = now(), updated_at = now()
+             WHERE id = $1`,
+            [job.id, errorMessage]
+        );
+        return decision;
+    }
+    await database.query(
+        `UPDATE publish_jobs SET status = 'queued', last_error = $2, lease_owner = NULL, lease_expires_at = NULL,
+             run_at = now() + make_interval(secs => $3), updated_at = now()
+         WHERE id = $1`,
+        [job.id, errorMessage, decision.retryInSeconds]
+    );
+    return decision;
+}
+
+/**
+ * Returns jobs whose lease ran out (the worker crashed or was restarted mid-publish)
+ * to the queue, or to `dead` if they have no attempts left.
+ * @returns {Promise<object[]>} The recovered jobs.
+ */
+async function recoverExpiredLeases() {
+    const { rows } = await database.query(
+        `UPDATE publish_jobs
+         SET status = CASE WHEN attempts >= max_attempts THEN 'dead' ELSE 'queued' END,
+             last_error = 'Lease expired before the attempt finished (worker restarted or stalled).',
+             finished_at = CASE WHEN attempts >= max_attempts THEN now() ELSE NULL END,
+             lease_owner = NULL, lease_expires_at = NULL, run_at = now(), updated_at = now()
+         WHERE status = 'running' AND lease_expires_at < now()
+         RETURNING *`
+    );
+    return rows.map(jobFromRow);
+}
+
+/**
+ * Cancels queued (not running) jobs for an item, e.g. when the item is deleted.
+ */
+async function cancelQueuedJobsForItem(itemId, client = database) {
+    const { rowCount } = await client.query(
+        `UPDATE publish_jobs SET status = 'cancelled', last_error = 'Cancelled by operator.', finished_at = now(), updated_at = now()
+         WHERE item_id = $1 AND status = 'queued'`,
+        [itemId]
+    );
+    return rowCount;
+}
+
+/**
+ * @returns {Promise<Map<string, object>>} Active (queued or running) jobs keyed by item ID.
+ */
+async function getActiveJobsByItem() {
+    const { rows } = await database.query('SELECT * FROM publish_jobs WHERE status = ANY($1)', [ACTIVE_STATUSES]);
+    return new Map(rows.map(row => [row.item_id, jobFromRow(row)]));
+}
+
+async function getActiveJobForItem(itemId) {
+    const { rows } = await database.query('SELECT * FROM publish_jobs WHERE item_id = $1 AND status = ANY($2)', [itemId, ACTIVE_STATUSES]);
+    return rows[0] ? jobFromRow(rows[0]) : null;
+}
+
+async function countActiveJobs() {
+    const { rows } = await database.query('SELECT COUNT(*)::int AS count FROM publish_jobs WHERE status = ANY($1)', [ACTIVE_STATUSES]);
+    return rows[0].count;
+}
+
+module.exports = {
+    WORKER_ID,
+    QUEUE_CONFIG,
+    getBackoffSeconds,
+    decideRetry,
+    enqueueJob,
+    claimNextJob,
+    startHeartbeat,
+    finishJob,
+    failJob,
+    recoverExpiredLeases,
+    cancelQueuedJobsForItem,
+    getActiveJobsByItem,
+    getActiveJobForItem,
+    countActiveJobs
+};
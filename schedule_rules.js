@@ -0,0 +1,363 @@
+// =================================================================
+//                 ZEDGE PUBLISHER WORKER (schedule_rules.js)
+// =================================================================
+// Rules that turn the backlog (items without a time) into scheduled
+// items. Two kinds:
+//   - recurring: fixed local times, e.g. 09:00 and 18:00 every day,
+//     each slot takes the next backlog item for the rule's profile.
+//   - cadence: spreads the backlog out automatically, with a maximum
+//     per day, a minimum spacing and blackout windows.
+// expandRules() runs on every schedule check and only ever looks
+// RULE_HORIZON_HOURS ahead, so the schedule fills up gradually.
+// =================================================================
+
+const database = require('./database.js');
+const store = require('./data_store.js');
+const profiles = require('./profiles.js');
+const timezones = require('./timezones.js');
+const logger = require('./logger.js');
+
+const RULE_TYPES = ['recurring', 'cadence'];
+const RULE_HORIZON_HOURS = parseInt(process.env.RULE_HORIZON_HOURS, 10) || 24;
+// Arbitrary constant so two worker instances never hand out the same backlog item.
+const EXPANSION_LOCK_ID = 734202;
+// Cadence slots are never placed closer to "now" than this, so they don't go straight to missed.
+const CADENCE_LEAD_MS = 2 * 60 * 1000;
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+function ruleFromRow(row) {
+    return {
+        id: Number(row.id),
+        name: row.name,
+        type: row.type,
+        profileId: row.profile_id,
+        timezone: row.timezone,
+        config: row.config,
+        enabled: row.enabled,
+        expandedUntilUTC: row.expanded_until ? row.expanded_until.toISOString() : null,
+        createdAtUTC: row.created_at.toISOString(),
+        updatedAtUTC: row.updated_at.toISOString()
+    };
+}
+
+// --- Validation ---
+function validateDaysOfWeek(days, errors) {
+    if (days === undefined) return ALL_DAYS;
+    if (!Array.isArray(days) || days.length === 0 || days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+        errors.push('daysOfWeek must be a non-empty list of 0 (Sunday) to 6 (Saturday).');
+        return null;
+    }
+    return Array.from(new Set(days)).sort();
+}
+
+function validateConfig(type, config, errors) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        errors.push('config must be an object.');
+        return null;
+    }
+    const daysOfWeek = validateDaysOfWeek(config.daysOfWeek, errors);
+
+    if (type === 'recurring') {
+        const times = Array.isArray(config.times) ? config.times.map(t => String(t).trim()) : [];
+        if (times.length === 0) errors.push('config.times needs at least one "HH:MM" time.');
+        const invalid = times.filter(t => !timezones.parseTimeOfDay(t));
+        if (invalid.length > 0) errors.push(`Invalid time(s): ${invalid.join(', ')}. Use 24h "HH:MM".`);
+        return { times: Array.from(new Set(times)).sort(), daysOfWeek };
+    }
+
+    const maxPerDay = Number(config.maxPerDay);
+    if (!Number.isInteger(maxPerDay) || maxPerDay < 1) errors.push('config.maxPerDay must be a positive integer.');
+    const minSpacingMinutes = config.minSpacingMinutes === undefined ? 60 : Number(config.minSpacingMinutes);
+    if (!Number.isInteger(minSpacingMinutes) || minSpacingMinutes < 1) errors.push('config.minSpacingMinutes must be a positive integer.');
+    const blackouts = config.blackouts === undefined ? [] : config.blackouts;
+    if (!Array.isArray(blackouts) || blackouts.some(b => !b || !timezones.parseTimeOfDay(b.start) || !timezones.parseTimeOfDay(b.end) || b.start === b.end)) {
+        errors.push('config.blackouts must be a list of { "start": "HH:MM", "end": "HH:MM" } windows.');
+    }
+    return { maxPerDay, minSpacingMinutes, blackouts: Array.isArray(blackouts) ? blackouts.map(b => ({ start: b.start, end: b.end })) : [], daysOfWeek };
+}
+
+/**
+ * Validates rule input from the API.
+ * @param {object} input - { name, type, profileId, timezone, config, enabled }
+ * @param {Set<string>} profileIds - Registered profile IDs.
+ * @param {object|null} existing - The current rule when updating (fields not given are kept).
+ * @returns {{errors: string[], value: object}}
+ */
+function validateRuleInput(input, profileIds, existing = null) {
+    const errors = [];
+    if (!input || typeof input !== 'object') return { errors: ['Rule must be an object.'], value: {} };
+    const merged = { ...(existing || {}), ...input };
+    const value = {};
+
+    const name = typeof merged.name === 'string' ? merged.name.trim() : '';
+    if (!name) errors.push('Name is required.');
+    value.name = name;
+
+    if (!RULE_TYPES.includes(merged.type)) errors.push(`Type must be one of: ${RULE_TYPES.join(', ')}.`);
+    value.type = merged.type;
+
+    if (merged.profileId && !profileIds.has(merged.profileId)) errors.push(`Unknown profile "${merged.profileId}".`);
+    value.profileId = merged.profileId || null;
+
+    value.timezone = merged.timezone || timezones.DEFAULT_TIMEZONE;
+    if (!timezones.isValidTimeZone(value.timezone)) errors.push(`Unknown time zone "${value.timezone}".`);
+
+    if (RULE_TYPES.includes(value.type)) value.config = validateConfig(value.type, merged.config, errors);
+    value.enabled = merged.enabled !== false;
+    return { errors, value };
+}
+
+// --- CRUD ---
+async function listRules(client = database) {
+    const { rows } = await client.query('SELECT * FROM schedule_rules ORDER BY id ASC');
+    return rows.map(ruleFromRow);
+}
+
+async function getRule(id, client = database) {
+    const { rows } = await client.query('SELECT * FROM schedule_rules WHERE id = $1', [id]);
+    return rows[0] ? ruleFromRow(rows[0]) : null;
+}
+
+async function getProfileIds() {
+    return new Set((await profiles.listProfiles()).map(p => p.id));
+}
+
+async function createRule(input) {
+    const { errors, value } = validateRuleInput(input, await getProfileIds());
+    if (errors.length > 0) return { success: false, code: 400, message: errors.join(' '), errors };
+    const { rows } = await database.query(
+        `INSERT INTO schedule_rules (name, type, profile_id, timezone, config, enabled)
+         VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+        [value.name, value.type, value.profileId, value.timezone, JSON.stringify(value.config), value.enabled]
+    );
+    const rule = ruleFromRow(rows[0]);
+    logger.info('Schedule rule created.', { ruleId: rule.id, name: rule.name, type: rule.type });
+    return { success: true, code: 201, message: `Created rule "${rule.name}".`, rule };
+}
+
+async function updateRule(id, input) {
+    const existing = await getRule(id);
+    if (!existing) return { success: false, code: 404, message: 'Rule not found.' };
+    const { errors, value } = validateRuleInput(input, await getProfileIds(), existing);
+    if (errors.length > 0) return { success: false, code: 400, message: errors.join(' '), errors };
+    // A changed rule starts again from "now"; slots it already filled stay as they are.
+    const { rows } = await database.query(
+        `UPDATE schedule_rules SET name = $2, type = $3, profile_id = $4, timezone = $5, config = $6, enabled = $7,
+             expanded_until = NULL, updated_at = now()
+         WHERE id = $1 RETURNING *`,
+        [id, value.name, value.type, value.profileId, value.timezone, JSON.stringify(value.config), value.enabled]
+    );
+    return { success: true, code: 200, message: `Updated rule "${rows[0].name}".`, rule: ruleFromRow(rows[0]) };
+}
+
+async function deleteRule(id) {
+    const { rows } = await database.query('DELETE FROM schedule_rules WHERE id = $1 RETURNING *', [id]);
+    if (!rows[0]) return { success: false, code: 404, message: 'Rule not found.' };
+    return { success: true, code: 200, message: `Deleted rule "${rows[0].name}". Items it already scheduled are kept.` };
+}
+
+// --- Slot Calculation ---
+
+/**
+ * Lists the recurring slots after `from` and up to `to`, in order.
+ */
+function listRecurringSlots(rule, from, to) {
+    const { times, daysOfWeek } = rule.config;
+    const slots = [];
+    let date = timezones.getZonedParts(from, rule.timezone);
+    const last = timezones.getZonedParts(to, rule.timezone);
+    // Walk local calendar days; one extra day covers zones ahead of UTC.
+    for (let i = 0; i < 400; i++) {
+        const weekday = new Date(Date.UTC(date.year, date.month - 1, date.day)).getUTCDay();
+        if ((daysOfWeek || ALL_DAYS).includes(weekday)) {
+            for (const time of times) {
+                const slot = timezones.zonedTimeToUtc({ ...date, ...timezones.parseTimeOfDay(time) }, rule.timezone);
+                if (slot > from && slot <= to) slots.push(slot);
+            }
+        }
+        if (date.year === last.year && date.month === last.month && date.day === last.day) break;
+        date = timezones.addDays(date, 1);
+    }
+    return slots.sort((a, b) => a - b);
+}
+
+function localDayKey(date, timeZone) {
+    const p = timezones.getZonedParts(date, timeZone);
+    return `${p.year}-${p.month}-${p.day}`;
+}
+
+/**
+ * If `date` falls in a blackout window, returns when that window ends; otherwise null.
+ */
+function getBlackoutEnd(date, rule) {
+    const local = timezones.getZonedParts(date, rule.timezone);
+    const minutes = local.hour * 60 + local.minute;
+    for (const window of rule.config.blackouts || []) {
+        const start = timezones.parseTimeOfDay(window.start);
+        const end = timezones.parseTimeOfDay(window.end);
+        const startMinutes = start.hour * 60 + start.minute;
+        const endMinutes = end.hour * 60 + end.minute;
+        const wraps = startMinutes > endMinutes; // e.g. 22:00 - 07:00
+        const inside = wraps ? (minutes >= startMinutes || minutes < endMinutes) : (minutes >= startMinutes && minutes < endMinutes);
+        if (!inside) continue;
+        const endDay = wraps && minutes >= startMinutes ? timezones.addDays(local, 1) : local;
+        return timezones.zonedTimeToUtc({ ...endDay, ...end }, rule.timezone);
+    }
+    return null;
+}
+
+function startOfNextLocalDay(date, timeZone) {
+    return timezones.zonedTimeToUtc(timezones.addDays(timezones.getZonedParts(date, timeZone), 1), timeZone);
+}
+
+/**
+ * Finds the next cadence slot at or after `candidate` that respects the rule's days,
+ * blackouts, daily maximum and spacing against `taken` times.
+ * @returns {Date|null} The slot, or null if none exists before `to`.
+ */
+function findNextCadenceSlot(rule, candidate, to, taken) {
+    const { maxPerDay, minSpacingMinutes, daysOfWeek } = rule.config;
+    const spacingMs = minSpacingMinutes * 60 * 1000;
+    let slot = new Date(Math.ceil(candidate.getTime() / 60000) * 60000);
+
+    for (let i = 0; i < 1000 && slot <= to; i++) {
+        const local = timezones.getZonedParts(slot, rule.timezone);
+        if (!(daysOfWeek || ALL_DAYS).includes(local.weekday)) {
+            slot = startOfNextLocalDay(slot, rule.timezone);
+            continue;
+        }
+        const blackoutEnd = getBlackoutEnd(slot, rule);
+        if (blackoutEnd) {
+            slot = blackoutEnd;
+            continue;
+        }
+        const dayKey = localDayKey(slot, rule.timezone);
+        if (taken.filter(t => localDayKey(t, rule.timezone) === dayKey).length >= maxPerDay) {
+            slot = startOfNextLocalDay(slot, rule.timezone);
+            continue;
+        }
+        const conflict = taken.find(t => Math.abs(t - slot) < spacingMs);
+        if (conflict) {
+            slot = new Date(conflict.getTime() + spacingMs);
+            continue;
+        }
+        return slot;
+    }
+    return null;
+}
+
+// --- Expansion ---
+
+/**
+ * Lists when a rule's items are scheduled or were published, from `since` on.
+ */
+async function listRuleTimes(ruleId, since, client = database) {
+    const { rows } = await client.query(
+        `SELECT scheduled_at AS at FROM schedule_items WHERE rule_id = $1 AND scheduled_at >= $2
+         UNION ALL
+         SELECT published_at AS at FROM publish_history WHERE rule_id = $1 AND published_at >= $2`,
+        [ruleId, since]
+    );
+    return rows.map(r => r.at);
+}
+
+/**
+ * Works out which backlog items a rule would place in which of its upcoming slots,
+ * without touching the database (the simulation replays rules with this too).
+ * @param {object[]} backlog - Remaining backlog items; used items are removed from it.
+ * @param {Date[]} taken - For cadence rules, the rule's recent and upcoming times.
+ * @returns {{assignments: {item: object, slot: Date}[], expandedUntil: Date}}
+ */
+function planRule(rule, now, backlog, profileList, taken = []) {
+    const to = new Date(now.getTime() + RULE_HORIZON_HOURS * 60 * 60 * 1000);
+    const takeNextItem = () => {
+        const index = backlog.findIndex(item => {
+            if (!rule.profileId) return true;
+            const profile = profiles.pickProfile(item, profileList);
+            return profile !== null && profile.id === rule.profileId;
+        });
+        return index === -1 ? null : backlog.splice(index, 1)[0];
+    };
+    const assignments = [];
+
+    if (rule.type === 'recurring') {
+        const from = rule.expandedUntilUTC && new Date(rule.expandedUntilUTC) > now ? new Date(rule.expandedUntilUTC) : now;
+        for (const slot of listRecurringSlots(rule, from, to)) {
+            const item = takeNextItem();
+            // Out of drafts: remember where we stopped so later slots get the next ones.
+            if (!item) return { assignments, expandedUntil: new Date(slot.getTime() - 1) };
+            assignments.push({ item, slot });
+        }
+        return { assignments, expandedUntil: to };
+    }
+
+    const times = [...taken];
+    let candidate = new Date(now.getTime() + CADENCE_LEAD_MS);
+    while (backlog.length > 0) {
+        const slot = findNextCadenceSlot(rule, candidate, to, times);
+        if (!slot) break;
+        const item = takeNextItem();
+        if (!item) break;
+        assignments.push({ item, slot });
+        times.push(slot);
+        candidate = slot;
+    }
+    return { assignments, expandedUntil: to };
+}
+
+/**
+ * Assigns backlog items to the rule's upcoming slots.
+ * @param {object[]} backlog - Remaining backlog items; used items are removed from it.
+ * @returns {Promise<object[]>} The items that were scheduled.
+ */
+async function expandRule(rule, now, backlog, profileList, client) {
+    // Cadence: look back a day so today's earlier publishes count toward the daily maximum.
+    const taken = rule.type === 'cadence' ? await listRuleTimes(rule.id, new Date(now.getTime() - 24 * 60 * 60 * 1000), client) : [];
+    const { assignments, expandedUntil } = planRule(rule, now, backlog, profileList, taken);
+    const scheduled = [];
+    for (const { item, slot } of assignments) {
+        scheduled.push(await store.updateScheduleItem(item.id, { scheduledAtUTC: slot.toISOString(), status: 'Pending', ruleId: rule.id }, client));
+        logger.info('Rule scheduled an item.', { ruleId: rule.id, rule: rule.name, itemId: item.id, title: item.title, scheduledAtUTC: slot.toISOString() });
+    }
+    await client.query('UPDATE schedule_rules SET expanded_until = $2 WHERE id = $1', [rule.id, expandedUntil]);
+    return scheduled;
+}
+
+/**
+ * Expands every enabled rule into concrete schedule items.
+ * @param {Date} now - The reference time.
+ * @returns {Promise<object[]>} The items that were scheduled.
+ */
+async function expandRules(now) {
+    return database.withTransaction(async (client) => {
+        const { rows: lock } = await client.query('SELECT pg_try_advisory_xact_lock($1) AS locked', [EXPANSION_LOCK_ID]);
+        if (!lock[0].locked) return []; // Another instance is expanding right now.
+
+        const rules = (await listRules(client)).filter(r => r.enabled);
+        if (rules.length === 0) return [];
+        const backlog = await store.listBacklogItems(client);
+        if (backlog.length === 0) return [];
+        const profileList = await profiles.listProfiles(client);
+
+        const scheduled = [];
+        // Rules run in id order, so an older rule gets first pick of a shared backlog.
+        for (const rule of rules) {
+            scheduled.push(...await expandRule(rule, now, backlog, profileList, client));
+        }
+        return scheduled;
+    });
+}
+
+module.exports = {
+    RULE_TYPES,
+    listRules,
+    getRule,
+    createRule,
+    updateRule,
+    deleteRule,
+    listRecurringSlots,
+    findNextCadenceSlot,
+    listRuleTimes,
+    planRule,
+    expandRules
+};
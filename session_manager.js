@@ -0,0 +1,338 @@
+// =================================================================
+//                 ZEDGE PUBLISHER WORKER (session_manager.js)
+// =================================================================
+// Owns the Zedge login session:
+//   - the result of the last check is cached for a while, so status
+//     requests don't open a browser context every time;
+//   - the session is renewed before its cookies run out;
+//   - when Zedge asks for an email verification code, the operator is
+//     asked for it in chat and it is typed into the waiting login page.
+// Only one check or login runs at a time; everyone else shares it.
+// =================================================================
+
+const store = require('./data_store.js');
+const zedgePages = require('./zedge_pages.js');
+const logger = require('./logger.js');
+
+const SESSION_CONFIG = {
+    // How long a check result is trusted before the session is checked again.
+    checkTtlMinutes: parseInt(process.env.SESSION_CHECK_TTL_MINUTES, 10) || 15,
+    // Log in again this long before the session's cookies expire.
+    refreshAheadHours: parseInt(process.env.SESSION_REFRESH_AHEAD_HOURS, 10) || 12,
+    // After a failed login, don't try again on our own for this long.
+    retryMinutes: parseInt(process.env.SESSION_RETRY_MINUTES, 10) || 5,
+    // After an early renewal fails (the current session still works), wait this long before the next one.
+    renewRetryMinutes: 60,
+    // How long the login page waits for the operator to send the verification code.
+    otpTimeoutMinutes: parseInt(process.env.OTP_TIMEOUT_MINUTES, 10) || 10,
+    otpMaxAttempts: 3
+};
+const SESSION_NAME = 'zedge';
+const OTP_CODE_PATTERN = /^[A-Za-z0-9]{4,10}$/;
+
+let browser = null;
+let hooks = {};
+let status = { loggedIn: false, error: 'Not checked yet.', checkedAt: null, expiresAt: null };
+let lastLoginFailedAt = null;
+let lastRenewFailedAt = null;
+let task = null;
+// The login waiting for a verification code: { resolve }.
+let otpWaiter = null;
+
+/**
+ * @typedef {object} SessionHooks
+ * @property {function(string): void} onCheck - Check result: 'valid', 'expired', 'missing' or 'error'.
+ * @property {function(string): void} onExpired - The saved session stopped working.
+ * @property {function(): Promise<void>} onSessionSaved - A new session was saved.
+ * @property {function(string, string): Promise<void>} notify - (message, category)
+ * @property {function(Buffer, string, string): Promise<void>} notifyImage - (PNG data, caption, category)
+ */
+
+/**
+ * @param {import('playwright').Browser} browserInstance - The shared browser.
+ * @param {SessionHooks} sessionHooks
+ */
+function init(browserInstance, sessionHooks) {
+    browser = browserInstance;
+    hooks = sessionHooks;
+}
+
+/**
+ * When the session's login cookies run out. Those are httpOnly; analytics cookies set
+ * by page scripts are not, and often expire within minutes.
+ * @returns {Date|null} Null when every login cookie lasts as long as the browser session.
+ */
+function getSessionExpiry(storageState) {
+    const expiries = ((storageState && storageState.cookies) || [])
+        .filter(cookie => cookie.httpOnly && cookie.expires > 0)
+        .map(cookie => cookie.expires * 1000);
+    return expiries.length > 0 ? new Date(Math.min(...expiries)) : null;
+}
+
+function setStatus(loggedIn, { error = null, expiresAt = null } = {}) {
+    status = { loggedIn, error, checkedAt: new Date(), expiresAt };
+}
+
+/**
+ * The last known state, without checking anything.
+ * @returns {{loggedIn: boolean, error: string|null, checkedAtUTC: string|null, expiresAtUTC: string|null, checking: boolean, otpPending: boolean}}
+ */
+function getSnapshot() {
+    return {
+        loggedIn: status.loggedIn,
+        error: status.error,
+        checkedAtUTC: status.checkedAt ? status.checkedAt.toISOString() : null,
+        expiresAtUTC: status.expiresAt ? status.expiresAt.toISOString() : null,
+        checking: task !== null,
+        otpPending: otpWaiter !== null
+    };
+}
+
+function isFresh(now = new Date()) {
+    return status.checkedAt !== null && now - status.checkedAt < SESSION_CONFIG.checkTtlMinutes * 60 * 1000;
+}
+
+function isBackingOff(now = new Date()) {
+    return lastLoginFailedAt !== null && now - lastLoginFailedAt < SESSION_CONFIG.retryMinutes * 60 * 1000;
+}
+
+// Every check and login goes through here, so only one runs at a time.
+function runTask(work) {
+    if (!task) {
+        task = work().finally(() => { task = null; });
+    }
+    return task;
+}
+
+// --- Checking ---
+
+async function checkSession() {
+    logger.debug('Checking the saved Zedge session.');
+    let context;
+    try {
+        const sessionData = await store.getSession(SESSION_NAME);
+        if (!sessionData) {
+            logger.info('No saved Zedge session. Logging in.');
+            hooks.onCheck('missing');
+            return await login();
+        }
+
+        context = await browser.newContext({ storageState: sessionData });
+        const page = await context.newPage();
+        if (!(await zedgePages.isSessionValid(page))) {
+            logger.warn('Saved Zedge session expired. Logging in again.');
+            hooks.onCheck('expired');
+            hooks.onExpired('Saved Zedge session is no longer valid; logging in again.');
+            await context.close();
+            context = null;
+            return await login();
+        }
+        hooks.onCheck('valid');
+        setStatus(true, { expiresAt: getSessionExpiry(sessionData) });
+        return status;
+    } catch (error) {
+        logger.error('Zedge session check failed.', { error: error.message });
+        hooks.onCheck('error');
+        return await login();
+    } finally {
+        if (context) await context.close();
+    }
+}
+
+// --- Logging In ---
+
+/**
+ * ZEDGE_EMAIL and ZEDGE_PASSWORD when both are set, otherwise the credentials saved from the web app.
+ * @returns {Promise<{email: string, password: string}|null>}
+ */
+async function getCredentials() {
+    if (process.env.ZEDGE_EMAIL && process.env.ZEDGE_PASSWORD) {
+        return { email: process.env.ZEDGE_EMAIL, password: process.env.ZEDGE_PASSWORD };
+    }
+    return store.getCredentials();
+}
+
+async function login() {
+    let context;
+    try {
+        const credentials = await getCredentials();
+        if (!credentials) {
+            logger.error('CRITICAL: No Zedge credentials. Set ZEDGE_EMAIL and ZEDGE_PASSWORD or save them in the web app.');
+            throw new Error('Missing credentials.');
+        }
+        context = await browser.newContext();
+        const page = await context.newPage();
+        // Use .trim() to prevent hidden spaces in environment variables
+        const email = credentials.email.trim();
+
+        logger.info('Logging in to Zedge.', { email });
+        const result = await zedgePages.login(page, { email, password: credentials.password });
+        if (result.otpRequired) await completeOtp(page, email);
+
+        logger.info('Login successful. Saving session to database.');
+        const storageState = await context.storageState();
+        await store.saveSession(SESSION_NAME, storageState);
+        await hooks.onSessionSaved();
+        lastLoginFailedAt = null;
+        setStatus(true, { expiresAt: getSessionExpiry(storageState) });
+    } catch (error) {
+        logger.error('Failed to log in.', { error: error.message });
+        lastLoginFailedAt = new Date();
+        setStatus(false, { error: error.message });
+    } finally {
+        if (context) await context.close();
+    }
+    return status;
+}
+
+/**
+ * Asks the operator for the verification code Zedge emailed and enters it,
+ * allowing a few wrong codes before giving up.
+ */
+async function completeOtp(page, email) {
+    const timeoutMinutes = SESSION_CONFIG.otpTimeoutMinutes;
+    logger.warn('Zedge asked for an email verification code. Waiting for the operator.', { email });
+    const screenshot = await page.screenshot().catch(() => null);
+    const prompt = `🔐 **Zedge needs a verification code** to log in as ${email}. Check that inbox and reply \`/otp <code>\` within ${timeoutMinutes} minutes.`;
+    await (screenshot ? hooks.notifyImage(screenshot, prompt, 'system') : hooks.notify(prompt, 'system'));
+
+    const deadline = Date.now() + timeoutMinutes * 60 * 1000;
+    for (let attempt = 1; attempt <= SESSION_CONFIG.otpMaxAttempts; attempt++) {
+        const { code, reply } = await waitForOtp(deadline);
+        let loggedIn;
+        try {
+            ({ loggedIn } = await zedgePages.submitOtp(page, code));
+        } catch (error) {
+            reply({ success: false, message: `Could not enter the code: ${error.message}` });
+            throw error;
+        }
+        if (loggedIn) {
+            reply({ success: true, message: 'Code accepted. Zedge is logged in again.' });
+            return;
+        }
+        const triesLeft = SESSION_CONFIG.otpMaxAttempts - attempt;
+        reply(triesLeft > 0
+            ? { success: false, message: `Zedge rejected the code. Send the right one with /otp <code> (${triesLeft} ${triesLeft === 1 ? 'try' : 'tries'} left).` }
+            : { success: false, message: 'Zedge rejected the code too many times. The login was abandoned.' });
+    }
+    throw new Error(`Zedge rejected the verification code ${SESSION_CONFIG.otpMaxAttempts} times.`);
+}
+
+function waitForOtp(deadline) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            otpWaiter = null;
+            const message = `No verification code was sent within ${SESSION_CONFIG.otpTimeoutMinutes} minutes.`;
+            hooks.notify(`❌ **Zedge login abandoned:** ${message}`, 'system');
+            reject(new Error(message));
+        }, Math.max(deadline - Date.now(), 0));
+        otpWaiter = {
+            resolve: value => {
+                clearTimeout(timer);
+                otpWaiter = null;
+                resolve(value);
+            }
+        };
+    });
+}
+
+/**
+ * Hands the code an operator sent to the login that is waiting for it.
+ * @param {string} code
+ * @returns {Promise<{success: boolean, message: string}>} Settles once Zedge has accepted or rejected the code.
+ */
+function provideOtp(code) {
+    const cleaned = String(code || '').replace(/[\s-]/g, '');
+    if (!otpWaiter) return Promise.resolve({ success: false, message: 'Zedge is not waiting for a verification code.' });
+    if (!OTP_CODE_PATTERN.test(cleaned)) return Promise.resolve({ success: false, message: 'That does not look like a verification code.' });
+    return new Promise(reply => otpWaiter.resolve({ code: cleaned, reply }));
+}
+
+/**
+ * Logs in again while the current session still works. If that fails, the current
+ * session is kept until it really expires.
+ */
+async function renewSession() {
+    const previous = status;
+    await login();
+    if (!status.loggedIn && previous.expiresAt > new Date()) {
+        lastRenewFailedAt = new Date();
+        lastLoginFailedAt = null;
+        await hooks.notify(`⚠️ **Could not renew the Zedge session:** ${status.error} The current session works until ${previous.expiresAt.toISOString()}.`, 'system');
+        status = previous;
+    } else {
+        lastRenewFailedAt = null;
+    }
+    return status;
+}
+
+// --- Public Entry Points ---
+
+/**
+ * The cached login state. Never waits for the browser; when the cache is stale a check
+ * is started in the background and the snapshot says `checking`.
+ */
+function getStatus() {
+    if (!task && !isFresh() && !isBackingOff()) {
+        runTask(checkSession).catch(error => logger.error('Background session check failed.', { error: error.message }));
+    }
+    return getSnapshot();
+}
+
+/**
+ * Makes sure there is a working session before a publish, checking or logging in if the
+ * cached result is too old. Waits for an ongoing login, including one waiting for a code.
+ * @returns {Promise<{loggedIn: boolean, error: string|null}>}
+ */
+async function ensureLoggedIn() {
+    if (task) await task;
+    else if (!isFresh() && !isBackingOff()) await runTask(checkSession);
+    return getSnapshot();
+}
+
+/**
+ * Checks the session right now, ignoring the cache and the retry delay (an operator asked).
+ * Doesn't wait while a login is waiting for a verification code.
+ */
+async function verifyNow() {
+    if (otpWaiter) return getSnapshot();
+    await runTask(checkSession);
+    return getSnapshot();
+}
+
+/**
+ * Forgets the cached result, e.g. after a publish was redirected to the login page.
+ */
+function invalidate(reason) {
+    if (!status.loggedIn) return;
+    logger.warn('Zedge session marked invalid.', { reason });
+    status = { ...status, checkedAt: null };
+}
+
+/**
+ * Called every worker tick: re-checks a stale session and logs in again ahead of
+ * the session's expiry, so publishes (and verification codes) don't wait until it's due.
+ */
+async function maintain(now = new Date()) {
+    if (task || isBackingOff(now)) return;
+    const expiresSoon = status.loggedIn && status.expiresAt
+        && status.expiresAt - now < SESSION_CONFIG.refreshAheadHours * 60 * 60 * 1000;
+    const renewDue = lastRenewFailedAt === null || now - lastRenewFailedAt >= SESSION_CONFIG.renewRetryMinutes * 60 * 1000;
+    if (expiresSoon && renewDue) {
+        logger.info('Zedge session expires soon. Logging in again.', { expiresAtUTC: status.expiresAt.toISOString() });
+        await runTask(renewSession);
+    } else if (!isFresh(now)) {
+        await runTask(checkSession);
+    }
+}
+
+module.exports = {
+    SESSION_CONFIG,
+    init,
+    getStatus,
+    ensureLoggedIn,
+    verifyNow,
+    invalidate,
+    maintain,
+    provideOtp
+};
@@ -0,0 +1,196 @@
+// =================================================================
+//                 ZEDGE PUBLISHER WORKER (simulation.js)
+// =================================================================
+// Replays the schedule against a clock without touching Zedge or the
+// database: pending items come due, schedule rules hand out backlog
+// items exactly as expandRules() would, and every publish is checked
+// for problems. The result says what would be published, dry-run,
+// missed or fail over the next N days, and which items conflict.
+// =================================================================
+
+const store = require('./data_store.js');
+const profiles = require('./profiles.js');
+const scheduleRules = require('./schedule_rules.js');
+const missedPolicy = require('./missed_policy.js');
+
+const SIMULATION_CONFIG = {
+    maxDays: 31,
+    // Rules are expanded once per simulated tick; the worker does it every minute, but slots don't depend on it.
+    tickMinutes: 15,
+    // Publishes to one profile closer together than this are reported as crowded.
+    profileGapMinutes: 5
+};
+
+function normalizeTitle(title) {
+    return String(title).trim().toLowerCase();
+}
+
+// Republishes and takedowns are meant to reuse a title that is already on Zedge.
+function isFirstPublish(event) {
+    return event.outcome === 'publish' && event.action === 'publish';
+}
+
+/**
+ * Replays the schedule from `now` to `end` on data that is already loaded: pending items
+ * come due, and the rules hand out backlog items as they would at each tick.
+ * @param {object} data - { items, backlog, profileList, rules, ruleTimes }: the schedule items, the
+ *   backlog (used items are removed from it), the profiles, the enabled rules (their expansion point
+ *   is moved along) and, per cadence rule id, its recent and upcoming times.
+ * @param {object} options - { now, end, workerPaused, dryRunMode }, as for simulateSchedule().
+ * @returns {object[]} What happens to each item that comes due, in order.
+ */
+function replaySchedule({ items, backlog, profileList, rules, ruleTimes }, { now, end, workerPaused = false, dryRunMode = false }) {
+    const pending = items.filter(i => i.status === 'Pending' && i.scheduledAtUTC && new Date(i.scheduledAtUTC) <= end);
+    const events = [];
+
+    // The same checks the worker makes when the item comes due, in the same order.
+    // Only items already late when the clock starts can be missed; later ones are checked right on time.
+    const predict = (item, profile, lateAction) => {
+        if (workerPaused) return { outcome: 'missed', reason: 'The worker is paused.' };
+        if (lateAction === 'hold') return { outcome: 'missed', reason: 'Its time has already passed; it will wait for an operator.' };
+        if (lateAction === 'skip') return { outcome: 'missed', reason: "Its time has already passed; its profile's missed policy skips it." };
+        if (!profile) return { outcome: 'failed', reason: item.profileId ? `Profile "${item.profileId}" is missing or disabled.` : 'No enabled profile matches its theme and there is no default.' };
+        if (item.dryRun || dryRunMode) return { outcome: 'dry-run', reason: item.dryRun ? 'The item is flagged dry run.' : 'Dry-run mode is on.' };
+        if (lateAction === 'publish') return { outcome: 'publish', reason: 'Late; published anyway by its missed policy.' };
+        if (item.shiftedFromUTC) return { outcome: 'publish', reason: `Moved here from ${item.shiftedFromUTC} by its missed policy.` };
+        return { outcome: 'publish', reason: null };
+    };
+    const policyFor = profile => (profile ? profile.missedPolicy : missedPolicy.normalizePolicy(null));
+    const profileTimes = profileId => pending
+        .filter(i => new Date(i.scheduledAtUTC) > now && (profiles.pickProfile(i, profileList) || {}).id === profileId)
+        .map(i => new Date(i.scheduledAtUTC));
+
+    for (let tick = now; tick <= end; tick = new Date(tick.getTime() + SIMULATION_CONFIG.tickMinutes * 60 * 1000)) {
+        // Rules run in id order, like expandRules(), so an older rule gets first pick of a shared backlog.
+        for (const rule of rules) {
+            if (backlog.length === 0) break;
+            const { assignments, expandedUntil } = scheduleRules.planRule(rule, tick, backlog, profileList, ruleTimes.get(rule.id));
+            rule.expandedUntilUTC = expandedUntil.toISOString();
+            for (const { item, slot } of assignments) {
+                if (ruleTimes.has(rule.id)) ruleTimes.get(rule.id).push(slot);
+                if (slot <= end) pending.push({ ...item, scheduledAtUTC: slot.toISOString(), status: 'Pending', ruleId: rule.id });
+            }
+        }
+        pending.sort((a, b) => new Date(a.scheduledAtUTC) - new Date(b.scheduledAtUTC));
+        while (pending.length > 0 && new Date(pending[0].scheduledAtUTC) <= tick) {
+            const item = pending.shift();
+            const profile = profiles.pickProfile(item, profileList);
+            const lateAction = tick === now && !workerPaused ? missedPolicy.decideMissedAction(item, policyFor(profile), now) : 'on-time';
+            if (lateAction === 'shift') {
+                const slot = missedPolicy.findNextFreeSlot(profileTimes(profile ? profile.id : undefined), now, policyFor(profile).shiftSpacingMinutes);
+                if (slot <= end) pending.push({ ...item, scheduledAtUTC: slot.toISOString(), shiftedFromUTC: item.scheduledAtUTC });
+                continue;
+            }
+            events.push({
+                at: item.scheduledAtUTC,
+                itemId: item.id,
+                title: item.title,
+                action: item.action,
+                profileId: profile ? profile.id : null,
+                profileName: profile ? profile.name : null,
+                ruleId: item.ruleId || null,
+                ...predict(item, profile, lateAction)
+            });
+        }
+    }
+    return events;
+}
+
+/**
+ * Finds the problems in a replayed schedule: titles published twice, or published before,
+ * and publishes to one profile that are too close together.
+ * @param {object[]} events - From replaySchedule().
+ * @param {Set<string>} published - Normalized titles that were published before.
+ * @returns {object[]} The conflicts, in order.
+ */
+function findConflicts(events, published) {
+    const conflicts = [];
+    // Duplicate titles: against each other and against what was published before.
+    const firstPublishes = events.filter(isFirstPublish);
+    const byTitle = new Map();
+    for (const event of firstPublishes) {
+        const key = normalizeTitle(event.title);
+        if (!byTitle.has(key)) byTitle.set(key, []);
+        byTitle.get(key).push(event);
+    }
+    for (const [key, group] of byTitle) {
+        if (group.length > 1) {
+            conflicts.push({ type: 'duplicate-title', at: group[1].at, itemIds: group.map(e => e.itemId), message: `"${group[0].title}" would be published ${group.length} times.` });
+        }
+        if (published.has(key)) {
+            conflicts.push({ type: 'duplicate-title', at: group[0].at, itemIds: group.map(e => e.itemId), message: `"${group[0].title}" was already published before.` });
+        }
+    }
+    const gapMs = SIMULATION_CONFIG.profileGapMinutes * 60 * 1000;
+    const lastByProfile = new Map();
+    for (const event of events.filter(e => e.outcome === 'publish')) {
+        const previous = lastByProfile.get(event.profileId);
+        if (previous && new Date(event.at) - new Date(previous.at) < gapMs) {
+            conflicts.push({ type: 'profile-crowded', at: event.at, itemIds: [previous.itemId, event.itemId], message: `"${previous.title}" and "${event.title}" go to ${event.profileName} less than ${SIMULATION_CONFIG.profileGapMinutes} minutes apart.` });
+        }
+        lastByProfile.set(event.profileId, event);
+    }
+    conflicts.sort((a, b) => new Date(a.at) - new Date(b.at));
+    return conflicts;
+}
+
+/**
+ * Works out what the schedule would do over the next `days` days.
+ * @param {object} options
+ * @param {number} [options.days] - How far ahead to look (1 to SIMULATION_CONFIG.maxDays).
+ * @param {Date} [options.now] - Where the clock starts.
+ * @param {boolean} [options.workerPaused] - Due items are missed while the worker is paused.
+ * @param {boolean} [options.dryRunMode] - Global dry-run mode is on.
+ * @returns {Promise<object>} { success, fromUTC, toUTC, days, events, conflicts, summary, warnings }
+ */
+async function simulateSchedule({ days = 7, now = new Date(), workerPaused = false, dryRunMode = false } = {}) {
+    const dayCount = Number(days);
+    if (!Number.isInteger(dayCount) || dayCount < 1 || dayCount > SIMULATION_CONFIG.maxDays) {
+        return { success: false, code: 400, message: `days must be a whole number from 1 to ${SIMULATION_CONFIG.maxDays}.` };
+    }
+    const end = new Date(now.getTime() + dayCount * 24 * 60 * 60 * 1000);
+
+    const [items, backlog, profileList, allRules] = await Promise.all([
+        store.listScheduleItems(),
+        store.listBacklogItems(),
+        profiles.listProfiles(),
+        scheduleRules.listRules()
+    ]);
+    // Copies, so the replay can move the rules' expansion point along.
+    const rules = allRules.filter(r => r.enabled).map(r => ({ ...r }));
+    const ruleTimes = new Map();
+    for (const rule of rules.filter(r => r.type === 'cadence')) {
+        ruleTimes.set(rule.id, await scheduleRules.listRuleTimes(rule.id, new Date(now.getTime() - 24 * 60 * 60 * 1000)));
+    }
+
+    const events = replaySchedule({ items, backlog, profileList, rules, ruleTimes }, { now, end, workerPaused, dryRunMode });
+    const titles = Array.from(new Set(events.filter(isFirstPublish).map(e => normalizeTitle(e.title))));
+    const conflicts = findConflicts(events, await store.listPublishedTitles(titles));
+
+    const count = outcome => events.filter(e => e.outcome === outcome).length;
+    const warnings = [];
+    if (workerPaused) warnings.push('The worker is paused, so nothing would be published until it is resumed.');
+    if (dryRunMode) warnings.push('Dry-run mode is on, so nothing would actually be published.');
+    if (backlog.length > 0 && rules.length > 0) warnings.push(`${backlog.length} backlog item(s) would still have no time at the end.`);
+    if (backlog.length > 0 && rules.length === 0) warnings.push(`${backlog.length} backlog item(s) have no time and no enabled rule to schedule them.`);
+
+    return {
+        success: true,
+        fromUTC: now.toISOString(),
+        toUTC: end.toISOString(),
+        days: dayCount,
+        events,
+        conflicts,
+        summary: {
+            publish: count('publish'),
+            dryRun: count('dry-run'),
+            missed: count('missed'),
+            failed: count('failed'),
+            conflicts: conflicts.length,
+            backlogLeft: backlog.length
+        },
+        warnings
+    };
+}
+
+module.exports = { SIMULATION_CONFIG, replaySchedule, findConflicts, simulateSchedule };
@@ -0,0 +1,225 @@
+// =================================================================
+//                 ZEDGE PUBLISHER WORKER (stats.js)
+// =================================================================
+// How published items perform. For a while after publishing, the
+// worker reads each item's counters (downloads, views, favourites -
+// whatever Zedge shows) from its detail page every few hours and
+// stores every reading, so an item's numbers can be followed over
+// time. The analytics compare themes, profiles and the hour of day
+// items were published at.
+//
+// Items published at different times have had different amounts of
+// time to collect downloads, so comparisons use downloads per day
+// since publishing rather than totals. An item stops being read once
+// it has been unpublished or deleted.
+// =================================================================
+
+const database = require('./database.js');
+const profiles = require('./profiles.js');
+const timezones = require('./timezones.js');
+
+const STATS_CONFIG = {
+    intervalHours: parseInt(process.env.STATS_INTERVAL_HOURS, 10) || 6,
+    // Items published longer ago than this are no longer read.
+    trackDays: parseInt(process.env.STATS_TRACK_DAYS, 10) || 30,
+    // Caps how long one collection run holds a browser.
+    maxItemsPerRun: 50,
+    maxAnalyticsDays: 365,
+    // An hour of day needs this many items before it can be called a best hour.
+    minItemsPerHour: 2
+};
+const METRICS = ['downloads', 'views', 'favorites'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// History entries that put an item live, and the condition that it hasn't been taken down since.
+const LIVE_ENTRY = `h.action IN ('publish', 'republish')
+    AND NOT EXISTS (SELECT 1 FROM publish_history t
+                    WHERE lower(t.title) = lower(h.title) AND t.action IN ('unpublish', 'delete') AND t.published_at > h.published_at)`;
+
+function sampleFromRow(row) {
+    return {
+        collectedAtUTC: row.collected_at.toISOString(),
+        downloads: row.downloads,
+        views: row.views,
+        favorites: row.favorites
+    };
+}
+
+/**
+ * Published items whose stats are due to be read, oldest reading first.
+ * @returns {Promise<object[]>} { historyId, itemId, title, theme, profileId, publishedAtUTC }
+ */
+async function listItemsDue(now = new Date()) {
+    const { rows } = await database.query(
+        `SELECT * FROM publish_history h
+         WHERE h.published_at > $1::timestamptz - make_interval(days => $2)
+           AND (h.stats_checked_at IS NULL OR h.stats_checked_at < $1::timestamptz - make_interval(hours => $3))
+           AND ${LIVE_ENTRY}
+         ORDER BY h.stats_checked_at ASC NULLS FIRST, h.published_at DESC
+         LIMIT $4`,
+        [now, STATS_CONFIG.trackDays, STATS_CONFIG.intervalHours, STATS_CONFIG.maxItemsPerRun]
+    );
+    return rows.map(row => ({
+        historyId: Number(row.id),
+        itemId: row.item_id,
+        title: row.title,
+        theme: row.theme,
+        profileId: row.profile_id || null,
+        publishedAtUTC: row.published_at.toISOString()
+    }));
+}
+
+/**
+ * The profile a history entry was published to: the one stored with it, or for entries from
+ * before profiles were recorded, the one its theme routes to today.
+ */
+function profileForEntry(entry, profileList) {
+    if (entry.profileId) return profileList.find(p => p.id === entry.profileId) || null;
+    return profiles.pickProfile({ theme: entry.theme, profileId: null }, profileList);
+}
+
+/**
+ * Stores one reading, or why it couldn't be taken. Either way the item isn't due again for a while.
+ * @param {number} historyId
+ * @param {{downloads: number|null, views: number|null, favorites: number|null}|null} sample
+ * @param {string|null} error
+ */
+async function recordSample(historyId, sample, error = null) {
+    await database.withTransaction(async (client) => {
+        if (sample) {
+            await client.query(
+                'INSERT INTO item_stats (history_id, downloads, views, favorites) VALUES ($1, $2, $3, $4)',
+                [historyId, sample.downloads, sample.views, sample.favorites]
+            );
+        }
+        await client.query('UPDATE publish_history SET stats_checked_at = now(), stats_error = $2 WHERE id = $1', [historyId, error]);
+    });
+}
+
+/**
+ * The readings of the most recently published item with this title (case-insensitive).
+ * @returns {Promise<object|null>} { historyId, title, theme, profileId, publishedAtUTC, statsCheckedAtUTC, statsError, samples }
+ */
+async function getItemStatsByTitle(title) {
+    const { rows } = await database.query(
+        "SELECT * FROM publish_history WHERE lower(title) = lower($1) AND action IN ('publish', 'republish') ORDER BY published_at DESC LIMIT 1",
+        [title.trim()]
+    );
+    return rows[0] ? getItemStats(Number(rows[0].id)) : null;
+}
+
+/**
+ * @param {number} historyId
+ * @returns {Promise<object|null>} See getItemStatsByTitle().
+ */
+async function getItemStats(historyId) {
+    const { rows } = await database.query('SELECT * FROM publish_history WHERE id = $1', [historyId]);
+    if (!rows[0]) return null;
+    const { rows: samples } = await database.query('SELECT * FROM item_stats WHERE history_id = $1 ORDER BY collected_at ASC', [historyId]);
+    const row = rows[0];
+    return {
+        historyId: Number(row.id),
+        itemId: row.item_id,
+        title: row.title,
+        theme: row.theme,
+        profileId: row.profile_id || null,
+        publishedAtUTC: row.published_at.toISOString(),
+        statsCheckedAtUTC: row.stats_checked_at ? row.stats_checked_at.toISOString() : null,
+        statsError: row.stats_error || null,
+        samples: samples.map(sampleFromRow)
+    };
+}
+
+function summarizeGroup(key, label, entries) {
+    const total = metric => entries.reduce((sum, e) => sum + (e[metric] || 0), 0);
+    return {
+        key,
+        label,
+        items: entries.length,
+        downloads: total('downloads'),
+        views: total('views'),
+        favorites: total('favorites'),
+        downloadsPerDay: Math.round(entries.reduce((sum, e) => sum + e.downloadsPerDay, 0) / entries.length * 10) / 10
+    };
+}
+
+function groupBy(entries, keyOf, labelOf) {
+    const groups = new Map();
+    for (const entry of entries) {
+        const key = keyOf(entry);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(entry);
+    }
+    return Array.from(groups, ([key, group]) => summarizeGroup(key, labelOf(key, group), group))
+        .sort((a, b) => b.downloadsPerDay - a.downloadsPerDay);
+}
+
+/**
+ * Compares how items published in the last `days` days did, using each item's latest reading.
+ * @param {object} options
+ * @param {number} [options.days] - How far back to look (1 to STATS_CONFIG.maxAnalyticsDays).
+ * @param {string} [options.timeZone] - The zone hours of day are counted in.
+ * @returns {Promise<object>} { success, days, timeZone, itemCount, totals, byTheme, byProfile, byHour, bestHours, topItems }
+ */
+async function getAnalytics({ days = 30, timeZone = timezones.DEFAULT_TIMEZONE } = {}) {
+    const dayCount = Number(days);
+    if (!Number.isInteger(dayCount) || dayCount < 1 || dayCount > STATS_CONFIG.maxAnalyticsDays) {
+        return { success: false, code: 400, message: `days must be a whole number from 1 to ${STATS_CONFIG.maxAnalyticsDays}.` };
+    }
+    if (!timezones.isValidTimeZone(timeZone)) return { success: false, code: 400, message: `Unknown time zone "${timeZone}".` };
+
+    const [{ rows }, profileList] = await Promise.all([
+        database.query(
+            `SELECT h.id, h.title, h.theme, h.profile_id, h.published_at, s.downloads, s.views, s.favorites, s.collected_at
+             FROM publish_history h
+             JOIN LATERAL (SELECT * FROM item_stats s WHERE s.history_id = h.id ORDER BY s.collected_at DESC LIMIT 1) s ON true
+             WHERE h.published_at > now() - make_interval(days => $1) AND h.action IN ('publish', 'republish')`,
+            [dayCount]
+        ),
+        profiles.listProfiles()
+    ]);
+
+    const entries = rows.map(row => {
+        const profile = profileForEntry({ profileId: row.profile_id, theme: row.theme }, profileList);
+        // At least a day, so an item read an hour after publishing doesn't look like a hit.
+        const ageDays = Math.max(1, (row.collected_at - row.published_at) / DAY_MS);
+        return {
+            historyId: Number(row.id),
+            title: row.title,
+            theme: row.theme || '',
+            profileId: profile ? profile.id : null,
+            profileName: profile ? profile.name : 'Unknown profile',
+            publishedAtUTC: row.published_at.toISOString(),
+            hour: timezones.getZonedParts(row.published_at, timeZone).hour,
+            downloads: row.downloads,
+            views: row.views,
+            favorites: row.favorites,
+            downloadsPerDay: (row.downloads || 0) / ageDays
+        };
+    });
+
+    const byHour = groupBy(entries, e => e.hour, hour => `${String(hour).padStart(2, '0')}:00`).sort((a, b) => a.key - b.key);
+    const totals = Object.fromEntries(METRICS.map(metric => [metric, entries.reduce((sum, e) => sum + (e[metric] || 0), 0)]));
+    return {
+        success: true,
+        days: dayCount,
+        timeZone,
+        itemCount: entries.length,
+        totals,
+        byTheme: groupBy(entries, e => e.theme, theme => theme || 'No theme'),
+        byProfile: groupBy(entries, e => e.profileId, (id, group) => group[0].profileName),
+        byHour,
+        bestHours: byHour.filter(h => h.items >= STATS_CONFIG.minItemsPerHour).sort((a, b) => b.downloadsPerDay - a.downloadsPerDay).slice(0, 3),
+        topItems: entries.sort((a, b) => b.downloadsPerDay - a.downloadsPerDay).slice(0, 10)
+            .map(e => ({ ...e, downloadsPerDay: Math.round(e.downloadsPerDay * 10) / 10 }))
+    };
+}
+
+module.exports = {
+    STATS_CONFIG,
+    listItemsDue,
+    profileForEntry,
+    recordSample,
+    getItemStats,
+    getItemStatsByTitle,
+    getAnalytics
+};
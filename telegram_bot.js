@@ -2,34 +2,75 @@
 //                 ZEDGE PUBLISHER WORKER (telegram_bot.js)
 // =================================================================
 // This module initializes and manages the Telegram bot, handling all
-// user commands and sending notifications from the worker.
+// user commands and delivering notifications for notifier.js. Only
+// users on the allowlist (users.js) may use it, and each command needs
+// a minimum role.
 // =================================================================
 
 const TelegramBot = require('node-telegram-bot-api');
+const users = require('./users.js');
+const auth = require('./auth.js');
+const timezones = require('./timezones.js');
+const notifier = require('./notifier.js');
+const logger = require('./logger.js');
 
 let bot;
 let workerFunctions = {};
-let notificationChatId; // To store the chat ID for notifications
+let notificationChatId; // Optional shared chat that receives every notification except digests
+
+// Minimum role per command. /start is open so unknown users can learn their ID.
+const COMMAND_ROLES = {
+    '/start': null,
+    '/help': 'viewer',
+    '/app': 'viewer',
+    '/schedule': 'viewer',
+    '/loginstatus': 'viewer',
+    '/status': 'viewer',
+    '/subscribe': 'viewer',
+    '/unsubscribe': 'viewer',
+    '/subscriptions': 'viewer',
+    '/timezone': 'viewer',
+    '/history': 'viewer',
+    '/simulate': 'viewer',
+    '/stats': 'viewer',
+    '/publish': 'operator',
+    '/rs': 'operator',
+    '/clearmissed': 'operator',
+    '/otp': 'operator',
+    '/switchdb': 'admin',
+    '/users': 'admin',
+    '/adduser': 'admin',
+    '/removeuser': 'admin'
+};
+
+// Which user subscriptions receive each notification category.
+const CATEGORY_SUBSCRIPTIONS = {
+    publish: ['publishes'],
+    failure: ['failures', 'publishes'],
+    system: ['failures', 'publishes'],
+    digest: ['digest']
+};
 
 /**
  * Starts the Telegram bot and sets up all command listeners.
  * @param {string} token - The Telegram bot token.
  * @param {string} chatId - The chat ID to send notifications to.
  * @param {object} dependencies - An object containing functions from the worker.
+ * @returns {boolean} Whether the bot was started.
  */
 function startBot(token, chatId, dependencies) {
     if (!token) {
-        console.log('Telegram Bot Token not provided, bot will not start.');
-        return;
+        logger.info('Telegram Bot Token not provided, bot will not start.');
+        return false;
     }
     if (!chatId) {
-        console.log('Telegram Chat ID not provided, notifications will not be sent.');
+        logger.info('Telegram Chat ID not provided, notifications will only go to subscribed users.');
     }
     notificationChatId = chatId;
     workerFunctions = dependencies;
 
     bot = new TelegramBot(token, { polling: true });
-    console.log('Telegram Bot has started successfully!');
+    logger.info('Telegram bot started.');
 
     // --- Command Handlers ---
 
@@ -39,69 +80,210 @@ function startBot(token, chatId, dependencies) {
         { command: '/schedule', description: 'View upcoming schedule' },
         { command: 'loginstatus', description: 'Check Zedge login status' },
         { command: '/status', description: 'Find an item by title' },
+        { command: '/history', description: 'Recent publishes and actions' },
+        { command: '/simulate', description: 'Preview the next days of the schedule' },
+        { command: '/stats', description: 'Downloads and views of a published item' },
+        { command: '/subscriptions', description: 'Manage your notifications' },
         { command: '/help', description: 'Show all available commands' }
     ]);
     // --- END OF NEW SECTION ---
 
 
-    bot.on('message', (msg) => {
+    bot.on('message', async (msg) => {
         const text = msg.text;
         const chatId = msg.chat.id;
 
-        if (!text) return;
-        
-        // --- NEW: Command for launching the Web App ---
-        if (text.startsWith('/app')) {
-            handleWebAppCommand(chatId);
-            return; // Stop processing after this command
+        if (!text || !text.startsWith('/')) return;
+        // In groups commands may arrive as /command@BotName.
+        const command = text.split(/\s+/)[0].split('@')[0].toLowerCase();
+        if (!(command in COMMAND_ROLES)) return;
+
+        let role = null;
+        try {
+            role = await users.getUserRole(msg.from.id);
+            if (!(await isCommandAllowed(msg, command, role))) return;
+            const result = await dispatchCommand(msg, command, role);
+            await auditCommand(msg, command, role, result);
+        } catch (error) {
+            logger.error('Telegram command failed.', { command, error });
+            await auditCommand(msg, command, role, { success: false, message: error.message });
+            bot.sendMessage(chatId, `❌ Error: ${error.message}`);
+        }
+    });
+    return true;
+}
+
+function describeSender(from) {
+    return from.username ? `@${from.username}` : [from.first_name, from.last_name].filter(Boolean).join(' ') || String(from.id);
+}
+
+function getPrincipal(msg, role) {
+    return { type: 'telegram', id: String(msg.from.id), name: describeSender(msg.from), role };
+}
+
+/**
+ * Checks the sender's role for a command, replying and audit-logging when they are refused.
+ */
+async function isCommandAllowed(msg, command, role) {
+    const requiredRole = COMMAND_ROLES[command];
+    const principal = getPrincipal(msg, role);
+    if (!role) {
+        if (command !== '/start') {
+            await auth.audit(principal, `bot ${command}`, { outcome: 'denied', channel: 'telegram', target: String(msg.chat.id), details: { reason: 'user is not on the allowlist' } });
         }
-        // --- END OF NEW SECTION ---
-
-        // Using an if/else if structure for clarity
-        if (text.startsWith('/help') || text.startsWith('/start')) {
-            handleHelpCommand(chatId);
-        } else if (text.startsWith('/schedule')) {
-            handleScheduleCommand(chatId);
-        } else if (text.startsWith('/loginstatus')) {
-            handleLoginStatusCommand(chatId);
-        } else if (text.startsWith('/status')) {
-            const match = text.match(/\/status (.+)/);
-            if (match) handleStatusCommand(chatId, match[1]);
-        } else if (text.startsWith('/publish')) {
-            const match = text.match(/\/publish (.+)/);
-            if (match) handlePublishCommand(chatId, match[1]);
-        } else if (text.startsWith('/rs')) {
-            const match = text.match(/\/rs (.+)/);
-            if (match) handleRescheduleCommand(chatId, match[1].split(' '));
-        } else if (text.startsWith('/clearmissed')) {
-            handleClearMissedCommand(chatId);
-        } else if (text.startsWith('/switchdb')) {
+        bot.sendMessage(msg.chat.id, `⛔ You are not on this bot's allowlist. Ask an admin to run \`/adduser ${msg.from.id} viewer\`.`, { parse_mode: 'Markdown' });
+        return false;
+    }
+    if (requiredRole && !auth.hasRole(role, requiredRole)) {
+        await auth.audit(principal, `bot ${command}`, { outcome: 'denied', channel: 'telegram', target: String(msg.chat.id), details: { reason: `requires ${requiredRole}` } });
+        bot.sendMessage(msg.chat.id, `⛔ \`${command}\` requires the **${requiredRole}** role (you are ${role}).`, { parse_mode: 'Markdown' });
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Records a command that changes something (operator and admin commands) once it has run.
+ * @param {{success: boolean, message: string}|undefined} result - What the command answered.
+ */
+async function auditCommand(msg, command, role, result) {
+    const requiredRole = COMMAND_ROLES[command];
+    if (!requiredRole || requiredRole === 'viewer') return;
+    await auth.audit(getPrincipal(msg, role), `bot ${command}`, {
+        outcome: result && result.success === false ? 'failed' : 'allowed',
+        channel: 'telegram',
+        target: String(msg.chat.id),
+        // Verification codes are single-use, but they still don't belong in the audit log.
+        details: { text: command === '/otp' ? '/otp ***' : msg.text },
+        result: result ? result.message : null
+    });
+}
+
+/**
+ * Replies with a worker result and hands it back for the audit log.
+ */
+function replyWithResult(chatId, result) {
+    bot.sendMessage(chatId, result.success ? `✅ **Success!** ${result.message}` : `❌ **Failed!** ${result.message}`);
+    return result;
+}
+
+function replyInvalidFormat(chatId, text) {
+    bot.sendMessage(chatId, text, { parse_mode: 'Markdown' });
+    return { success: false, message: 'Invalid format.' };
+}
+
+/**
+ * Runs a command. Commands that change something return their { success, message } result.
+ */
+async function dispatchCommand(msg, command, role) {
+    const text = msg.text;
+    const chatId = msg.chat.id;
+    const args = text.replace(/^\S+\s*/, '');
+
+    switch (command) {
+        case '/app':
+            handleWebAppCommand(chatId);
+            break;
+        case '/help':
+        case '/start':
+            handleHelpCommand(chatId, role);
+            break;
+        case '/schedule':
+            await handleScheduleCommand(chatId, await users.getUserTimezone(msg.from.id));
+            break;
+        case '/loginstatus':
+            await handleLoginStatusCommand(chatId, await users.getUserTimezone(msg.from.id));
+            break;
+        case '/status':
+            if (args) await handleStatusCommand(chatId, args, await users.getUserTimezone(msg.from.id));
+            break;
+        case '/history':
+            await handleHistoryCommand(chatId, args, await users.getUserTimezone(msg.from.id));
+            break;
+        case '/simulate':
+            await handleSimulateCommand(chatId, args, await users.getUserTimezone(msg.from.id));
+            break;
+        case '/stats':
+            if (!args) return replyInvalidFormat(chatId, 'Invalid format. Use: `/stats <title>`');
+            await handleStatsCommand(chatId, args, await users.getUserTimezone(msg.from.id));
+            break;
+        case '/publish':
+            if (!args) return replyInvalidFormat(chatId, 'Invalid format. Use: `/publish all-missed` or `/publish <title>`');
+            return handlePublishCommand(chatId, args);
+        case '/rs':
+            if (!args) return replyInvalidFormat(chatId, 'Invalid format. Use: `/rs <all | "item title"> <time>`');
+            return handleRescheduleCommand(chatId, args, await users.getUserTimezone(msg.from.id));
+        case '/clearmissed':
+            return handleClearMissedCommand(chatId);
+        case '/otp':
+            if (!args) return replyInvalidFormat(chatId, 'Invalid format. Use: `/otp <code>`');
+            return handleOtpCommand(msg, args);
+        case '/switchdb':
             // This command takes no arguments
-            if (dependencies.switchDatabaseFunc) {
+            if (workerFunctions.switchDatabaseFunc) {
                 bot.sendMessage(chatId, "Command received. Initiating database switch. This may take a moment...");
                 // This is an async function, but we don't need to wait for it here.
-                // It will send its own notifications.
-                dependencies.switchDatabaseFunc();
-            } else {
-                bot.sendMessage(chatId, "Database switching is not configured on the server.");
+                // It will send its own notifications and record its outcome in the history.
+                workerFunctions.switchDatabaseFunc();
+                return { success: true, message: 'Database switch started.' };
             }
-        }
-    });
+            bot.sendMessage(chatId, "Database switching is not configured on the server.");
+            return { success: false, message: 'Database switching is not configured.' };
+        case '/users':
+            await handleUsersCommand(chatId);
+            break;
+        case '/adduser':
+            return handleAddUserCommand(msg, args);
+        case '/removeuser':
+            return handleRemoveUserCommand(chatId, args);
+        case '/subscribe':
+        case '/unsubscribe':
+            await handleSubscribeCommand(msg, args, command === '/subscribe');
+            break;
+        case '/subscriptions':
+            await handleSubscriptionsCommand(msg);
+            break;
+        case '/timezone':
+            await handleTimezoneCommand(msg, args);
+            break;
+    }
 }
 
 /**
- * Sends a notification message to the pre-configured chat ID.
- * @param {string} message - The message to send.
+ * Works out who should receive a notification: the shared chat (if configured,
+ * and except for digests) plus every user subscribed to the category.
+ * @returns {Promise<Map<string, string>>} Chat ID -> the time zone to show dates in.
  */
-function sendNotification(message) {
-    if (bot && notificationChatId) {
-        bot.sendMessage(notificationChatId, message, { parse_mode: 'Markdown' });
-    } else {
-        // Fallback to console if bot is not running
-        console.log(`[Notification] ${message}`);
+async function getRecipients(category) {
+    const recipients = new Map();
+    if (notificationChatId && category !== 'digest') recipients.set(String(notificationChatId), timezones.DEFAULT_TIMEZONE);
+    try {
+        for (const user of await users.listSubscribers(CATEGORY_SUBSCRIPTIONS[category] || CATEGORY_SUBSCRIPTIONS.system)) {
+            recipients.set(user.telegramUserId, user.timezone || timezones.DEFAULT_TIMEZONE);
+        }
+    } catch (error) {
+        logger.error('Could not load notification subscribers.', { error: error.message });
     }
+    return recipients;
 }
 
+/**
+ * Sends a notification to the shared chat and to subscribed users.
+ * @param {string|function(string): string} message - The message to send (Markdown), or a function of the recipient's time zone returning it.
+ * @param {string} category - 'publish', 'failure', 'system' or 'digest'.
+ */
+async function sendNotification(message, category = 'system') {
+    const recipients = bot ? await getRecipients(category) : new Map();
+    if (recipients.size === 0) {
+        // Fallback to the log if bot is not running
+        logger.info('Notification (no Telegram recipients).', { notification: notifier.renderMessage(message) });
+        return;
+    }
+    await Promise.all(Array.from(recipients, ([chatId, timeZone]) =>
+        bot.sendMessage(chatId, notifier.renderMessage(message, timeZone), { parse_mode: 'Markdown' })
+            .catch(error => logger.error('Failed to notify Telegram chat.', { chatId, error: error.message }))
+    ));
+}
 
 // --- Command Logic Functions ---
 
@@ -126,41 +308,65 @@ function handleWebAppCommand(chatId) {
 }
 // --- END OF NEW FUNCTION ---
 
-function handleHelpCommand(chatId) {
-    const helpMessage = [
+function handleHelpCommand(chatId, role) {
+    const lines = [
         "**Zedge Worker Bot Commands:**",
         "`/app` - Opens a web app with the live schedule.", // MODIFIED
         "`/help` or `/start` - Shows this help message.",
         "`/schedule` - Lists upcoming, unpublished items.",
         "`/status <title>` - Searches for an item by title.",
+        "`/history [failed] [search]` - Shows the latest publishes and operator actions.",
+        "`/simulate [days]` - Shows what would be published, missed or conflicting in the next days (default 7).",
+        "`/stats <title>` - Shows the downloads, views and favourites of a published item over time.",
         "`/loginstatus` - Checks if the worker is logged in to Zedge.",
-        "`/switchdb` - Migrates data and switches to the next primary database.",
         "",
-        "**Commands for Missed Publications:**",
-        "`/publish all-missed` - Publishes all missed items.",
-        "`/publish <title>` - Publishes a specific missed item.",
-        "`/rs <all | \"title\"> <time>` - Reschedules item(s). Ex: `/rs all 10m`, `/rs \"My Title\" 1h`",
-        "`/clearmissed` - Clears the missed items list."
-    ].join('\n');
-    bot.sendMessage(chatId, helpMessage, { parse_mode: 'Markdown' });
+        "**Notifications:**",
+        "`/subscriptions` - Shows what you are subscribed to.",
+        "`/subscribe <failures | publishes | digest>` - Subscribes you to a notification type.",
+        "`/unsubscribe <failures | publishes | digest>` - Unsubscribes you.",
+        "`/timezone [zone | reset]` - Shows or sets the time zone dates are shown and typed in. Ex: `/timezone Europe/Berlin`"
+    ];
+    if (auth.hasRole(role, 'operator')) {
+        lines.push(
+            "",
+            "**Commands for Missed Publications:**",
+            "`/publish all-missed` - Publishes all missed items.",
+            "`/publish <title>` - Publishes a specific missed item.",
+            "`/rs <all | \"title\"> <time>` - Reschedules missed item(s). Ex: `/rs all 10m`, `/rs \"My Title\" tomorrow 09:30`, `/rs all +1d2h`, `/rs \"My Title\" 2026-11-02 18:00`",
+            "`/clearmissed` - Clears the missed items list.",
+            "",
+            "**Zedge Login:**",
+            "`/otp <code>` - Sends the email verification code when the worker asks for one."
+        );
+    }
+    if (auth.hasRole(role, 'admin')) {
+        lines.push(
+            "",
+            "**Admin Commands:**",
+            "`/switchdb` - Migrates data and switches to the next primary database.",
+            "`/users` - Lists users on the allowlist.",
+            "`/adduser <telegram id> <viewer | operator | admin> [name]` - Adds a user or changes their role.",
+            "`/removeuser <telegram id>` - Removes a user."
+        );
+    }
+    bot.sendMessage(chatId, lines.join('\n'), { parse_mode: 'Markdown' });
 }
 
-async function handleScheduleCommand(chatId) {
-    if (typeof workerFunctions.loadDataFunc !== 'function') return bot.sendMessage(chatId, 'Error: data functions not available.');
+async function handleScheduleCommand(chatId, timeZone) {
+    if (typeof workerFunctions.listScheduleFunc !== 'function') return bot.sendMessage(chatId, 'Error: data functions not available.');
 
-    const currentData = await workerFunctions.loadDataFunc();
+    // Items come back sorted by date ascending, nearest first
+    const schedule = await workerFunctions.listScheduleFunc();
     const upcomingItems = [];
 
-    if (currentData.schedule && Array.isArray(currentData.schedule)) {
-        // Sort by date ascending to show nearest first
-        currentData.schedule.sort((a, b) => new Date(a.scheduledAtUTC) - new Date(b.scheduledAtUTC));
-        currentData.schedule.forEach(item => {
-            if (item.status !== 'Published') {
-                upcomingItems.push(`- \`${item.title}\` on ${new Date(item.scheduledAtUTC).toLocaleString()}`);
-
-            }
-        });
-    }
+    schedule.forEach(item => {
+        if (item.status === 'Backlog') {
+            upcomingItems.push(`- \`${item.title}\` (backlog, waiting for a schedule rule)`);
+        } else if (item.status !== 'Published') {
+            const action = item.action && item.action !== 'publish' ? ` · ${item.action}` : '';
+            upcomingItems.push(`- \`${item.title}\`${action} on ${timezones.formatDateTime(item.scheduledAtUTC, timeZone)}`);
+        }
+    });
 
     if (upcomingItems.length > 0) {
         bot.sendMessage(chatId, `**Upcoming Scheduled Items:**\n${upcomingItems.slice(0, 15).join('\n')}`, { parse_mode: 'Markdown' });
@@ -169,32 +375,29 @@ async function handleScheduleCommand(chatId) {
     }
 }
 
-async function handleLoginStatusCommand(chatId) {
+async function handleLoginStatusCommand(chatId, timeZone) {
     if (typeof workerFunctions.loginCheckFunc !== 'function') return bot.sendMessage(chatId, 'Error: status check function not available.');
 
     await bot.sendMessage(chatId, 'Checking Zedge login status, please wait...');
     const result = await workerFunctions.loginCheckFunc();
 
-    if (result.loggedIn) {
-        bot.sendMessage(chatId, '✅ **Zedge Status:** Currently Logged In.');
+    if (result.otpPending) {
+        bot.sendMessage(chatId, '🔐 **Zedge Status:** Logging in, waiting for the email verification code. Send it with `/otp <code>`.');
+    } else if (result.loggedIn) {
+        bot.sendMessage(chatId, `✅ **Zedge Status:** Currently Logged In.${result.expiresAtUTC ? `\n**Session expires:** ${timezones.formatDateTime(result.expiresAtUTC, timeZone)}` : ''}`);
     } else {
         bot.sendMessage(chatId, `❌ **Zedge Status:** Logged Out.\n**Reason:** ${result.error}`);
     }
 }
 
-async function handleStatusCommand(chatId, query) {
-    if (typeof workerFunctions.loadDataFunc !== 'function') return bot.sendMessage(chatId, 'Error: data functions not available.');
-
-    const currentData = await workerFunctions.loadDataFunc();
-    const matches = [];
+async function handleStatusCommand(chatId, query, timeZone) {
+    if (typeof workerFunctions.searchScheduleFunc !== 'function') return bot.sendMessage(chatId, 'Error: data functions not available.');
 
-    if (currentData.schedule && Array.isArray(currentData.schedule)) {
-        currentData.schedule.forEach(item => {
-            if (item.title.toLowerCase().includes(query.toLowerCase())) {
-                matches.push(`- \`${item.title}\` -> **${item.status || 'Pending'}**`);
-            }
-        });
-    }
+    const items = await workerFunctions.searchScheduleFunc(query);
+    const matches = items.map(item => {
+        const when = item.publishedAtUTC || item.scheduledAtUTC;
+        return `- \`${item.title}\` -> **${item.status || 'Pending'}**${when ? ` · ${timezones.formatDateTime(when, timeZone)}` : ''}`;
+    });
 
     if (matches.length > 0) {
         bot.sendMessage(chatId, `**Found ${matches.length} match(es) for "${query}":**\n${matches.join('\n')}`, { parse_mode: 'Markdown' });
@@ -203,63 +406,246 @@ async function handleStatusCommand(chatId, query) {
     }
 }
 
-function handlePublishCommand(chatId, identifier) {
-    if (typeof workerFunctions.publishMissedItemsFunc !== 'function') return bot.sendMessage(chatId, 'Error: publishing function not available.');
+async function handlePublishCommand(chatId, identifier) {
+    if (typeof workerFunctions.publishMissedItemsFunc !== 'function') return replyWithResult(chatId, { success: false, message: 'Publishing function not available.' });
 
-    const result = workerFunctions.publishMissedItemsFunc(identifier.replace('-', ' ')); // Accommodate "all-missed"
-    if (result.success) {
-        bot.sendMessage(chatId, `✅ **Success!** ${result.message}`);
-    } else {
-        bot.sendMessage(chatId, `❌ **Failed!** ${result.message}`);
+    const result = await workerFunctions.publishMissedItemsFunc(identifier.replace('-', ' ')); // Accommodate "all-missed"
+    return replyWithResult(chatId, result);
+}
+
+const HISTORY_ICONS = { succeeded: '✅', failed: '❌', 'dry-run': '🧪', denied: '⛔' };
+
+function shorten(text, length = 120) {
+    const value = String(text || '').replace(/\s+/g, ' ').trim();
+    return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+}
+
+/**
+ * `/history [failed] [search]` - the latest publishes and operator actions, optionally
+ * only failures and/or matching a search. The web app has the full, paginated history.
+ */
+async function handleHistoryCommand(chatId, args, timeZone) {
+    if (typeof workerFunctions.listHistoryFunc !== 'function') return bot.sendMessage(chatId, 'Error: history is not available.');
+    const words = args.trim().split(/\s+/).filter(Boolean);
+    const failedOnly = words[0] && words[0].toLowerCase() === 'failed';
+    const search = (failedOnly ? words.slice(1) : words).join(' ');
+
+    const { entries, hasMore } = await workerFunctions.listHistoryFunc({ search: search || null, outcome: failedOnly ? 'failed' : null, pageSize: 10 });
+    if (entries.length === 0) return bot.sendMessage(chatId, search ? `No history matching "${search}".` : 'No history yet.');
+
+    const lines = entries.map(entry => {
+        const when = timezones.formatDateTime(entry.occurredAtUTC, timeZone);
+        const description = entry.kind === 'publish'
+            ? `Publish "${entry.subject}" (attempt ${entry.details.attempt}, ${entry.actor})${entry.outcome === 'failed' ? `: ${shorten(entry.result)}` : ''}`
+            : `${entry.actor} via ${entry.channel}: ${entry.details.action || entry.action}${entry.result ? ` -> ${shorten(entry.result)}` : ''}`;
+        return `${HISTORY_ICONS[entry.outcome] || '•'} ${when} · ${description}`;
+    });
+    const title = `${failedOnly ? 'Failures' : 'History'}${search ? ` matching "${search}"` : ''}:`;
+    const footer = hasMore ? '\n\nOlder entries are in the web app (/app, History).' : '';
+    bot.sendMessage(chatId, `${title}\n${lines.join('\n')}${footer}`);
+}
+
+const SIMULATION_ICONS = { publish: '✅', 'dry-run': '🧪', missed: '⏰', failed: '❌' };
+
+/**
+ * `/simulate [days]` - replays the schedule for the next days (default 7) and lists
+ * the problems first, then the first publishes. The web app shows the full list.
+ */
+async function handleSimulateCommand(chatId, args, timeZone) {
+    if (typeof workerFunctions.simulateScheduleFunc !== 'function') return bot.sendMessage(chatId, 'Error: simulation is not available.');
+    const result = await workerFunctions.simulateScheduleFunc(args.trim() ? args.trim() : 7);
+    if (!result.success) return bot.sendMessage(chatId, `Error: ${result.message}`);
+
+    const { summary, events, conflicts, warnings } = result;
+    const describe = event => `${SIMULATION_ICONS[event.outcome]} ${timezones.formatDateTime(event.at, timeZone)} · "${event.title}"${event.profileName ? ` → ${event.profileName}` : ''}${event.reason ? `: ${event.reason}` : ''}`;
+    const problems = events.filter(e => e.outcome === 'missed' || e.outcome === 'failed');
+    const upcoming = events.filter(e => e.outcome === 'publish' || e.outcome === 'dry-run');
+    const sections = [
+        `Simulation of the next ${result.days} day(s):\n✅ ${summary.publish} publish · 🧪 ${summary.dryRun} dry run · ⏰ ${summary.missed} missed · ❌ ${summary.failed} failed · ⚠️ ${summary.conflicts} conflict(s)`
+    ];
+    if (warnings.length > 0) sections.push(warnings.map(w => `⚠️ ${w}`).join('\n'));
+    if (problems.length > 0) sections.push(`Problems:\n${problems.slice(0, 10).map(describe).join('\n')}${problems.length > 10 ? `\n...and ${problems.length - 10} more` : ''}`);
+    if (conflicts.length > 0) sections.push(`Conflicts:\n${conflicts.slice(0, 10).map(c => `⚠️ ${timezones.formatDateTime(c.at, timeZone)} · ${shorten(c.message)}`).join('\n')}${conflicts.length > 10 ? `\n...and ${conflicts.length - 10} more` : ''}`);
+    if (upcoming.length > 0) sections.push(`First up:\n${upcoming.slice(0, 10).map(describe).join('\n')}${upcoming.length > 10 ? `\n...and ${upcoming.length - 10} more (see /app)` : ''}`);
+    else sections.push('Nothing would be published.');
+    bot.sendMessage(chatId, sections.join('\n\n'));
+}
+
+const STAT_LABELS = { downloads: 'downloads', views: 'views', favorites: 'favourites' };
+
+function formatStatsSample(sample) {
+    return Object.entries(STAT_LABELS).filter(([key]) => sample[key] !== null).map(([key, label]) => `${sample[key].toLocaleString('en-US')} ${label}`).join(' · ') || 'no counters shown';
+}
+
+/**
+ * `/stats <title>` - the latest numbers of a published item and how they grew.
+ * The web app's Analytics tab compares items.
+ */
+async function handleStatsCommand(chatId, title, timeZone) {
+    if (typeof workerFunctions.getItemStatsFunc !== 'function') return bot.sendMessage(chatId, 'Error: stats are not available.');
+    const result = await workerFunctions.getItemStatsFunc(title);
+    if (!result) return bot.sendMessage(chatId, `No published item titled "${title.trim()}".`);
+
+    const lines = [`📈 "${result.title}"`, `Published ${timezones.formatDateTime(result.publishedAtUTC, timeZone)}${result.theme ? ` · ${result.theme}` : ''}`];
+    if (result.samples.length === 0) {
+        lines.push('', result.statsError ? `No stats yet: ${shorten(result.statsError)}` : 'No stats collected yet.');
+        return bot.sendMessage(chatId, lines.join('\n'));
     }
+    const latest = result.samples[result.samples.length - 1];
+    lines.push('', `Now: ${formatStatsSample(latest)}`);
+    // Up to 8 readings, evenly spread, so the growth is visible without flooding the chat.
+    const step = Math.max(1, Math.ceil(result.samples.length / 8));
+    const picked = result.samples.filter((_, i) => i % step === 0 || i === result.samples.length - 1);
+    lines.push('', 'Over time:', ...picked.map(sample => `${timezones.formatDateTime(sample.collectedAtUTC, timeZone)} · ${formatStatsSample(sample)}`));
+    if (result.statsError) lines.push('', `⚠️ Last reading failed: ${shorten(result.statsError)}`);
+    bot.sendMessage(chatId, lines.join('\n'));
 }
 
-async function handleRescheduleCommand(chatId, args) {
+/**
+ * Splits `/rs` arguments into the item and the time. The item is `all`, a "quoted title",
+ * or an unquoted title - then the longest trailing text that reads as a time is the time.
+ * @returns {{identifier: string, timeString: string}|null}
+ */
+function splitRescheduleArgs(args, timeZone) {
+    const quoted = /^"([^"]+)"\s+(.+)$/.exec(args.trim());
+    if (quoted) return { identifier: quoted[1], timeString: quoted[2] };
+    const words = args.trim().split(/\s+/);
+    for (let i = 1; i < words.length; i++) {
+        const timeString = words.slice(i).join(' ');
+        if (!timezones.parseTimeInput(timeString, { timeZone }).error) return { identifier: words.slice(0, i).join(' '), timeString };
+    }
+    return words.length >= 2 ? { identifier: words.slice(0, -1).join(' '), timeString: words[words.length - 1] } : null;
+}
+
+async function handleRescheduleCommand(chatId, args, timeZone) {
     if (typeof workerFunctions.rescheduleMissedItemFunc !== 'function') {
-        return bot.sendMessage(chatId, 'Error: rescheduling function not available.');
+        return replyWithResult(chatId, { success: false, message: 'Rescheduling function not available.' });
     }
 
-    if (args.length < 2) {
-        return bot.sendMessage(chatId, "Invalid format. Use: `/rs <all | \"item title\"> <time>` (e.g., `/rs all 10m`)");
+    const parsed = splitRescheduleArgs(args, timeZone);
+    if (!parsed) {
+        return replyInvalidFormat(chatId, `Invalid format. Use: \`/rs <all | "item title"> <time>\`. Times can be ${timezones.TIME_INPUT_EXAMPLES} (${escapeMarkdown(timeZone)}).`);
     }
 
-    const timeString = args.pop();
-    const identifier = args.join(' ').replace(/"/g, ''); // The rest is the identifier, remove quotes
+    const result = await workerFunctions.rescheduleMissedItemFunc(parsed.identifier, parsed.timeString, timeZone);
+    return replyWithResult(chatId, result);
+}
 
-    const result = await workerFunctions.rescheduleMissedItemFunc(identifier, timeString);
-    if (result.success) {
-        bot.sendMessage(chatId, `✅ **Success!** ${result.message}`);
-    } else {
-        bot.sendMessage(chatId, `❌ **Failed!** ${result.message}`);
+async function handleClearMissedCommand(chatId) {
+    if (typeof workerFunctions.clearMissedCacheFunc === 'function') {
+        const result = await workerFunctions.clearMissedCacheFunc();
+        bot.sendMessage(chatId, `✅ ${result.message}`);
+        return result;
     }
+    return { success: false, message: 'Clearing missed items is not available.' };
 }
 
-function handleClearMissedCommand(chatId) {
-    if (typeof workerFunctions.clearMissedCacheFunc === 'function') {
-        const result = workerFunctions.clearMissedCacheFunc();
-        bot.sendMessage(chatId, `✅ ${result}`);
+async function handleOtpCommand(msg, code) {
+    if (typeof workerFunctions.submitOtpFunc !== 'function') return { success: false, message: 'Zedge login is not available.' };
+    // Don't leave the code lying around in the chat.
+    bot.deleteMessage(msg.chat.id, msg.message_id).catch(() => {});
+    await bot.sendMessage(msg.chat.id, 'Entering the code on Zedge, please wait...');
+    return replyWithResult(msg.chat.id, await workerFunctions.submitOtpFunc(code));
+}
+
+// --- User & Subscription Commands ---
+function escapeMarkdown(text) {
+    return String(text).replace(/([_*`\[])/g, '\\$1');
+}
+
+async function handleUsersCommand(chatId) {
+    const list = await users.listUsers();
+    const bootstrap = users.getBootstrapAdminIds();
+    const lines = list.map(u => `- ${escapeMarkdown(u.name)} (\`${u.telegramUserId}\`) -> **${u.role || 'no role'}**${u.subscriptions.length ? ` · ${u.subscriptions.join(', ')}` : ''}`);
+    if (bootstrap.length > 0) lines.push(`\nAlways admin (set on the server): ${bootstrap.map(id => `\`${id}\``).join(', ')}`);
+    bot.sendMessage(chatId, lines.length > 0 ? `**Allowed Users:**\n${lines.join('\n')}` : 'No users on the allowlist yet.', { parse_mode: 'Markdown' });
+}
+
+async function handleAddUserCommand(msg, args) {
+    const [telegramUserId, role, ...nameParts] = args.split(/\s+/).filter(Boolean);
+    if (!telegramUserId || !role) {
+        return replyInvalidFormat(msg.chat.id, 'Invalid format. Use: `/adduser <telegram id> <viewer | operator | admin> [name]`');
     }
+    const result = await users.saveUser({ telegramUserId, role: role.toLowerCase(), name: nameParts.join(' ') }, `telegram:${msg.from.id}`);
+    bot.sendMessage(msg.chat.id, result.success ? `✅ ${result.message}` : `❌ ${result.message}`);
+    return result;
+}
+
+async function handleRemoveUserCommand(chatId, args) {
+    const telegramUserId = args.trim();
+    if (!telegramUserId) return replyInvalidFormat(chatId, 'Invalid format. Use: `/removeuser <telegram id>`');
+    const result = await users.removeUser(telegramUserId);
+    bot.sendMessage(chatId, result.success ? `✅ ${result.message}` : `❌ ${result.message}`);
+    return result;
+}
+
+async function handleSubscribeCommand(msg, args, enabled) {
+    const subscription = args.trim().toLowerCase();
+    if (!subscription) {
+        return bot.sendMessage(msg.chat.id, `Invalid format. Use: \`/${enabled ? 'subscribe' : 'unsubscribe'} <${users.SUBSCRIPTIONS.join(' | ')}>\``, { parse_mode: 'Markdown' });
+    }
+    const result = await users.setSubscription(msg.from.id, subscription, enabled);
+    if (!result.success) return bot.sendMessage(msg.chat.id, `❌ ${result.message}`);
+    const note = msg.chat.type === 'private' ? '' : '\nNotifications are sent to you privately, so make sure you have started a chat with this bot.';
+    bot.sendMessage(msg.chat.id, `✅ ${result.message} Current: ${result.user.subscriptions.join(', ') || 'none'}.${note}`);
+}
+
+async function handleSubscriptionsCommand(msg) {
+    const user = await users.getUser(msg.from.id);
+    const current = user ? user.subscriptions : [];
+    bot.sendMessage(msg.chat.id, `Your subscriptions: ${current.join(', ') || 'none'}.\nAvailable: ${users.SUBSCRIPTIONS.join(', ')}.`);
+}
+
+async function handleTimezoneCommand(msg, args) {
+    const input = args.trim();
+    if (!input) {
+        const user = await users.getUser(msg.from.id);
+        const current = user && user.timezone ? user.timezone : `${timezones.DEFAULT_TIMEZONE} (server default)`;
+        return bot.sendMessage(msg.chat.id, `Your time zone: ${current}.\nChange it with /timezone Europe/Berlin, or /timezone reset.`);
+    }
+    const result = await users.setTimezone(msg.from.id, input.toLowerCase() === 'reset' ? null : input);
+    if (!result.success) return bot.sendMessage(msg.chat.id, `❌ ${result.message}`);
+    const zone = result.user.timezone || timezones.DEFAULT_TIMEZONE;
+    bot.sendMessage(msg.chat.id, `✅ ${result.message} It is now ${timezones.formatDateTime(new Date(), zone)}.`);
+}
+
+// Captions go out as HTML: titles and error messages often contain Markdown characters.
+function toTelegramHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+        .replace(/\*\*(.+?)\*\*/g, '<b>$1</b>')
+        .replace(/`([^`]+)`/g, '<code>$1</code>');
 }
 
 /**
- * Sends a photo/screenshot to the pre-configured chat ID.
- * @param {string} filePath - The path to the image file.
- * @param {string} caption - Optional text to accompany the image.
+ * Sends a screenshot to the shared chat and to the users subscribed to the category.
+ * @param {string|Buffer} filePath - A file path, or the PNG data itself.
+ * @param {string} caption - Caption using **bold** and `code`.
+ * @param {string} category - Notification category, see notifier.js.
  */
-async function sendScreenshot(filePath, caption) {
-    if (bot && notificationChatId) {
+async function sendScreenshot(filePath, caption, category = 'failure') {
+    if (!bot) return;
+    const fileOptions = Buffer.isBuffer(filePath) ? { filename: 'screenshot.png', contentType: 'image/png' } : {};
+    for (const chatId of (await getRecipients(category)).keys()) {
         try {
-            // Change parse_mode to 'HTML' to avoid Markdown parsing errors with underscores
-            await bot.sendPhoto(notificationChatId, filePath, { 
-                caption: caption, 
-                parse_mode: 'HTML' 
-            });
-            console.log(`Screenshot ${filePath} sent to Telegram.`);
+            // HTML rather than Markdown avoids parsing errors with underscores
+            await bot.sendPhoto(chatId, filePath, {
+                caption: toTelegramHTML(caption),
+                parse_mode: 'HTML'
+            }, fileOptions);
+            logger.info('Screenshot sent to Telegram.', { chatId, file: Buffer.isBuffer(filePath) ? '(in memory)' : filePath });
         } catch (error) {
-            console.error('Failed to send screenshot to Telegram:', error.message);
+            logger.error('Failed to send screenshot to Telegram.', { chatId, error: error.message });
         }
     }
 }
 
 // Update the exports at the bottom of telegram_bot.js
-module.exports = { startBot, sendNotification, sendScreenshot };
+// The Telegram side of notifier.js.
+const notificationChannel = {
+    name: 'telegram',
+    send: (message, category) => sendNotification(message, category),
+    sendImage: (image, caption, category) => sendScreenshot(image, caption, category)
+};
+
+module.exports = { startBot, sendNotification, sendScreenshot, notificationChannel };
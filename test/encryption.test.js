@@ -0,0 +1,85 @@
+// =================================================================
+//            ZEDGE PUBLISHER WORKER (test/encryption.test.js)
+// =================================================================
+// Encrypting secrets with the ENCRYPTION_KEYS key ring: round trips,
+// reading values written with an older key, and refusing envelopes
+// that were tampered with or belong to another purpose.
+// =================================================================
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const OLD_KEY = `k1:${crypto.randomBytes(32).toString('base64')}`;
+const NEW_KEY = `k2:${crypto.randomBytes(32).toString('base64')}`;
+const SESSION = { cookies: [{ name: 'sid', value: 'abc123' }], origins: [] };
+
+// The key ring is read when the module loads, so each ring gets a fresh copy.
+function loadWithKeys(keys) {
+    const saved = process.env.ENCRYPTION_KEYS;
+    process.env.ENCRYPTION_KEYS = keys;
+    delete require.cache[require.resolve('../encryption.js')];
+    try {
+        return require('../encryption.js');
+    } finally {
+        if (saved === undefined) delete process.env.ENCRYPTION_KEYS;
+        else process.env.ENCRYPTION_KEYS = saved;
+    }
+}
+
+function tamper(base64) {
+    const bytes = Buffer.from(base64, 'base64');
+    bytes[0] ^= 0xff;
+    return bytes.toString('base64');
+}
+
+describe('encryption', () => {
+    test('decrypts what it encrypted', () => {
+        const encryption = loadWithKeys(NEW_KEY);
+        const stored = encryption.encryptJSON(SESSION, 'session:zedge');
+        assert.equal(encryption.isEncrypted(stored), true);
+        assert.equal(stored.kid, 'k2');
+        assert.equal(JSON.stringify(stored).includes('abc123'), false);
+        assert.deepEqual(encryption.decryptJSON(stored, 'session:zedge'), SESSION);
+    });
+
+    test('decrypts values written with an older key, and marks them for re-encryption', () => {
+        const stored = loadWithKeys(OLD_KEY).encryptJSON(SESSION, 'session:zedge');
+        const encryption = loadWithKeys(`${NEW_KEY},${OLD_KEY}`);
+        assert.equal(encryption.getCurrentKeyId(), 'k2');
+        assert.deepEqual(encryption.decryptJSON(stored, 'session:zedge'), SESSION);
+        assert.equal(encryption.needsReencryption(stored), true);
+        assert.equal(encryption.needsReencryption(encryption.encryptJSON(SESSION, 'session:zedge')), false);
+    });
+
+    test('refuses a value whose key has been removed', () => {
+        const stored = loadWithKeys(OLD_KEY).encryptJSON(SESSION, 'session:zedge');
+        assert.throws(() => loadWithKeys(NEW_KEY).decryptJSON(stored, 'session:zedge'), /encrypted with key "k1", which is not in ENCRYPTION_KEYS/);
+    });
+
+    test('refuses a tampered ciphertext or authentication tag', () => {
+        const encryption = loadWithKeys(NEW_KEY);
+        const stored = encryption.encryptJSON(SESSION, 'session:zedge');
+        assert.throws(() => encryption.decryptJSON({ ...stored, data: tamper(stored.data) }, 'session:zedge'), /it is damaged or the key is wrong/);
+        assert.throws(() => encryption.decryptJSON({ ...stored, tag: tamper(stored.tag) }, 'session:zedge'), /it is damaged or the key is wrong/);
+    });
+
+    test('refuses to decrypt for another purpose', () => {
+        const encryption = loadWithKeys(NEW_KEY);
+        const stored = encryption.encryptJSON(SESSION, 'session:zedge');
+        assert.throws(() => encryption.decryptJSON(stored, 'credentials:zedge'), /it is damaged or the key is wrong/);
+    });
+
+    test('passes values through when no keys are configured', () => {
+        const encryption = loadWithKeys('');
+        assert.equal(encryption.isEnabled(), false);
+        assert.equal(encryption.encryptJSON(SESSION, 'session:zedge'), SESSION);
+        assert.equal(encryption.decryptJSON(SESSION, 'session:zedge'), SESSION);
+    });
+
+    test('refuses a malformed key ring', () => {
+        assert.throws(() => loadWithKeys('k1'), /must look like "<key id>:<base64 key>"/);
+        assert.throws(() => loadWithKeys(`k1:${crypto.randomBytes(16).toString('base64')}`), /must be 32 bytes/);
+        assert.throws(() => loadWithKeys(`${OLD_KEY},${OLD_KEY}`), /the same key id twice/);
+    });
+});
@@ -0,0 +1,99 @@
+// =================================================================
+//           ZEDGE PUBLISHER WORKER (test/missed_policy.test.js)
+// =================================================================
+// The missed-item policy: where the grace window ends, when a late
+// auto-publish is held instead, where a shifted item lands, and
+// which policies the API accepts.
+// =================================================================
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const missedPolicy = require('../missed_policy.js');
+
+const SCHEDULED_AT = '2026-03-25T10:00:00.000Z';
+const ITEM = { id: 'item-1', title: 'Sunset', scheduledAtUTC: SCHEDULED_AT };
+const MINUTE_MS = 60 * 1000;
+
+function policy(overrides) {
+    return missedPolicy.normalizePolicy({ graceMinutes: 5, maxLateHours: 6, shiftSpacingMinutes: 30, ...overrides });
+}
+
+function lateBy(ms) {
+    return new Date(new Date(SCHEDULED_AT).getTime() + ms);
+}
+
+describe('decideMissedAction', () => {
+    test('publishes as usual up to exactly the grace limit', () => {
+        for (const action of missedPolicy.MISSED_ACTIONS) {
+            assert.equal(missedPolicy.decideMissedAction(ITEM, policy({ action }), lateBy(0)), 'on-time');
+            assert.equal(missedPolicy.decideMissedAction(ITEM, policy({ action }), lateBy(5 * MINUTE_MS)), 'on-time');
+            assert.equal(missedPolicy.decideMissedAction(ITEM, policy({ action }), lateBy(5 * MINUTE_MS + 1)), action);
+        }
+    });
+
+    test('holds an item too late to publish automatically', () => {
+        const publishLate = policy({ action: 'publish' });
+        assert.equal(missedPolicy.decideMissedAction(ITEM, publishLate, lateBy(6 * 60 * MINUTE_MS)), 'publish');
+        assert.equal(missedPolicy.decideMissedAction(ITEM, publishLate, lateBy(6 * 60 * MINUTE_MS + 1)), 'hold');
+    });
+
+    test('only limits how late the publish action may be', () => {
+        const muchLater = lateBy(48 * 60 * MINUTE_MS);
+        assert.equal(missedPolicy.decideMissedAction(ITEM, policy({ action: 'shift' }), muchLater), 'shift');
+        assert.equal(missedPolicy.decideMissedAction(ITEM, policy({ action: 'skip' }), muchLater), 'skip');
+    });
+
+    test('holds by default', () => {
+        assert.equal(missedPolicy.decideMissedAction(ITEM, missedPolicy.normalizePolicy(null), lateBy(24 * 60 * MINUTE_MS)), 'hold');
+    });
+});
+
+describe('findNextFreeSlot', () => {
+    const now = new Date('2026-03-25T10:00:00Z');
+    const at = time => new Date(`2026-03-25T${time}:00Z`);
+
+    test('starts two minutes from now, on a whole minute', () => {
+        assert.equal(missedPolicy.findNextFreeSlot([], new Date('2026-03-25T10:00:30Z'), 30).toISOString(), '2026-03-25T10:03:00.000Z');
+    });
+
+    test('moves past a run of consecutive taken slots', () => {
+        const taken = [at('10:10'), at('10:40'), at('11:10')];
+        assert.equal(missedPolicy.findNextFreeSlot(taken, now, 30).toISOString(), '2026-03-25T11:40:00.000Z');
+        // The order they are listed in doesn't matter.
+        assert.equal(missedPolicy.findNextFreeSlot([taken[2], taken[0], taken[1]], now, 30).toISOString(), '2026-03-25T11:40:00.000Z');
+    });
+
+    test('uses a gap that is wide enough', () => {
+        const taken = [at('10:10'), at('11:40')];
+        assert.equal(missedPolicy.findNextFreeSlot(taken, now, 30).toISOString(), '2026-03-25T10:40:00.000Z');
+        assert.equal(missedPolicy.findNextFreeSlot(taken, now, 60).toISOString(), '2026-03-25T12:40:00.000Z');
+    });
+});
+
+describe('validateMissedPolicy', () => {
+    function validate(input) {
+        const errors = [];
+        const value = missedPolicy.validateMissedPolicy(input, errors);
+        return { errors, value };
+    }
+
+    test('fills in the defaults', () => {
+        const { errors, value } = validate({ action: 'shift' });
+        assert.deepEqual(errors, []);
+        assert.deepEqual(value, { ...missedPolicy.DEFAULT_MISSED_POLICY, action: 'shift' });
+    });
+
+    test('refuses an unknown action and out-of-range numbers', () => {
+        assert.deepEqual(validate({ action: 'retry', graceMinutes: 0, maxLateHours: 1.5, shiftSpacingMinutes: '30' }).errors, [
+            'missedPolicy.action must be one of: hold, publish, shift, skip.',
+            'missedPolicy.graceMinutes must be a whole number from 1 to 1440.',
+            'missedPolicy.maxLateHours must be a whole number from 1 to 168.'
+        ]);
+        assert.deepEqual(validate({ maxLateHours: 169 }).errors, ['missedPolicy.maxLateHours must be a whole number from 1 to 168.']);
+    });
+
+    test('refuses anything but an object', () => {
+        assert.deepEqual(validate(['hold']), { errors: ['missedPolicy must be an object.'], value: null });
+        assert.deepEqual(validate(null).errors, ['missedPolicy must be an object.']);
+    });
+});
@@ -0,0 +1,48 @@
+// =================================================================
+//           ZEDGE PUBLISHER WORKER (test/publish_queue.test.js)
+// =================================================================
+// The retry rules of the publishing queue: exponential backoff with
+// a cap, and parking a job as `dead` once its attempts are used up.
+// =================================================================
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// QUEUE_CONFIG is read when the module loads.
+process.env.QUEUE_MAX_ATTEMPTS = '4';
+process.env.QUEUE_BACKOFF_BASE_SECONDS = '30';
+process.env.QUEUE_BACKOFF_MAX_SECONDS = '200';
+const publishQueue = require('../publish_queue.js');
+
+describe('getBackoffSeconds', () => {
+    test('doubles the wait after each attempt', () => {
+        assert.deepEqual([1, 2, 3].map(publishQueue.getBackoffSeconds), [30, 60, 120]);
+    });
+
+    test('never waits longer than the configured max', () => {
+        assert.equal(publishQueue.getBackoffSeconds(4), 200);
+        assert.equal(publishQueue.getBackoffSeconds(50), 200);
+    });
+
+    test('treats a job with no attempts yet like its first', () => {
+        assert.equal(publishQueue.getBackoffSeconds(0), 30);
+    });
+});
+
+describe('decideRetry', () => {
+    test('retries after the backoff while attempts remain', () => {
+        assert.deepEqual(publishQueue.decideRetry({ attempts: 1, maxAttempts: 4 }), { dead: false, retryInSeconds: 30 });
+        assert.deepEqual(publishQueue.decideRetry({ attempts: 3, maxAttempts: 4 }), { dead: false, retryInSeconds: 120 });
+    });
+
+    test('parks the job as dead after its last attempt', () => {
+        assert.deepEqual(publishQueue.decideRetry({ attempts: 4, maxAttempts: 4 }), { dead: true });
+        // A job that was recovered from an expired lease can be past its limit.
+        assert.deepEqual(publishQueue.decideRetry({ attempts: 5, maxAttempts: 4 }), { dead: true });
+    });
+
+    test('keeps the max attempts a job was queued with', () => {
+        assert.equal(publishQueue.QUEUE_CONFIG.maxAttempts, 4);
+        assert.deepEqual(publishQueue.decideRetry({ attempts: 4, maxAttempts: 6 }), { dead: false, retryInSeconds: 200 });
+    });
+});
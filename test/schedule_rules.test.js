@@ -0,0 +1,158 @@
+// =================================================================
+//           ZEDGE PUBLISHER WORKER (test/schedule_rules.test.js)
+// =================================================================
+// How schedule rules place backlog items, without a database:
+// recurring slots across DST changes (Europe/Berlin changes on
+// 2026-03-29 and 2026-10-25), and cadence rules with a daily
+// maximum, a minimum spacing and a blackout window over midnight.
+// =================================================================
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const scheduleRules = require('../schedule_rules.js');
+
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+
+function recurring(times, daysOfWeek = EVERY_DAY, extra = {}) {
+    return { id: 1, name: 'Recurring', type: 'recurring', profileId: null, timezone: 'Europe/Berlin', config: { times, daysOfWeek }, expandedUntilUTC: null, ...extra };
+}
+
+// At most 2 a day, 2 hours apart, never between 22:00 and 07:00.
+const CADENCE = {
+    id: 2,
+    name: 'Cadence',
+    type: 'cadence',
+    profileId: null,
+    timezone: 'UTC',
+    config: { maxPerDay: 2, minSpacingMinutes: 120, blackouts: [{ start: '22:00', end: '07:00' }], daysOfWeek: EVERY_DAY }
+};
+const FAR_AHEAD = new Date('2026-04-30T00:00:00Z');
+
+function slots(rule, from, to) {
+    return scheduleRules.listRecurringSlots(rule, new Date(from), new Date(to)).map(date => date.toISOString());
+}
+
+function nextCadenceSlot(candidate, taken = []) {
+    const slot = scheduleRules.findNextCadenceSlot(CADENCE, new Date(candidate), FAR_AHEAD, taken.map(t => new Date(t)));
+    return slot && slot.toISOString();
+}
+
+function backlogOf(count) {
+    return Array.from({ length: count }, (_, i) => ({ id: `item-${i + 1}`, title: `Item ${i + 1}` }));
+}
+
+function summarize({ assignments }) {
+    return assignments.map(({ item, slot }) => `${item.id} ${slot.toISOString()}`);
+}
+
+describe('listRecurringSlots', () => {
+    test('keeps local times across the change to summer time', () => {
+        // 09:00 is 08:00 UTC in CET and 07:00 UTC in CEST; 02:30 does not exist on the 29th and becomes 03:30 CEST.
+        assert.deepEqual(slots(recurring(['09:00', '02:30']), '2026-03-27T12:00:00Z', '2026-03-30T12:00:00Z'), [
+            '2026-03-28T01:30:00.000Z',
+            '2026-03-28T08:00:00.000Z',
+            '2026-03-29T01:30:00.000Z',
+            '2026-03-29T07:00:00.000Z',
+            '2026-03-30T00:30:00.000Z',
+            '2026-03-30T07:00:00.000Z'
+        ]);
+    });
+
+    test('uses a repeated local time once when summer time ends', () => {
+        // 02:30 happens twice on 2026-10-25; the first (CEST) one is used.
+        assert.deepEqual(slots(recurring(['09:00', '02:30']), '2026-10-24T12:00:00Z', '2026-10-26T12:00:00Z'), [
+            '2026-10-25T00:30:00.000Z',
+            '2026-10-25T08:00:00.000Z',
+            '2026-10-26T01:30:00.000Z',
+            '2026-10-26T08:00:00.000Z'
+        ]);
+    });
+
+    test('only uses the rule\'s days of the week', () => {
+        // Monday and Friday, from Wednesday 25 March.
+        assert.deepEqual(slots(recurring(['09:00'], [1, 5]), '2026-03-25T12:00:00Z', '2026-04-01T12:00:00Z'), [
+            '2026-03-27T08:00:00.000Z',
+            '2026-03-30T07:00:00.000Z'
+        ]);
+    });
+});
+
+describe('findNextCadenceSlot', () => {
+    test('skips a blackout window that wraps midnight', () => {
+        assert.equal(nextCadenceSlot('2026-03-25T21:59:00Z'), '2026-03-25T21:59:00.000Z');
+        assert.equal(nextCadenceSlot('2026-03-25T22:00:00Z'), '2026-03-26T07:00:00.000Z');
+        assert.equal(nextCadenceSlot('2026-03-25T23:30:00Z'), '2026-03-26T07:00:00.000Z');
+        assert.equal(nextCadenceSlot('2026-03-26T03:00:00Z'), '2026-03-26T07:00:00.000Z');
+    });
+
+    test('keeps the minimum spacing from taken times', () => {
+        assert.equal(nextCadenceSlot('2026-03-26T10:30:00Z', ['2026-03-26T10:00:00Z']), '2026-03-26T12:00:00.000Z');
+        assert.equal(nextCadenceSlot('2026-03-26T09:00:00Z', ['2026-03-26T10:00:00Z']), '2026-03-26T12:00:00.000Z');
+        assert.equal(nextCadenceSlot('2026-03-26T07:00:00Z', ['2026-03-26T10:00:00Z']), '2026-03-26T07:00:00.000Z');
+    });
+
+    test('moves on to the next day once the daily maximum is reached', () => {
+        // The next day starts inside the blackout, so the slot is when it ends.
+        assert.equal(nextCadenceSlot('2026-03-26T12:00:00Z', ['2026-03-26T07:00:00Z', '2026-03-26T09:00:00Z']), '2026-03-27T07:00:00.000Z');
+    });
+
+    test('rounds up to a whole minute', () => {
+        assert.equal(nextCadenceSlot('2026-03-26T09:00:20Z'), '2026-03-26T09:01:00.000Z');
+    });
+
+    test('gives up at the end of the window', () => {
+        const slot = scheduleRules.findNextCadenceSlot(CADENCE, new Date('2026-03-25T23:00:00Z'), new Date('2026-03-26T06:00:00Z'), []);
+        assert.equal(slot, null);
+    });
+});
+
+describe('planRule', () => {
+    test('spreads a cadence rule\'s backlog over its horizon', () => {
+        const backlog = backlogOf(5);
+        const plan = scheduleRules.planRule(CADENCE, new Date('2026-03-25T20:00:00Z'), backlog, []);
+        // Two minutes of lead time, then the blackout, then the daily maximum of 2.
+        assert.deepEqual(summarize(plan), [
+            'item-1 2026-03-25T20:02:00.000Z',
+            'item-2 2026-03-26T07:00:00.000Z',
+            'item-3 2026-03-26T09:00:00.000Z'
+        ]);
+        assert.equal(plan.expandedUntil.toISOString(), '2026-03-26T20:00:00.000Z');
+        assert.deepEqual(backlog.map(item => item.id), ['item-4', 'item-5']);
+    });
+
+    test('counts earlier publishes toward a cadence rule\'s daily maximum', () => {
+        const plan = scheduleRules.planRule(CADENCE, new Date('2026-03-26T10:00:00Z'), backlogOf(3), [], [new Date('2026-03-26T07:00:00Z')]);
+        assert.deepEqual(summarize(plan), [
+            'item-1 2026-03-26T10:02:00.000Z',
+            'item-2 2026-03-27T07:00:00.000Z',
+            'item-3 2026-03-27T09:00:00.000Z'
+        ]);
+    });
+
+    test('fills recurring slots in order and stops where the backlog runs out', () => {
+        const rule = recurring(['09:00', '18:00']);
+        const plan = scheduleRules.planRule(rule, new Date('2026-03-28T12:00:00Z'), backlogOf(2), []);
+        assert.deepEqual(summarize(plan), [
+            'item-1 2026-03-28T17:00:00.000Z',
+            'item-2 2026-03-29T07:00:00.000Z'
+        ]);
+        assert.equal(plan.expandedUntil.toISOString(), '2026-03-29T12:00:00.000Z');
+
+        const short = scheduleRules.planRule(rule, new Date('2026-03-28T12:00:00Z'), backlogOf(1), []);
+        assert.deepEqual(summarize(short), ['item-1 2026-03-28T17:00:00.000Z']);
+        // The unfilled slot (09:00 CEST on the 29th) goes to the next item added to the backlog.
+        assert.equal(short.expandedUntil.toISOString(), '2026-03-29T06:59:59.999Z');
+    });
+
+    test('continues a recurring rule from where it stopped, with items for its profile', () => {
+        const rule = recurring(['09:00', '18:00'], EVERY_DAY, { profileId: 'ringtones', expandedUntilUTC: '2026-03-28T17:00:00.000Z' });
+        const profileList = [
+            { id: 'wallpapers', enabled: true, isDefault: true, themePatterns: [] },
+            { id: 'ringtones', enabled: true, isDefault: false, themePatterns: [] }
+        ];
+        const backlog = [...backlogOf(2), { id: 'ringtone-1', title: 'Ringtone 1', profileId: 'ringtones' }];
+        const plan = scheduleRules.planRule(rule, new Date('2026-03-28T12:00:00Z'), backlog, profileList);
+        assert.deepEqual(summarize(plan), ['ringtone-1 2026-03-29T07:00:00.000Z']);
+        assert.deepEqual(backlog.map(item => item.id), ['item-1', 'item-2']);
+    });
+});
@@ -0,0 +1,113 @@
+// =================================================================
+//            ZEDGE PUBLISHER WORKER (test/simulation.test.js)
+// =================================================================
+// Replays a fixed schedule, backlog and set of rules over two days
+// and checks the plan the simulation comes up with: what publishes
+// when, what is missed, shifted or dry-run, and which items clash.
+// The replay works on loaded data, so no database is needed.
+// =================================================================
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const simulation = require('../simulation.js');
+const missedPolicy = require('../missed_policy.js');
+
+const NOW = new Date('2026-03-25T08:00:00Z');
+const END = new Date('2026-03-27T08:00:00Z');
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+
+const PROFILES = [
+    { id: 'wallpapers', name: 'Wallpapers', enabled: true, isDefault: true, themePatterns: [], missedPolicy: missedPolicy.normalizePolicy({ action: 'hold', graceMinutes: 5 }) },
+    { id: 'ringtones', name: 'Ringtones', enabled: true, isDefault: false, themePatterns: [], missedPolicy: missedPolicy.normalizePolicy({ action: 'shift', graceMinutes: 5, shiftSpacingMinutes: 30 }) }
+];
+
+function item(id, title, scheduledAtUTC, extra = {}) {
+    return { id, title, scheduledAtUTC, status: 'Pending', action: 'publish', profileId: null, dryRun: false, ...extra };
+}
+
+// Fresh copies for every run: the replay uses up the backlog and moves the rules along.
+function fixture() {
+    return {
+        items: [
+            item('old-sunset', 'Old Sunset', '2026-03-25T07:00:00.000Z'),
+            item('old-tone', 'Old Tone', '2026-03-25T07:30:00.000Z', { profileId: 'ringtones' }),
+            item('bell', 'Bell', '2026-03-25T08:20:00.000Z', { profileId: 'ringtones' }),
+            item('forest', 'Forest', '2026-03-25T09:00:00.000Z'),
+            item('forest-again', 'forest ', '2026-03-25T09:03:00.000Z'),
+            item('night', 'Night', '2026-03-25T12:00:00.000Z', { dryRun: true }),
+            item('published', 'Published', '2026-03-24T12:00:00.000Z', { status: 'Published' }),
+            item('next-week', 'Next Week', '2026-04-01T12:00:00.000Z')
+        ],
+        backlog: [
+            item('backlog-1', 'Backlog 1', null, { status: 'Backlog' }),
+            item('backlog-2', 'Backlog 2', null, { status: 'Backlog' }),
+            item('backlog-tone', 'Backlog Tone', null, { status: 'Backlog', profileId: 'ringtones' })
+        ],
+        profileList: PROFILES,
+        rules: [
+            { id: 1, name: 'Evenings', type: 'recurring', profileId: 'wallpapers', timezone: 'UTC', config: { times: ['18:00'], daysOfWeek: EVERY_DAY }, enabled: true, expandedUntilUTC: null },
+            { id: 2, name: 'Tones', type: 'cadence', profileId: 'ringtones', timezone: 'UTC', config: { maxPerDay: 1, minSpacingMinutes: 60, blackouts: [], daysOfWeek: EVERY_DAY }, enabled: true, expandedUntilUTC: null }
+        ],
+        ruleTimes: new Map([[2, []]])
+    };
+}
+
+function plan(events) {
+    return events.map(e => `${e.at} ${e.itemId} ${e.outcome}${e.ruleId ? ` (rule ${e.ruleId})` : ''}`);
+}
+
+describe('replaySchedule', () => {
+    test('plans the schedule and backlog over the simulated days', () => {
+        const data = fixture();
+        const events = simulation.replaySchedule(data, { now: NOW, end: END });
+        assert.deepEqual(plan(events), [
+            // An hour late on a "hold" profile: waits for an operator.
+            '2026-03-25T07:00:00.000Z old-sunset missed',
+            // The cadence rule's slot, two minutes after the clock starts.
+            '2026-03-25T08:02:00.000Z backlog-tone publish (rule 2)',
+            '2026-03-25T08:20:00.000Z bell publish',
+            // Late on a "shift" profile: the next time 30 minutes clear of 08:02 and 08:20.
+            '2026-03-25T08:50:00.000Z old-tone publish',
+            '2026-03-25T09:00:00.000Z forest publish',
+            '2026-03-25T09:03:00.000Z forest-again publish',
+            '2026-03-25T12:00:00.000Z night dry-run',
+            // The recurring rule's slot on each day.
+            '2026-03-25T18:00:00.000Z backlog-1 publish (rule 1)',
+            '2026-03-26T18:00:00.000Z backlog-2 publish (rule 1)'
+        ]);
+        assert.equal(events.find(e => e.itemId === 'old-tone').reason, 'Moved here from 2026-03-25T07:30:00.000Z by its missed policy.');
+        assert.deepEqual(events.map(e => e.profileId), ['wallpapers', 'ringtones', 'ringtones', 'ringtones', 'wallpapers', 'wallpapers', 'wallpapers', 'wallpapers', 'wallpapers']);
+        assert.deepEqual(data.backlog, []);
+    });
+
+    test('misses everything while the worker is paused', () => {
+        const events = simulation.replaySchedule(fixture(), { now: NOW, end: END, workerPaused: true });
+        assert.equal(events.length, 9);
+        assert.deepEqual(new Set(events.map(e => e.outcome)), new Set(['missed']));
+        assert.equal(events.find(e => e.itemId === 'old-tone').at, '2026-03-25T07:30:00.000Z');
+    });
+
+    test('dry-runs what would be published while dry-run mode is on', () => {
+        const events = simulation.replaySchedule(fixture(), { now: NOW, end: END, dryRunMode: true });
+        assert.deepEqual(events.map(e => e.outcome), ['missed', 'dry-run', 'dry-run', 'dry-run', 'dry-run', 'dry-run', 'dry-run', 'dry-run', 'dry-run']);
+    });
+});
+
+describe('findConflicts', () => {
+    test('reports duplicate titles and crowded profiles', () => {
+        const events = simulation.replaySchedule(fixture(), { now: NOW, end: END });
+        assert.deepEqual(simulation.findConflicts(events, new Set(['bell'])), [
+            { type: 'duplicate-title', at: '2026-03-25T08:20:00.000Z', itemIds: ['bell'], message: '"Bell" was already published before.' },
+            { type: 'duplicate-title', at: '2026-03-25T09:03:00.000Z', itemIds: ['forest', 'forest-again'], message: '"Forest" would be published 2 times.' },
+            { type: 'profile-crowded', at: '2026-03-25T09:03:00.000Z', itemIds: ['forest', 'forest-again'], message: '"Forest" and "forest " go to Wallpapers less than 5 minutes apart.' }
+        ]);
+    });
+
+    test('lets republishes reuse a title', () => {
+        const events = [
+            { at: '2026-03-25T09:00:00.000Z', itemId: 'a', title: 'Forest', action: 'publish', outcome: 'publish', profileId: 'wallpapers', profileName: 'Wallpapers' },
+            { at: '2026-03-25T12:00:00.000Z', itemId: 'b', title: 'Forest', action: 'republish', outcome: 'publish', profileId: 'wallpapers', profileName: 'Wallpapers' }
+        ];
+        assert.deepEqual(simulation.findConflicts(events, new Set()), []);
+    });
+});
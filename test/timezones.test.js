@@ -0,0 +1,84 @@
+// =================================================================
+//             ZEDGE PUBLISHER WORKER (test/timezones.test.js)
+// =================================================================
+// The times people type into the bots and the web app, as read by
+// timezones.parseTimeInput(), and how formatDateTime() shows dates.
+// Everything is relative to a fixed "now" in Europe/Berlin, which
+// changes to summer time on 2026-03-29 at 02:00.
+// =================================================================
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const timezones = require('../timezones.js');
+
+const TIME_ZONE = 'Europe/Berlin';
+// Wednesday 25 March 2026, 11:00 in Berlin (CET, UTC+1).
+const NOW = new Date('2026-03-25T10:00:00Z');
+
+function parse(text) {
+    const result = timezones.parseTimeInput(text, { now: NOW, timeZone: TIME_ZONE });
+    return result.date ? result.date.toISOString() : result;
+}
+
+describe('parseTimeInput', () => {
+    test('reads durations from now', () => {
+        assert.equal(parse('10m'), '2026-03-25T10:10:00.000Z');
+        assert.equal(parse('+1d2h'), '2026-03-26T12:00:00.000Z');
+        assert.equal(parse('in 2 hours'), '2026-03-25T12:00:00.000Z');
+        assert.equal(parse('2 hours, 30 minutes'), '2026-03-25T12:30:00.000Z');
+    });
+
+    test('reads a bare number as seconds', () => {
+        assert.equal(parse('30'), '2026-03-25T10:00:30.000Z');
+    });
+
+    test('reads a clock time as the next time the clock shows it', () => {
+        assert.equal(parse('18:00'), '2026-03-25T17:00:00.000Z');
+        assert.equal(parse('6:30 pm'), '2026-03-25T17:30:00.000Z');
+        // 09:00 has passed today, so it means tomorrow.
+        assert.equal(parse('9:00'), '2026-03-26T08:00:00.000Z');
+        assert.equal(parse('tomorrow 09:30'), '2026-03-26T08:30:00.000Z');
+    });
+
+    test('reads a weekday plus a time, across the change to summer time', () => {
+        assert.equal(parse('fri 9am'), '2026-03-27T08:00:00.000Z');
+        // Later today is still today; a time that has passed means next week, by then in CEST.
+        assert.equal(parse('wed 11:30'), '2026-03-25T10:30:00.000Z');
+        assert.equal(parse('wed 9am'), '2026-04-01T07:00:00.000Z');
+    });
+
+    test('reads dates in the user\'s zone unless an ISO string gives its own offset', () => {
+        assert.equal(parse('2026-11-02 18:00'), '2026-11-02T17:00:00.000Z');
+        assert.equal(parse('2026-11-02T18:00:00+02:00'), '2026-11-02T16:00:00.000Z');
+        assert.equal(parse('2026-11-02T18:00Z'), '2026-11-02T18:00:00.000Z');
+    });
+
+    test('rejects a date that does not exist', () => {
+        assert.match(parse('2026-02-30 10:00').error, /Could not understand the time "2026-02-30 10:00"/);
+    });
+
+    test('moves a time skipped by the DST change to the same clock time after it', () => {
+        // 02:30 does not exist in Berlin on 2026-03-29; it becomes 03:30 CEST.
+        assert.equal(parse('2026-03-29 02:30'), '2026-03-29T01:30:00.000Z');
+    });
+
+    test('rejects anything else, listing the forms it understands', () => {
+        for (const text of ['', 'banana', '25:00', '13pm', '10 apples']) {
+            assert.equal(parse(text).error.endsWith(`Try ${timezones.TIME_INPUT_EXAMPLES}.`), true, text);
+        }
+    });
+});
+
+describe('formatDateTime', () => {
+    test('shows the date in the given zone, with its abbreviation', () => {
+        assert.match(timezones.formatDateTime(new Date('2026-03-29T01:30:00Z'), TIME_ZONE), /29 Mar( 2026)?, 03:30 CEST$/);
+    });
+
+    test('shows the year only when it is not the current one', () => {
+        const year = new Date().getUTCFullYear();
+        const thisYear = timezones.formatDateTime(`${year}-06-15T12:00:00Z`, 'UTC');
+        assert.match(thisYear, /15 Jun, 12:00 UTC$/);
+        assert.doesNotMatch(thisYear, new RegExp(String(year)));
+        assert.match(timezones.formatDateTime('2020-01-02T10:00:00Z', 'America/New_York'), /2 Jan 2020, 05:00/);
+    });
+});
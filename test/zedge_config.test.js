@@ -0,0 +1,123 @@
+// =================================================================
+//           ZEDGE PUBLISHER WORKER (test/zedge_config.test.js)
+// =================================================================
+// How zedge_config.js layers the environment, the override file and
+// the database setting over the defaults, and which overrides it
+// refuses before they are saved.
+// =================================================================
+
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zedgeConfig = require('../zedge_config.js');
+
+const { DEFAULT_CONFIG } = zedgeConfig;
+const ENV_KEYS = ['ZEDGE_ACCOUNT_URL', 'ZEDGE_UPLOAD_URL', 'ZEDGE_SELECTORS_FILE'];
+const savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+
+let tempDir = null;
+
+function writeOverrideFile(overrides) {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zedge-config-'));
+    const file = path.join(tempDir, 'selectors.json');
+    fs.writeFileSync(file, JSON.stringify(overrides));
+    return file;
+}
+
+afterEach(() => {
+    if (tempDir) fs.rmSync(tempDir, { recursive: true, force: true });
+    tempDir = null;
+    for (const key of ENV_KEYS) {
+        if (savedEnv[key] === undefined) delete process.env[key];
+        else process.env[key] = savedEnv[key];
+    }
+    zedgeConfig.loadConfig();
+});
+
+describe('loadConfig', () => {
+    test('uses the defaults when nothing is overridden', () => {
+        for (const key of ENV_KEYS) delete process.env[key];
+        const config = zedgeConfig.loadConfig();
+        assert.deepEqual(config, DEFAULT_CONFIG);
+        assert.equal(zedgeConfig.getConfig(), config);
+    });
+
+    test('takes the URLs from the environment, without a trailing slash', () => {
+        process.env.ZEDGE_ACCOUNT_URL = 'http://localhost:4000/';
+        const config = zedgeConfig.loadConfig();
+        assert.equal(config.urls.account, 'http://localhost:4000');
+        assert.equal(config.urls.upload, DEFAULT_CONFIG.urls.upload);
+    });
+
+    test('deep-merges database overrides, keeping the values they leave out', () => {
+        const config = zedgeConfig.loadConfig({ contentList: { statusBadge: { DRAFT: 'span.draft' } }, timeouts: { findItem: 90000 } });
+        assert.equal(config.contentList.statusBadge.DRAFT, 'span.draft');
+        assert.equal(config.contentList.statusBadge.PUBLISHED, DEFAULT_CONFIG.contentList.statusBadge.PUBLISHED);
+        assert.equal(config.contentList.itemCard, DEFAULT_CONFIG.contentList.itemCard);
+        assert.equal(config.timeouts.findItem, 90000);
+        assert.equal(config.timeouts.navigation, DEFAULT_CONFIG.timeouts.navigation);
+        assert.equal(DEFAULT_CONFIG.contentList.statusBadge.DRAFT, 'span[type="DEFAULT"]');
+    });
+
+    test('applies the environment, then the override file, then the database setting', () => {
+        process.env.ZEDGE_UPLOAD_URL = 'http://env.example';
+        process.env.ZEDGE_SELECTORS_FILE = writeOverrideFile({
+            urls: { upload: 'http://file.example' },
+            login: { emailInput: '#file-email', passwordInput: '#file-password' }
+        });
+        const config = zedgeConfig.loadConfig({ login: { passwordInput: '#db-password' } });
+        assert.equal(config.urls.upload, 'http://file.example');
+        assert.equal(config.login.emailInput, '#file-email');
+        assert.equal(config.login.passwordInput, '#db-password');
+    });
+
+    test('keeps going without an override file it cannot read', () => {
+        process.env.ZEDGE_SELECTORS_FILE = path.join(os.tmpdir(), 'zedge-config-missing', 'selectors.json');
+        assert.equal(zedgeConfig.loadConfig({ timeouts: { upload: 1000 } }).timeouts.upload, 1000);
+    });
+});
+
+describe('validateOverrides', () => {
+    test('accepts a partial override shaped like the defaults', () => {
+        assert.deepEqual(zedgeConfig.validateOverrides({
+            urls: { upload: 'https://upload.example.com' },
+            contentList: { statusBadge: { DRAFT: 'span.draft' } },
+            timeouts: { findItem: 90000 }
+        }), []);
+        assert.deepEqual(zedgeConfig.validateOverrides({}), []);
+    });
+
+    test('refuses unknown keys, at any depth', () => {
+        assert.deepEqual(zedgeConfig.validateOverrides({ logn: {}, login: { emailField: 'input' } }), [
+            'Unknown setting "logn".',
+            'Unknown setting "login.emailField".'
+        ]);
+    });
+
+    test('refuses values of the wrong type', () => {
+        assert.deepEqual(zedgeConfig.validateOverrides({
+            login: { emailInput: '  ' },
+            detail: { publishButton: 42 },
+            timeouts: { findItem: '5000', upload: 0, stats: 1.5 }
+        }), [
+            'login.emailInput must be a non-empty string.',
+            'detail.publishButton must be a non-empty string.',
+            'timeouts.findItem must be a positive whole number of milliseconds.',
+            'timeouts.upload must be a positive whole number of milliseconds.',
+            'timeouts.stats must be a positive whole number of milliseconds.'
+        ]);
+    });
+
+    test('refuses URLs that are not http(s)', () => {
+        assert.deepEqual(zedgeConfig.validateOverrides({ urls: { account: 'ftp://account.example', upload: 'http://localhost:4000' } }), [
+            'urls.account must be an http(s) URL.'
+        ]);
+    });
+
+    test('refuses anything but an object where a section is expected', () => {
+        assert.deepEqual(zedgeConfig.validateOverrides(['login']), ['Overrides must be an object.']);
+        assert.deepEqual(zedgeConfig.validateOverrides({ timeouts: 5000 }), ['timeouts must be an object.']);
+    });
+});
@@ -0,0 +1,224 @@
+// =================================================================
+//           ZEDGE PUBLISHER WORKER (test/zedge_pages.test.js)
+// =================================================================
+// Runs the page objects in zedge_pages.js against the fixture server
+// in a real browser: login -> find draft -> publish -> verify, the
+// OTP step, and the failures the worker has to recognize. This is
+// what checks that the selectors in zedge_config.js and the
+// event-driven waits still fit the markup. The badge lookup that
+// runs inside the page is also tested on its own, with a small fake
+// DOM, so it runs without a browser.
+//
+// Usage:
+//   npx playwright install chromium   (once)
+//   npm test
+//
+// Without Chromium the browser tests are skipped with a warning; set
+// REQUIRE_BROWSER_TESTS=1 (e.g. in CI) to make that a failure instead.
+// =================================================================
+
+const { describe, test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { chromium } = require('playwright');
+const { startFixtureServer } = require('../fixtures/zedge_fixture_server.js');
+const zedgeConfig = require('../zedge_config.js');
+const zedgePages = require('../zedge_pages.js');
+
+const BUSINESS_ID = '00000000-0000-4000-8000-000000000001';
+const PROFILE_ID = '00000000-0000-4000-8000-000000000002';
+const CREDENTIALS = { email: 'fixture@example.com', password: 'fixture-password' };
+// Past the first page of the list (12 items), so finding it needs "Load more".
+const DRAFT_TITLE = 'Fixture Draft 20';
+
+const browserMissing = fs.existsSync(chromium.executablePath()) ? false : 'Chromium is not installed; run `npx playwright install chromium`.';
+// A skipped test still leaves the run green, so say why on stderr where CI logs show it.
+if (browserMissing && !process.env.REQUIRE_BROWSER_TESTS) process.emitWarning(`Browser tests skipped: ${browserMissing}`);
+
+let fixture;
+let browser;
+let context;
+let page;
+
+async function resetFixture(options = {}) {
+    const response = await fetch(`${fixture.uploadUrl.replace(/\/upload$/, '')}/__fixture/reset`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ publishDelayMs: 200, ...options })
+    });
+    assert.equal(response.status, 200);
+}
+
+async function fixtureItem(title) {
+    const response = await fetch(`${fixture.uploadUrl.replace(/\/upload$/, '')}/__fixture/items`);
+    const { items } = await response.json();
+    return items.find(item => item.title === title);
+}
+
+function profileUrl() {
+    return `${zedgeConfig.getConfig().urls.upload}/business/${BUSINESS_ID}/profiles/${PROFILE_ID}/content/WALLPAPER`;
+}
+
+describe('against the fixture site', () => {
+    if (browserMissing && process.env.REQUIRE_BROWSER_TESTS) {
+        test('has a browser to run in', () => assert.fail(browserMissing));
+    }
+
+    before(async () => {
+        if (browserMissing) return;
+        fixture = await startFixtureServer(0);
+        process.env.ZEDGE_ACCOUNT_URL = fixture.accountUrl;
+        process.env.ZEDGE_UPLOAD_URL = fixture.uploadUrl;
+        zedgeConfig.loadConfig();
+        browser = await chromium.launch();
+    });
+
+    after(async () => {
+        if (browser) await browser.close();
+        if (fixture) await new Promise(resolve => fixture.server.close(resolve));
+    });
+
+    beforeEach(async () => {
+        if (browserMissing) return;
+        await resetFixture();
+        context = await browser.newContext();
+        page = await context.newPage();
+    });
+
+    afterEach(async () => {
+        if (context) await context.close();
+        context = null;
+    });
+
+    test('logs in, finds a draft past the first page, publishes it and verifies the status', { skip: browserMissing }, async () => {
+        assert.deepEqual(await zedgePages.login(page, CREDENTIALS), { loggedIn: true });
+        assert.equal(await zedgePages.isSessionValid(page), true);
+
+        await zedgePages.openProfileContent(page, profileUrl());
+        await zedgePages.openDraft(page, DRAFT_TITLE);
+        await zedgePages.publishFromDetail(page);
+
+        assert.equal(await zedgePages.waitForItemStatus(page, profileUrl(), DRAFT_TITLE, 'PUBLISHED'), true);
+        assert.equal((await fixtureItem(DRAFT_TITLE)).status, 'PUBLISHED');
+    });
+
+    test('stops at the OTP step and logs in with the emailed code', { skip: browserMissing }, async () => {
+        await resetFixture({ requireOtp: true, otpCode: '654321' });
+
+        assert.deepEqual(await zedgePages.login(page, CREDENTIALS), { loggedIn: false, otpRequired: true });
+        assert.deepEqual(await zedgePages.submitOtp(page, '654321'), { loggedIn: true });
+        assert.equal(await zedgePages.isSessionValid(page), true);
+    });
+
+    test('reports a rejected OTP code', { skip: browserMissing }, async () => {
+        await resetFixture({ requireOtp: true, otpCode: '654321' });
+
+        await zedgePages.login(page, CREDENTIALS);
+        assert.deepEqual(await zedgePages.submitOtp(page, '000000'), { loggedIn: false });
+        assert.equal(await zedgePages.isSessionValid(page), false);
+    });
+
+    test('reports a draft that is not in the list', { skip: browserMissing }, async () => {
+        await zedgePages.login(page, CREDENTIALS);
+        await zedgePages.openProfileContent(page, profileUrl());
+
+        await assert.rejects(zedgePages.openDraft(page, 'No Such Draft'), /Could not find a DRAFT with the title "No Such Draft"/);
+    });
+
+    test('sends a signed-out browser back to the login page', { skip: browserMissing }, async () => {
+        assert.equal(await zedgePages.isSessionValid(page), false);
+        await assert.rejects(zedgePages.openProfileContent(page, profileUrl()), /Session expired/);
+    });
+});
+
+// --- markItemInList, on a fake DOM ---
+
+// Just enough of the DOM for markItemInList: selectors are a tag, a class
+// and/or one attribute test, optionally separated by commas.
+function matches(el, selector) {
+    return selector.split(',').some(part => {
+        const [, tag, className, attr, value] = part.trim().match(/^([a-z]+)?(?:\.([\w-]+))?(?:\[([\w-]+)(?:="([^"]*)")?\])?$/);
+        return (!tag || el.tagName === tag)
+            && (!className || el.getAttribute('class') === className)
+            && (!attr || (value === undefined ? el.attributes.has(attr) : el.getAttribute(attr) === value));
+    });
+}
+
+function element(tagName, attributes = {}, children = []) {
+    const el = {
+        tagName,
+        attributes: new Map(Object.entries(attributes)),
+        children: typeof children === 'string' ? [] : children,
+        parentElement: null,
+        get textContent() { return typeof children === 'string' ? children : el.children.map(child => child.textContent).join(''); },
+        getAttribute: name => (el.attributes.has(name) ? el.attributes.get(name) : null),
+        setAttribute: (name, value) => el.attributes.set(name, value),
+        removeAttribute: name => el.attributes.delete(name),
+        querySelectorAll: selector => el.children.flatMap(child => [...(matches(child, selector) ? [child] : []), ...child.querySelectorAll(selector)]),
+        querySelector: selector => el.querySelectorAll(selector)[0] || null,
+        closest: selector => {
+            for (let node = el; node; node = node.parentElement) if (matches(node, selector)) return node;
+            return null;
+        }
+    };
+    for (const child of el.children) child.parentElement = el;
+    return el;
+}
+
+const MARKER = 'data-match';
+const LIST_SELECTORS = { itemTitle: '.title', itemCard: '.card', statusSelector: '.badge', marker: MARKER };
+
+function markIn(root, title, statusText) {
+    global.document = root;
+    try {
+        return zedgePages.markItemInList({ ...LIST_SELECTORS, title, statusText });
+    } finally {
+        delete global.document;
+    }
+}
+
+function card(title, badgeText, layout) {
+    const titleEl = element('span', { class: 'title' }, title);
+    const badge = element('span', { class: 'badge' }, badgeText);
+    if (layout === 'beside-title') return element('div', { class: 'card' }, [element('div', {}, [titleEl, badge])]);
+    if (layout === 'in-card') return element('div', { class: 'card' }, [element('div', {}, [titleEl]), badge]);
+    // 'beside-card': the badge is a sibling of the card.
+    return element('li', {}, [element('div', { class: 'card' }, [element('div', {}, [titleEl])]), badge]);
+}
+
+function markedCards(root) {
+    return root.querySelectorAll(`[${MARKER}]`).map(el => el.querySelector('.title').textContent);
+}
+
+describe('markItemInList', () => {
+    test('finds the badge next to the title', () => {
+        const root = element('main', {}, [card('Sunset', 'Published', 'beside-title'), card('Forest', 'Draft', 'beside-title')]);
+        assert.equal(markIn(root, 'Forest', 'DRAFT'), true);
+        assert.deepEqual(markedCards(root), ['Forest']);
+    });
+
+    test('falls back to the badge inside the card', () => {
+        const root = element('main', {}, [card('Forest', 'Draft', 'in-card')]);
+        assert.equal(markIn(root, 'Forest', 'DRAFT'), true);
+        assert.deepEqual(markedCards(root), ['Forest']);
+    });
+
+    test('falls back to the badge beside the card', () => {
+        const root = element('main', {}, [card('Forest', 'Draft', 'beside-card')]);
+        assert.equal(markIn(root, 'Forest', 'DRAFT'), true);
+        assert.deepEqual(markedCards(root), ['Forest']);
+    });
+
+    test('matches a title given in the title attribute', () => {
+        const titleEl = element('div', { class: 'title', title: 'A very long title' }, 'A very long…');
+        const root = element('main', {}, [element('div', { class: 'card' }, [element('div', {}, [titleEl, element('span', { class: 'badge' }, 'Draft')])])]);
+        assert.equal(markIn(root, 'A very long title', 'DRAFT'), true);
+    });
+
+    test('ignores an item with another status, and clears an earlier match', () => {
+        const root = element('main', {}, [card('Sunset', 'Published', 'beside-title'), card('Forest', 'Draft', 'beside-title')]);
+        assert.equal(markIn(root, 'Forest', 'DRAFT'), true);
+        assert.equal(markIn(root, 'Sunset', 'DRAFT'), false);
+        assert.deepEqual(markedCards(root), []);
+    });
+});
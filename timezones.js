@@ -0,0 +1,228 @@
+// =================================================================
+//                 ZEDGE PUBLISHER WORKER (timezones.js)
+// =================================================================
+// Wall-clock <-> UTC conversion for IANA time zones using only Intl,
+// so rules like "every day at 09:00 Europe/Berlin" stay at 09:00 local
+// time across DST changes. Also parses the times people type into the
+// bot and web app ("tomorrow 09:30", "+1d2h") and formats dates for a
+// user's time zone.
+// =================================================================
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const formatterCache = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatterCache.has(timeZone)) {
+        formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric',
+            hour: 'numeric', minute: 'numeric', second: 'numeric',
+            weekday: 'short'
+        }));
+    }
+    return formatterCache.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || !timeZone) return false;
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Returns the wall-clock parts of a date in a time zone.
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number}}
+ *   `month` is 1-12 and `weekday` is 0 (Sunday) - 6.
+ */
+function getZonedParts(date, timeZone) {
+    const parts = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(date)) parts[type] = value;
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        weekday: WEEKDAYS[parts.weekday]
+    };
+}
+
+function getOffsetMs(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - (date.getTime() - date.getMilliseconds());
+}
+
+/**
+ * Converts a wall-clock time in a time zone to a UTC Date. Times skipped by a DST jump
+ * resolve to the same clock time after the jump; repeated times resolve to the first one.
+ * @param {{year: number, month: number, day: number, hour?: number, minute?: number}} local - `month` is 1-12.
+ */
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    // Try the offsets in effect half a day either side; at most one DST change happens in between.
+    const before = new Date(wallClock - getOffsetMs(new Date(wallClock - 12 * 60 * 60 * 1000), timeZone));
+    const after = new Date(wallClock - getOffsetMs(new Date(wallClock + 12 * 60 * 60 * 1000), timeZone));
+    const matches = (date) => {
+        const p = getZonedParts(date, timeZone);
+        return p.hour === hour && p.minute === minute && p.day === day;
+    };
+    const valid = [before, after].filter(matches).sort((a, b) => a - b);
+    // A skipped time uses the pre-jump offset, which lands the same distance past the jump.
+    return valid[0] || before;
+}
+
+/**
+ * Adds whole days to a calendar date (no time zone involved).
+ * @returns {{year: number, month: number, day: number}}
+ */
+function addDays({ year, month, day }, days) {
+    const date = new Date(Date.UTC(year, month - 1, day + days));
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+/**
+ * Parses "HH:MM" (24h).
+ * @returns {{hour: number, minute: number}|null}
+ */
+function parseTimeOfDay(text) {
+    const match = TIME_OF_DAY_PATTERN.exec(String(text || '').trim());
+    return match ? { hour: Number(match[1]), minute: Number(match[2]) } : null;
+}
+
+// --- Parsing User Input ---
+const DURATION_UNITS_MS = { d: 24 * 60 * 60 * 1000, h: 60 * 60 * 1000, m: 60 * 1000, s: 1000 };
+const DURATION_TOKEN = /(\d+)\s*(days?|d|hours?|hrs?|h|minutes?|mins?|m|seconds?|secs?|s)(?![a-z])/gi;
+const WEEKDAY_WORDS = {
+    sun: 0, sunday: 0, mon: 1, monday: 1, tue: 2, tues: 2, tuesday: 2, wed: 3, wednesday: 3,
+    thu: 4, thur: 4, thurs: 4, thursday: 4, fri: 5, friday: 5, sat: 6, saturday: 6
+};
+// A bare number is still read as seconds, as /rs did before it understood units.
+const TIME_INPUT_EXAMPLES = '10m, +1d2h, in 2 hours, 18:00, tomorrow 09:30, fri 9am, 2026-11-02 18:00 or 30 (seconds)';
+
+/**
+ * Parses a duration such as "10m", "+1d2h" or "2 hours 30 minutes".
+ * @returns {number|null} Milliseconds, or null if the text isn't a duration.
+ */
+function parseDuration(text) {
+    const clean = text.replace(/^\+/, '').replace(/,/g, ' ').trim();
+    if (!clean) return null;
+    let total = 0;
+    let consumed = '';
+    for (const match of clean.matchAll(DURATION_TOKEN)) {
+        total += Number(match[1]) * DURATION_UNITS_MS[match[2][0].toLowerCase()];
+        consumed += match[0];
+    }
+    // Every non-space character has to belong to a token, so "10 apples" isn't read as 10 (nothing).
+    return consumed.replace(/\s/g, '') === clean.replace(/\s/g, '') && consumed ? total : null;
+}
+
+/**
+ * Parses a clock time: "18:00", "9:30", "9am" or "6:30 pm".
+ * @returns {{hour: number, minute: number}|null}
+ */
+function parseClockTime(text) {
+    const match = /^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i.exec(text.trim());
+    if (!match || (!match[2] && !match[3])) return null;
+    let hour = Number(match[1]);
+    const minute = match[2] ? Number(match[2]) : 0;
+    if (minute > 59) return null;
+    if (match[3]) {
+        if (hour < 1 || hour > 12) return null;
+        hour = (hour % 12) + (match[3].toLowerCase() === 'pm' ? 12 : 0);
+    } else if (hour > 23) {
+        return null;
+    }
+    return { hour, minute };
+}
+
+/**
+ * Parses a time typed by a user, relative to `now` and in the user's time zone.
+ * Accepts durations ("10m", "+1d2h", "in 2 hours"), a bare number of seconds ("30"),
+ * a clock time (today, or tomorrow if it has passed), "today"/"tomorrow"/a weekday plus
+ * a clock time, "YYYY-MM-DD HH:MM", and full ISO timestamps with an offset.
+ * @param {string} text - The user's input.
+ * @param {object} options - { now: Date, timeZone: string }
+ * @returns {{date: Date}|{error: string}}
+ */
+function parseTimeInput(text, { now = new Date(), timeZone = DEFAULT_TIMEZONE } = {}) {
+    const input = String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    const invalid = { error: `Could not understand the time "${String(text || '').trim()}". Try ${TIME_INPUT_EXAMPLES}.` };
+    if (!input) return invalid;
+    if (input === 'now') return { date: new Date(now) };
+    if (/^\d+$/.test(input)) return { date: new Date(now.getTime() + Number(input) * DURATION_UNITS_MS.s) };
+
+    const durationMs = parseDuration(input.replace(/^in /, ''));
+    if (durationMs !== null) return { date: new Date(now.getTime() + durationMs) };
+
+    // An explicit offset or Z means the user already said which zone they meant.
+    if (/^\d{4}-\d{2}-\d{2}t\d{2}:\d{2}(:\d{2}(\.\d+)?)?(z|[+-]\d{2}:?\d{2})$/.test(input)) {
+        const date = new Date(input.toUpperCase());
+        return isNaN(date.getTime()) ? invalid : { date };
+    }
+
+    const absolute = /^(\d{4})-(\d{2})-(\d{2})(?:[ t]|\s+at\s+)(.+)$/.exec(input);
+    if (absolute) {
+        const clock = parseClockTime(absolute[4]);
+        const [year, month, day] = absolute.slice(1, 4).map(Number);
+        const check = new Date(Date.UTC(year, month - 1, day));
+        if (!clock || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) return invalid;
+        return { date: zonedTimeToUtc({ year, month, day, ...clock }, timeZone) };
+    }
+
+    const dayMatch = /^(today|tomorrow|tmrw|[a-z]+)?\s*(?:at\s+)?(.+)$/.exec(input);
+    const clock = dayMatch && parseClockTime(dayMatch[2]);
+    if (!clock) return invalid;
+    const today = getZonedParts(now, timeZone);
+    const at = (offsetDays) => zonedTimeToUtc({ ...addDays(today, offsetDays), ...clock }, timeZone);
+    const dayWord = dayMatch[1];
+
+    if (!dayWord) return { date: at(at(0) > now ? 0 : 1) }; // "18:00" means the next 18:00.
+    if (dayWord === 'today') return { date: at(0) };
+    if (dayWord === 'tomorrow' || dayWord === 'tmrw') return { date: at(1) };
+    const weekday = WEEKDAY_WORDS[dayWord];
+    if (weekday === undefined) return invalid;
+    let offset = (weekday - today.weekday + 7) % 7;
+    if (offset === 0 && at(0) <= now) offset = 7;
+    return { date: at(offset) };
+}
+
+// --- Formatting ---
+
+/**
+ * Formats a date for people in a time zone, e.g. "Mon 2 Nov, 18:00 CET".
+ * The year is only shown when it isn't the current one.
+ */
+function formatDateTime(date, timeZone = DEFAULT_TIMEZONE) {
+    const value = date instanceof Date ? date : new Date(date);
+    const showYear = getZonedParts(value, timeZone).year !== getZonedParts(new Date(), timeZone).year;
+    return new Intl.DateTimeFormat('en-GB', {
+        timeZone,
+        weekday: 'short', day: 'numeric', month: 'short', year: showYear ? 'numeric' : undefined,
+        hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+        timeZoneName: 'short'
+    }).format(value);
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    TIME_INPUT_EXAMPLES,
+    isValidTimeZone,
+    getZonedParts,
+    zonedTimeToUtc,
+    addDays,
+    parseTimeOfDay,
+    parseDuration,
+    parseTimeInput,
+    formatDateTime
+};
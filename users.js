@@ -0,0 +1,207 @@
+// =================================================================
+//                 ZEDGE PUBLISHER WORKER (users.js)
+// =================================================================
+// The allowlist of Telegram users, their roles and the notifications
+// each one subscribed to. Telegram IDs listed in ADMIN_TELEGRAM_IDS are
+// always admins, so there is a way in before anyone has been added.
+// That is decided when they sign in: the row that stores their
+// preferences has no role, so removing them from the variable is
+// enough to take admin away.
+// =================================================================
+
+const database = require('./database.js');
+const timezones = require('./timezones.js');
+
+// Ordered from least to most privileged.
+const ROLES = ['viewer', 'operator', 'admin'];
+// failures: failed/missed publishes and system alerts. publishes: every publish, good or bad. digest: the daily summary.
+const SUBSCRIPTIONS = ['failures', 'publishes', 'digest'];
+
+function getBootstrapAdminIds() {
+    return (process.env.ADMIN_TELEGRAM_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+}
+
+function userFromRow(row) {
+    return {
+        telegramUserId: row.telegram_user_id,
+        name: row.name,
+        role: row.role,
+        subscriptions: row.subscriptions || [],
+        timezone: row.timezone,
+        addedBy: row.added_by,
+        createdAtUTC: row.created_at.toISOString(),
+        updatedAtUTC: row.updated_at.toISOString()
+    };
+}
+
+async function listUsers(client = database) {
+    const { rows } = await client.query('SELECT * FROM users ORDER BY role DESC NULLS LAST, name ASC');
+    return rows.map(userFromRow);
+}
+
+async function getUser(telegramUserId, client = database) {
+    const { rows } = await client.query('SELECT * FROM users WHERE telegram_user_id = $1', [String(telegramUserId)]);
+    return rows[0] ? userFromRow(rows[0]) : null;
+}
+
+/**
+ * Returns a Telegram user's role, or null if they are not on the allowlist.
+ * A stored row without a role (see getOrCreateUser()) grants nothing.
+ */
+async function getUserRole(telegramUserId) {
+    if (getBootstrapAdminIds().includes(String(telegramUserId))) return 'admin';
+    const user = await getUser(telegramUserId);
+    return user ? user.role : null;
+}
+
+/**
+ * Adds a user to the allowlist or changes their role.
+ * @param {object} input - { telegramUserId, name, role }
+ * @param {string} addedBy - Who made the change, for the record.
+ */
+async function saveUser(input, addedBy) {
+    const telegramUserId = String(input.telegramUserId || '').trim();
+    if (!/^\d{1,20}$/.test(telegramUserId)) return { success: false, code: 400, message: 'Telegram user ID must be numeric.' };
+    if (!ROLES.includes(input.role)) return { success: false, code: 400, message: `Role must be one of: ${ROLES.join(', ')}.` };
+    const name = typeof input.name === 'string' && input.name.trim() ? input.name.trim() : telegramUserId;
+
+    const { rows } = await database.query(
+        `INSERT INTO users (telegram_user_id, name, role, added_by) VALUES ($1, $2, $3, $4)
+         ON CONFLICT (telegram_user_id) DO UPDATE SET name = EXCLUDED.name, role = EXCLUDED.role, updated_at = now()
+         RETURNING *, (xmax = 0) AS inserted`,
+        [telegramUserId, name, input.role, addedBy]
+    );
+    const user = userFromRow(rows[0]);
+    const verb = rows[0].inserted ? 'Added' : 'Updated';
+    return { success: true, code: rows[0].inserted ? 201 : 200, message: `${verb} ${user.name} as ${user.role}.`, user };
+}
+
+/**
+ * Returns the users subscribed to any of the given notification types who still have access.
+ * @param {string[]} subscriptions - e.g. ['failures', 'publishes'].
+ */
+async function listSubscribers(subscriptions, client = database) {
+    const { rows } = await client.query(
+        'SELECT * FROM users WHERE subscriptions && $1::text[] AND (role IS NOT NULL OR telegram_user_id = ANY($2::text[]))',
+        [subscriptions, getBootstrapAdminIds()]
+    );
+    return rows.map(userFromRow);
+}
+
+/**
+ * Returns the time zone dates should be shown in for a user (their own, or DEFAULT_TIMEZONE).
+ */
+async function getUserTimezone(telegramUserId) {
+    const user = telegramUserId ? await getUser(telegramUserId) : null;
+    return user && user.timezone ? user.timezone : timezones.DEFAULT_TIMEZONE;
+}
+
+/**
+ * Returns the time zone dates should be shown in for a Discord user. Discord users
+ * have no row in `users`, so their zones are kept together in one setting.
+ */
+async function getDiscordTimezone(discordUserId) {
+    const { rows } = await database.query("SELECT value ->> $1 AS timezone FROM settings WHERE key = 'discord_timezones'", [String(discordUserId)]);
+    return rows[0] && rows[0].timezone ? rows[0].timezone : timezones.DEFAULT_TIMEZONE;
+}
+
+/**
+ * Sets the time zone a Discord user's dates are shown and typed in.
+ * @param {string|null} timezone - An IANA zone such as "Europe/Berlin", or null for the default.
+ */
+async function setDiscordTimezone(discordUserId, timezone) {
+    if (timezone !== null && !timezones.isValidTimeZone(timezone)) {
+        return { success: false, code: 400, message: `Unknown time zone "${timezone}". Use a name like Europe/Berlin or America/New_York.` };
+    }
+    const id = String(discordUserId);
+    if (timezone) {
+        await database.query(
+            `INSERT INTO settings (key, value, updated_at) VALUES ('discord_timezones', jsonb_build_object($1::text, $2::text), now())
+             ON CONFLICT (key) DO UPDATE SET value = settings.value || EXCLUDED.value, updated_at = now()`,
+            [id, timezone]
+        );
+    } else {
+        await database.query("UPDATE settings SET value = value - $1::text, updated_at = now() WHERE key = 'discord_timezones'", [id]);
+    }
+    const message = timezone ? `Time zone set to ${timezone}.` : `Time zone reset to the default (${timezones.DEFAULT_TIMEZONE}).`;
+    return { success: true, code: 200, message, timezone: timezone || timezones.DEFAULT_TIMEZONE };
+}
+
+// Bootstrap admins have no row until they first change a preference. The row gets no role,
+// so it stops granting anything once they are removed from ADMIN_TELEGRAM_IDS.
+async function getOrCreateUser(telegramUserId, client) {
+    const user = await getUser(telegramUserId, client);
+    if (user || !getBootstrapAdminIds().includes(telegramUserId)) return user;
+    await client.query("INSERT INTO users (telegram_user_id, name, role, added_by, subscriptions) VALUES ($1, $1, NULL, 'ADMIN_TELEGRAM_IDS', '{}')", [telegramUserId]);
+    return getUser(telegramUserId, client);
+}
+
+/**
+ * Sets the time zone a user's dates are shown and typed in.
+ * @param {string|null} timezone - An IANA zone such as "Europe/Berlin", or null for the default.
+ * @returns {Promise<object>} A result with the updated `user`.
+ */
+async function setTimezone(telegramUserId, timezone) {
+    if (timezone !== null && !timezones.isValidTimeZone(timezone)) {
+        return { success: false, code: 400, message: `Unknown time zone "${timezone}". Use a name like Europe/Berlin or America/New_York.` };
+    }
+    const id = String(telegramUserId);
+    return database.withTransaction(async (client) => {
+        if (!await getOrCreateUser(id, client)) return { success: false, code: 404, message: 'User not found.' };
+        const { rows } = await client.query(
+            'UPDATE users SET timezone = $2, updated_at = now() WHERE telegram_user_id = $1 RETURNING *',
+            [id, timezone]
+        );
+        const message = timezone ? `Time zone set to ${timezone}.` : `Time zone reset to the default (${timezones.DEFAULT_TIMEZONE}).`;
+        return { success: true, code: 200, message, user: userFromRow(rows[0]) };
+    });
+}
+
+/**
+ * Adds or removes one notification subscription for a user.
+ * @returns {Promise<object>} A result with the updated `user`.
+ */
+async function setSubscription(telegramUserId, subscription, enabled) {
+    if (!SUBSCRIPTIONS.includes(subscription)) {
+        return { success: false, code: 400, message: `Subscription must be one of: ${SUBSCRIPTIONS.join(', ')}.` };
+    }
+    const id = String(telegramUserId);
+    return database.withTransaction(async (client) => {
+        const user = await getOrCreateUser(id, client);
+        if (!user) return { success: false, code: 404, message: 'User not found.' };
+
+        const next = enabled
+            ? Array.from(new Set([...user.subscriptions, subscription]))
+            : user.subscriptions.filter(s => s !== subscription);
+        const { rows } = await client.query(
+            'UPDATE users SET subscriptions = $2, updated_at = now() WHERE telegram_user_id = $1 RETURNING *',
+            [id, next]
+        );
+        const updated = userFromRow(rows[0]);
+        return { success: true, code: 200, message: `${enabled ? 'Subscribed to' : 'Unsubscribed from'} ${subscription}.`, user: updated };
+    });
+}
+
+async function removeUser(telegramUserId) {
+    const { rows } = await database.query('DELETE FROM users WHERE telegram_user_id = $1 RETURNING *', [String(telegramUserId)]);
+    if (!rows[0]) return { success: false, code: 404, message: 'User not found.' };
+    const note = getBootstrapAdminIds().includes(String(telegramUserId)) ? ' They remain an admin through ADMIN_TELEGRAM_IDS.' : '';
+    return { success: true, code: 200, message: `Removed ${rows[0].name}.${note}` };
+}
+
+module.exports = {
+    ROLES,
+    SUBSCRIPTIONS,
+    getBootstrapAdminIds,
+    listUsers,
+    getUser,
+    getUserRole,
+    getUserTimezone,
+    getDiscordTimezone,
+    setDiscordTimezone,
+    saveUser,
+    listSubscribers,
+    setSubscription,
+    setTimezone,
+    removeUser
+};
@@ -0,0 +1,290 @@
+// =================================================================
+//                 ZEDGE PUBLISHER WORKER (webhooks.js)
+// =================================================================
+// Outgoing webhooks for publish lifecycle events. emit() stores one
+// delivery per subscribed webhook and sends them in the background;
+// failed deliveries are retried with exponential backoff and every
+// delivery is kept in `webhook_deliveries` as the delivery log.
+//
+// Each request is a JSON POST signed with the webhook's secret:
+//   X-Zedge-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+//   X-Zedge-Timestamp: <unix seconds>, X-Zedge-Event, X-Zedge-Delivery
+// Receivers should recompute the HMAC and reject old timestamps.
+// =================================================================
+
+const crypto = require('crypto');
+const database = require('./database.js');
+const logger = require('./logger.js');
+
+const EVENTS = ['item.queued', 'item.published', 'item.republished', 'item.unpublished', 'item.deleted', 'item.failed', 'item.missed',
+    'login.expired', 'db.switched', 'draft.uploaded', 'draft.upload_failed'];
+const WEBHOOK_CONFIG = {
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6,
+    backoffBaseSeconds: parseInt(process.env.WEBHOOK_BACKOFF_BASE_SECONDS, 10) || 30,
+    backoffMaxSeconds: parseInt(process.env.WEBHOOK_BACKOFF_MAX_SECONDS, 10) || 3600,
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10 * 1000,
+    retentionDays: parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS, 10) || 30
+};
+// Deliveries stuck in 'delivering' this long (the process died mid-request) are retried.
+const STALE_DELIVERY_SECONDS = 5 * 60;
+
+let processing = null;
+
+function webhookFromRow(row) {
+    return {
+        id: Number(row.id),
+        name: row.name,
+        url: row.url,
+        events: row.events,
+        enabled: row.enabled,
+        createdBy: row.created_by,
+        createdAtUTC: row.created_at.toISOString(),
+        updatedAtUTC: row.updated_at.toISOString()
+    };
+}
+
+function deliveryFromRow(row) {
+    return {
+        id: Number(row.id),
+        webhookId: Number(row.webhook_id),
+        event: row.event,
+        payload: row.payload,
+        status: row.status,
+        attempts: row.attempts,
+        nextAttemptAtUTC: row.next_attempt_at.toISOString(),
+        lastStatusCode: row.last_status_code,
+        lastError: row.last_error,
+        createdAtUTC: row.created_at.toISOString(),
+        updatedAtUTC: row.updated_at.toISOString()
+    };
+}
+
+function getBackoffSeconds(attempts) {
+    const delay = WEBHOOK_CONFIG.backoffBaseSeconds * Math.pow(2, Math.max(0, attempts - 1));
+    return Math.min(delay, WEBHOOK_CONFIG.backoffMaxSeconds);
+}
+
+/**
+ * Signs a request body the way receivers are expected to verify it.
+ * @returns {string} "sha256=<hex>"
+ */
+function sign(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// --- CRUD ---
+
+function validateWebhookInput(input, existing = null) {
+    const errors = [];
+    if (!input || typeof input !== 'object') return { errors: ['Webhook must be an object.'], value: {} };
+    const merged = { ...(existing || {}), ...input };
+    const value = {};
+
+    value.name = typeof merged.name === 'string' ? merged.name.trim() : '';
+    if (!value.name) errors.push('Name is required.');
+
+    value.url = typeof merged.url === 'string' ? merged.url.trim() : '';
+    let url = null;
+    try { url = new URL(value.url); } catch (e) { /* reported below */ }
+    if (!url || !['https:', 'http:'].includes(url.protocol)) errors.push('URL must be a valid http(s) URL.');
+
+    value.events = Array.isArray(merged.events) ? Array.from(new Set(merged.events)) : [];
+    const unknown = value.events.filter(e => !EVENTS.includes(e));
+    if (value.events.length === 0) errors.push(`Pick at least one event: ${EVENTS.join(', ')}.`);
+    if (unknown.length > 0) errors.push(`Unknown event(s): ${unknown.join(', ')}.`);
+
+    value.enabled = merged.enabled !== false;
+    return { errors, value };
+}
+
+async function listWebhooks() {
+    const { rows } = await database.query('SELECT * FROM webhooks ORDER BY id ASC');
+    return rows.map(webhookFromRow);
+}
+
+async function getWebhookRow(id, client = database) {
+    const { rows } = await client.query('SELECT * FROM webhooks WHERE id = $1', [id]);
+    return rows[0] || null;
+}
+
+/**
+ * Creates a webhook with a new signing secret. The secret is only returned here.
+ */
+async function createWebhook(input, createdBy) {
+    const { errors, value } = validateWebhookInput(input);
+    if (errors.length > 0) return { success: false, code: 400, message: errors.join(' '), errors };
+    const secret = `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+    const { rows } = await database.query(
+        `INSERT INTO webhooks (name, url, secret, events, enabled, created_by) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+        [value.name, value.url, secret, value.events, value.enabled, createdBy]
+    );
+    return { success: true, code: 201, message: `Created webhook "${value.name}". Copy the signing secret now, it won't be shown again.`, secret, webhook: webhookFromRow(rows[0]) };
+}
+
+async function updateWebhook(id, input) {
+    const existing = await getWebhookRow(id);
+    if (!existing) return { success: false, code: 404, message: 'Webhook not found.' };
+    const { errors, value } = validateWebhookInput(input, webhookFromRow(existing));
+    if (errors.length > 0) return { success: false, code: 400, message: errors.join(' '), errors };
+    const { rows } = await database.query(
+        'UPDATE webhooks SET name = $2, url = $3, events = $4, enabled = $5, updated_at = now() WHERE id = $1 RETURNING *',
+        [id, value.name, value.url, value.events, value.enabled]
+    );
+    return { success: true, code: 200, message: `Updated webhook "${value.name}".`, webhook: webhookFromRow(rows[0]) };
+}
+
+async function deleteWebhook(id) {
+    const { rows } = await database.query('DELETE FROM webhooks WHERE id = $1 RETURNING name', [id]);
+    if (!rows[0]) return { success: false, code: 404, message: 'Webhook not found.' };
+    return { success: true, code: 200, message: `Deleted webhook "${rows[0].name}" and its delivery log.` };
+}
+
+// --- Events & Delivery ---
+
+/**
+ * Queues an event for every enabled webhook subscribed to it and starts delivering.
+ * Never throws: a webhook problem must not break the publish it describes.
+ * @param {string} event - One of EVENTS.
+ * @param {object} data - Event details; becomes `data` in the payload.
+ */
+async function emit(event, data = {}) {
+    try {
+        const payload = { event, occurredAtUTC: new Date().toISOString(), data };
+        const { rowCount } = await database.query(
+            `INSERT INTO webhook_deliveries (webhook_id, event, payload)
+             SELECT id, $1, $2 FROM webhooks WHERE enabled AND $1 = ANY(events)`,
+            [event, JSON.stringify(payload)]
+        );
+        if (rowCount > 0) processDueDeliveries();
+    } catch (error) {
+        logger.error('Could not queue webhook event.', { event, error: error.message });
+    }
+}
+
+async function claimNextDelivery() {
+    const { rows } = await database.query(
+        `UPDATE webhook_deliveries SET status = 'delivering', attempts = attempts + 1, updated_at = now()
+         WHERE id = (
+             SELECT id FROM webhook_deliveries
+             WHERE (status = 'pending' AND next_attempt_at <= now())
+                OR (status = 'delivering' AND updated_at < now() - make_interval(secs => $1))
+             ORDER BY next_attempt_at ASC, id ASC
+             LIMIT 1
+             FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [STALE_DELIVERY_SECONDS]
+    );
+    return rows[0] ? deliveryFromRow(rows[0]) : null;
+}
+
+/**
+ * Sends one delivery and records the outcome.
+ */
+async function attemptDelivery(delivery) {
+    const webhook = await getWebhookRow(delivery.webhookId);
+    if (!webhook) return;
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    let statusCode = null;
+    let error = null;
+    try {
+        const response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'zedge-worker-webhooks',
+                'X-Zedge-Event': delivery.event,
+                'X-Zedge-Delivery': String(delivery.id),
+                'X-Zedge-Timestamp': String(timestamp),
+                'X-Zedge-Signature': sign(webhook.secret, timestamp, body)
+            },
+            body,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(WEBHOOK_CONFIG.timeoutMs)
+        });
+        statusCode = response.status;
+        if (!response.ok) error = `HTTP ${response.status} ${response.statusText}`.trim();
+    } catch (err) {
+        error = err.name === 'TimeoutError' ? `Timed out after ${WEBHOOK_CONFIG.timeoutMs} ms` : err.message;
+    }
+
+    if (!error) {
+        await database.query(
+            "UPDATE webhook_deliveries SET status = 'succeeded', last_status_code = $2, last_error = NULL, updated_at = now() WHERE id = $1",
+            [delivery.id, statusCode]
+        );
+        return;
+    }
+    const givingUp = delivery.attempts >= WEBHOOK_CONFIG.maxAttempts;
+    await database.query(
+        `UPDATE webhook_deliveries SET status = $2, last_status_code = $3, last_error = $4,
+             next_attempt_at = now() + make_interval(secs => $5), updated_at = now()
+         WHERE id = $1`,
+        [delivery.id, givingUp ? 'failed' : 'pending', statusCode, error.slice(0, 1000), givingUp ? 0 : getBackoffSeconds(delivery.attempts)]
+    );
+    logger.warn('Webhook delivery failed.', { webhook: webhook.name, deliveryId: delivery.id, event: delivery.event, attempt: delivery.attempts, maxAttempts: WEBHOOK_CONFIG.maxAttempts, givingUp, error });
+}
+
+/**
+ * Sends every delivery that is due. Calls while a run is in progress join that run.
+ */
+function processDueDeliveries() {
+    if (!processing) {
+        processing = (async () => {
+            try {
+                let delivery;
+                while ((delivery = await claimNextDelivery())) await attemptDelivery(delivery);
+                await database.query(
+                    "DELETE FROM webhook_deliveries WHERE status IN ('succeeded', 'failed') AND updated_at < now() - make_interval(days => $1)",
+                    [WEBHOOK_CONFIG.retentionDays]
+                );
+            } catch (error) {
+                logger.error('Webhook delivery run failed.', { error: error.message });
+            } finally {
+                processing = null;
+            }
+        })();
+    }
+    return processing;
+}
+
+// --- Delivery Log ---
+
+async function listDeliveries({ webhookId = null, status = null, limit = 100 } = {}) {
+    const { rows } = await database.query(
+        `SELECT * FROM webhook_deliveries
+         WHERE ($1::bigint IS NULL OR webhook_id = $1) AND ($2::text IS NULL OR status = $2)
+         ORDER BY created_at DESC, id DESC LIMIT $3`,
+        [webhookId, status, Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500)]
+    );
+    return rows.map(deliveryFromRow);
+}
+
+/**
+ * Queues a delivery to be sent again (e.g. after fixing the receiver).
+ */
+async function redeliver(id) {
+    const { rows } = await database.query(
+        `UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = now(), updated_at = now()
+         WHERE id = $1 AND status <> 'delivering' RETURNING *`,
+        [id]
+    );
+    if (!rows[0]) return { success: false, code: 404, message: 'Delivery not found or currently being sent.' };
+    processDueDeliveries();
+    return { success: true, code: 200, message: `Delivery ${id} queued again.` };
+}
+
+module.exports = {
+    EVENTS,
+    sign,
+    listWebhooks,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    emit,
+    processDueDeliveries,
+    listDeliveries,
+    redeliver
+};
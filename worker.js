@@ -6,151 +6,103 @@
 // with the Telegram bot and the new interactive web app.
 // =================================================================
 
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('CRITICAL: Unhandled Rejection at:', promise, 'reason:', reason);
+// Loaded ahead of the other imports so the handlers below can use it.
+const logger = require('./logger.js');
+
+process.on('unhandledRejection', (reason) => {
+  logger.error('CRITICAL: Unhandled Rejection.', { reason });
   // You might want to send a Telegram notification here for critical failures
 });
 
 process.on('uncaughtException', (error) => {
-  console.error('CRITICAL: Uncaught Exception:', error);
+  logger.error('CRITICAL: Uncaught Exception.', { error });
   process.exit(1); // It's often recommended to restart on uncaught exceptions
 });
 
 // --- SECTION 1: IMPORTS & GLOBAL SETUP ---
 const fs = require('fs').promises;
 const path = require('path');
-const { Pool } = require('pg');
+const crypto = require('crypto');
 const { chromium } = require('playwright');
 const express = require('express');
 const bodyParser = require('body-parser');
 const cors = require('cors');
 const telegramBot = require('./telegram_bot.js');
+const discordBot = require('./discord_bot.js');
+const notifier = require('./notifier.js');
+const webhooks = require('./webhooks.js');
+const database = require('./database.js');
+const store = require('./data_store.js');
+const publishQueue = require('./publish_queue.js');
+const profiles = require('./profiles.js');
+const zedgeConfig = require('./zedge_config.js');
+const zedgePages = require('./zedge_pages.js');
+const diagnostics = require('./publish_diagnostics.js');
+const auth = require('./auth.js');
+const users = require('./users.js');
+const scheduleRules = require('./schedule_rules.js');
+const timezones = require('./timezones.js');
+const metrics = require('./metrics.js');
+const history = require('./history.js');
+const simulation = require('./simulation.js');
+const browserPool = require('./browser_pool.js');
+const missedPolicy = require('./missed_policy.js');
+const sessionManager = require('./session_manager.js');
+const encryption = require('./encryption.js');
+const draftUploads = require('./draft_uploads.js');
+const inventory = require('./inventory.js');
+const stats = require('./stats.js');
+const itemMetadata = require('./item_metadata.js');
+const itemActions = require('./item_actions.js');
 
 // --- CONFIGURATION & STATE ---
 const SESSION_FILE_PATH = 'session.json';
 const RECENTLY_PUBLISHED_LIMIT = 20;
+const MAX_TITLE_LENGTH = 200;
+const MAX_IMPORT_ITEMS = 500;
+const DIGEST_HOUR_UTC = Number.isInteger(parseInt(process.env.DIGEST_HOUR_UTC, 10)) ? parseInt(process.env.DIGEST_HOUR_UTC, 10) : 8;
+// /healthz fails once the last completed schedule check is older than this (the loop runs every 60s).
+const HEALTH_MAX_TICK_AGE_SECONDS = parseInt(process.env.HEALTH_MAX_TICK_AGE_SECONDS, 10) || 180;
+const HEALTH_DB_TIMEOUT_MS = 5 * 1000;
+// DRY_RUN=true keeps every publish a dry run, whatever the setting in the web app says.
+const DRY_RUN_FORCED = process.env.DRY_RUN === 'true';
 
-let publishingInProgress = new Set();
-let publishingQueue = [];
 let isQueueProcessing = false;
-let missedItemsCache = [];
-let missedItemsNotificationSent = false;
+let isUploadProcessing = false;
+let isInventorySyncing = false;
+let isStatsCollecting = false;
+let queueRecheckRequested = false;
+let runningJobCount = 0;
 let isWorkerPaused = false;
 let mainIntervalId = null;
 let lastCheckTime = null; // Will store as ISO string
+let lastTickCompletedAt = null;
 let browser;
 
-// Database state
-let primaryPools = [];
-let backupPool;
-let activePool;
-let activeDbIndex = 0;
-
 // =================================================================
-// SECTION 2: DATABASE MANAGEMENT (No changes)
+// SECTION 2: DATABASE MANAGEMENT
 // =================================================================
-async function initializeDatabases() {
-    console.log("Initializing database connections...");
-    for (let i = 1; ; i++) {
-        const connString = process.env[`PRIMARY_DB_${i}`];
-        if (connString) {
-            primaryPools.push(new Pool({ connectionString: connString, ssl: { require: true } }));
-            console.log(`Found and created pool for PRIMARY_DB_${i}`);
-        } else {
-            break;
-        }
-    }
-    if (primaryPools.length === 0) throw new Error("CRITICAL: No PRIMARY_DB_X environment variables found.");
-    const backupConnString = process.env.BACKUP_DB;
-    if (backupConnString) {
-        backupPool = new Pool({ connectionString: backupConnString, ssl: { require: true } });
-        console.log("Found and created pool for BACKUP_DB.");
-    } else {
-        console.warn("WARNING: BACKUP_DB is not configured.");
-    }
-    activePool = primaryPools[0];
-    activeDbIndex = 0;
+// Pools, migrations and queries live in database.js / data_store.js.
+async function switchDatabase() {
+    const result = await runDatabaseSwitch();
+    // Whoever asked for the switch is audited by their channel; this records how it ended.
+    await auth.audit(auth.SYSTEM_PRINCIPAL, 'switch database', { outcome: result.success ? 'allowed' : 'failed', result: result.message });
+    return result;
 }
 
-async function reconcileActiveDbIndex() {
-    if (!backupPool) return;
-    console.log("Reconciling active DB index...");
-    let client;
+async function runDatabaseSwitch() {
+    const currentDbName = `DB ${database.getActiveDbIndex() + 1}`;
+    sendNotification(`🔄 Starting DB switch from **${currentDbName}**...`);
     try {
-        client = await backupPool.connect();
-        const res = await client.query('SELECT data FROM app_data WHERE id = 1');
-        if (res.rows.length > 0 && res.rows[0].data) {
-            const backupIndex = res.rows[0].data?.db_config?.active_index;
-            if (backupIndex !== undefined && backupIndex !== activeDbIndex && backupIndex < primaryPools.length) {
-                console.log(`Discrepancy found! Switching to DB Index: ${backupIndex}.`);
-                activeDbIndex = backupIndex;
-                activePool = primaryPools[backupIndex];
-            }
+        const result = await database.switchDatabase();
+        if (!result.success) {
+            const message = `❌ **DB Switch Failed:** Active DB is still **${result.currentDbName}**. Reason: ${result.message}`;
+            sendNotification(message);
+            return { success: false, message };
         }
-    } catch (error) {
-        console.error("CRITICAL: Failed to reconcile DB index:", error.message);
-        sendNotification(`🔴 **CRITICAL ALERT:** Worker failed to read config from backup DB. Reason: ${error.message}`);
-    } finally {
-        if (client) client.release();
-    }
-}
-
-async function migrateData(sourcePool, destPool) {
-    let sourceClient, destClient;
-    try {
-        sourceClient = await sourcePool.connect();
-        const result = await sourceClient.query('SELECT data FROM app_data WHERE id = 1');
-        const dataToMigrate = result.rows.length > 0 ? result.rows[0].data : null;
-        if (!dataToMigrate) return { success: false, error: "No data in source." };
-        
-        destClient = await destPool.connect();
-        await destClient.query('INSERT INTO app_data (id, data) VALUES (1, $1) ON CONFLICT (id) DO UPDATE SET data = $1', [dataToMigrate]);
-        return { success: true, data: dataToMigrate };
-    } catch (err) {
-        console.error('Error during data migration:', err);
-        return { success: false, error: err.message };
-    } finally {
-        if (sourceClient) sourceClient.release();
-        if (destClient) destClient.release();
-    }
-}
-
-async function switchDatabase() {
-    if (!backupPool || primaryPools.length < 2) {
-        const message = "🔴 **DB Switch Failed:** Not enough databases configured.";
-        sendNotification(message);
-        return { success: false, message };
-    }
-
-    const nextDbIndex = (activeDbIndex + 1) % primaryPools.length;
-    const currentDbName = `DB ${activeDbIndex + 1}`;
-    const nextDbName = `DB ${nextDbIndex + 1}`;
-    const nextPool = primaryPools[nextDbIndex];
-
-    sendNotification(`🔄 Starting DB switch from **${currentDbName}** to **${nextDbName}**...`);
-
-    try {
-        await migrateData(activePool, backupPool);
-        const restoreResult = await migrateData(backupPool, nextPool);
-        if (!restoreResult.success) throw new Error(`Could not migrate to ${nextDbName}.`);
-
-        let finalData = restoreResult.data;
-        if (!finalData.db_config) finalData.db_config = {};
-        finalData.db_config.active_index = nextDbIndex;
-
-        const clientNext = await nextPool.connect();
-        await clientNext.query('UPDATE app_data SET data = $1 WHERE id = 1', [finalData]);
-        clientNext.release();
-
-        const clientBackup = await backupPool.connect();
-        await clientBackup.query('UPDATE app_data SET data = $1 WHERE id = 1', [finalData]);
-        clientBackup.release();
-
-        activePool = nextPool;
-        activeDbIndex = nextDbIndex;
-
-        const successMessage = `✅ **DB Switch Complete!** Active DB is now **${nextDbName}**.`;
+        const successMessage = `✅ **DB Switch Complete!** Active DB is now **${result.nextDbName}**.`;
         sendNotification(successMessage);
+        webhooks.emit('db.switched', { from: result.currentDbName, to: result.nextDbName });
         return { success: true, message: successMessage };
     } catch (err) {
         const errorMessage = `❌ **CRITICAL FAILURE:** Switch aborted. Active DB is still **${currentDbName}**. Reason: ${err.message}`;
@@ -162,294 +114,492 @@ async function switchDatabase() {
 // =================================================================
 // SECTION 3: CORE APPLICATION LOGIC
 // =================================================================
-async function loadData() {
-    let client;
-    try {
-        client = await activePool.connect();
-        const result = await client.query('SELECT data FROM app_data WHERE id = 1');
-        const data = result.rows.length > 0 && result.rows[0].data ? result.rows[0].data : { settings: {}, activeResults: {}, recycleBin: [], schedule: [], recentlyPublished: [], db_config: { active_index: 0 } };
-        if (!Array.isArray(data.recentlyPublished)) {
-            data.recentlyPublished = [];
-        }
-        return data;
-    } catch (err) {
-        console.error('Error loading data from database', err);
-        return { settings: {}, activeResults: {}, recycleBin: [], schedule: [], recentlyPublished: [], db_config: { active_index: 0 } };
-    } finally {
-        if (client) client.release();
+// --- LOGIN & PUBLISHING LOGIC (RESTORED) ---
+// Checking, renewing and logging in to the Zedge session live in session_manager.js.
+
+/**
+ * Checks the Zedge session right away (an operator asked), logging in again if needed.
+ */
+function checkLoginStatus() {
+    return sessionManager.verifyNow();
+}
+
+/**
+ * Passes an operator's email verification code to the login waiting for it.
+ * @returns {Promise<{success: boolean, message: string}>} Whether Zedge accepted it.
+ */
+function submitOtpCode(code) {
+    return sessionManager.provideOtp(code);
+}
+
+/**
+ * Where the Zedge login comes from. Never includes the password.
+ * @returns {Promise<{source: 'environment'|'database'|null, email: string|null, encrypted: boolean}>}
+ */
+async function getCredentialsInfo() {
+    const encrypted = encryption.isEnabled();
+    if (process.env.ZEDGE_EMAIL && process.env.ZEDGE_PASSWORD) {
+        return { source: 'environment', email: process.env.ZEDGE_EMAIL.trim(), encrypted };
     }
+    const saved = await store.getCredentials();
+    return { source: saved ? 'database' : null, email: saved ? saved.email : null, encrypted };
 }
 
-async function saveData(appData) {
-    let client;
-    try {
-        if (!appData.db_config) appData.db_config = {};
-        appData.db_config.active_index = activeDbIndex;
-        client = await activePool.connect();
-        await client.query('INSERT INTO app_data (id, data) VALUES (1, $1) ON CONFLICT (id) DO UPDATE SET data = $1', [appData]);
-    } catch (err) {
-        console.error('Error saving data to database', err);
-    } finally {
-        if (client) client.release();
+/**
+ * Saves Zedge credentials in the database, encrypted. Refused without ENCRYPTION_KEYS.
+ * @param {{email: string, password: string}} input
+ */
+async function saveCredentials(input) {
+    if (!encryption.isEnabled()) {
+        return { success: false, code: 409, message: 'Set ENCRYPTION_KEYS first: credentials are never stored unencrypted.' };
+    }
+    const email = typeof input.email === 'string' ? input.email.trim() : '';
+    const password = typeof input.password === 'string' ? input.password : '';
+    if (!/^[^\s@]+@[^\s@]+$/.test(email) || !password) {
+        return { success: false, code: 400, message: 'A valid email and a password are required.' };
     }
+    await store.saveCredentials({ email, password });
+    const note = process.env.ZEDGE_EMAIL && process.env.ZEDGE_PASSWORD ? ' ZEDGE_EMAIL and ZEDGE_PASSWORD are set and still take precedence.' : '';
+    return { success: true, message: `Zedge credentials for ${email} saved (encrypted).${note}` };
 }
 
-// --- LOGIN & PUBLISHING LOGIC (RESTORED) ---
-async function loginAndSaveSession() {
-    if (!process.env.ZEDGE_EMAIL || !process.env.ZEDGE_PASSWORD) {
-        console.error('CRITICAL: ZEDGE_EMAIL or ZEDGE_PASSWORD are not set.');
-        return { loggedIn: false, error: 'Missing credentials.' };
+/**
+ * Encrypts secrets still stored in plain text or with an older key, in every database,
+ * so rotating is: put the new key first in ENCRYPTION_KEYS, restart, drop the old key.
+ */
+async function reencryptStoredSecrets() {
+    if (!encryption.isEnabled()) {
+        logger.warn('ENCRYPTION_KEYS is not set. The Zedge session is stored unencrypted.');
+        return;
+    }
+    for (const result of await database.forEachDatabase(client => store.reencryptSecrets(client))) {
+        if (!result.success) {
+            logger.error('Could not re-encrypt stored secrets.', { database: result.name, error: result.error });
+        } else if (result.result > 0) {
+            logger.info('Re-encrypted stored secrets.', { database: result.name, count: result.result, keyId: encryption.getCurrentKeyId() });
+        }
     }
+}
 
-    console.log('Attempting to log in to Zedge and save session to DB...');
+// How each item action finds its item on Zedge, changes it, and checks that the change stuck.
+const ZEDGE_STEPS = {
+    publish: {
+        open: (page, title) => zedgePages.openDraft(page, title),
+        apply: page => zedgePages.publishFromDetail(page),
+        verify: (page, profileUrl, title) => zedgePages.waitForItemStatus(page, profileUrl, title, 'PUBLISHED'),
+        unverified: 'Item status was not updated to "Published" after waiting.'
+    },
+    unpublish: {
+        open: (page, title) => zedgePages.openPublishedItem(page, title),
+        apply: page => zedgePages.unpublishFromDetail(page),
+        verify: (page, profileUrl, title) => zedgePages.waitForItemStatus(page, profileUrl, title, 'DRAFT'),
+        unverified: 'Item status was not updated to "Draft" after waiting.'
+    },
+    delete: {
+        open: (page, title) => zedgePages.openAnyItem(page, title),
+        apply: page => zedgePages.deleteFromDetail(page),
+        verify: (page, profileUrl, title) => zedgePages.waitForItemGone(page, profileUrl, title),
+        unverified: 'The item was still listed on Zedge after waiting.'
+    }
+};
+// An unpublished item is a draft again, so it goes live the same way.
+ZEDGE_STEPS.republish = ZEDGE_STEPS.publish;
+const ACTION_ICONS = { publish: '✅', republish: '🔁', unpublish: '📥', delete: '🗑️' };
+
+/**
+ * Carries out one item's action (publish by default) on Zedge.
+ * @param {object} scheduledItem - The schedule item.
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Find the item but stop before changing anything.
+ * @returns {Promise<{status: 'success'|'dry-run'|'failed', message: string, profileId?: string, artifacts?: object[]}>}
+ */
+async function performPublish(scheduledItem, { dryRun = false } = {}) {
+    const action = scheduledItem.action || 'publish';
+    const steps = ZEDGE_STEPS[action];
+    const done = itemActions.ACTION_LABELS[action].toLowerCase();
+    logger.info(dryRun ? 'Starting dry run.' : 'Starting publish.', { title: scheduledItem.title, action });
     let context;
-    let page;
+    let capture = null;
+    let unlockProfile = null;
     try {
-        context = await browser.newContext();
-        page = await context.newPage();
-        const navigationTimeout = 60000;
+        const targetProfile = await profiles.resolveProfileForItem(scheduledItem);
+        const targetProfileName = targetProfile.name;
+        const targetProfileUrl = profiles.buildProfileUrl(targetProfile);
+        const upload = await draftUploads.getUpload(scheduledItem.id);
+        if (upload && upload.status !== 'uploaded') {
+            throw new Error(`The draft has not been uploaded to Zedge yet (upload ${upload.status}${upload.lastError ? `: ${upload.lastError}` : ''}).`);
+        }
+        // Publishes run in parallel, but never two on the same profile.
+        unlockProfile = await browserPool.lock(`profile:${targetProfile.id}`);
 
-        await page.goto('https://account.zedge.net/v2/login-with-email', { waitUntil: 'domcontentloaded' });
+        const loginStatus = await sessionManager.ensureLoggedIn();
+        if (!loginStatus.loggedIn) {
+            throw new Error(`Publishing failed because login is not active. Reason: ${loginStatus.error}`);
+        }
 
-        // --- UPDATED SECTION START ---
-        console.log('Filling email address...');
-        const emailInput = await page.waitForSelector('input[name="email"]', { timeout: navigationTimeout });
+        const waitedMs = await browserPool.waitForRateLimit();
+        if (waitedMs >= 1000) logger.info('Waited for the publish rate limit.', { waitedSeconds: Math.round(waitedMs / 1000) });
+        context = await browserPool.acquire();
+        const page = await context.newPage();
+        capture = await diagnostics.startCapture(context, page);
 
-        // Force clear the field and use .fill() for better reliability
-        await emailInput.click({ clickCount: 3 }); 
-        await emailInput.press('Backspace');
-        // Use .trim() to prevent hidden spaces in environment variables
-        await page.fill('input[name="email"]', process.env.ZEDGE_EMAIL.trim()); 
+        await page.route('**/*', (route) => {
+            const resourceType = route.request().resourceType();
+            if (['image', 'stylesheet', 'font', 'media'].includes(resourceType)) {
+                route.abort();
+            } else {
+                route.continue();
+            }
+        });
 
-        console.log(`Email entered: ${process.env.ZEDGE_EMAIL.trim()}`);
-        await page.click('button:has-text("Continue with password")');
+        logger.info('Loading profile.', { profile: targetProfileName });
+        await zedgePages.openProfileContent(page, targetProfileUrl);
+
+        logger.info('Searching for item.', { title: scheduledItem.title, action });
+        await steps.open(page, scheduledItem.title);
+
+        if (dryRun) {
+            logger.info('Dry run: found item, stopping before changing it.', { title: scheduledItem.title, profile: targetProfileName, action });
+            const screenshot = await page.screenshot({ fullPage: true });
+            await diagnostics.discardCapture(capture);
+            const wouldUpdate = scheduledItem.metadata ? ' Its details would have been updated and it' : ' It';
+            return {
+                status: 'dry-run',
+                message: `Dry run: found the ${itemActions.isTakedown(action) ? 'item' : 'draft'} on ${targetProfileName}.${wouldUpdate} would have been ${done} now.`,
+                artifacts: [{ kind: 'screenshot', fileName: 'dry-run.png', contentType: 'image/png', data: screenshot }]
+            };
+        }
 
-        // Check if we hit the OTP page instead of the password page
-        try {
-            await page.waitForSelector('input[name="password"]', { timeout: 10000 });
-        } catch (e) {
-            const isVerifyPage = await page.isVisible('text=Verify email address');
-            if (isVerifyPage) {
-                // Take a screenshot of the verification page before failing
-                const errorScreenshotPath = 'login_otp_error.png';
-                await page.screenshot({ path: errorScreenshotPath });
-                await telegramBot.sendScreenshot(errorScreenshotPath, `❌ **Login Blocked:** Zedge is asking for an OTP. Email used: ${process.env.ZEDGE_EMAIL.trim()}`);
-                
-                throw new Error("Zedge triggered OTP Verification. This usually means the Email Address is unrecognized or wrong.");
+        logger.info('Found item, details page loaded. Carrying out its action.', { action });
+        let publishedTitle = scheduledItem.title;
+        if (scheduledItem.metadata) {
+            logger.info('Updating draft details.', { title: scheduledItem.title, newTitle: scheduledItem.metadata.newTitle });
+            await zedgePages.updateDraftDetails(page, scheduledItem.metadata);
+            if (scheduledItem.metadata.newTitle) {
+                // From now on the draft goes by its new title, also for a retry if publishing fails below.
+                publishedTitle = scheduledItem.metadata.newTitle;
+                await store.updateScheduleItem(scheduledItem.id, { title: publishedTitle, metadata: itemMetadata.withoutNewTitle(scheduledItem.metadata) });
             }
-            throw e; 
         }
-        // --- UPDATED SECTION END ---
 
-        await page.fill('input[name="password"]', process.env.ZEDGE_PASSWORD);
-        await page.click('button:has-text("Continue")');
-        await page.waitForURL('**/account.zedge.net/v2/user**', { timeout: navigationTimeout });
+        await steps.apply(page);
 
-        console.log('Login successful. Saving session to Database...');
-        const storageState = await context.storageState();
-        
-        const appData = await loadData();
-        appData.sessionData = storageState; 
-        await saveData(appData); 
+        logger.info('Verifying the change on Zedge.', { profile: targetProfileName, action });
+        if (!(await steps.verify(page, targetProfileUrl, publishedTitle))) {
+            throw new Error(`Verification failed. ${steps.unverified}`);
+        }
 
-        return { loggedIn: true };
+        logger.info('Done and verified.', { title: publishedTitle, action });
+        await diagnostics.discardCapture(capture);
+        return { status: 'success', message: `${itemActions.ACTION_LABELS[action]} and verified successfully.`, profileId: targetProfile.id };
 
     } catch (error) {
-        console.error('Failed to log in:', error.message);
-        return { loggedIn: false, error: error.message };
+        logger.error('Publish failed.', { title: scheduledItem.title, error });
+        if (error.message.startsWith('Session expired')) sessionManager.invalidate(error.message);
+        const artifacts = await diagnostics.collectFailureArtifacts(capture);
+        return { status: 'failed', message: error.message, artifacts };
     } finally {
-        if (context) await context.close();
+        // Back to the pool, NOT closed: the next publish reuses it.
+        if (context) await browserPool.release(context);
+        if (unlockProfile) unlockProfile();
     }
 }
 
-async function checkLoginStatus() {
-    console.log('Checking login status via Database Session...');
+/**
+ * Creates the item's draft on Zedge from its attached file.
+ * @param {object} upload - A claimed upload, with its `data`.
+ * @param {object} scheduledItem - The item it belongs to.
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+async function performUpload(upload, scheduledItem) {
+    logger.info('Starting draft upload.', { title: scheduledItem.title, fileName: upload.fileName });
     let context;
+    let unlockProfile = null;
     try {
-        const appData = await loadData();
-        
-        if (!appData.sessionData) {
-            console.log('No session found in DB. Initializing login.');
-            return await loginAndSaveSession();
+        const targetProfile = await profiles.resolveProfileForItem(scheduledItem);
+        const targetProfileUrl = profiles.buildProfileUrl(targetProfile);
+        unlockProfile = await browserPool.lock(`profile:${targetProfile.id}`);
+
+        const loginStatus = await sessionManager.ensureLoggedIn();
+        if (!loginStatus.loggedIn) {
+            throw new Error(`Uploading failed because login is not active. Reason: ${loginStatus.error}`);
         }
 
-        // Use the session data directly from the DB object
-        context = await browser.newContext({ storageState: appData.sessionData });
+        await browserPool.waitForRateLimit();
+        context = await browserPool.acquire();
         const page = await context.newPage();
-        await page.goto('https://upload.zedge.net/', { waitUntil: 'domcontentloaded' });
 
-        if (page.url().includes('account.zedge.net')) {
-            console.log('DB Session expired. Re-logging...');
-            await context.close();
-            return await loginAndSaveSession();
+        // An earlier attempt may have saved the draft before failing; don't create a second one.
+        await zedgePages.openProfileContent(page, targetProfileUrl);
+        const { timeouts } = zedgeConfig.getConfig();
+        if (await zedgePages.findItemInList(page, scheduledItem.title, 'DRAFT', timeouts.findItem)) {
+            logger.info('Draft already exists on Zedge. Not uploading it again.', { title: scheduledItem.title });
+            return { success: true, message: `The draft was already on ${targetProfile.name}.` };
         }
-        return { loggedIn: true };
 
+        await zedgePages.createDraft(page, targetProfileUrl, {
+            title: scheduledItem.title,
+            fileName: upload.fileName,
+            contentType: upload.contentType,
+            data: upload.data,
+            tags: upload.tags,
+            description: upload.description,
+            category: upload.category
+        });
+
+        logger.info('Verifying the new draft.', { profile: targetProfile.name });
+        if (!(await zedgePages.waitForItemStatus(page, targetProfileUrl, scheduledItem.title, 'DRAFT'))) {
+            throw new Error('Verification failed. The new draft did not show up in the content list.');
+        }
+        logger.info('Draft uploaded and verified.', { title: scheduledItem.title });
+        return { success: true, message: `Uploaded the draft to ${targetProfile.name}.` };
     } catch (error) {
-        console.error('Status check error:', error.message);
-        return await loginAndSaveSession();
+        logger.error('Draft upload failed.', { title: scheduledItem.title, error });
+        if (error.message.startsWith('Session expired')) sessionManager.invalidate(error.message);
+        return { success: false, message: error.message };
     } finally {
-        if (context) await context.close();
+        if (context) await browserPool.release(context);
+        if (unlockProfile) unlockProfile();
     }
 }
-async function performPublish(scheduledItem) {
-    console.log(`--- Starting publish process for: "${scheduledItem.title}" ---`);
-    let context;
+
+/**
+ * Uploads every due draft, one at a time so publishes keep the rest of the browser pool.
+ * Runs on every tick and after a file is attached; a call while it is running does nothing.
+ */
+async function processUploads() {
+    if (isUploadProcessing || isWorkerPaused) return;
+    isUploadProcessing = true;
     try {
-        const loginStatus = await checkLoginStatus();
-        if (!loginStatus.loggedIn) {
-            throw new Error(`Publishing failed because login is not active. Reason: ${loginStatus.error}`);
+        let upload;
+        while (!isWorkerPaused && (upload = await draftUploads.claimNextUpload())) {
+            const item = await store.getScheduleItem(upload.itemId);
+            if (!item) continue; // Deleted meanwhile, and the upload with it.
+            const result = await performUpload(upload, item);
+            const finished = await draftUploads.finishUpload(upload.id, result.success ? null : result.message);
+            if (result.success) {
+                sendNotification(`📤 **Draft uploaded:** "${item.title}"`, 'publish');
+                webhooks.emit('draft.uploaded', { itemId: item.id, title: item.title, fileName: upload.fileName });
+            } else {
+                const retrying = finished.attempts < draftUploads.UPLOAD_CONFIG.maxAttempts;
+                const next = retrying ? ` Retrying in ${draftUploads.UPLOAD_CONFIG.retryMinutes} min.` : ' Use "Retry Upload" once the problem is fixed.';
+                sendNotification(`❌ **Draft upload ${finished.attempts}/${draftUploads.UPLOAD_CONFIG.maxAttempts} failed:** "${item.title}". Reason: ${result.message}${next}`, retrying ? 'publish' : 'failure');
+                webhooks.emit('draft.upload_failed', { itemId: item.id, title: item.title, fileName: upload.fileName, attempts: finished.attempts, willRetry: retrying, error: result.message });
+            }
         }
+    } catch (error) {
+        logger.error('Draft upload processing stopped unexpectedly.', { error });
+    } finally {
+        isUploadProcessing = false;
+    }
+}
 
-        const appData = await loadData();
-        context = await browser.newContext({ storageState: appData.sessionData });
-        // browser = await chromium.launch();
-        // const context = await browser.newContext({ storageState: JSON.parse(storageState) });
-        const page = await context.newPage();
+/**
+ * Turns new files in UPLOAD_WATCH_DIR into backlog or scheduled items with a draft upload.
+ */
+async function importWatchedUploads() {
+    const { imported, failed } = await draftUploads.importWatchedFiles(input => createScheduleItem(input));
+    if (imported.length > 0) {
+        logger.info('Imported files from the upload folder.', { count: imported.length, titles: imported });
+    }
+    if (failed.length > 0) {
+        sendNotification(`⚠️ **Could not import ${failed.length} file(s) from the upload folder:**\n${failed.map(f => `- ${f}`).join('\n')}`, 'failure');
+    }
+}
 
+/**
+ * Reads one profile's content list from Zedge.
+ * @returns {Promise<{title: string, status: string}[]>}
+ */
+async function readProfileInventory(profile) {
+    let context;
+    const unlockProfile = await browserPool.lock(`profile:${profile.id}`);
+    try {
+        const loginStatus = await sessionManager.ensureLoggedIn();
+        if (!loginStatus.loggedIn) throw new Error(`Login is not active. Reason: ${loginStatus.error}`);
+
+        await browserPool.waitForRateLimit();
+        context = await browserPool.acquire();
+        const page = await context.newPage();
         await page.route('**/*', (route) => {
-            const resourceType = route.request().resourceType();
-            if (['image', 'stylesheet', 'font', 'media'].includes(resourceType)) {
-                route.abort();
-            } else {
-                route.continue();
-            }
+            if (['image', 'stylesheet', 'font', 'media'].includes(route.request().resourceType())) route.abort();
+            else route.continue();
         });
+        await zedgePages.openProfileContent(page, profiles.buildProfileUrl(profile));
+        return await zedgePages.listContentItems(page);
+    } catch (error) {
+        if (error.message.startsWith('Session expired')) sessionManager.invalidate(error.message);
+        throw error;
+    } finally {
+        if (context) await browserPool.release(context);
+        unlockProfile();
+    }
+}
 
-        const ZEDGE_PROFILES = {
-            Normal: 'https://upload.zedge.net/business/4e5d55ef-ea99-4913-90cf-09431dc1f28f/profiles/0c02b238-4bd0-479e-91f7-85c6df9c8b0f/content/WALLPAPER',
-            Black: 'https://upload.zedge.net/business/4e5d55ef-ea99-4913-90cf-09431dc1f28f/profiles/a90052da-0ec5-4877-a73f-034c6da5d45a/content/WALLPAPER'
-        };
-
-        const theme = scheduledItem.theme || '';
-        const targetProfileName = theme.toLowerCase().includes('black') ? 'Black' : 'Normal';
-        const targetProfileUrl = ZEDGE_PROFILES[targetProfileName];
-        if (!targetProfileUrl) throw new Error(`Could not determine a valid profile URL for theme: "${theme}"`);
-
-        console.log(`Loading profile: ${targetProfileName}`);
-        await page.goto(targetProfileUrl, { waitUntil: 'domcontentloaded' });
-
-        console.log(`Searching for DRAFT: "${scheduledItem.title}"`);
-        const foundAndClicked = await page.evaluate(async (itemTitle) => {
-            return new Promise((resolve) => {
-                const timeout = 45000, interval = 1500;
-                let elapsedTime = 0;
-                const searchInterval = setInterval(() => {
-                    const elements = document.querySelectorAll('div[class*="StyledTitle"], div[title], span');
-                    for (const el of elements) {
-                        if (el.textContent.trim() === itemTitle || el.getAttribute('title') === itemTitle) {
-                            const statusContainer = el.parentElement;
-                            const statusElement = statusContainer ? statusContainer.querySelector('span[type="DEFAULT"]') : null;
-                            if (statusElement && statusElement.textContent.trim().toUpperCase() === 'DRAFT') {
-                                clearInterval(searchInterval);
-                                const clickableTarget = el.closest('div[role="button"], a');
-                                if (clickableTarget) { clickableTarget.click(); } else { el.click(); }
-                                resolve(true);
-                                return;
-                            }
-                        }
-                    }
-                    const loadMoreButton = Array.from(document.querySelectorAll('button')).find(btn => btn.textContent.trim().toLowerCase() === 'load more');
-                    if (loadMoreButton) loadMoreButton.click();
-                    elapsedTime += interval;
-                    if (elapsedTime >= timeout) {
-                        clearInterval(searchInterval);
-                        resolve(false);
-                    }
-                }, interval);
-            });
-        }, scheduledItem.title);
-
-        if (!foundAndClicked) throw new Error(`Could not find a DRAFT with the title "${scheduledItem.title}"`);
-
-        console.log("Found DRAFT, clicking it. Waiting for details page.");
-        await page.waitForTimeout(8000);
-
-        const clickedPublish = await page.evaluate(() => {
-            return new Promise((resolve) => {
-                const timeout = 15000, interval = 1000;
-                let elapsedTime = 0;
-                const findButtonInterval = setInterval(() => {
-                    const publishButton = Array.from(document.querySelectorAll('button')).find(btn => btn.textContent.trim().toLowerCase() === 'publish');
-                    if (publishButton && !publishButton.disabled) {
-                        clearInterval(findButtonInterval);
-                        publishButton.click();
-                        resolve(true);
-                        return;
-                    }
-                    elapsedTime += interval;
-                    if (elapsedTime >= timeout) {
-                        clearInterval(findButtonInterval);
-                        resolve(false);
-                    }
-                }, interval);
-            });
-        });
+/**
+ * Reads every enabled profile into the inventory, then checks the schedule against it.
+ * Runs when the sync is due and on request; a call while it is running does nothing.
+ * @returns {Promise<boolean>} False if a sync was already running.
+ */
+async function syncInventory() {
+    if (isInventorySyncing) return false;
+    isInventorySyncing = true;
+    let state = null;
+    try {
+        state = { ...(await inventory.getSyncState()), startedAtUTC: new Date().toISOString() };
+        const profileList = (await profiles.listProfiles()).filter(p => p.enabled);
+        const synced = [];
+        const profileStates = {};
+        for (const profile of profileList) {
+            try {
+                const items = await readProfileInventory(profile);
+                await inventory.saveProfileInventory(profile.id, items);
+                profileStates[profile.id] = { syncedAtUTC: new Date().toISOString(), itemCount: items.length, error: null };
+                synced.push(profile.id);
+            } catch (error) {
+                logger.error('Could not read the profile inventory.', { profile: profile.name, error: error.message });
+                profileStates[profile.id] = { ...(state.profiles[profile.id] || {}), error: error.message };
+            }
+        }
+        state.profiles = profileStates;
+
+        const { flagged, cleared } = await inventory.reconcileSchedule(synced);
+        logger.info('Inventory synced.', { profiles: synced.length, failed: profileList.length - synced.length, flagged: flagged.length, cleared: cleared.length });
+        if (flagged.length > 0) {
+            const lines = flagged.slice(0, 15).map(({ item, issue }) => `- \`${item.title}\`: ${inventory.ISSUE_MESSAGES[issue]}`);
+            if (flagged.length > 15) lines.push(`- ...and ${flagged.length - 15} more`);
+            sendNotification(`🔎 **Inventory sync found ${flagged.length} problem(s):**\n${lines.join('\n')}`, 'failure');
+        }
+        const failed = profileList.filter(p => profileStates[p.id].error);
+        if (failed.length > 0) {
+            sendNotification(`⚠️ **Inventory sync could not read ${failed.length} profile(s):** ${failed.map(p => p.name).join(', ')}`, 'system');
+        }
+    } catch (error) {
+        logger.error('Inventory sync stopped unexpectedly.', { error });
+    } finally {
+        // Without the previous state there is nothing sound to store; the next sync will.
+        if (state) {
+            state.finishedAtUTC = new Date().toISOString();
+            await inventory.setSyncState(state).catch(error => logger.error('Could not store the inventory sync state.', { error: error.message }));
+        }
+        isInventorySyncing = false;
+    }
+    return true;
+}
 
-        if (!clickedPublish) throw new Error('The "Publish" button was not found or was disabled.');
-
-        console.log("Clicked 'Publish'. Waiting for system to process...");
-        await page.waitForTimeout(8000);
-
-        console.log(`Navigating back to ${targetProfileName} profile for verification.`);
-        await page.goto(targetProfileUrl);
-        await page.reload({ waitUntil: 'domcontentloaded' });
-        await page.waitForTimeout(5000);
-
-        console.log(`Verifying PUBLISHED status for: "${scheduledItem.title}"`);
-        const isPublished = await page.evaluate(async (itemTitle) => {
-            return new Promise((resolve) => {
-                const timeout = 60000, interval = 2000;
-                let elapsedTime = 0;
-                const verifyInterval = setInterval(() => {
-                    const elements = document.querySelectorAll('div[class*="StyledTitle"], div[title], span');
-                    for (const el of elements) {
-                        if (el.textContent.trim() === itemTitle || el.getAttribute('title') === itemTitle) {
-                            const container = el.closest('div[role="button"]')?.parentElement ?? el.parentElement;
-                            const statusElement = container ? container.querySelector('span[type="SUCCESS"]') : null;
-                            if (statusElement && statusElement.textContent.trim().toUpperCase() === 'PUBLISHED') {
-                                clearInterval(verifyInterval);
-                                resolve(true);
-                                return;
-                            }
-                        }
-                    }
-                    const loadMoreButton = Array.from(document.querySelectorAll('button')).find(btn => btn.textContent.trim().toLowerCase() === 'load more');
-                    if (loadMoreButton) loadMoreButton.click();
-                    elapsedTime += interval;
-                    if (elapsedTime >= timeout) {
-                        clearInterval(verifyInterval);
-                        resolve(false);
-                    }
-                }, interval);
-            });
-        }, scheduledItem.title);
+/**
+ * Reads the counters of published items that are due, one profile at a time.
+ * Runs on every tick; a call while it is running does nothing.
+ */
+async function collectStats(now = new Date()) {
+    if (isStatsCollecting) return;
+    isStatsCollecting = true;
+    try {
+        const due = await stats.listItemsDue(now);
+        if (due.length === 0) return;
+        const profileList = await profiles.listProfiles();
+        const byProfile = new Map();
+        for (const entry of due) {
+            const profile = stats.profileForEntry(entry, profileList);
+            if (!profile) {
+                await stats.recordSample(entry.historyId, null, 'The profile it was published to no longer exists.');
+                continue;
+            }
+            if (!byProfile.has(profile.id)) byProfile.set(profile.id, { profile, entries: [] });
+            byProfile.get(profile.id).entries.push(entry);
+        }
 
-        if (!isPublished) {
-            throw new Error('Verification failed. Item status was not updated to "Published" after waiting.');
+        let collected = 0;
+        for (const { profile, entries } of byProfile.values()) {
+            collected += await collectProfileStats(profile, entries);
         }
+        logger.info('Collected item stats.', { due: due.length, collected });
+    } catch (error) {
+        logger.error('Stats collection stopped unexpectedly.', { error });
+    } finally {
+        isStatsCollecting = false;
+    }
+}
 
-        console.log(`--- Successfully published and verified "${scheduledItem.title}" ---`);
-        return { status: 'success', message: 'Published and verified successfully.' };
+/**
+ * @returns {Promise<number>} How many items were read.
+ */
+async function collectProfileStats(profile, entries) {
+    let context;
+    let collected = 0;
+    const unlockProfile = await browserPool.lock(`profile:${profile.id}`);
+    try {
+        const loginStatus = await sessionManager.ensureLoggedIn();
+        // Not recorded against the items: they are read as soon as the login is back.
+        if (!loginStatus.loggedIn) return 0;
 
+        await browserPool.waitForRateLimit();
+        context = await browserPool.acquire();
+        const page = await context.newPage();
+        await page.route('**/*', (route) => {
+            if (['image', 'stylesheet', 'font', 'media'].includes(route.request().resourceType())) route.abort();
+            else route.continue();
+        });
+        const profileUrl = profiles.buildProfileUrl(profile);
+        for (const entry of entries) {
+            try {
+                await zedgePages.openProfileContent(page, profileUrl);
+                await zedgePages.openPublishedItem(page, entry.title);
+                await stats.recordSample(entry.historyId, await zedgePages.readItemStats(page));
+                collected++;
+            } catch (error) {
+                if (error.message.startsWith('Session expired')) {
+                    sessionManager.invalidate(error.message);
+                    break;
+                }
+                logger.warn('Could not read item stats.', { title: entry.title, error: error.message });
+                await stats.recordSample(entry.historyId, null, error.message);
+            }
+        }
     } catch (error) {
-        console.error(`Failed to publish "${scheduledItem.title}":`, error);
-        return { status: 'failed', message: error.message };
+        logger.error('Could not read stats for the profile.', { profile: profile.name, error: error.message });
     } finally {
-        if (context) { await context.close(); } // <-- IMPORTANT: Close the context, NOT the browser
+        if (context) await browserPool.release(context);
+        unlockProfile();
     }
+    return collected;
+}
+
+function startInventorySync() {
+    if (isInventorySyncing) return { success: false, message: 'An inventory sync is already running.' };
+    syncInventory().catch(error => logger.error('Inventory sync failed.', { error: error.message }));
+    return { success: true, message: 'Inventory sync started. Results will show up in a few minutes.' };
+}
+
+async function attachUpload(itemId, input) {
+    const result = await draftUploads.attachUpload(itemId, input);
+    if (result.success) processUploads();
+    return result;
+}
+
+async function retryUploadsByIds(itemIds) {
+    const queuedCount = await draftUploads.retryUploads(itemIds || []);
+    if (queuedCount === 0) return { success: false, message: 'None of the selected items has a failed upload.' };
+    processUploads();
+    return { success: true, message: `Retrying ${queuedCount} upload(s).` };
 }
 
 
 // --- Worker & Bot Functions ---
-function sendNotification(message) { telegramBot.sendNotification(message); }
+/**
+ * @param {string|function(string): string} message - Text using **bold** and `code`, or a function of the recipient's time zone returning it.
+ * @param {string} category - 'publish', 'failure', 'system' or 'digest'; decides who receives it.
+ */
+function sendNotification(message, category = 'system') {
+    notifier.notify(message, category).catch(error => logger.error('Failed to send notification.', { category, error: error.message }));
+}
 
 function pauseWorker() {
     if (mainIntervalId) {
         clearInterval(mainIntervalId);
         mainIntervalId = null;
         isWorkerPaused = true;
-        console.log("Worker has been PAUSED.");
+        logger.info('Worker has been paused.');
         return { success: true, message: "Worker paused successfully." };
     }
     return { success: false, message: "Worker was not running." };
@@ -459,242 +609,863 @@ function resumeWorker() {
     if (!mainIntervalId) {
         startWorkerIntervals();
         isWorkerPaused = false;
-        console.log("Worker has been RESUMED.");
+        logger.info('Worker has been resumed.');
         return { success: true, message: "Worker resumed successfully." };
     }
     return { success: false, message: "Worker is already running." };
 }
 
+/**
+ * Whether publishes are currently dry runs for every item (DRY_RUN env or the 'dry_run' setting).
+ */
+async function isDryRunEnabled() {
+    return DRY_RUN_FORCED || (await store.getSetting('dry_run', false)) === true;
+}
+
+async function setDryRunMode(enabled) {
+    if (DRY_RUN_FORCED && !enabled) {
+        return { success: false, message: 'Dry-run mode is forced on by the DRY_RUN environment variable.' };
+    }
+    await store.setSetting('dry_run', enabled);
+    logger.warn(enabled ? 'Dry-run mode enabled.' : 'Dry-run mode disabled.');
+    sendNotification(enabled ? '🧪 **Dry-run mode enabled.** Items will be checked but not published.' : '🧪 **Dry-run mode disabled.** Items will be published again.', 'system');
+    return { success: true, message: enabled ? 'Dry-run mode enabled. Nothing will be published.' : 'Dry-run mode disabled.' };
+}
+
+/**
+ * Adds a job to the durable queue for each item and kicks off processing.
+ * @param {object[]} items - The schedule items to publish.
+ * @param {string} reason - Stored on the job ('schedule', 'manual', 'missed', 'late', 'dry-run').
+ * @returns {Promise<number>} How many items were newly queued (already-queued items are skipped).
+ */
+async function enqueueItems(items, reason) {
+    let queuedCount = 0;
+    for (const item of items) {
+        const job = await publishQueue.enqueueJob(item.id, reason);
+        if (!job) continue;
+        queuedCount++;
+        logger.info('Item queued for publishing.', { itemId: item.id, jobId: job.id, title: item.title, reason });
+        webhooks.emit('item.queued', { itemId: item.id, title: item.title, jobId: job.id, reason });
+    }
+    if (queuedCount > 0) processPublishingQueue();
+    return queuedCount;
+}
+
 async function publishNowByIds(itemIds) {
-    const appData = await loadData();
-    const itemsToPublish = appData.schedule.filter(item => itemIds.includes(item.id));
+    const itemsToPublish = await store.getScheduleItemsByIds(itemIds || []);
     if (itemsToPublish.length === 0) return { success: false, message: "No valid items found to publish." };
-    publishingQueue.push(...itemsToPublish);
-    if (!isQueueProcessing) processPublishingQueue();
-    return { success: true, message: `Queued ${itemsToPublish.length} item(s) for immediate publishing.` };
+    const queuedCount = await enqueueItems(itemsToPublish, 'manual');
+    if (queuedCount === 0) return { success: false, message: "The selected item(s) are already queued." };
+    return { success: true, message: `Queued ${queuedCount} item(s) for immediate publishing.` };
+}
+
+/**
+ * Queues a one-off dry run for each item. The items keep their status and time.
+ */
+async function dryRunByIds(itemIds) {
+    const items = await store.getScheduleItemsByIds(itemIds || []);
+    if (items.length === 0) return { success: false, message: "No valid items found to dry-run." };
+    const queuedCount = await enqueueItems(items, 'dry-run');
+    if (queuedCount === 0) return { success: false, message: "The selected item(s) are already queued." };
+    return { success: true, message: `Queued ${queuedCount} item(s) for a dry run.` };
 }
 
-async function rescheduleItemsByIds(itemIds, timeString = '10m') {
-    const appData = await loadData();
+/**
+ * Moves items to a new time.
+ * @param {string[]} itemIds - The items to move.
+ * @param {string} timeString - A time as typed by the user, see timezones.parseTimeInput().
+ * @param {string} timeZone - The user's time zone, used to read the time and to show the result.
+ */
+async function rescheduleItemsByIds(itemIds, timeString = '10m', timeZone = timezones.DEFAULT_TIMEZONE) {
     const now = new Date();
-    const value = parseInt(timeString.slice(0, -1), 10);
-    const unit = timeString.slice(-1).toLowerCase();
-    if (isNaN(value)) return { success: false, message: "Invalid time value." };
-
-    let newScheduledDate = new Date(now);
-    if (unit === 'm') newScheduledDate.setMinutes(now.getMinutes() + value);
-    else if (unit === 'h') newScheduledDate.setHours(now.getHours() + value);
-    else newScheduledDate.setSeconds(now.getSeconds() + value);
-    
-    let updatedCount = 0;
-    appData.schedule.forEach(item => {
-        if (itemIds.includes(item.id)) {
-            item.scheduledAtUTC = newScheduledDate.toISOString();
-            item.status = 'Pending';
-            updatedCount++;
-        }
-    });
+    const parsed = timezones.parseTimeInput(timeString, { now, timeZone });
+    if (parsed.error) return { success: false, message: parsed.error };
+    if (parsed.date < now) return { success: false, message: `${timezones.formatDateTime(parsed.date, timeZone)} is in the past.` };
 
+    const updatedCount = await store.rescheduleItems(itemIds || [], parsed.date);
     if (updatedCount > 0) {
-        await saveData(appData);
-        return { success: true, message: `Rescheduled ${updatedCount} item(s).` };
+        return { success: true, message: `Rescheduled ${updatedCount} item(s) to ${timezones.formatDateTime(parsed.date, timeZone)}.` };
     }
     return { success: false, message: "No items were found to reschedule." };
 }
 
-function publishMissedItems(identifier) {
-    const itemsToPublish = [];
-    if (identifier === 'all-missed') {
-        itemsToPublish.push(...missedItemsCache);
-        missedItemsCache = [];
+async function publishMissedItems(identifier) {
+    const missedItems = await store.listMissedItems();
+    let itemsToPublish;
+    // The bot turns "all-missed" into "all missed", so accept both spellings.
+    if (identifier === 'all-missed' || identifier === 'all missed') {
+        itemsToPublish = missedItems;
     } else {
-        const itemIndex = missedItemsCache.findIndex(item => item.title.toLowerCase() === identifier.toLowerCase());
-        if (itemIndex > -1) {
-            itemsToPublish.push(missedItemsCache[itemIndex]);
-            missedItemsCache.splice(itemIndex, 1);
-        } else {
-            return { success: false, message: `Could not find "${identifier}" in the missed items list.` };
-        }
+        const item = missedItems.find(i => i.title.toLowerCase() === identifier.toLowerCase());
+        if (!item) return { success: false, message: `Could not find "${identifier}" in the missed items list.` };
+        itemsToPublish = [item];
     }
 
     if (itemsToPublish.length > 0) {
-        publishingQueue.push(...itemsToPublish);
-        if (!isQueueProcessing) processPublishingQueue();
-        return { success: true, message: `Queued ${itemsToPublish.length} item(s) for publishing.` };
+        await store.clearMissedItems(itemsToPublish.map(i => i.id));
+        const queuedCount = await enqueueItems(itemsToPublish, 'missed');
+        return { success: true, message: `Queued ${queuedCount} item(s) for publishing.` };
     }
     return { success: false, message: 'No items to publish.' };
 }
 
-async function rescheduleMissedItem(identifier, timeString) {
-    const item = missedItemsCache.find(i => i.title.toLowerCase() === identifier.toLowerCase());
-    if (!item) return { success: false, message: `Could not find "${identifier}" in the missed items list.` };
-    
-    const result = await rescheduleItemsByIds([item.id], timeString);
-    if (result.success) {
-        missedItemsCache = missedItemsCache.filter(i => i.id !== item.id);
-        if (missedItemsCache.length === 0) missedItemsNotificationSent = false;
+async function rescheduleMissedItem(identifier, timeString, timeZone = timezones.DEFAULT_TIMEZONE) {
+    const missedItems = await store.listMissedItems();
+    if (identifier.toLowerCase() === 'all') {
+        if (missedItems.length === 0) return { success: false, message: 'There are no missed items to reschedule.' };
+        return rescheduleItemsByIds(missedItems.map(i => i.id), timeString, timeZone);
     }
-    return result;
+    const item = missedItems.find(i => i.title.toLowerCase() === identifier.toLowerCase());
+    if (!item) return { success: false, message: `Could not find "${identifier}" in the missed items list.` };
+
+    // rescheduleItems also takes the item off the missed list.
+    return rescheduleItemsByIds([item.id], timeString, timeZone);
 }
 
 // --- Core Worker Loop ---
 async function checkScheduleForPublishing() {
     if (isWorkerPaused) {
-        console.log("Worker is paused. Skipping schedule check.");
+        logger.debug('Worker is paused. Skipping schedule check.');
         return;
     }
 
     lastCheckTime = new Date().toISOString(); 
     const now = new Date();
-    console.log(`--- Running background check [${now.toLocaleTimeString()}] [DB: ${activeDbIndex + 1}] ---`);
-    
-    const data = await loadData();
-    const schedule = data.schedule || [];
-    
-    if (schedule.length === 0) {
-        console.log("[Schedule is empty] No items to check.");
-        return;
+    logger.debug('Running schedule check.', { activeDb: database.getActiveDbIndex() + 1 });
+
+    try {
+        await scheduleRules.expandRules(now);
+    } catch (error) {
+        // Already scheduled items still publish even if a rule can't be expanded.
+        logger.error('Could not expand schedule rules.', { error: error.message });
     }
 
-    const fiveMinutesAgo = new Date(now.getTime() - 5 * 60 * 1000);
-    const newlyMissedItems = [];
-    let dataWasChanged = false;
+    const dueItems = await store.listDuePendingItems(now);
+    if (dueItems.length === 0) {
+        logger.debug('No due items. Nothing to publish.');
+    }
 
-    for (const item of schedule) {
-        if (!item.scheduledAtUTC) continue;
-        
-        const isPending = !item.status || item.status === 'Pending';
-        if (!isPending) continue;
+    await recoverStalledJobs();
 
-        const scheduleDateTime = new Date(item.scheduledAtUTC);
-        if (scheduleDateTime > now) continue;
+    const activeJobs = await publishQueue.getActiveJobsByItem();
+    const profileList = await profiles.listProfiles();
+    const dueNow = [];
+    const late = { hold: [], publish: [], shift: [], skip: [] };
 
-        if (scheduleDateTime < fiveMinutesAgo) {
-            if (!missedItemsCache.find(cached => cached.id === item.id) && !publishingInProgress.has(item.id)) {
-                newlyMissedItems.push(item);
-                item.status = "Failed";
-                item.failMessage = "Publication was missed at the scheduled time.";
-                dataWasChanged = true;
-            }
+    for (const item of dueItems) {
+        if (activeJobs.has(item.id)) continue; // Already queued, running or waiting for a retry.
+
+        const profile = profiles.pickProfile(item, profileList);
+        const policy = profile ? profile.missedPolicy : missedPolicy.normalizePolicy(null);
+        const action = missedPolicy.decideMissedAction(item, policy, now);
+        if (action === 'on-time') {
+            logger.info('Found due item. Adding to queue.', { itemId: item.id, title: item.title, scheduledAtUTC: item.scheduledAtUTC });
+            dueNow.push(item);
         } else {
-            if (!publishingInProgress.has(item.id)) {
-                console.log(`✅ FOUND DUE ITEM: "${item.title}". Adding to queue.`);
-                publishingInProgress.add(item.id);
-                publishingQueue.push(item);
-            }
+            late[action].push({ item, profile, policy });
         }
     }
 
-    if (dataWasChanged) {
-        await saveData(data);
+    const handled = await applyMissedPolicies(late, now, profileList);
+    // Not awaited: a login can wait minutes for a verification code. Publishes wait for it themselves.
+    sessionManager.maintain(now).catch(error => logger.error('Session maintenance failed.', { error: error.message }));
+    if (draftUploads.UPLOAD_CONFIG.watchDir) {
+        await importWatchedUploads().catch(error => logger.error('Could not read the upload folder.', { error: error.message }));
+    }
+    // Not awaited either: an upload holds a browser for as long as a publish does.
+    processUploads();
+    if (!isInventorySyncing) {
+        inventory.isSyncDue(now)
+            .then(due => (due ? syncInventory() : false))
+            .catch(error => logger.error('Inventory sync failed.', { error: error.message }));
+    }
+    collectStats(now);
+    await enqueueItems(dueNow, 'schedule');
+    // Picks up retries whose backoff has elapsed.
+    processPublishingQueue();
+    webhooks.processDueDeliveries();
+
+    const newlyMissedItems = await store.takeUnnotifiedMissedItems();
+    if (newlyMissedItems.length > 0 || handled.published.length + handled.shifted.length + handled.skipped.length > 0) {
+        sendMissedSummary(newlyMissedItems, handled);
     }
 
-    if (newlyMissedItems.length > 0) {
-        missedItemsCache.push(...newlyMissedItems);
+    await sendDailyDigestIfDue(now).catch(error => logger.error('Daily digest failed.', { error: error.message }));
+
+    lastTickCompletedAt = new Date();
+    metrics.recordScheduleTick(lastTickCompletedAt);
+}
+
+/**
+ * Deals with items whose grace window has passed, each as its profile's missed policy says.
+ * Only rows that are still Pending are touched; anything rescheduled meanwhile is left alone.
+ * @param {object} late - { hold, publish, shift, skip }, each a list of { item, profile, policy }.
+ * @returns {Promise<{published: object[], shifted: object[], skipped: object[]}>} What was handled automatically.
+ */
+async function applyMissedPolicies(late, now, profileList) {
+    const handled = { published: [], shifted: [], skipped: [] };
+    const emitMissed = (item, action, extra = {}) => webhooks.emit('item.missed', { itemId: item.id, title: item.title, scheduledAtUTC: item.scheduledAtUTC, action, ...extra });
+
+    if (late.hold.length > 0) {
+        const missed = await store.markPendingItemsMissed(late.hold.map(l => l.item.id), "Publication was missed at the scheduled time.");
+        for (const item of missed) emitMissed(item, 'hold');
+    }
+    if (late.skip.length > 0) {
+        handled.skipped = await store.skipPendingItems(late.skip.map(l => l.item.id), "Missed its time; skipped by the profile's missed policy.");
+        for (const item of handled.skipped) emitMissed(item, 'skip');
+    }
+    if (late.publish.length > 0) {
+        const items = late.publish.map(l => l.item);
+        await enqueueItems(items, 'late');
+        handled.published = items;
+        for (const item of items) emitMissed(item, 'publish');
+    }
+    if (late.shift.length > 0) {
+        // Times already taken on each profile, so shifted items don't land on top of others (or each other).
+        const taken = new Map();
+        for (const item of await store.listScheduleItems()) {
+            if (item.status !== 'Pending' || !item.scheduledAtUTC) continue;
+            const profile = profiles.pickProfile(item, profileList);
+            const key = profile ? profile.id : null;
+            if (!taken.has(key)) taken.set(key, []);
+            taken.get(key).push(new Date(item.scheduledAtUTC));
+        }
+        for (const { item, profile, policy } of late.shift) {
+            const times = taken.get(profile ? profile.id : null) || [];
+            const slot = missedPolicy.findNextFreeSlot(times, now, policy.shiftSpacingMinutes);
+            const shifted = await store.shiftPendingItem(item.id, slot);
+            if (!shifted) continue;
+            times.push(slot);
+            handled.shifted.push(shifted);
+            logger.info('Missed item moved to the next free slot.', { itemId: item.id, title: item.title, from: item.scheduledAtUTC, to: shifted.scheduledAtUTC });
+            emitMissed(item, 'shift', { newScheduledAtUTC: shifted.scheduledAtUTC });
+        }
     }
+    return handled;
+}
 
-    if (!isQueueProcessing && publishingQueue.length > 0) {
-        processPublishingQueue();
+/**
+ * One notification per schedule check for everything that was missed: the items waiting for an
+ * operator are listed (up to 10), the ones the missed policies took care of are only counted.
+ */
+function sendMissedSummary(heldItems, handled) {
+    const lines = [heldItems.length > 0 ? '🔴 **Missed Publications Detected!**' : '⏰ **Late items handled automatically**'];
+    if (heldItems.length > 0) {
+        const titles = heldItems.slice(0, 10).map(item => `- \`${item.title}\``);
+        if (heldItems.length > 10) titles.push(`- ...and ${heldItems.length - 10} more`);
+        lines.push(`\nWaiting for you (${heldItems.length}):\n${titles.join('\n')}`);
+    }
+    const counts = [
+        handled.published.length > 0 && `Published late: ${handled.published.length}`,
+        handled.shifted.length > 0 && `Moved to a later slot: ${handled.shifted.length}`,
+        handled.skipped.length > 0 && `Skipped: ${handled.skipped.length}`
+    ].filter(Boolean);
+    if (counts.length > 0) lines.push(`\nBy missed policy: ${counts.join(' · ')}`);
+    if (heldItems.length > 0) {
+        lines.push(`\n**Use a command to proceed:**\n\`/publish all-missed\` - Publishes all items now.\n\`/publish <title>\` - Publishes a specific item.\n\n*To reschedule, use the \`/rs\` command. You can then use \`/clearmissed\` to remove this message.*`);
     }
+    sendNotification(lines.join('\n'), heldItems.length > 0 ? 'failure' : 'publish');
+}
+
+/**
+ * Sends the daily summary to digest subscribers once per UTC day, after DIGEST_HOUR_UTC.
+ * The last sent date is stored in settings so restarts don't resend it.
+ */
+async function sendDailyDigestIfDue(now) {
+    if (now.getUTCHours() < DIGEST_HOUR_UTC) return;
+    const today = now.toISOString().slice(0, 10);
+    if ((await store.getSetting('last_digest_date')) === today) return;
+    await store.setSetting('last_digest_date', today);
+
+    const dayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+    const dayAhead = new Date(now.getTime() + 24 * 60 * 60 * 1000);
+    const [published, schedule] = await Promise.all([store.listPublishedSince(dayAgo), store.listScheduleItems()]);
+    const failed = schedule.filter(item => item.status === 'Failed');
+    const upcoming = schedule.filter(item => item.status === 'Pending' && item.scheduledAtUTC && new Date(item.scheduledAtUTC) <= dayAhead);
+
+    // Only actions other than a plain publish are spelled out.
+    const actionNote = action => (action && action !== 'publish' ? ` (${action})` : '');
+    const section = (title, items, describe) => {
+        if (items.length === 0) return `**${title}:** none`;
+        const lines = items.slice(0, 10).map(item => `- ${describe(item)}`);
+        if (items.length > 10) lines.push(`- ...and ${items.length - 10} more`);
+        return `**${title} (${items.length}):**\n${lines.join('\n')}`;
+    };
+    // Rendered per recipient, so times are shown in each one's own time zone.
+    const message = timeZone => [
+        `📰 **Daily Digest** (${today})`,
+        section('Published in the last 24h', published, item => `\`${item.title}\`${actionNote(item.action)}`),
+        section('Failed', failed, item => `\`${item.title}\`${actionNote(item.action)}${item.failMessage ? ` - ${item.failMessage}` : ''}`),
+        section('Coming up in the next 24h', upcoming, item => `\`${item.title}\`${actionNote(item.action)} on ${timezones.formatDateTime(item.scheduledAtUTC, timeZone)}`)
+    ].join('\n\n');
+    sendNotification(message, 'digest');
+}
 
-    if (missedItemsCache.length > 0 && !missedItemsNotificationSent) {
-        const itemTitles = missedItemsCache.map(item => `- \`${item.title}\``).join('\n');
-        const notificationMessage = `🔴 **Missed Publications Detected!**\n\nThe following items were not published at their scheduled time:\n${itemTitles}\n\n**Use a command to proceed:**\n\`/publish all-missed\` - Publishes all items now.\n\`/publish <title>\` - Publishes a specific item.\n\n*To reschedule, use the \`/rs\` command. You can then use \`/clearmissed\` to remove this message.*`;
-        sendNotification(notificationMessage);
-        missedItemsNotificationSent = true;
+/**
+ * Requeues jobs whose worker died mid-publish (expired lease) and reports any that ran out of attempts.
+ */
+async function recoverStalledJobs() {
+    const recovered = await publishQueue.recoverExpiredLeases();
+    for (const job of recovered) {
+        const item = await store.getScheduleItem(job.itemId);
+        const title = item ? item.title : job.itemId;
+        // A dry run that keeps dying leaves its item alone, like any other dry run.
+        if (job.status === 'dead' && job.reason !== 'dry-run') {
+            await markJobItemFailed(job, job.lastError);
+        } else if (job.status === 'dead') {
+            logger.warn('Dry run was interrupted too many times. Giving up.', { itemId: job.itemId, jobId: job.id, title });
+        } else {
+            logger.warn('Recovered interrupted publish job. It will be retried.', { itemId: job.itemId, jobId: job.id, title });
+        }
     }
 }
 
+/**
+ * Claims due jobs and runs up to PUBLISH_CONCURRENCY of them at once.
+ * Runs again whenever a job finishes, so a freed slot is filled straight away.
+ */
 async function processPublishingQueue() {
-    if (isQueueProcessing || publishingQueue.length === 0) return;
+    if (isQueueProcessing) {
+        queueRecheckRequested = true;
+        return;
+    }
     isQueueProcessing = true;
-    while (publishingQueue.length > 0) {
-        const itemToPublish = publishingQueue.shift();
+    try {
+        let job;
+        while (runningJobCount < browserPool.POOL_CONFIG.size && (job = await publishQueue.claimNextJob())) {
+            runningJobCount++;
+            runPublishJob(job).finally(() => {
+                runningJobCount--;
+                processPublishingQueue();
+            });
+        }
+    } catch (error) {
+        logger.error('Publishing queue processing stopped unexpectedly.', { error });
+    } finally {
+        isQueueProcessing = false;
+        if (queueRecheckRequested) {
+            queueRecheckRequested = false;
+            processPublishingQueue();
+        }
+    }
+}
+
+async function runPublishJob(job) {
+    const stopHeartbeat = publishQueue.startHeartbeat(job.id);
+    // Everything logged for this attempt shares one correlation ID.
+    const attemptContext = { correlationId: logger.newCorrelationId(), itemId: job.itemId, jobId: job.id, attempt: job.attempts };
+    await logger.runWithContext(attemptContext, async () => {
+        const startedAt = new Date();
         try {
-            await executePublishWorkflow(itemToPublish);
+            await executePublishWorkflow(job);
         } catch (error) {
-            console.error(`A critical error occurred for item "${itemToPublish.title}"`, error);
+            logger.error('A critical error occurred during the publish job.', { error });
+            await diagnostics.recordAttempt({ jobId: job.id, itemId: job.itemId, attempt: job.attempts, status: 'failed', error: error.message, startedAt, correlationId: attemptContext.correlationId })
+                .catch(err => logger.error('Could not store publish attempt.', { error: err.message }));
+            await handleFailedAttempt(job, error.message).catch(err => logger.error('Could not record the failed attempt.', { error: err.message }));
         } finally {
-            publishingInProgress.delete(itemToPublish.id);
+            stopHeartbeat();
         }
+    });
+}
+
+async function executePublishWorkflow(job) {
+    const scheduledItem = await store.getScheduleItem(job.itemId);
+    if (!scheduledItem) {
+        await publishQueue.finishJob(job.id, 'cancelled', 'Item no longer exists in the schedule.');
+        return;
+    }
+
+    // 'dry-run' jobs are one-off checks; flagged items and the global mode turn scheduled publishes into dry runs.
+    const isDryRunJob = job.reason === 'dry-run';
+    const dryRun = isDryRunJob || scheduledItem.dryRun || await isDryRunEnabled();
+    const startedAt = new Date();
+    const result = await performPublish(scheduledItem, { dryRun });
+    const outcome = { success: 'success', 'dry-run': 'dry_run' }[result.status] || 'failure';
+    metrics.recordPublish(outcome, (Date.now() - startedAt.getTime()) / 1000, scheduledItem.action || 'publish');
+    await recordPublishAttempt(job, scheduledItem, startedAt, result);
+
+    if (result.status === 'dry-run') {
+        await publishQueue.finishJob(job.id, 'succeeded');
+        // A scheduled item is done once rehearsed, so it isn't picked up again; a one-off check leaves it as it was.
+        if (!isDryRunJob) await store.updateScheduleItem(scheduledItem.id, { status: 'Dry Run', failMessage: null });
+    } else if (result.status === 'success') {
+        const historyEntry = await store.movePublishedItemToHistory(scheduledItem.id, result.profileId);
+        await publishQueue.finishJob(job.id, 'succeeded');
+        if (historyEntry) {
+            sendNotification(`${ACTION_ICONS[historyEntry.action]} **${historyEntry.status}:** "${historyEntry.title}"`, 'publish');
+            webhooks.emit(`item.${historyEntry.status.toLowerCase()}`, {
+                itemId: historyEntry.id,
+                title: historyEntry.title,
+                theme: historyEntry.theme,
+                scheduledAtUTC: historyEntry.scheduledAtUTC,
+                publishedAtUTC: historyEntry.publishedAtUTC,
+                jobId: job.id,
+                attempts: job.attempts
+            });
+            await scheduleWindowEnd(scheduledItem, historyEntry);
+        }
+    } else if (isDryRunJob) {
+        // Not retried: the operator asked for one check and gets its result.
+        await publishQueue.finishJob(job.id, 'dead', result.message);
+        sendNotification(`❌ **Dry run failed:** "${scheduledItem.title}". Reason: ${result.message}`, 'failure');
+    } else {
+        await handleFailedAttempt(job, result.message, scheduledItem);
     }
-    isQueueProcessing = false;
 }
 
-async function executePublishWorkflow(scheduledItem) {
-    const result = await performPublish(scheduledItem); 
-    const appData = await loadData();
-    const itemIndex = appData.schedule.findIndex(i => i.id === scheduledItem.id);
+/**
+ * Schedules the unpublish that ends an item's publish window, if it has one.
+ * Never throws: the item is live either way, and operators are told if the takedown couldn't be scheduled.
+ */
+async function scheduleWindowEnd(scheduledItem, historyEntry) {
+    const fields = itemActions.windowEndItem({ ...scheduledItem, title: historyEntry.title }, new Date(historyEntry.publishedAtUTC), historyEntry.profileId);
+    if (!fields) return;
+    try {
+        const item = await store.insertScheduleItem({ id: crypto.randomUUID(), ...fields });
+        logger.info('Scheduled the end of the publish window.', { title: item.title, scheduledAtUTC: item.scheduledAtUTC, publishDays: scheduledItem.publishDays });
+    } catch (error) {
+        logger.error('Could not schedule the end of the publish window.', { title: historyEntry.title, error: error.message });
+        sendNotification(`⚠️ **Unpublish not scheduled:** "${historyEntry.title}" was meant to come down after ${scheduledItem.publishDays} day(s). Reason: ${error.message}`, 'failure');
+    }
+}
 
-    if (itemIndex > -1) {
-        const itemToProcess = JSON.parse(JSON.stringify(appData.schedule[itemIndex]));
-        
-        if (result.status === 'success') {
-            appData.schedule.splice(itemIndex, 1);
-            if (!Array.isArray(appData.recentlyPublished)) {
-                appData.recentlyPublished = [];
-            }
-            itemToProcess.status = 'Published';
-            itemToProcess.publishedAtUTC = new Date().toISOString();
-            appData.recentlyPublished.unshift(itemToProcess);
-            appData.recentlyPublished = appData.recentlyPublished.slice(0, RECENTLY_PUBLISHED_LIMIT);
-            sendNotification(`✅ **Published:** "${itemToProcess.title}"`);
+/**
+ * Stores the attempt with its diagnostics and sends the failure (or dry-run) screenshot to Telegram.
+ * Never throws: losing diagnostics must not change the outcome of the publish.
+ */
+async function recordPublishAttempt(job, item, startedAt, result) {
+    const failed = result.status === 'failed';
+    const dryRun = result.status === 'dry-run';
+    const artifacts = result.artifacts || [];
+    try {
+        await diagnostics.recordAttempt({
+            jobId: job.id,
+            itemId: item.id,
+            title: item.title,
+            action: item.action,
+            attempt: job.attempts,
+            status: failed ? 'failed' : (dryRun ? 'dry-run' : 'succeeded'),
+            error: failed ? result.message : null,
+            startedAt,
+            correlationId: logger.getContext().correlationId
+        }, artifacts);
+    } catch (error) {
+        logger.error('Could not store publish attempt.', { title: item.title, error: error.message });
+    }
+    const screenshot = artifacts.find(a => a.kind === 'screenshot');
+    if (failed && screenshot) {
+        const caption = `❌ **Attempt ${job.attempts}/${job.maxAttempts} failed:** "${item.title}"\n${result.message.slice(0, 800)}`;
+        await notifier.notifyImage(screenshot.data, caption, 'failure');
+    } else if (dryRun) {
+        const caption = `🧪 **Dry run:** "${item.title}"\n${result.message}`;
+        if (screenshot) await notifier.notifyImage(screenshot.data, caption, 'publish');
+        else sendNotification(caption, 'publish');
+    }
+}
+
+/**
+ * Records a failed attempt: schedules a retry with backoff, or marks the item Failed
+ * once the job has used all of its attempts.
+ */
+async function handleFailedAttempt(job, message, item = null) {
+    const outcome = await publishQueue.failJob(job, message);
+    if (outcome.dead) {
+        await markJobItemFailed(job, message);
+        return;
+    }
+    const title = (item || await store.getScheduleItem(job.itemId) || {}).title || job.itemId;
+    logger.warn('Publish attempt failed. Retrying later.', { title, error: message, retryInSeconds: outcome.retryInSeconds });
+    await store.updateScheduleItem(job.itemId, { failMessage: `Attempt ${job.attempts}/${job.maxAttempts} failed: ${message}` });
+    sendNotification(`⚠️ **Attempt ${job.attempts}/${job.maxAttempts} failed:** "${title}". Retrying in ${Math.round(outcome.retryInSeconds / 60 * 10) / 10} min. Reason: ${message}`, 'publish');
+}
+
+async function markJobItemFailed(job, message) {
+    const updated = await store.updateScheduleItem(job.itemId, { status: 'Failed', failMessage: message });
+    if (!updated) return;
+    logger.error('Item failed for good.', { itemId: updated.id, jobId: job.id, title: updated.title, attempts: job.attempts, error: message });
+    sendNotification(`❌ **Failed:** "${updated.title}" after ${job.attempts} attempt(s). Reason: ${message}`, 'failure');
+    webhooks.emit('item.failed', { itemId: updated.id, title: updated.title, jobId: job.id, attempts: job.attempts, error: message });
+}
+
+async function clearMissedItemsCache() {
+    const clearedCount = await store.clearMissedItems();
+    return { success: true, message: `Missed items cache cleared (${clearedCount} item(s)).` };
+}
+function getMissedItems() { return store.listMissedItems(); }
+
+/**
+ * Replays the next `days` days of the schedule with the worker's current state (paused, dry-run mode).
+ */
+async function simulateSchedule(days) {
+    return simulation.simulateSchedule({ days, workerPaused: isWorkerPaused, dryRunMode: await isDryRunEnabled() });
+}
+
+// --- Schedule Management (Create / Update / Delete / Import) ---
+function normalizeTitle(title) {
+    return String(title).trim().toLowerCase();
+}
+
+/**
+ * Validates user input for a schedule item.
+ * @param {object} input - Raw fields from the API (title, theme, profileId, scheduledAtUTC, dryRun, metadata, action, publishDays).
+ *   A null or empty `scheduledAtUTC` puts the item in the backlog for the schedule rules.
+ *   `metadata` ({ newTitle, tags, description }) is set on the draft right before it is published.
+ *   `action` is publish (the default), republish, unpublish or delete; see item_actions.js.
+ * @param {Set<string>} profileIds - IDs of the registered profiles, used to check `profileId`.
+ * @param {boolean} partial - When true, only the provided fields are validated (used for updates).
+ * @returns {{errors: string[], value: object}} The validation errors and the cleaned fields.
+ */
+function validateScheduleInput(input, profileIds, partial = false) {
+    const errors = [];
+    const value = {};
+    if (!input || typeof input !== 'object') {
+        return { errors: ['Item must be an object.'], value };
+    }
+
+    if (input.title !== undefined || !partial) {
+        const title = typeof input.title === 'string' ? input.title.trim() : '';
+        if (!title) errors.push('Title is required.');
+        else if (title.length > MAX_TITLE_LENGTH) errors.push(`Title must be at most ${MAX_TITLE_LENGTH} characters.`);
+        else value.title = title;
+    }
+
+    if (input.theme !== undefined || !partial) {
+        if (input.theme !== undefined && input.theme !== null && typeof input.theme !== 'string') {
+            errors.push('Theme must be a string.');
         } else {
-            appData.schedule[itemIndex].status = 'Failed';
-            appData.schedule[itemIndex].failMessage = result.message;
-            sendNotification(`❌ **Failed:** "${itemToProcess.title}". Reason: ${result.message}`);
+            value.theme = (input.theme || '').trim();
+        }
+    }
+
+    if (input.profileId !== undefined && input.profileId !== null && input.profileId !== '') {
+        if (!profileIds.has(input.profileId)) errors.push(`Unknown profile "${input.profileId}".`);
+        else value.profileId = input.profileId;
+    } else if (input.profileId !== undefined || !partial) {
+        value.profileId = null; // Route by theme.
+    }
+
+    if (input.scheduledAtUTC === null || input.scheduledAtUTC === '') {
+        value.scheduledAtUTC = null; // Backlog.
+    } else if (input.scheduledAtUTC !== undefined || !partial) {
+        const date = input.scheduledAtUTC ? new Date(input.scheduledAtUTC) : null;
+        if (!date || isNaN(date.getTime())) errors.push('scheduledAtUTC must be a valid date, or null to add the item to the backlog.');
+        else value.scheduledAtUTC = date.toISOString();
+    }
+
+    if (input.dryRun !== undefined) {
+        if (typeof input.dryRun !== 'boolean') errors.push('dryRun must be true or false.');
+        else value.dryRun = input.dryRun;
+    }
+
+    if (input.metadata !== undefined) value.metadata = itemMetadata.validateMetadata(input.metadata, errors, MAX_TITLE_LENGTH);
+    itemActions.validateActionInput(input, value, errors);
+
+    return { errors, value };
+}
+
+async function getProfileIds() {
+    return new Set((await profiles.listProfiles()).map(p => p.id));
+}
+
+function duplicateMessage(duplicate) {
+    return `An item titled "${duplicate.item.title}" already exists in ${duplicate.where}.`;
+}
+
+/**
+ * An item the new title in `metadata` would clash with once the draft is renamed on Zedge.
+ */
+async function findRenameDuplicate(metadata, itemId = null) {
+    return metadata && metadata.newTitle ? store.findItemByTitle(metadata.newTitle, itemId) : null;
+}
+
+// Only a first publish needs a title of its own; the other actions work on an item that is already on Zedge.
+function needsUniqueTitle(action) {
+    return (action || 'publish') === 'publish';
+}
+
+async function createScheduleItem(input, allowDuplicate = false) {
+    const { errors, value } = validateScheduleInput(input, await getProfileIds());
+    errors.push(...itemActions.checkItemAction(value));
+    if (errors.length > 0) return { success: false, code: 400, message: errors.join(' '), errors };
+
+    const duplicate = (needsUniqueTitle(value.action) && await store.findItemByTitle(value.title)) || await findRenameDuplicate(value.metadata);
+    if (duplicate && !allowDuplicate) {
+        return { success: false, code: 409, message: duplicateMessage(duplicate) };
+    }
+
+    const item = await store.insertScheduleItem({ id: crypto.randomUUID(), ...value });
+    logger.info('Schedule item created.', { itemId: item.id, title: item.title, scheduledAtUTC: item.scheduledAtUTC });
+    const message = item.scheduledAtUTC ? `Scheduled "${item.title}".` : `Added "${item.title}" to the backlog.`;
+    return { success: true, code: 201, message, item };
+}
+
+async function isItemBeingPublished(itemId) {
+    const job = await publishQueue.getActiveJobForItem(itemId);
+    return job !== null && job.status === 'running';
+}
+
+async function updateScheduleItem(itemId, input, allowDuplicate = false) {
+    if (await isItemBeingPublished(itemId)) {
+        return { success: false, code: 409, message: 'This item is currently being published and cannot be edited.' };
+    }
+    const { errors, value } = validateScheduleInput(input, await getProfileIds(), true);
+    if (errors.length > 0) return { success: false, code: 400, message: errors.join(' '), errors };
+    if (Object.keys(value).length === 0) return { success: false, code: 400, message: 'No fields to update.' };
+    const current = await store.getScheduleItem(itemId);
+    if (!current) return { success: false, code: 404, message: 'Item not found.' };
+    const actionErrors = itemActions.checkItemAction({ ...current, ...value });
+    if (actionErrors.length > 0) return { success: false, code: 400, message: actionErrors.join(' '), errors: actionErrors };
+    if (value.action && value.action !== 'publish' && await draftUploads.getUpload(itemId)) {
+        return { success: false, code: 409, message: 'Only a first publish uploads its draft. Remove the attached image first.' };
+    }
+
+    if (value.title && needsUniqueTitle(value.action || current.action)) {
+        const duplicate = await store.findItemByTitle(value.title, itemId);
+        if (duplicate && !allowDuplicate) {
+            return { success: false, code: 409, message: duplicateMessage(duplicate) };
+        }
+        // The worker finds the draft by title, and this one is already on Zedge under the old one.
+        const upload = await draftUploads.getUpload(itemId);
+        if (upload && upload.status === 'uploaded') {
+            return { success: false, code: 409, message: 'The draft is already on Zedge under the current title, so the title can no longer be changed. Set a new title in its Zedge details instead.' };
         }
-        await saveData(appData);
     }
+    const renameDuplicate = await findRenameDuplicate(value.metadata, itemId);
+    if (renameDuplicate && !allowDuplicate) {
+        return { success: false, code: 409, message: duplicateMessage(renameDuplicate) };
+    }
+
+    if (value.scheduledAtUTC) {
+        // A new time means the item gets another chance to publish.
+        value.status = 'Pending';
+        value.failMessage = null;
+        value.missedAtUTC = null;
+    } else if (value.scheduledAtUTC === null) {
+        // Back to the backlog; a rule will pick it up again.
+        value.status = 'Backlog';
+        value.ruleId = null;
+        value.failMessage = null;
+        value.missedAtUTC = null;
+    }
+    const item = await store.updateScheduleItem(itemId, value);
+    if (!item) return { success: false, code: 404, message: 'Item not found.' };
+    return { success: true, code: 200, message: `Updated "${item.title}".`, item };
+}
+
+async function deleteScheduleItem(itemId) {
+    if (await isItemBeingPublished(itemId)) {
+        return { success: false, code: 409, message: 'This item is currently being published and cannot be deleted.' };
+    }
+    const removed = await store.deleteScheduleItem(itemId);
+    if (!removed) return { success: false, code: 404, message: 'Item not found.' };
+
+    await publishQueue.cancelQueuedJobsForItem(itemId);
+    logger.info('Schedule item deleted.', { itemId: removed.id, title: removed.title });
+    return { success: true, code: 200, message: `Deleted "${removed.title}".` };
 }
 
-function clearMissedItemsCache() { missedItemsCache = []; missedItemsNotificationSent = false; return {success: true, message: "Missed items cache cleared."};}
-function getMissedItems() { return missedItemsCache; }
+/**
+ * Imports many items at once. The import is all-or-nothing for validation errors;
+ * duplicates are either rejected or skipped depending on `skipDuplicates`.
+ * @param {object[]} items - The items to import.
+ * @param {boolean} skipDuplicates - Skip duplicate titles instead of failing the import.
+ */
+async function importScheduleItems(items, skipDuplicates = false) {
+    if (!Array.isArray(items) || items.length === 0) return { success: false, code: 400, message: 'No items provided.' };
+    if (items.length > MAX_IMPORT_ITEMS) return { success: false, code: 400, message: `Cannot import more than ${MAX_IMPORT_ITEMS} items at once.` };
+
+    const profileIds = await getProfileIds();
+    return database.withTransaction(async (client) => {
+        const errors = [];
+        const skipped = [];
+        const toCreate = [];
+        const seenTitles = new Set();
+
+        for (const [index, input] of items.entries()) {
+            const { errors: itemErrors, value } = validateScheduleInput(input, profileIds);
+            itemErrors.push(...itemActions.checkItemAction(value));
+            if (itemErrors.length > 0) {
+                errors.push({ index, message: itemErrors.join(' ') });
+                continue;
+            }
+            let duplicate = null;
+            if (needsUniqueTitle(value.action)) {
+                const key = normalizeTitle(value.title);
+                duplicate = seenTitles.has(key) ? { where: 'this import' } : await store.findItemByTitle(value.title, null, client);
+                seenTitles.add(key);
+            }
+            if (duplicate) {
+                if (skipDuplicates) skipped.push(value.title);
+                else errors.push({ index, message: `Duplicate title "${value.title}" (already in ${duplicate.where}).` });
+                continue;
+            }
+            toCreate.push({ id: crypto.randomUUID(), ...value });
+        }
+
+        if (errors.length > 0) {
+            return { success: false, code: 400, message: `Import rejected: ${errors.length} invalid item(s).`, errors };
+        }
+
+        for (const item of toCreate) await store.insertScheduleItem(item, client);
+        const skippedNote = skipped.length > 0 ? ` Skipped ${skipped.length} duplicate(s).` : '';
+        return { success: true, code: 200, message: `Imported ${toCreate.length} item(s).${skippedNote}`, created: toCreate.length, skipped };
+    });
+}
 
 // =================================================================
 // SECTION 4: EXPRESS WEB SERVER & APP STARTUP
 // =================================================================
 const app = express();
-app.use(cors());
-app.use(express.static('.')); 
+// Same-origin only unless CORS_ORIGINS lists the origins allowed to call the API.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+app.use(cors({ origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : false }));
+// Files are sent base64 encoded, so uploads get a larger limit than everything else.
+app.use('/webapp/v2/schedule/:id/upload', bodyParser.json({ limit: Math.ceil(draftUploads.UPLOAD_CONFIG.maxBytes * 4 / 3) + 64 * 1024 }));
 app.use(bodyParser.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
-app.get('/', (req, res) => res.status(200).send(`Zedge Worker v2 is alive. DB: ${activeDbIndex + 1}`));
+const { requireRole, auditChange } = auth;
+// Minimum role per web app action; anything not listed needs operator.
+const ACTION_ROLES = { 'switch-db': 'admin', 'enable-dry-run': 'admin', 'disable-dry-run': 'admin' };
+
+/**
+ * The time zone a caller reads and types times in: an explicit, valid `requested` zone
+ * (scripts, or the web app's browser zone), else the Telegram user's saved zone, else the default.
+ */
+async function getPrincipalTimezone(principal, requested = null) {
+    if (requested && timezones.isValidTimeZone(requested)) return requested;
+    if (principal && principal.type === 'telegram') return users.getUserTimezone(principal.id);
+    return timezones.DEFAULT_TIMEZONE;
+}
+
+app.get('/', (req, res) => res.status(200).send(`Zedge Worker v2 is alive. DB: ${database.getActiveDbIndex() + 1}`));
+
+// --- MONITORING ---
+function withTimeout(promise, ms, message) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => { timer = setTimeout(() => reject(new Error(message)), ms); });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Runs the health checks. Each check reports `ok` plus details; the worker is
+ * healthy only when all of them pass.
+ */
+async function getHealth() {
+    const checks = {};
+
+    const dbStartedAt = Date.now();
+    try {
+        await withTimeout(database.query('SELECT 1'), HEALTH_DB_TIMEOUT_MS, `No reply within ${HEALTH_DB_TIMEOUT_MS} ms.`);
+        checks.database = { ok: true, activeDb: database.getActiveDbIndex() + 1, latencyMs: Date.now() - dbStartedAt };
+    } catch (error) {
+        checks.database = { ok: false, activeDb: database.getActiveDbIndex() + 1, error: error.message };
+    }
+
+    const browserConnected = Boolean(browser && browser.isConnected());
+    checks.browser = browserConnected
+        ? { ok: true, contexts: browser.contexts().length, pool: browserPool.getStats() }
+        : { ok: false, error: browser ? 'Browser is disconnected.' : 'Browser was not launched.' };
+
+    // A paused worker skips its checks on purpose, and a fresh start hasn't had time to run one yet.
+    const tickAgeSeconds = lastTickCompletedAt ? Math.round((Date.now() - lastTickCompletedAt.getTime()) / 1000) : null;
+    const tickOk = isWorkerPaused
+        || (tickAgeSeconds === null ? process.uptime() <= HEALTH_MAX_TICK_AGE_SECONDS : tickAgeSeconds <= HEALTH_MAX_TICK_AGE_SECONDS);
+    checks.scheduleTick = {
+        ok: tickOk,
+        paused: isWorkerPaused,
+        lastCompletedAtUTC: lastTickCompletedAt ? lastTickCompletedAt.toISOString() : null,
+        ageSeconds: tickAgeSeconds,
+        maxAgeSeconds: HEALTH_MAX_TICK_AGE_SECONDS
+    };
+
+    const ok = Object.values(checks).every(check => check.ok);
+    return { status: ok ? 'ok' : 'unhealthy', checks };
+}
+
+app.get('/healthz', async (req, res) => {
+    const health = await getHealth();
+    res.status(health.status === 'ok' ? 200 : 503).json(health);
+});
+
+// Prometheus scrape endpoint. Set METRICS_TOKEN to require "Authorization: Bearer <token>".
+app.get('/metrics', async (req, res) => {
+    const token = process.env.METRICS_TOKEN;
+    if (token) {
+        const header = req.get('authorization') || '';
+        const given = Buffer.from(header.replace(/^Bearer\s+/i, ''));
+        const expected = Buffer.from(token);
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            return res.status(401).send('Unauthorized');
+        }
+    }
+    try {
+        res.set('Content-Type', metrics.contentType).send(await metrics.registry.metrics());
+    } catch (error) {
+        logger.error('Error collecting metrics.', { error });
+        res.status(500).send('Failed to collect metrics.');
+    }
+});
 
 // --- v2 API ENDPOINTS ---
-app.get('/webapp/v2/data', async (req, res) => {
+app.get('/webapp/v2/data', requireRole('viewer'), async (req, res) => {
     try {
-        const appData = await loadData();
-        const loginStatus = await checkLoginStatus();
-        
+        const [schedule, history, queueCount, profileList, rules, uploads, unscheduledDrafts, inventorySync] = await Promise.all([
+            store.listScheduleItems(),
+            store.listRecentlyPublished(RECENTLY_PUBLISHED_LIMIT),
+            publishQueue.countActiveJobs(),
+            profiles.listProfiles(),
+            scheduleRules.listRules(),
+            draftUploads.listUploads(),
+            inventory.listUnscheduledDrafts(),
+            inventory.getSyncState()
+        ]);
+        const loginStatus = sessionManager.getStatus();
+        const dryRun = await isDryRunEnabled();
+        const savedUser = req.principal.type === 'telegram' ? await users.getUser(req.principal.id) : null;
+
         res.json({
-            schedule: appData.schedule || [],
-            history: appData.recentlyPublished || [],
+            schedule,
+            history,
+            profiles: profileList,
+            rules,
+            uploads,
+            unscheduledDrafts,
+            // timezone is null until the user picks one; the web app then uses the device's zone.
+            me: { name: req.principal.name, role: req.principal.role, type: req.principal.type, timezone: savedUser ? savedUser.timezone : null },
+            defaultTimezone: timezones.DEFAULT_TIMEZONE,
             status: {
                 loggedIn: loginStatus.loggedIn,
-                activeDb: `DB ${activeDbIndex + 1}`,
-                queueCount: publishingQueue.length,
+                session: loginStatus,
+                activeDb: `DB ${database.getActiveDbIndex() + 1}`,
+                queueCount,
                 lastCheckTime: lastCheckTime,
-                isWorkerPaused: isWorkerPaused
+                isWorkerPaused: isWorkerPaused,
+                dryRun,
+                dryRunForced: DRY_RUN_FORCED,
+                inventorySync: { ...inventorySync, running: isInventorySyncing }
             }
         });
     } catch (error) {
-        console.error('Error fetching v2 data:', error);
+        logger.error('Error fetching v2 data.', { error });
         res.status(500).json({ error: 'Failed to retrieve server data.' });
     }
 });
 
-app.post('/webapp/v2/action', async (req, res) => {
-    const { action, itemIds, time } = req.body;
+app.post('/webapp/v2/action', requireRole(req => ACTION_ROLES[req.body?.action] || 'operator'), auditChange, async (req, res) => {
+    const { action, itemIds, time, timeZone } = req.body;
     let result = { success: false, message: 'Unknown action' };
 
     switch (action) {
         case 'publish-now':
             result = await publishNowByIds(itemIds);
             break;
+        case 'dry-run-now':
+            result = await dryRunByIds(itemIds);
+            break;
         case 'reschedule':
-            result = await rescheduleItemsByIds(itemIds, time);
+            result = await rescheduleItemsByIds(itemIds, time, await getPrincipalTimezone(req.principal, timeZone));
             break;
         case 'pause-worker':
             result = pauseWorker();
@@ -702,51 +1473,370 @@ app.post('/webapp/v2/action', async (req, res) => {
         case 'resume-worker':
             result = resumeWorker();
             break;
+        case 'enable-dry-run':
+            result = await setDryRunMode(true);
+            break;
+        case 'disable-dry-run':
+            result = await setDryRunMode(false);
+            break;
         case 'switch-db':
             result = await switchDatabase();
             break;
         case 'clear-cache':
-            result = clearMissedItemsCache();
+            result = await clearMissedItemsCache();
+            break;
+        case 'retry-upload':
+            result = await retryUploadsByIds(itemIds);
+            break;
+        case 'sync-inventory':
+            result = startInventorySync();
             break;
     }
     
     res.status(result.success ? 200 : 400).json(result);
 });
 
+// --- SCHEDULE CRUD ENDPOINTS ---
+function sendResult(res, result) {
+    const { code, ...body } = result;
+    res.status(code || (result.success ? 200 : 400)).json(body);
+}
+
+app.get('/webapp/v2/schedule', requireRole('viewer'), async (req, res) => {
+    res.json({ schedule: await store.listScheduleItems() });
+});
+
+app.post('/webapp/v2/schedule', requireRole('operator'), auditChange, async (req, res) => {
+    const { allowDuplicate, ...input } = req.body || {};
+    sendResult(res, await createScheduleItem(input, allowDuplicate === true));
+});
+
+app.post('/webapp/v2/schedule/import', requireRole('operator'), auditChange, async (req, res) => {
+    const { items, skipDuplicates } = req.body || {};
+    sendResult(res, await importScheduleItems(items, skipDuplicates === true));
+});
+
+app.patch('/webapp/v2/schedule/:id', requireRole('operator'), auditChange, async (req, res) => {
+    const { allowDuplicate, ...input } = req.body || {};
+    sendResult(res, await updateScheduleItem(req.params.id, input, allowDuplicate === true));
+});
+
+app.delete('/webapp/v2/schedule/:id', requireRole('operator'), auditChange, async (req, res) => {
+    sendResult(res, await deleteScheduleItem(req.params.id));
+});
+
+app.get('/webapp/v2/analytics', requireRole('viewer'), async (req, res) => {
+    const timeZone = await getPrincipalTimezone(req.principal, req.query.timeZone);
+    sendResult(res, await stats.getAnalytics({ days: req.query.days ? Number(req.query.days) : 30, timeZone }));
+});
+
+app.get('/webapp/v2/stats/:historyId', requireRole('viewer'), async (req, res) => {
+    const historyId = Number(req.params.historyId);
+    const itemStats = Number.isInteger(historyId) ? await stats.getItemStats(historyId) : null;
+    if (!itemStats) return res.status(404).json({ message: 'No published item with this ID.' });
+    res.json(itemStats);
+});
+
+app.get('/webapp/v2/inventory', requireRole('viewer'), async (req, res) => {
+    const [items, unscheduledDrafts, sync] = await Promise.all([inventory.listInventory(), inventory.listUnscheduledDrafts(), inventory.getSyncState()]);
+    res.json({ sync: { ...sync, running: isInventorySyncing }, items, unscheduledDrafts });
+});
+
+// Body: { fileName, data (base64), tags?, description?, category? }
+app.put('/webapp/v2/schedule/:id/upload', requireRole('operator'), auditChange, async (req, res) => {
+    sendResult(res, await attachUpload(req.params.id, req.body));
+});
+
+app.delete('/webapp/v2/schedule/:id/upload', requireRole('operator'), auditChange, async (req, res) => {
+    sendResult(res, await draftUploads.removeUpload(req.params.id));
+});
+
+// --- PROFILE REGISTRY ENDPOINTS ---
+app.get('/webapp/v2/profiles', requireRole('viewer'), async (req, res) => {
+    res.json({ profiles: await profiles.listProfiles(), contentTypes: profiles.CONTENT_TYPES });
+});
+
+app.post('/webapp/v2/profiles', requireRole('admin'), auditChange, async (req, res) => {
+    sendResult(res, await profiles.createProfile(req.body));
+});
+
+app.patch('/webapp/v2/profiles/:id', requireRole('admin'), auditChange, async (req, res) => {
+    sendResult(res, await profiles.updateProfile(req.params.id, req.body));
+});
+
+app.delete('/webapp/v2/profiles/:id', requireRole('admin'), auditChange, async (req, res) => {
+    sendResult(res, await profiles.deleteProfile(req.params.id));
+});
+
+// --- SCHEDULE RULE ENDPOINTS ---
+app.get('/webapp/v2/rules', requireRole('viewer'), async (req, res) => {
+    res.json({ rules: await scheduleRules.listRules(), types: scheduleRules.RULE_TYPES, backlog: (await store.listBacklogItems()).length });
+});
+
+app.post('/webapp/v2/rules', requireRole('operator'), auditChange, async (req, res) => {
+    sendResult(res, await scheduleRules.createRule(req.body));
+});
+
+app.patch('/webapp/v2/rules/:id', requireRole('operator'), auditChange, async (req, res) => {
+    if (!/^\d+$/.test(req.params.id)) return sendResult(res, { success: false, code: 400, message: 'Invalid rule ID.' });
+    sendResult(res, await scheduleRules.updateRule(req.params.id, req.body));
+});
+
+app.delete('/webapp/v2/rules/:id', requireRole('operator'), auditChange, async (req, res) => {
+    if (!/^\d+$/.test(req.params.id)) return sendResult(res, { success: false, code: 400, message: 'Invalid rule ID.' });
+    sendResult(res, await scheduleRules.deleteRule(req.params.id));
+});
+
+// --- PUBLISH ATTEMPT DIAGNOSTICS ---
+app.get('/webapp/v2/items/:id/attempts', requireRole('viewer'), async (req, res) => {
+    const attempts = await diagnostics.listAttemptsForItem(req.params.id);
+    for (const attempt of attempts) {
+        for (const artifact of attempt.artifacts) artifact.url = auth.signLink(`/webapp/v2/artifacts/${artifact.id}`);
+    }
+    res.json({ attempts });
+});
+
+app.get('/webapp/v2/artifacts/:id', auth.requireSignedLinkOrRole('viewer'), async (req, res) => {
+    if (!/^\d+$/.test(req.params.id)) return res.status(400).json({ message: 'Invalid artifact ID.' });
+    const artifact = await diagnostics.getArtifact(req.params.id);
+    if (!artifact) return res.status(404).json({ message: 'Artifact not found.' });
+    // Captured HTML comes from a third-party site; never let it run scripts on our origin.
+    res.set('Content-Security-Policy', "sandbox; default-src 'none'; img-src data:; style-src 'unsafe-inline'");
+    res.set('X-Content-Type-Options', 'nosniff');
+    const disposition = artifact.kind === 'trace' ? 'attachment' : 'inline';
+    res.set('Content-Disposition', `${disposition}; filename="attempt-${artifact.attemptId}-${artifact.fileName}"`);
+    res.type(artifact.contentType).send(artifact.data);
+});
+
+// --- ZEDGE SITE CONFIG ENDPOINTS ---
+// Selector overrides are stored in the `zedge_selectors` setting and merged over zedge_config.js defaults.
+app.get('/webapp/v2/zedge-config', requireRole('admin'), async (req, res) => {
+    res.json({ config: zedgeConfig.getConfig(), overrides: await store.getSetting('zedge_selectors', {}) });
+});
+
+app.put('/webapp/v2/zedge-config', requireRole('admin'), auditChange, async (req, res) => {
+    const overrides = req.body || {};
+    const errors = zedgeConfig.validateOverrides(overrides);
+    if (errors.length > 0) return sendResult(res, { success: false, code: 400, message: errors.join(' '), errors });
+    await store.setSetting('zedge_selectors', overrides);
+    const config = zedgeConfig.loadConfig(overrides);
+    sendResult(res, { success: true, message: 'Zedge selector overrides saved.', config });
+});
+
+// --- WEBHOOK ENDPOINTS (admin) ---
+app.get('/webapp/v2/webhooks', requireRole('admin'), async (req, res) => {
+    res.json({ webhooks: await webhooks.listWebhooks(), events: webhooks.EVENTS });
+});
+
+app.post('/webapp/v2/webhooks', requireRole('admin'), auditChange, async (req, res) => {
+    sendResult(res, await webhooks.createWebhook(req.body || {}, `${req.principal.type}:${req.principal.id}`));
+});
+
+app.patch('/webapp/v2/webhooks/:id', requireRole('admin'), auditChange, async (req, res) => {
+    if (!/^\d+$/.test(req.params.id)) return sendResult(res, { success: false, code: 400, message: 'Invalid webhook ID.' });
+    sendResult(res, await webhooks.updateWebhook(req.params.id, req.body || {}));
+});
+
+app.delete('/webapp/v2/webhooks/:id', requireRole('admin'), auditChange, async (req, res) => {
+    if (!/^\d+$/.test(req.params.id)) return sendResult(res, { success: false, code: 400, message: 'Invalid webhook ID.' });
+    sendResult(res, await webhooks.deleteWebhook(req.params.id));
+});
+
+app.get('/webapp/v2/webhook-deliveries', requireRole('admin'), async (req, res) => {
+    const webhookId = /^\d+$/.test(req.query.webhookId || '') ? req.query.webhookId : null;
+    res.json({ deliveries: await webhooks.listDeliveries({ webhookId, status: req.query.status || null, limit: req.query.limit }) });
+});
+
+app.post('/webapp/v2/webhook-deliveries/:id/redeliver', requireRole('admin'), auditChange, async (req, res) => {
+    if (!/^\d+$/.test(req.params.id)) return sendResult(res, { success: false, code: 400, message: 'Invalid delivery ID.' });
+    sendResult(res, await webhooks.redeliver(req.params.id));
+});
+
+// --- USER PREFERENCES ---
+app.put('/webapp/v2/me/timezone', requireRole('viewer'), auditChange, async (req, res) => {
+    if (req.principal.type !== 'telegram') {
+        return sendResult(res, { success: false, code: 400, message: 'Only Telegram users have a saved time zone; API tokens pass timeZone per request.' });
+    }
+    const timezone = req.body && req.body.timezone ? String(req.body.timezone).trim() : null;
+    sendResult(res, await users.setTimezone(req.principal.id, timezone));
+});
+
+// --- ACCESS CONTROL ENDPOINTS (admin) ---
+app.get('/webapp/v2/users', requireRole('admin'), async (req, res) => {
+    res.json({ users: await users.listUsers(), bootstrapAdminIds: users.getBootstrapAdminIds(), roles: users.ROLES });
+});
+
+app.post('/webapp/v2/users', requireRole('admin'), auditChange, async (req, res) => {
+    sendResult(res, await users.saveUser(req.body || {}, `${req.principal.type}:${req.principal.id}`));
+});
+
+app.delete('/webapp/v2/users/:telegramUserId', requireRole('admin'), auditChange, async (req, res) => {
+    sendResult(res, await users.removeUser(req.params.telegramUserId));
+});
+
+// Zedge credentials saved from the web app; ZEDGE_EMAIL / ZEDGE_PASSWORD take precedence.
+app.get('/webapp/v2/credentials', requireRole('admin'), async (req, res) => {
+    res.json(await getCredentialsInfo());
+});
+
+app.put('/webapp/v2/credentials', requireRole('admin'), auditChange, async (req, res) => {
+    sendResult(res, await saveCredentials(req.body || {}));
+});
+
+app.delete('/webapp/v2/credentials', requireRole('admin'), auditChange, async (req, res) => {
+    const deleted = await store.deleteCredentials();
+    sendResult(res, deleted ? { success: true, message: 'Saved Zedge credentials deleted.' } : { success: false, code: 404, message: 'No Zedge credentials are saved.' });
+});
+
+app.get('/webapp/v2/tokens', requireRole('admin'), async (req, res) => {
+    res.json({ tokens: await auth.listApiTokens() });
+});
+
+app.post('/webapp/v2/tokens', requireRole('admin'), auditChange, async (req, res) => {
+    sendResult(res, await auth.createApiToken(req.body || {}, `${req.principal.type}:${req.principal.id}`));
+});
+
+app.delete('/webapp/v2/tokens/:id', requireRole('admin'), auditChange, async (req, res) => {
+    if (!/^\d+$/.test(req.params.id)) return sendResult(res, { success: false, code: 400, message: 'Invalid token ID.' });
+    sendResult(res, await auth.revokeApiToken(req.params.id));
+});
+
+app.get('/webapp/v2/audit', requireRole('admin'), async (req, res) => {
+    res.json({ entries: await auth.listAuditLog({ limit: req.query.limit, outcome: req.query.outcome || null }) });
+});
+
+// The permanent history: publish attempts and operator actions, a page at a time.
+app.get('/webapp/v2/history', requireRole('viewer'), async (req, res) => {
+    const { kind, search, outcome, channel, itemId, from, to, page, pageSize } = req.query;
+    const errors = [];
+    const pick = (value, allowed, name) => {
+        if (!value) return null;
+        if (!allowed.includes(value)) errors.push(`${name} must be one of ${allowed.join(', ')}.`);
+        return value;
+    };
+    const toDate = (value, name) => {
+        if (!value) return null;
+        const date = new Date(value);
+        if (isNaN(date.getTime())) errors.push(`${name} must be an ISO timestamp.`);
+        return date;
+    };
+    const filters = {
+        kind: pick(kind, history.KINDS, 'kind'),
+        outcome: pick(outcome, history.OUTCOMES, 'outcome'),
+        channel: pick(channel, history.CHANNELS, 'channel'),
+        search: search || null,
+        itemId: itemId || null,
+        from: toDate(from, 'from'),
+        to: toDate(to, 'to'),
+        page,
+        pageSize
+    };
+    if (errors.length > 0) return sendResult(res, { success: false, code: 400, message: errors.join(' ') });
+    res.json(await history.listHistory(filters));
+});
+
+// What the schedule would publish, miss or trip over in the next `days` days (default 7).
+app.get('/webapp/v2/simulate', requireRole('viewer'), async (req, res) => {
+    const result = await simulateSchedule(req.query.days === undefined ? 7 : req.query.days);
+    sendResult(res, result);
+});
+
+// Stored log entries, filtered by item, job/attempt, correlation ID, minimum level and time range.
+app.get('/webapp/v2/logs', requireRole('operator'), async (req, res) => {
+    const { itemId, jobId, attempt, correlationId, level, from, to, limit } = req.query;
+    const errors = [];
+    const toInt = (value, name) => {
+        if (value === undefined || value === '') return null;
+        if (!/^\d+$/.test(value)) errors.push(`${name} must be a whole number.`);
+        return parseInt(value, 10);
+    };
+    const toDate = (value, name) => {
+        if (value === undefined || value === '') return null;
+        const date = new Date(value);
+        if (isNaN(date.getTime())) errors.push(`${name} must be an ISO timestamp.`);
+        return date;
+    };
+    const filters = {
+        itemId: itemId || null,
+        jobId: toInt(jobId, 'jobId'),
+        attempt: toInt(attempt, 'attempt'),
+        correlationId: correlationId || null,
+        level: level || null,
+        from: toDate(from, 'from'),
+        to: toDate(to, 'to'),
+        limit
+    };
+    if (filters.level && !logger.LEVELS.includes(filters.level)) errors.push(`level must be one of ${logger.LEVELS.join(', ')}.`);
+    if (errors.length > 0) return sendResult(res, { success: false, code: 400, message: errors.join(' ') });
+    // Include entries still waiting in the buffer.
+    await logger.flush();
+    res.json({ entries: await logger.listEntries(filters) });
+});
+
 // --- APP STARTUP ---
 const PORT = process.env.PORT || 10000;
 
 async function startApp() {
     try {
         browser = await chromium.launch(); // <-- ADD THIS LINE
-        console.log("Persistent browser instance created."); // <-- ADD THIS LINE
-        await initializeDatabases();
-        await reconcileActiveDbIndex();
-        
+        logger.info('Persistent browser instance created.'); // <-- ADD THIS LINE
+        browserPool.init(browser, () => store.getSession('zedge'));
+        sessionManager.init(browser, {
+            onCheck: result => metrics.recordLoginCheck(result),
+            onExpired: reason => webhooks.emit('login.expired', { reason }),
+            onSessionSaved: () => browserPool.invalidate(),
+            notify: (message, category) => notifier.notify(message, category),
+            notifyImage: (image, caption, category) => notifier.notifyImage(image, caption, category)
+        });
+        await database.initializeDatabases();
+        await reencryptStoredSecrets();
+        const reconcileResult = await database.reconcileActiveDbIndex();
+        if (!reconcileResult.success) {
+            sendNotification(`🔴 **CRITICAL ALERT:** Worker failed to read config from backup DB. Reason: ${reconcileResult.error}`);
+        }
+        zedgeConfig.loadConfig(await store.getSetting('zedge_selectors'));
+        metrics.setSources({
+            queueDepth: () => publishQueue.countActiveJobs(),
+            missedItems: async () => (await store.listMissedItems()).length,
+            browserContexts: () => (browser && browser.isConnected() ? browser.contexts().length : 0)
+        });
+
+
         app.listen(PORT, () => {
-            console.log(`Server v2 listening on port ${PORT}`);
+            logger.info('Server v2 listening.', { port: PORT });
             
-            telegramBot.startBot(process.env.TELEGRAM_BOT_TOKEN, process.env.TELEGRAM_CHAT_ID, {
-                loadDataFunc: loadData,
+            const botDependencies = {
+                listScheduleFunc: store.listScheduleItems,
+                searchScheduleFunc: store.searchScheduleItems,
                 loginCheckFunc: checkLoginStatus,
+                submitOtpFunc: submitOtpCode,
                 getMissedItemsFunc: getMissedItems,
                 publishMissedItemsFunc: publishMissedItems,
                 rescheduleMissedItemFunc: rescheduleMissedItem,
                 clearMissedCacheFunc: clearMissedItemsCache,
-                switchDatabaseFunc: switchDatabase
-            });
+                switchDatabaseFunc: switchDatabase,
+                listHistoryFunc: history.listHistory,
+                simulateScheduleFunc: simulateSchedule,
+                getItemStatsFunc: stats.getItemStatsByTitle
+            };
+            if (telegramBot.startBot(process.env.TELEGRAM_BOT_TOKEN, process.env.TELEGRAM_CHAT_ID, botDependencies)) {
+                notifier.registerChannel(telegramBot.notificationChannel);
+            }
+            if (discordBot.startBot(process.env.DISCORD_BOT_TOKEN, botDependencies)) {
+                notifier.registerChannel(discordBot.notificationChannel);
+            }
 
             startWorkerIntervals();
         });
     } catch (error) {
-        console.error("Failed to start the application:", error.message);
+        logger.error('Failed to start the application.', { error: error.message });
         if (browser) await browser.close();
         process.exit(1);
     }
 }
 
 function startWorkerIntervals() {
-    console.log('Zedge Worker started. Initializing background tasks...');
+    logger.info('Zedge Worker started. Initializing background tasks.');
     setTimeout(checkScheduleForPublishing, 5 * 1000);
     mainIntervalId = setInterval(checkScheduleForPublishing, 60 * 1000);
 }
@@ -0,0 +1,166 @@
+// =================================================================
+//                 ZEDGE PUBLISHER WORKER (zedge_config.js)
+// =================================================================
+// URLs, selectors and timeouts for the Zedge site automation. Every
+// value can be overridden without a code change, either from a JSON
+// file (ZEDGE_SELECTORS_FILE) or from the `zedge_selectors` setting in
+// the database. Overrides are deep-merged over the defaults below.
+// =================================================================
+
+const fs = require('fs');
+const logger = require('./logger.js');
+
+const DEFAULT_CONFIG = {
+    urls: {
+        account: 'https://account.zedge.net',
+        upload: 'https://upload.zedge.net'
+    },
+    login: {
+        path: '/v2/login-with-email',
+        loggedInPath: '/v2/user',
+        emailInput: 'input[name="email"]',
+        continueWithPasswordButton: 'button:has-text("Continue with password")',
+        passwordInput: 'input[name="password"]',
+        continueButton: 'button:has-text("Continue")',
+        otpPageMarker: 'text=Verify email address',
+        otpInput: 'input[autocomplete="one-time-code"], input[name="code"]',
+        otpSubmitButton: 'button:text-matches("^(verify|continue)$", "i")',
+        // Shown when Zedge rejects the code.
+        otpErrorMarker: 'text=/invalid|incorrect|expired/i'
+    },
+    // The contentList selectors are evaluated inside the page with
+    // querySelectorAll, so they must be plain CSS. Buttons may use any
+    // Playwright selector.
+    contentList: {
+        // Elements that can hold an item's title (text or `title` attribute).
+        itemTitle: 'div[class*="StyledTitle"], div[title], span',
+        // The clickable card that wraps an item.
+        itemCard: 'div[role="button"], a',
+        // Status badges, matched near the title.
+        statusBadge: {
+            DRAFT: 'span[type="DEFAULT"]',
+            PUBLISHED: 'span[type="SUCCESS"]'
+        },
+        loadMoreButton: 'button:text-matches("^load more$", "i")'
+    },
+    detail: {
+        publishButton: 'button:text-matches("^publish$", "i")',
+        // The draft's editable details, changed before publishing when an item has metadata.
+        titleInput: 'input[name="title"]',
+        // Filled with the tags joined by commas.
+        tagsInput: 'input[name="tags"]',
+        descriptionInput: 'textarea[name="description"]',
+        saveButton: 'button:text-matches("^save( changes)?$", "i")',
+        unpublishButton: 'button:text-matches("^unpublish$", "i")',
+        deleteButton: 'button:text-matches("^delete$", "i")',
+        // The "are you sure?" dialog Zedge shows after Delete.
+        confirmDeleteButton: '[role="dialog"] button:text-matches("^(delete|confirm|yes)$", "i")'
+    },
+    // Counters on a published item's detail page. Plain CSS; a counter that isn't found is
+    // stored as "not available".
+    stats: {
+        downloads: '[data-stat="downloads"]',
+        views: '[data-stat="views"]',
+        favorites: '[data-stat="favorites"]'
+    },
+    // The new-item form, at the profile URL + `path`.
+    upload: {
+        path: '/new',
+        fileInput: 'input[type="file"]',
+        titleInput: 'input[name="title"]',
+        // Filled with the tags joined by commas.
+        tagsInput: 'input[name="tags"]',
+        descriptionInput: 'textarea[name="description"]',
+        categorySelect: 'select[name="category"]',
+        saveButton: 'button:text-matches("^(save|save draft)$", "i")'
+    },
+    timeouts: {
+        navigation: 60000,
+        passwordStep: 10000,
+        otpVerify: 15000,
+        findItem: 45000,
+        listUpdate: 5000,
+        detailPage: 20000,
+        publishButton: 15000,
+        publishSettle: 15000,
+        saveDetails: 15000,
+        verifyStatus: 60000,
+        verifyReloadInterval: 5000,
+        upload: 120000,
+        stats: 10000
+    }
+};
+
+let activeConfig = DEFAULT_CONFIG;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepMerge(base, override) {
+    if (!isPlainObject(override)) return base;
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? deepMerge(base[key], value) : value;
+    }
+    return merged;
+}
+
+/**
+ * Checks overrides against the keys and value types of the defaults, so a bad one is refused
+ * when it is saved rather than failing in the middle of a publish.
+ * @param {object} overrides - Partial config, shaped like DEFAULT_CONFIG.
+ * @returns {string[]} The problems, if any.
+ */
+function validateOverrides(overrides, defaults = DEFAULT_CONFIG, path = '') {
+    if (!isPlainObject(overrides)) return [`${path || 'Overrides'} must be an object.`];
+    const errors = [];
+    for (const [key, value] of Object.entries(overrides)) {
+        const keyPath = path ? `${path}.${key}` : key;
+        const expected = defaults[key];
+        if (expected === undefined) {
+            errors.push(`Unknown setting "${keyPath}".`);
+        } else if (isPlainObject(expected)) {
+            errors.push(...validateOverrides(value, expected, keyPath));
+        } else if (typeof expected === 'number') {
+            if (!Number.isInteger(value) || value <= 0) errors.push(`${keyPath} must be a positive whole number of milliseconds.`);
+        } else if (typeof value !== 'string' || !value.trim()) {
+            errors.push(`${keyPath} must be a non-empty string.`);
+        } else if (path === 'urls' && !/^https?:\/\/[^\s/]+/.test(value)) {
+            errors.push(`${keyPath} must be an http(s) URL.`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Rebuilds the active config from the defaults, the environment, the override file and the DB setting.
+ * @param {object|null} dbOverrides - The `zedge_selectors` setting, if any.
+ * @returns {object} The new active config.
+ */
+function loadConfig(dbOverrides = null) {
+    let config = DEFAULT_CONFIG;
+
+    const envUrls = {};
+    if (process.env.ZEDGE_ACCOUNT_URL) envUrls.account = process.env.ZEDGE_ACCOUNT_URL.replace(/\/$/, '');
+    if (process.env.ZEDGE_UPLOAD_URL) envUrls.upload = process.env.ZEDGE_UPLOAD_URL.replace(/\/$/, '');
+    config = deepMerge(config, { urls: envUrls });
+
+    if (process.env.ZEDGE_SELECTORS_FILE) {
+        try {
+            config = deepMerge(config, JSON.parse(fs.readFileSync(process.env.ZEDGE_SELECTORS_FILE, 'utf8')));
+        } catch (error) {
+            logger.error('Could not read ZEDGE_SELECTORS_FILE.', { file: process.env.ZEDGE_SELECTORS_FILE, error: error.message });
+        }
+    }
+    config = deepMerge(config, dbOverrides);
+
+    activeConfig = config;
+    return activeConfig;
+}
+
+function getConfig() { return activeConfig; }
+
+loadConfig();
+
+module.exports = { DEFAULT_CONFIG, validateOverrides, loadConfig, getConfig };
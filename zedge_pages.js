@@ -0,0 +1,439 @@
+// =================================================================
+//                 ZEDGE PUBLISHER WORKER (zedge_pages.js)
+// =================================================================
+// Page objects for the Zedge account and upload sites. All selectors,
+// URLs and timeouts come from zedge_config.js, and every wait is tied
+// to something happening on the page (an element appearing, the list
+// growing, a navigation) instead of fixed sleeps.
+// =================================================================
+
+const { getConfig } = require('./zedge_config.js');
+
+// Attribute used to tag the list card found in the page so Playwright can click it.
+const MATCH_MARKER = 'data-zedge-worker-match';
+
+// --- Login Page ---
+
+/**
+ * Logs in with email and password.
+ * @param {import('playwright').Page} page
+ * @param {{email: string, password: string}} credentials
+ * @returns {Promise<{loggedIn: boolean, otpRequired?: boolean}>} `otpRequired` is set when Zedge
+ *   shows the email verification step instead of the password field.
+ */
+async function login(page, { email, password }) {
+    const { urls, login: sel, timeouts } = getConfig();
+    await page.goto(`${urls.account}${sel.path}`, { waitUntil: 'domcontentloaded', timeout: timeouts.navigation });
+
+    const emailInput = page.locator(sel.emailInput).first();
+    await emailInput.waitFor({ timeout: timeouts.navigation });
+    await emailInput.fill('');
+    await emailInput.fill(email);
+    await page.locator(sel.continueWithPasswordButton).first().click();
+
+    // Whichever step shows up first decides the path.
+    const passwordInput = page.locator(sel.passwordInput).first();
+    const otpMarker = page.locator(sel.otpPageMarker).first();
+    await passwordInput.or(otpMarker).first().waitFor({ timeout: timeouts.passwordStep });
+    if (await otpMarker.isVisible()) return { loggedIn: false, otpRequired: true };
+
+    await passwordInput.fill(password);
+    await page.locator(sel.continueButton).first().click();
+    await page.waitForURL(`${urls.account}${sel.loggedInPath}**`, { timeout: timeouts.navigation });
+    return { loggedIn: true };
+}
+
+/**
+ * Enters the email verification code on the page login() left at the OTP step.
+ * @param {import('playwright').Page} page
+ * @param {string} code - The code Zedge emailed.
+ * @returns {Promise<{loggedIn: boolean}>} False when Zedge rejects the code or doesn't respond in time.
+ */
+async function submitOtp(page, code) {
+    const { urls, login: sel, timeouts } = getConfig();
+    const codeInput = page.locator(sel.otpInput).first();
+    await codeInput.waitFor({ timeout: timeouts.navigation });
+    await codeInput.fill(code);
+    await page.locator(sel.otpSubmitButton).first().click();
+
+    const accepted = page.waitForURL(`${urls.account}${sel.loggedInPath}**`, { timeout: timeouts.otpVerify }).then(() => true);
+    const rejected = page.locator(sel.otpErrorMarker).first().waitFor({ timeout: timeouts.otpVerify }).then(() => false);
+    try {
+        return { loggedIn: await Promise.any([accepted, rejected]) };
+    } catch (e) {
+        return { loggedIn: false };
+    }
+}
+
+/**
+ * Checks whether the context's session is accepted by the upload site.
+ * @returns {Promise<boolean>} False when the upload site redirects to the account login.
+ */
+async function isSessionValid(page) {
+    const { urls, timeouts } = getConfig();
+    await page.goto(`${urls.upload}/`, { waitUntil: 'domcontentloaded', timeout: timeouts.navigation });
+    return !page.url().startsWith(urls.account);
+}
+
+// --- Profile Content Page ---
+
+async function openProfileContent(page, profileUrl) {
+    const { urls, timeouts } = getConfig();
+    await page.goto(profileUrl, { waitUntil: 'domcontentloaded', timeout: timeouts.navigation });
+    if (page.url().startsWith(urls.account)) {
+        throw new Error('Session expired: the upload site redirected to the Zedge login page.');
+    }
+}
+
+/**
+ * Runs in the browser. Tags the card of the item with the given title and status.
+ * Kept self-contained because Playwright serializes it into the page.
+ */
+function markItemInList({ title, itemTitle, itemCard, statusSelector, statusText, marker }) {
+    document.querySelectorAll(`[${marker}]`).forEach(el => el.removeAttribute(marker));
+    for (const el of document.querySelectorAll(itemTitle)) {
+        if (el.textContent.trim() !== title && el.getAttribute('title') !== title) continue;
+        const card = el.closest(itemCard);
+        // The badge sits next to the title in some layouts and beside the card in others.
+        const scopes = [el.parentElement, card, card && card.parentElement];
+        for (const scope of scopes) {
+            const badge = scope ? scope.querySelector(statusSelector) : null;
+            if (badge && badge.textContent.trim().toUpperCase() === statusText) {
+                (card || el).setAttribute(marker, '1');
+                return true;
+            }
+        }
+    }
+    return false;
+}
+
+/**
+ * Looks for an item with the given title and status in the open content list,
+ * clicking "Load more" until the item shows up, the list is exhausted, or time runs out.
+ * @param {string} status - A key of `contentList.statusBadge` (e.g. 'DRAFT', 'PUBLISHED').
+ * @returns {Promise<import('playwright').Locator|null>} The item's card, or null if not found.
+ */
+async function findItemInList(page, title, status, timeoutMs) {
+    const { contentList: sel, timeouts } = getConfig();
+    const statusSelector = sel.statusBadge[status];
+    if (!statusSelector) throw new Error(`No status badge selector configured for "${status}".`);
+
+    const deadline = Date.now() + timeoutMs;
+    const args = { title, itemTitle: sel.itemTitle, itemCard: sel.itemCard, statusSelector, statusText: status, marker: MATCH_MARKER };
+
+    // The list is rendered client-side; wait for the first card before searching.
+    await page.locator(sel.itemCard).first().waitFor({ timeout: timeoutMs }).catch(() => {});
+
+    while (Date.now() < deadline) {
+        const remaining = deadline - Date.now();
+        const found = await page.waitForFunction(markItemInList, args, { timeout: Math.max(1, Math.min(timeouts.listUpdate, remaining)), polling: 500 })
+            .then(() => true, () => false);
+        if (found) return page.locator(`[${MATCH_MARKER}]`).first();
+
+        const loadMoreButton = page.locator(sel.loadMoreButton).first();
+        if (!(await loadMoreButton.isVisible())) return null; // Whole list is loaded and the item isn't in it.
+
+        const countBefore = await page.locator(sel.itemCard).count();
+        await loadMoreButton.click();
+        await page.waitForFunction(
+            ([selector, count]) => document.querySelectorAll(selector).length > count,
+            [sel.itemCard, countBefore],
+            { timeout: timeouts.listUpdate }
+        ).catch(() => {});
+    }
+    return null;
+}
+
+/**
+ * Loads the whole content list and returns every item with its status.
+ * @returns {Promise<{title: string, status: string}[]>} Status is a `statusBadge` key, or the badge text.
+ */
+async function listContentItems(page) {
+    const { contentList: sel, timeouts } = getConfig();
+    await page.locator(sel.itemCard).first().waitFor({ timeout: timeouts.listUpdate }).catch(() => {});
+
+    for (;;) {
+        const loadMoreButton = page.locator(sel.loadMoreButton).first();
+        if (!(await loadMoreButton.isVisible())) break;
+        const countBefore = await page.locator(sel.itemCard).count();
+        await loadMoreButton.click();
+        const grew = await page.waitForFunction(
+            ([selector, count]) => document.querySelectorAll(selector).length > count,
+            [sel.itemCard, countBefore],
+            { timeout: timeouts.listUpdate }
+        ).then(() => true, () => false);
+        if (!grew) break;
+    }
+
+    return page.evaluate(({ itemTitle, itemCard, statusBadge }) => {
+        const items = [];
+        for (const card of document.querySelectorAll(itemCard)) {
+            const badges = Object.entries(statusBadge).map(([status, selector]) => [status, card.querySelector(selector) || card.parentElement?.querySelector(selector)]);
+            const badgeElements = badges.map(([, el]) => el).filter(Boolean);
+            const titleEl = Array.from(card.querySelectorAll(itemTitle)).find(el => !badgeElements.includes(el) && (el.getAttribute('title') || el.textContent.trim()));
+            if (!titleEl) continue;
+            const matched = badges.find(([status, el]) => el && el.textContent.trim().toUpperCase() === status);
+            const anyBadge = card.querySelector('span[type]');
+            items.push({
+                title: titleEl.getAttribute('title') || titleEl.textContent.trim(),
+                status: matched ? matched[0] : (anyBadge ? anyBadge.textContent.trim().toUpperCase() : 'UNKNOWN')
+            });
+        }
+        return items;
+    }, { itemTitle: sel.itemTitle, itemCard: sel.itemCard, statusBadge: sel.statusBadge });
+}
+
+/**
+ * Finds a DRAFT by title in the open list and opens its detail page.
+ * @throws {Error} If no matching draft exists.
+ */
+async function openDraft(page, title) {
+    const { detail, timeouts } = getConfig();
+    const card = await findItemInList(page, title, 'DRAFT', timeouts.findItem);
+    if (!card) throw new Error(`Could not find a DRAFT with the title "${title}"`);
+    await card.click();
+    await page.locator(detail.publishButton).first().waitFor({ timeout: timeouts.detailPage });
+}
+
+/**
+ * Finds an item by title in the open list, whatever its status, and opens its detail page.
+ * @returns {Promise<string>} The status it had.
+ * @throws {Error} If no item has that title.
+ */
+async function openAnyItem(page, title) {
+    const { contentList, timeouts } = getConfig();
+    // Reading the whole list first tells which status to look for.
+    const listed = (await listContentItems(page)).find(item => item.title === title);
+    const card = listed && contentList.statusBadge[listed.status] ? await findItemInList(page, title, listed.status, timeouts.findItem) : null;
+    if (!card) throw new Error(`Could not find an item with the title "${title}"`);
+    await card.click();
+    await page.waitForLoadState('domcontentloaded', { timeout: timeouts.detailPage });
+    return listed.status;
+}
+
+/**
+ * Reloads the profile list until the item shows the expected status.
+ * @returns {Promise<boolean>} True once the status is seen, false on timeout.
+ */
+async function waitForItemStatus(page, profileUrl, title, status) {
+    const { timeouts } = getConfig();
+    const deadline = Date.now() + timeouts.verifyStatus;
+    while (Date.now() < deadline) {
+        await openProfileContent(page, profileUrl);
+        if (await findItemInList(page, title, status, deadline - Date.now())) return true;
+        // Zedge can take a moment to flip the status; give it a beat before reloading.
+        await page.waitForTimeout(Math.min(timeouts.verifyReloadInterval, Math.max(0, deadline - Date.now())));
+    }
+    return false;
+}
+
+/**
+ * Reloads the profile list until no item has the title any more.
+ * @returns {Promise<boolean>} True once it is gone, false on timeout.
+ */
+async function waitForItemGone(page, profileUrl, title) {
+    const { timeouts } = getConfig();
+    const deadline = Date.now() + timeouts.verifyStatus;
+    while (Date.now() < deadline) {
+        await openProfileContent(page, profileUrl);
+        if (!(await listContentItems(page)).some(item => item.title === title)) return true;
+        await page.waitForTimeout(Math.min(timeouts.verifyReloadInterval, Math.max(0, deadline - Date.now())));
+    }
+    return false;
+}
+
+// --- Content Detail Page ---
+
+/**
+ * Finds a PUBLISHED item by title in the open list and opens its detail page.
+ * @throws {Error} If no matching item exists.
+ */
+async function openPublishedItem(page, title) {
+    const { timeouts } = getConfig();
+    const card = await findItemInList(page, title, 'PUBLISHED', timeouts.findItem);
+    if (!card) throw new Error(`Could not find a PUBLISHED item with the title "${title}"`);
+    await card.click();
+    await page.waitForLoadState('domcontentloaded', { timeout: timeouts.detailPage });
+}
+
+// "1,234", "1.2K", "3M" -> numbers.
+function parseCount(text) {
+    const match = /([\d.,]+)\s*([kmb])?/i.exec(String(text || '').replace(/\s+(?=[kmb]\b)/i, ''));
+    if (!match) return null;
+    const multiplier = { k: 1e3, m: 1e6, b: 1e9 }[(match[2] || '').toLowerCase()] || 1;
+    const value = match[2] ? parseFloat(match[1].replace(/,/g, '')) : parseInt(match[1].replace(/[.,]/g, ''), 10);
+    return Number.isFinite(value) ? Math.round(value * multiplier) : null;
+}
+
+/**
+ * Reads the counters of an open published item's detail page.
+ * @returns {Promise<{downloads: number|null, views: number|null, favorites: number|null}>}
+ * @throws {Error} If none of the counters shows up.
+ */
+async function readItemStats(page) {
+    const { stats: sel, timeouts } = getConfig();
+    const selectors = Object.values(sel).join(', ');
+    try {
+        await page.locator(selectors).first().waitFor({ timeout: timeouts.stats });
+    } catch (error) {
+        throw new Error('The item page shows no stats.');
+    }
+    const texts = await page.evaluate((statSelectors) => {
+        const result = {};
+        for (const [key, selector] of Object.entries(statSelectors)) {
+            const el = document.querySelector(selector);
+            result[key] = el ? el.textContent : null;
+        }
+        return result;
+    }, sel);
+    return { downloads: parseCount(texts.downloads), views: parseCount(texts.views), favorites: parseCount(texts.favorites) };
+}
+
+// Tags as Zedge might give them back: trimmed, in any order and case.
+function tagKey(tags) {
+    return tags.map(t => t.trim().toLowerCase()).filter(Boolean).sort().join(',');
+}
+
+/**
+ * Changes the title, tags and description of an open draft, saves them and checks on a fresh
+ * load of the page that Zedge kept them. Fields that are null are left alone.
+ * @param {{newTitle: string|null, tags: string[]|null, description: string|null}} metadata
+ * @throws {Error} If a field is missing, Save can't be clicked or a value didn't stick.
+ */
+async function updateDraftDetails(page, { newTitle, tags, description }) {
+    const { detail, timeouts } = getConfig();
+    const fields = [
+        { name: 'title', selector: detail.titleInput, value: newTitle },
+        { name: 'tags', selector: detail.tagsInput, value: tags ? tags.join(', ') : null },
+        { name: 'description', selector: detail.descriptionInput, value: description }
+    ].filter(field => field.value);
+    for (const field of fields) {
+        try {
+            await page.locator(field.selector).first().fill(field.value, { timeout: timeouts.detailPage });
+        } catch (error) {
+            throw new Error(`The draft page has no ${field.name} field.`);
+        }
+    }
+    try {
+        await page.locator(detail.saveButton).first().click({ timeout: timeouts.saveDetails });
+    } catch (error) {
+        throw new Error('The "Save" button on the draft page was not found or was disabled.');
+    }
+    await page.waitForLoadState('networkidle', { timeout: timeouts.saveDetails }).catch(() => {});
+
+    await page.reload({ waitUntil: 'domcontentloaded', timeout: timeouts.navigation });
+    await page.locator(detail.publishButton).first().waitFor({ timeout: timeouts.detailPage });
+    const unsaved = [];
+    for (const field of fields) {
+        const saved = (await page.locator(field.selector).first().inputValue({ timeout: timeouts.detailPage })).trim();
+        const matches = field.name === 'tags' ? tagKey(saved.split(',')) === tagKey(tags) : saved === field.value;
+        if (!matches) unsaved.push(field.name);
+    }
+    if (unsaved.length > 0) throw new Error(`Zedge did not save the draft's ${unsaved.join(' and ')}.`);
+}
+
+// Clicks a button on the detail page and waits for the request it sends to settle.
+async function clickAndSettle(page, selector, label) {
+    const { timeouts } = getConfig();
+    const button = page.locator(selector).first();
+    try {
+        // click() waits for the button to be visible and enabled.
+        await button.click({ timeout: timeouts.publishButton });
+    } catch (error) {
+        throw new Error(`The "${label}" button was not found or was disabled.`);
+    }
+    await button.waitFor({ state: 'hidden', timeout: timeouts.publishSettle }).catch(() => {});
+    await page.waitForLoadState('networkidle', { timeout: timeouts.publishSettle }).catch(() => {});
+}
+
+/**
+ * Clicks Publish on an open detail page and waits for the request to settle.
+ * @throws {Error} If the button never becomes clickable.
+ */
+async function publishFromDetail(page) {
+    await clickAndSettle(page, getConfig().detail.publishButton, 'Publish');
+}
+
+/**
+ * Clicks Unpublish on an open published item's page and waits for the request to settle.
+ * @throws {Error} If the button never becomes clickable.
+ */
+async function unpublishFromDetail(page) {
+    await clickAndSettle(page, getConfig().detail.unpublishButton, 'Unpublish');
+}
+
+/**
+ * Clicks Delete on an open detail page, confirms it, and waits for the request to settle.
+ * @throws {Error} If either button never becomes clickable.
+ */
+async function deleteFromDetail(page) {
+    const { detail, timeouts } = getConfig();
+    try {
+        await page.locator(detail.deleteButton).first().click({ timeout: timeouts.publishButton });
+    } catch (error) {
+        throw new Error('The "Delete" button was not found or was disabled.');
+    }
+    await clickAndSettle(page, detail.confirmDeleteButton, 'Confirm delete');
+}
+
+// --- Upload Form ---
+
+/**
+ * Fills in the new-item form of a profile and saves it as a draft.
+ * The caller confirms the draft with waitForItemStatus(); Zedge may take a moment to list it.
+ * @param {string} profileUrl - The profile's content page.
+ * @param {{title: string, fileName: string, contentType: string, data: Buffer, tags: string[], description: string|null, category: string|null}} draft
+ * @throws {Error} If the form doesn't load or a field is missing.
+ */
+async function createDraft(page, profileUrl, { title, fileName, contentType, data, tags, description, category }) {
+    const { upload: sel, urls, timeouts } = getConfig();
+    await page.goto(`${profileUrl.replace(/\/$/, '')}${sel.path}`, { waitUntil: 'domcontentloaded', timeout: timeouts.navigation });
+    if (page.url().startsWith(urls.account)) {
+        throw new Error('Session expired: the upload site redirected to the Zedge login page.');
+    }
+    try {
+        await page.locator(sel.fileInput).first().setInputFiles({ name: fileName, mimeType: contentType, buffer: data }, { timeout: timeouts.upload });
+        await page.locator(sel.titleInput).first().fill(title, { timeout: timeouts.detailPage });
+    } catch (error) {
+        throw new Error('The upload form did not load or has no file or title field.');
+    }
+    if (tags.length > 0) await page.locator(sel.tagsInput).first().fill(tags.join(', '), { timeout: timeouts.detailPage });
+    if (description) await page.locator(sel.descriptionInput).first().fill(description, { timeout: timeouts.detailPage });
+    if (category) {
+        try {
+            await page.locator(sel.categorySelect).first().selectOption({ label: category }, { timeout: timeouts.detailPage });
+        } catch (error) {
+            throw new Error(`Zedge has no category called "${category}".`);
+        }
+    }
+
+    const saveButton = page.locator(sel.saveButton).first();
+    try {
+        // The button stays disabled until the file has finished uploading.
+        await saveButton.click({ timeout: timeouts.upload });
+    } catch (error) {
+        throw new Error('The "Save" button never became clickable; the file may have been rejected.');
+    }
+    await page.waitForLoadState('networkidle', { timeout: timeouts.publishSettle }).catch(() => {});
+}
+
+module.exports = {
+    login,
+    submitOtp,
+    isSessionValid,
+    openProfileContent,
+    markItemInList,
+    findItemInList,
+    listContentItems,
+    openDraft,
+    openAnyItem,
+    waitForItemStatus,
+    waitForItemGone,
+    updateDraftDetails,
+    publishFromDetail,
+    unpublishFromDetail,
+    deleteFromDetail,
+    openPublishedItem,
+    readItemStats,
+    createDraft
+};